@@ -1,6 +1,9 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const { AsyncLocalStorage } = require('async_hooks');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
 
 /**
  * Database class for SQLite operations with connection pooling and error handling
@@ -9,12 +12,17 @@ class Database {
   constructor() {
     this.db = null;
     this.dbPath = process.env.DB_PATH || path.join(__dirname, 'data', 'taskmanager.db');
+    // Every request shares one connection, so transactions take turns: transactionLock settles when the
+    // last queued transaction ends, and transactionScope marks the statements issued by the open one
+    this.transactionLock = Promise.resolve();
+    this.transactionScope = new AsyncLocalStorage();
   }
 
   /**
-   * Initialize database connection and create tables
+   * Initialize database connection and bring the schema up to date
+   * @param {Object} options - Pass { migrate: false } to skip running migrations
    */
-  async init() {
+  async init({ migrate = true } = {}) {
     try {
       // Ensure data directory exists
       const dataDir = path.dirname(this.dbPath);
@@ -32,8 +40,9 @@ class Database {
       await this.run('PRAGMA journal_mode = WAL');
       await this.run('PRAGMA synchronous = NORMAL');
 
-      // Create tables
-      await this.createTables();
+      if (migrate) {
+        await this.migrate();
+      }
       console.log('Database initialized successfully');
     } catch (error) {
       console.error('Database initialization error:', error);
@@ -46,222 +55,83 @@ class Database {
   }
 
   /**
-   * Create all required tables with proper indexes
+   * Load migration modules from the migrations directory, ordered by version.
+   * Files are named NNN_description.js and export async up(db) and down(db).
    */
-  async createTables() {
-    const tables = [
-      // Tasks table
-      `CREATE TABLE IF NOT EXISTS tasks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL CHECK(length(name) >= 3),
-        creator TEXT NOT NULL CHECK(length(creator) >= 2),
-        status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected')),
-        approver TEXT,
-        timer TEXT,
-        completed BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Articles table
-      `CREATE TABLE IF NOT EXISTS articles (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        headline TEXT NOT NULL CHECK(length(headline) >= 5),
-        link TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Checklists table
-      `CREATE TABLE IF NOT EXISTS checklists (
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL CHECK(length(title) >= 3),
-        description TEXT DEFAULT '',
-        theme TEXT DEFAULT 'blue',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Checklist tasks table
-      `CREATE TABLE IF NOT EXISTS checklist_tasks (
-        id TEXT PRIMARY KEY,
-        checklist_id TEXT NOT NULL,
-        title TEXT NOT NULL,
-        priority TEXT DEFAULT 'Medium' CHECK(priority IN ('High', 'Medium', 'Low')),
-        completed BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (checklist_id) REFERENCES checklists(id) ON DELETE CASCADE
-      )`,
-
-      // Subtasks table
-      `CREATE TABLE IF NOT EXISTS subtasks (
-        id TEXT PRIMARY KEY,
-        task_id TEXT NOT NULL,
-        title TEXT NOT NULL CHECK(length(title) >= 2),
-        completed BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (task_id) REFERENCES checklist_tasks(id) ON DELETE CASCADE
-      )`,
-
-      // Projects table
-      `CREATE TABLE IF NOT EXISTS projects (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL CHECK(length(name) >= 3),
-        description TEXT DEFAULT '',
-        start_date DATE,
-        end_date DATE,
-        status TEXT DEFAULT 'planning' CHECK(status IN ('planning', 'active', 'on-hold', 'completed', 'cancelled')),
-        priority TEXT DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high', 'urgent')),
-        manager TEXT,
-        budget REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Project tasks table (linking tasks to projects)
-      `CREATE TABLE IF NOT EXISTS project_tasks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL,
-        task_id INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
-        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
-        UNIQUE(project_id, task_id)
-      )`,
-
-      // Project milestones table
-      `CREATE TABLE IF NOT EXISTS project_milestones (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL,
-        title TEXT NOT NULL CHECK(length(title) >= 3),
-        description TEXT DEFAULT '',
-        due_date DATE,
-        completed BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
-      )`,
-
-      // Resource allocation table
-      `CREATE TABLE IF NOT EXISTS resource_allocations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL,
-        resource_name TEXT NOT NULL CHECK(length(resource_name) >= 2),
-        role TEXT NOT NULL,
-        hours_per_week REAL DEFAULT 40,
-        start_date DATE,
-        end_date DATE,
-        hourly_rate REAL DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
-      )`,
-
-      // Daily tasks table
-      `CREATE TABLE IF NOT EXISTS daily_tasks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL CHECK(length(title) >= 3),
-        description TEXT DEFAULT '',
-        assigned_to TEXT NOT NULL CHECK(length(assigned_to) >= 2),
-        priority TEXT DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high', 'urgent')),
-        status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'in-progress', 'completed', 'blocked')),
-        due_date DATE NOT NULL,
-        estimated_hours REAL DEFAULT 0,
-        actual_hours REAL DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
+  async loadMigrations() {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    return files
+      .map(file => file.match(/^(\d+)_(.+)\.js$/))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: Number(version),
+        name,
+        ...require(path.join(MIGRATIONS_DIR, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
 
-      // Daily progress reports table
-      `CREATE TABLE IF NOT EXISTS daily_progress_reports (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        reporter_name TEXT NOT NULL CHECK(length(reporter_name) >= 2),
-        report_date DATE NOT NULL,
-        tasks_completed TEXT DEFAULT '',
-        tasks_in_progress TEXT DEFAULT '',
-        tasks_blocked TEXT DEFAULT '',
-        hours_worked REAL DEFAULT 0,
-        challenges TEXT DEFAULT '',
-        next_day_plan TEXT DEFAULT '',
-        mood_rating INTEGER DEFAULT 3 CHECK(mood_rating >= 1 AND mood_rating <= 5),
-        productivity_score INTEGER DEFAULT 3 CHECK(productivity_score >= 1 AND productivity_score <= 5),
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
+  /**
+   * Get the versions already applied, oldest first
+   */
+  async getAppliedVersions() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
 
-      // Daily task progress tracking table
-      `CREATE TABLE IF NOT EXISTS daily_task_progress (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        daily_task_id INTEGER NOT NULL,
-        progress_date DATE NOT NULL,
-        hours_spent REAL DEFAULT 0,
-        progress_percentage INTEGER DEFAULT 0 CHECK(progress_percentage >= 0 AND progress_percentage <= 100),
-        notes TEXT DEFAULT '',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (daily_task_id) REFERENCES daily_tasks(id) ON DELETE CASCADE
-      )`
-    ];
+    const rows = await this.all('SELECT version FROM schema_migrations ORDER BY version ASC');
+    return rows.map(row => row.version);
+  }
 
-    // Create indexes for better performance
-    const indexes = [
-      'CREATE INDEX IF NOT EXISTS idx_tasks_creator ON tasks(creator)',
-      'CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status)',
-      'CREATE INDEX IF NOT EXISTS idx_articles_created ON articles(created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_checklist_tasks_checklist ON checklist_tasks(checklist_id)',
-      'CREATE INDEX IF NOT EXISTS idx_subtasks_task ON subtasks(task_id)',
-      'CREATE INDEX IF NOT EXISTS idx_projects_status ON projects(status)',
-      'CREATE INDEX IF NOT EXISTS idx_projects_priority ON projects(priority)',
-      'CREATE INDEX IF NOT EXISTS idx_project_tasks_project ON project_tasks(project_id)',
-      'CREATE INDEX IF NOT EXISTS idx_project_tasks_task ON project_tasks(task_id)',
-      'CREATE INDEX IF NOT EXISTS idx_project_milestones_project ON project_milestones(project_id)',
-      'CREATE INDEX IF NOT EXISTS idx_resource_allocations_project ON resource_allocations(project_id)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_tasks_assigned_to ON daily_tasks(assigned_to)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_tasks_status ON daily_tasks(status)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_tasks_due_date ON daily_tasks(due_date)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_progress_reports_reporter ON daily_progress_reports(reporter_name)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_progress_reports_date ON daily_progress_reports(report_date)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_task_progress_task ON daily_task_progress(daily_task_id)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_task_progress_date ON daily_task_progress(progress_date)'
-    ];
+  /**
+   * Apply every pending migration, each in its own transaction
+   * @returns {Array} Migrations that were applied
+   */
+  async migrate() {
+    const applied = await this.getAppliedVersions();
+    const pending = (await this.loadMigrations()).filter(migration => !applied.includes(migration.version));
 
-    // Execute table creation
-    for (const table of tables) {
-      await this.run(table);
+    for (const migration of pending) {
+      await this.transaction(async () => {
+        await migration.up(this);
+        await this.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
     }
 
-    // Create indexes
-    for (const index of indexes) {
-      await this.run(index);
-    }
+    return pending;
+  }
 
-    // Create triggers for updated_at
-    await this.run(`
-      CREATE TRIGGER IF NOT EXISTS update_tasks_timestamp 
-      AFTER UPDATE ON tasks 
-      BEGIN 
-        UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-      END
-    `);
+  /**
+   * Revert the most recently applied migrations
+   * @param {number} steps - Number of migrations to revert
+   * @returns {Array} Migrations that were reverted
+   */
+  async rollback(steps = 1) {
+    const applied = await this.getAppliedVersions();
+    const migrations = await this.loadMigrations();
+    const reverted = [];
 
-    await this.run(`
-      CREATE TRIGGER IF NOT EXISTS update_checklists_timestamp 
-      AFTER UPDATE ON checklists 
-      BEGIN 
-        UPDATE checklists SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-      END
-    `);
+    for (const version of applied.reverse().slice(0, steps)) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing`);
+      }
 
-    await this.run(`
-      CREATE TRIGGER IF NOT EXISTS update_projects_timestamp 
-      AFTER UPDATE ON projects 
-      BEGIN 
-        UPDATE projects SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-      END
-    `);
+      await this.transaction(async () => {
+        await migration.down(this);
+        await this.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      });
+      reverted.push(migration);
+    }
 
-    await this.run(`
-      CREATE TRIGGER IF NOT EXISTS update_daily_tasks_timestamp 
-      AFTER UPDATE ON daily_tasks 
-      BEGIN 
-        UPDATE daily_tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-      END
-    `);
+    return reverted;
   }
 
   /**
@@ -269,7 +139,9 @@ class Database {
    * @param {string} sql - SQL query
    * @param {Array} params - Query parameters
    */
-  run(sql, params = []) {
+  async run(sql, params = []) {
+    await this.waitForTransactions();
+
     return new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
@@ -291,7 +163,9 @@ class Database {
    * @param {string} sql - SQL query
    * @param {Array} params - Query parameters
    */
-  get(sql, params = []) {
+  async get(sql, params = []) {
+    await this.waitForTransactions();
+
     return new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
@@ -313,7 +187,9 @@ class Database {
    * @param {string} sql - SQL query
    * @param {Array} params - Query parameters
    */
-  all(sql, params = []) {
+  async all(sql, params = []) {
+    await this.waitForTransactions();
+
     return new Promise((resolve, reject) => {
       if (!this.db) {
         reject(new Error('Database not initialized'));
@@ -331,17 +207,47 @@ class Database {
   }
 
   /**
-   * Execute multiple SQL statements in a transaction
+   * Wait until no transaction is open or queued, unless called from inside the open one.
+   * Statements from other requests would otherwise run inside it and be committed or rolled back with it.
+   */
+  async waitForTransactions() {
+    if (this.transactionScope.getStore()) return;
+
+    let lock;
+    while (lock !== this.transactionLock) {
+      lock = this.transactionLock;
+      await lock;
+    }
+  }
+
+  /**
+   * Execute multiple SQL statements in a transaction, after any transaction already open or queued.
+   * A transaction started inside another joins it.
    * @param {Function} callback - Function containing database operations
+   * @returns {*} What the callback returns
    */
   async transaction(callback) {
-    await this.run('BEGIN TRANSACTION');
+    if (this.transactionScope.getStore()) return callback();
+
+    const previous = this.transactionLock;
+    let release;
+    this.transactionLock = new Promise(resolve => { release = resolve; });
+    await previous;
+
     try {
-      await callback();
-      await this.run('COMMIT');
-    } catch (error) {
-      await this.run('ROLLBACK');
-      throw error;
+      return await this.transactionScope.run(true, async () => {
+        await this.run('BEGIN TRANSACTION');
+        try {
+          const result = await callback();
+          await this.run('COMMIT');
+          return result;
+        } catch (error) {
+          await this.run('ROLLBACK');
+          throw error;
+        }
+      });
+    } finally {
+      release();
     }
   }
 
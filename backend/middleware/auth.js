@@ -0,0 +1,190 @@
+const jwt = require('jsonwebtoken');
+const database = require('../database');
+
+/**
+ * JWT authentication, role and permission middleware
+ */
+
+const ROLES = ['admin', 'manager', 'member'];
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+/**
+ * Resolve the signing secret, refusing to run production without one
+ */
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    return 'development-only-jwt-secret';
+  }
+  return secret;
+}
+
+/**
+ * Issue a short-lived access token for a user
+ * @param {Object} user - User row
+ */
+function generateAccessToken(user) {
+  return jwt.sign(
+    {
+      sub: user.id,
+      username: user.username,
+      display_name: user.display_name,
+      role: user.role,
+      type: 'access'
+    },
+    getSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Issue a long-lived refresh token for a user
+ * @param {Object} user - User row
+ */
+function generateRefreshToken(user) {
+  return jwt.sign(
+    { sub: user.id, type: 'refresh' },
+    getSecret(),
+    { expiresIn: REFRESH_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify a token and check it is of the expected type
+ * @param {string} token - Encoded JWT
+ * @param {string} type - Expected token type (access, refresh)
+ */
+function verifyToken(token, type) {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== type) {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+}
+
+/**
+ * Require a valid access token in the Authorization header.
+ * The user is loaded from the database, so a role change or deletion applies to tokens already issued.
+ */
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token, 'access');
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+    });
+  }
+
+  try {
+    const user = await database.get(
+      'SELECT id, username, display_name, role FROM users WHERE id = ?',
+      [payload.sub]
+    );
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require the signed-in user to have one of the given roles
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Check whether a user may approve or reject a task.
+ * Admins and managers can approve anything; members only tasks they are designated approvers for.
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {number|string} taskId - Task ID
+ */
+async function canApproveTask(user, taskId) {
+  if (user.role === 'admin' || user.role === 'manager') {
+    return true;
+  }
+
+  const designation = await database.get(
+    'SELECT 1 FROM task_approvers WHERE task_id = ? AND user_id = ?',
+    [taskId, user.id]
+  );
+  return Boolean(designation);
+}
+
+/**
+ * Reject task updates that change approval status without permission,
+ * or that bypass the task's approval chain
+ */
+async function authorizeTaskUpdate(req, res, next) {
+  if (req.body.status === undefined) {
+    return next();
+  }
+
+  try {
+    const hasChain = await database.get(
+      'SELECT 1 FROM task_approval_steps WHERE task_id = ? LIMIT 1',
+      [req.params.id]
+    );
+    if (hasChain) {
+      return res.status(409).json({
+        success: false,
+        message: 'This task uses an approval chain; record decisions through its approvals endpoint'
+      });
+    }
+
+    if (!(await canApproveTask(req.user, req.params.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only managers or designated approvers can change a task\'s approval status'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  requireRole,
+  canApproveTask,
+  authorizeTaskUpdate,
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken
+};
@@ -1,23 +1,171 @@
 const Joi = require('joi');
+const { ROLES, authorizeTaskUpdate } = require('./auth');
+const { ENTITY_TYPES } = require('../services/audit');
+const { SEARCH_TYPES } = require('../services/search');
+const { WEEKDAYS, PRESETS, parseRule, daysBetween } = require('../services/recurrence');
+const { ITEM_TYPES } = require('../services/project-schedule');
+const { PROGRESS_MODES } = require('../services/project-progress');
+const { CALENDAR_MAX_DAYS } = require('../services/calendar');
+const { REPORT_BUCKETS } = require('../services/report-tasks');
+const { DIGEST_FORMATS } = require('../services/report-digest');
+const { isValidTimeZone } = require('../services/report-reminders');
+const { ALERT_METRICS, ALERT_AGGREGATES, ALERT_OPERATORS, TREND_MAX_DAYS } = require('../services/wellbeing');
 
 /**
  * Validation middleware using Joi schemas
  */
 
+// Page size for list endpoints when ?limit is not given, and the largest allowed
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Build the query schema of a list endpoint: limit/offset paging,
+ * sort=field:dir[,field:dir] and fields=a,b projection, both checked against allowlists.
+ * sort is parsed into [{ field, direction }] and fields into an array.
+ * @param {Object} options
+ * @param {Array} options.sortable - Columns that may be sorted on
+ * @param {Array} options.fields - Columns and relations that may be requested
+ * @param {string} options.defaultSort - Sort used when ?sort is absent
+ * @param {Object} filters - Extra Joi keys for endpoint-specific filters
+ */
+function listQuerySchema({ sortable, fields, defaultSort }, filters = {}) {
+  const parseSort = (value, helpers) => {
+    const sort = [];
+    for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+      const [field, direction = 'asc'] = part.split(':');
+      if (!sortable.includes(field)) {
+        return helpers.message(`"sort" cannot use "${field}"; allowed fields are ${sortable.join(', ')}`);
+      }
+      if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+        return helpers.message(`"sort" direction must be asc or desc`);
+      }
+      sort.push({ field, direction: direction.toLowerCase() });
+    }
+    return sort.length > 0 ? sort : helpers.message('"sort" must name at least one field');
+  };
+
+  const parseFields = (value, helpers) => {
+    const requested = value.split(',').map(item => item.trim()).filter(Boolean);
+    const unknown = requested.find(field => !fields.includes(field));
+    return unknown
+      ? helpers.message(`"fields" cannot include "${unknown}"; allowed fields are ${fields.join(', ')}`)
+      : requested;
+  };
+
+  return Joi.object({
+    limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+    offset: Joi.number().integer().min(0).default(0),
+    sort: Joi.string().custom(parseSort).default(parseSort(defaultSort)),
+    fields: Joi.string().custom(parseFields),
+    ...filters
+  });
+}
+
+// User registration schema
+const registerSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(50).lowercase().trim().required(),
+  password: Joi.string().min(8).max(128).required(),
+  display_name: Joi.string().min(2).max(100).trim().required()
+});
+
+// Login schema
+const loginSchema = Joi.object({
+  username: Joi.string().max(50).lowercase().trim().required(),
+  password: Joi.string().max(128).required()
+});
+
+// Token refresh schema
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
 // Task validation schema
 const taskSchema = Joi.object({
   name: Joi.string().min(3).max(255).trim().required(),
   creator: Joi.string().min(2).max(100).trim().required()
 });
 
-// Task update schema
+// Task update schema (the approver is taken from the signed-in user, never the body)
 const taskUpdateSchema = Joi.object({
   status: Joi.string().valid('pending', 'approved', 'rejected'),
-  approver: Joi.string().min(2).max(100),
-  timer: Joi.string(),
+  approver: Joi.forbidden(),
   completed: Joi.boolean()
 }).min(1);
 
+// Task approvers schema
+const taskApproversSchema = Joi.object({
+  user_ids: Joi.array().items(Joi.number().integer().positive()).unique().required()
+});
+
+// Approval step definition (decided by a role or by a specific user)
+const approvalStepSchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required(),
+  approver_role: Joi.string().valid(...ROLES),
+  approver_user_id: Joi.number().integer().positive()
+}).xor('approver_role', 'approver_user_id');
+
+// Approval chain template schema
+const approvalChainSchema = Joi.object({
+  name: Joi.string().min(3).max(100).trim().required(),
+  description: Joi.string().max(1000).trim().allow('').default(''),
+  steps: Joi.array().items(approvalStepSchema).min(1).required()
+});
+
+// Start approval schema (from a saved chain or ad-hoc steps)
+const approvalStartSchema = Joi.object({
+  chain_id: Joi.number().integer().positive(),
+  steps: Joi.array().items(approvalStepSchema).min(1)
+}).xor('chain_id', 'steps');
+
+// Approval decision schema (rejections must say why)
+const approvalDecisionSchema = Joi.object({
+  decision: Joi.string().valid('approved', 'rejected').required(),
+  comment: Joi.when('decision', {
+    is: 'rejected',
+    then: Joi.string().min(3).max(2000).trim().required(),
+    otherwise: Joi.string().max(2000).trim().allow('').default('')
+  })
+});
+
+// Time tracking summary query schema
+const timeSummaryQuerySchema = Joi.object({
+  group_by: Joi.string().valid('task', 'project', 'user').default('task'),
+  user_id: Joi.number().integer().positive(),
+  start_date: Joi.date().iso().raw(),
+  end_date: Joi.date().iso().raw()
+});
+
+// Audit log query schema
+const auditQuerySchema = Joi.object({
+  entity_type: Joi.string().valid(...ENTITY_TYPES),
+  entity_id: Joi.string().max(100),
+  action: Joi.string().valid('create', 'update', 'delete'),
+  actor_id: Joi.number().integer().positive(),
+  start_date: Joi.date().iso().raw(),
+  end_date: Joi.date().iso().raw(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+  offset: Joi.number().integer().min(0).default(0)
+}).with('entity_id', 'entity_type');
+
+// Global search query schema
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required(),
+  // Comma-separated list, e.g. types=task,project
+  types: Joi.string().custom((value, helpers) => {
+    const types = value.split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.find(type => !SEARCH_TYPES[type]);
+    return unknown ? helpers.message(`"types" contains unknown type "${unknown}"`) : types;
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// User role update schema
+const userRoleSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required()
+});
+
 // Article validation schema
 const articleSchema = Joi.object({
   headline: Joi.string().min(5).max(500).trim().required(),
@@ -46,26 +194,176 @@ const subtaskSchema = Joi.object({
 const projectSchema = Joi.object({
   name: Joi.string().min(3).max(255).trim().required(),
   description: Joi.string().max(1000).trim().default(''),
-  start_date: Joi.date().iso().allow(null),
-  end_date: Joi.date().iso().min(Joi.ref('start_date')).allow(null),
+  start_date: Joi.date().iso().raw().allow(null),
+  end_date: Joi.date().iso().raw().min(Joi.ref('start_date')).allow(null),
   status: Joi.string().valid('planning', 'active', 'on-hold', 'completed', 'cancelled').default('planning'),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
   manager: Joi.string().max(100).trim().allow(''),
-  budget: Joi.number().positive().allow(null)
+  budget: Joi.number().positive().allow(null),
+  progress_mode: Joi.string().valid(...PROGRESS_MODES).default('weighted')
 });
 
 // Project update schema
 const projectUpdateSchema = Joi.object({
   name: Joi.string().min(3).max(255).trim(),
   description: Joi.string().max(1000).trim(),
-  start_date: Joi.date().iso().allow(null),
-  end_date: Joi.date().iso().allow(null),
+  start_date: Joi.date().iso().raw().allow(null),
+  end_date: Joi.date().iso().raw().allow(null),
   status: Joi.string().valid('planning', 'active', 'on-hold', 'completed', 'cancelled'),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
   manager: Joi.string().max(100).trim(),
-  budget: Joi.number().positive().allow(null)
+  budget: Joi.number().positive().allow(null),
+  progress_mode: Joi.string().valid(...PROGRESS_MODES)
+}).min(1);
+
+// Schedule duration in calendar days
+const durationDays = Joi.number().integer().min(0).max(3650);
+
+// Work estimate in hours; null falls back to the schedule duration
+const estimatedHours = Joi.number().min(0).max(10000).allow(null);
+
+// Project task assignment schema
+const projectTaskSchema = Joi.object({
+  taskId: Joi.number().integer().positive().required(),
+  duration_days: durationDays.default(1),
+  estimated_hours: estimatedHours.default(null)
+});
+
+// Project task update schema
+const projectTaskUpdateSchema = Joi.object({
+  duration_days: durationDays,
+  estimated_hours: estimatedHours
 }).min(1);
 
+// Project schedule link: the item waits until its predecessor finishes
+const scheduleLinkSchema = Joi.object({
+  item_type: Joi.string().valid(...ITEM_TYPES).required(),
+  item_id: Joi.number().integer().positive().required(),
+  predecessor_type: Joi.string().valid(...ITEM_TYPES).required(),
+  predecessor_id: Joi.number().integer().positive().required()
+});
+
+// Project id and link id in the URL
+const scheduleLinkParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  linkId: Joi.number().integer().positive().required()
+});
+
+// Person validation schema
+const personSchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim().required(),
+  weekly_capacity_hours: Joi.number().min(0).max(168)
+});
+
+// Person update schema
+const personUpdateSchema = Joi.object({
+  name: Joi.string().min(2).max(100).trim(),
+  weekly_capacity_hours: Joi.number().min(0).max(168)
+}).min(1);
+
+// Capacity report query: the week containing `start` and the weeks after it
+const capacityQuerySchema = Joi.object({
+  start: Joi.date().iso().raw(),
+  weeks: Joi.number().integer().min(1).max(52).default(8),
+  person_id: Joi.number().integer().positive()
+});
+
+// Date range of a snapshot history; the end defaults to today
+const historyRange = {
+  start: Joi.date().iso().raw(),
+  end: Joi.date().iso().raw().when('start', { is: Joi.exist(), then: Joi.date().min(Joi.ref('start')) })
+};
+
+// Project snapshot history query
+const projectHistoryQuerySchema = Joi.object({
+  ...historyRange,
+  project_id: Joi.number().integer().positive()
+});
+
+// Daily task snapshot history query
+const dailyTaskHistoryQuerySchema = Joi.object({
+  ...historyRange,
+  assigned_to: Joi.string().max(100).trim()
+});
+
+// Calendar range: both days are included
+const calendarQuerySchema = Joi.object({
+  start: Joi.date().iso().raw().required(),
+  end: Joi.date().iso().raw().min(Joi.ref('start')).required()
+}).custom((value, helpers) => (
+  daysBetween(value.start, value.end) >= CALENDAR_MAX_DAYS
+    ? helpers.message(`"end" must be within ${CALENDAR_MAX_DAYS} days of "start"`)
+    : value
+));
+
+// List query schemas (allowlists for sort and fields)
+const taskListQuerySchema = listQuerySchema({
+  sortable: ['id', 'name', 'creator', 'status', 'completed', 'created_at', 'updated_at'],
+  fields: [
+    'id', 'name', 'creator', 'status', 'approver', 'completed', 'created_at', 'updated_at',
+    'approvers', 'approval', 'time_tracking'
+  ],
+  defaultSort: 'created_at:desc'
+}, {
+  status: Joi.string().valid('pending', 'approved', 'rejected'),
+  completed: Joi.boolean()
+});
+
+const articleListQuerySchema = listQuerySchema({
+  sortable: ['id', 'headline', 'created_at'],
+  fields: ['id', 'headline', 'link', 'created_at'],
+  defaultSort: 'created_at:desc'
+});
+
+const checklistListQuerySchema = listQuerySchema({
+  sortable: ['id', 'title', 'theme', 'created_at', 'updated_at'],
+  fields: ['id', 'title', 'description', 'theme', 'created_at', 'updated_at', 'tasks'],
+  defaultSort: 'created_at:desc'
+});
+
+const projectListQuerySchema = listQuerySchema({
+  sortable: ['id', 'name', 'status', 'priority', 'start_date', 'end_date', 'budget', 'created_at', 'updated_at'],
+  fields: [
+    'id', 'name', 'description', 'start_date', 'end_date', 'status', 'priority', 'manager', 'budget',
+    'progress_mode', 'created_at', 'updated_at', 'tasks', 'milestones', 'resources', 'progress'
+  ],
+  defaultSort: 'created_at:desc'
+}, {
+  status: Joi.string().valid('planning', 'active', 'on-hold', 'completed', 'cancelled'),
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent')
+});
+
+const dailyTaskListQuerySchema = listQuerySchema({
+  sortable: [
+    'id', 'title', 'assigned_to', 'priority', 'status', 'due_date', 'estimated_hours', 'actual_hours',
+    'carried_over_count', 'original_due_date', 'created_at', 'updated_at'
+  ],
+  fields: [
+    'id', 'title', 'description', 'assigned_to', 'priority', 'status', 'due_date',
+    'estimated_hours', 'actual_hours', 'template_id', 'occurrence_date',
+    'carried_over_count', 'original_due_date', 'created_at', 'updated_at', 'depends_on'
+  ],
+  defaultSort: 'due_date:asc,priority:desc,created_at:desc'
+}, {
+  assigned_to: Joi.string().max(100).trim(),
+  status: Joi.string().valid('pending', 'in-progress', 'completed', 'blocked'),
+  due_date: Joi.date().iso().raw(),
+  template_id: Joi.number().integer().positive()
+});
+
+const progressReportListQuerySchema = listQuerySchema({
+  sortable: ['id', 'reporter_name', 'report_date', 'hours_worked', 'mood_rating', 'productivity_score', 'created_at'],
+  fields: [
+    'id', 'reporter_name', 'report_date', 'tasks_completed', 'tasks_in_progress', 'tasks_blocked',
+    'hours_worked', 'challenges', 'next_day_plan', 'mood_rating', 'productivity_score', 'created_at', 'tasks'
+  ],
+  defaultSort: 'report_date:desc,created_at:desc'
+}, {
+  reporter_name: Joi.string().max(100).trim(),
+  start_date: Joi.date().iso().raw(),
+  end_date: Joi.date().iso().raw()
+});
+
 // Daily task validation schema
 const dailyTaskSchema = Joi.object({
   title: Joi.string().min(3).max(255).trim().required(),
@@ -73,7 +371,7 @@ const dailyTaskSchema = Joi.object({
   assigned_to: Joi.string().min(2).max(100).trim().required(),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
   status: Joi.string().valid('pending', 'in-progress', 'completed', 'blocked').default('pending'),
-  due_date: Joi.date().iso().required(),
+  due_date: Joi.date().iso().raw().required(),
   estimated_hours: Joi.number().positive().allow(0).default(0)
 });
 
@@ -84,15 +382,172 @@ const dailyTaskUpdateSchema = Joi.object({
   assigned_to: Joi.string().min(2).max(100).trim(),
   priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
   status: Joi.string().valid('pending', 'in-progress', 'completed', 'blocked'),
-  due_date: Joi.date().iso(),
+  due_date: Joi.date().iso().raw(),
   estimated_hours: Joi.number().positive().allow(0),
   actual_hours: Joi.number().positive().allow(0)
 }).min(1);
 
+// Daily task dependency validation schema
+const dailyTaskDependencySchema = Joi.object({
+  depends_on_id: Joi.number().integer().positive().required()
+});
+
+// Task id and prerequisite id in the URL
+const dependencyParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  dependsOnId: Joi.number().integer().positive().required()
+});
+
+// Recurrence: a preset name or an RRULE in the supported subset
+const recurrenceRule = Joi.string().max(200).trim().custom((value, helpers) => {
+  if (PRESETS.includes(value.toLowerCase())) return value.toLowerCase();
+  try {
+    parseRule(value);
+    return value;
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+});
+
+// Daily task template validation schema
+const dailyTaskTemplateSchema = Joi.object({
+  title: Joi.string().min(3).max(255).trim().required(),
+  description: Joi.string().max(1000).trim().default(''),
+  assigned_to: Joi.string().min(2).max(100).trim().required(),
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
+  estimated_hours: Joi.number().positive().allow(0).default(0),
+  recurrence: recurrenceRule.required(),
+  days: Joi.array().items(Joi.string().uppercase().valid(...WEEKDAYS)).min(1),
+  start_date: Joi.date().iso().raw().required(),
+  end_date: Joi.date().iso().raw().min(Joi.ref('start_date')).allow(null),
+  active: Joi.boolean().default(true)
+}).with('days', 'recurrence');
+
+// Daily task template update schema
+const dailyTaskTemplateUpdateSchema = Joi.object({
+  title: Joi.string().min(3).max(255).trim(),
+  description: Joi.string().max(1000).trim(),
+  assigned_to: Joi.string().min(2).max(100).trim(),
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+  estimated_hours: Joi.number().positive().allow(0),
+  recurrence: recurrenceRule,
+  days: Joi.array().items(Joi.string().uppercase().valid(...WEEKDAYS)).min(1),
+  start_date: Joi.date().iso().raw(),
+  end_date: Joi.date().iso().raw().allow(null),
+  active: Joi.boolean()
+}).min(1).with('days', 'recurrence');
+
+// Template id and occurrence date in the URL
+const occurrenceParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  date: Joi.date().iso().raw().required()
+});
+
+// Draft progress report query
+const progressReportDraftQuerySchema = Joi.object({
+  reporter_name: Joi.string().min(2).max(100).trim().required(),
+  date: Joi.date().iso().raw()
+});
+
+// Team digest query
+const progressReportDigestQuerySchema = Joi.object({
+  date: Joi.date().iso().raw(),
+  format: Joi.string().valid(...DIGEST_FORMATS).default('json')
+});
+
+// IANA time zone name such as Asia/Kolkata
+const timeZone = Joi.string().max(64).custom((value, helpers) => (
+  isValidTimeZone(value) ? value : helpers.message('{{#label}} must be an IANA time zone such as Asia/Kolkata')
+));
+
+// 24-hour time of day as HH:MM
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a time of day as HH:MM' });
+
+// Report roster entry validation schema
+const reportRosterSchema = Joi.object({
+  reporter_name: Joi.string().min(2).max(100).trim().required(),
+  email: Joi.string().email().max(255).trim().allow(null),
+  time_zone: timeZone.default('UTC'),
+  working_days: Joi.array().items(Joi.string().uppercase().valid(...WEEKDAYS)).unique().min(1).default(['MO', 'TU', 'WE', 'TH', 'FR']),
+  cutoff_time: timeOfDay.default('18:00'),
+  active: Joi.boolean().default(true)
+});
+
+// Report roster entry update schema
+const reportRosterUpdateSchema = Joi.object({
+  reporter_name: Joi.string().min(2).max(100).trim(),
+  email: Joi.string().email().max(255).trim().allow(null),
+  time_zone: timeZone,
+  working_days: Joi.array().items(Joi.string().uppercase().valid(...WEEKDAYS)).unique().min(1),
+  cutoff_time: timeOfDay,
+  active: Joi.boolean()
+}).min(1);
+
+// Missing report check: the instant to check at (defaults to now)
+const missingReportsQuerySchema = Joi.object({
+  at: Joi.date().iso()
+});
+
+// Reminder listing filters
+const reportReminderQuerySchema = Joi.object({
+  status: Joi.string().valid('queued', 'sent', 'failed', 'cancelled'),
+  report_date: Joi.date().iso().raw()
+});
+
+// Wellbeing trends period; both days are included
+const wellbeingQuerySchema = Joi.object({
+  start: Joi.date().iso().raw(),
+  end: Joi.date().iso().raw().when('start', { is: Joi.exist(), then: Joi.date().min(Joi.ref('start')) })
+}).custom((value, helpers) => (
+  value.start && value.end && daysBetween(value.start, value.end) >= TREND_MAX_DAYS
+    ? helpers.message(`"end" must be within ${TREND_MAX_DAYS} days of "start"`)
+    : value
+));
+
+// Wellbeing alert rule validation schema
+const wellbeingAlertRuleSchema = Joi.object({
+  name: Joi.string().min(3).max(100).trim().required(),
+  metric: Joi.string().valid(...ALERT_METRICS).required(),
+  aggregate: Joi.string().valid(...ALERT_AGGREGATES).required(),
+  operator: Joi.string().valid(...ALERT_OPERATORS).required(),
+  threshold: Joi.number().required(),
+  min_reports: Joi.number().integer().min(1).max(7).default(1),
+  active: Joi.boolean().default(true)
+});
+
+// Wellbeing alert rule update schema
+const wellbeingAlertRuleUpdateSchema = Joi.object({
+  name: Joi.string().min(3).max(100).trim(),
+  metric: Joi.string().valid(...ALERT_METRICS),
+  aggregate: Joi.string().valid(...ALERT_AGGREGATES),
+  operator: Joi.string().valid(...ALERT_OPERATORS),
+  threshold: Joi.number(),
+  min_reports: Joi.number().integer().min(1).max(7),
+  active: Joi.boolean()
+}).min(1);
+
+// Occurrence listing window
+const occurrenceQuerySchema = Joi.object({
+  start: Joi.date().iso().raw(),
+  end: Joi.date().iso().raw().when('start', { is: Joi.exist(), then: Joi.date().min(Joi.ref('start')) })
+});
+
+// Daily task IDs a progress report covers, per bucket; a task can only be in one bucket
+const reportTaskIds = Joi.object(Object.fromEntries(Object.keys(REPORT_BUCKETS).map(bucket => [
+  bucket,
+  Joi.array().items(Joi.number().integer().positive()).unique().max(100).default([])
+]))).custom((value, helpers) => {
+  const ids = Object.values(value).flat();
+  return new Set(ids).size !== ids.length
+    ? helpers.message('"task_ids" lists a task in more than one bucket')
+    : value;
+});
+
 // Progress report validation schema
 const progressReportSchema = Joi.object({
   reporter_name: Joi.string().min(2).max(100).trim().required(),
-  report_date: Joi.date().iso().required(),
+  report_date: Joi.date().iso().raw().required(),
   tasks_completed: Joi.string().max(2000).trim().default(''),
   tasks_in_progress: Joi.string().max(2000).trim().default(''),
   tasks_blocked: Joi.string().max(2000).trim().default(''),
@@ -100,13 +555,15 @@ const progressReportSchema = Joi.object({
   challenges: Joi.string().max(2000).trim().default(''),
   next_day_plan: Joi.string().max(2000).trim().default(''),
   mood_rating: Joi.number().integer().min(1).max(5).default(3),
-  productivity_score: Joi.number().integer().min(1).max(5).default(3)
+  productivity_score: Joi.number().integer().min(1).max(5).default(3),
+  // Defaults to the reporter's tasks due on report_date, by their status
+  task_ids: reportTaskIds
 });
 
 // Progress report update schema
 const progressReportUpdateSchema = Joi.object({
   reporter_name: Joi.string().min(2).max(100).trim(),
-  report_date: Joi.date().iso(),
+  report_date: Joi.date().iso().raw(),
   tasks_completed: Joi.string().max(2000).trim(),
   tasks_in_progress: Joi.string().max(2000).trim(),
   tasks_blocked: Joi.string().max(2000).trim(),
@@ -114,7 +571,8 @@ const progressReportUpdateSchema = Joi.object({
   challenges: Joi.string().max(2000).trim(),
   next_day_plan: Joi.string().max(2000).trim(),
   mood_rating: Joi.number().integer().min(1).max(5),
-  productivity_score: Joi.number().integer().min(1).max(5)
+  productivity_score: Joi.number().integer().min(1).max(5),
+  task_ids: reportTaskIds
 }).min(1);
 
 /**
@@ -156,17 +614,59 @@ const idSchema = Joi.object({
 });
 
 module.exports = {
+  validateRegister: validate(registerSchema),
+  validateLogin: validate(loginSchema),
+  validateRefresh: validate(refreshSchema),
   validateTask: validate(taskSchema),
-  validateTaskUpdate: validate(taskUpdateSchema),
+  validateTaskUpdate: [validate(taskUpdateSchema), authorizeTaskUpdate],
+  validateTaskApprovers: validate(taskApproversSchema),
+  validateUserRole: validate(userRoleSchema),
+  validateApprovalChain: validate(approvalChainSchema),
+  validateApprovalStart: validate(approvalStartSchema),
+  validateApprovalDecision: validate(approvalDecisionSchema),
+  validateTimeSummaryQuery: validate(timeSummaryQuerySchema, 'query'),
+  validateAuditQuery: validate(auditQuerySchema, 'query'),
+  validateSearchQuery: validate(searchQuerySchema, 'query'),
+  validateTaskListQuery: validate(taskListQuerySchema, 'query'),
+  validateArticleListQuery: validate(articleListQuerySchema, 'query'),
+  validateChecklistListQuery: validate(checklistListQuerySchema, 'query'),
+  validateProjectListQuery: validate(projectListQuerySchema, 'query'),
+  validateDailyTaskListQuery: validate(dailyTaskListQuerySchema, 'query'),
+  validateProgressReportListQuery: validate(progressReportListQuerySchema, 'query'),
+  validateProgressReportDraftQuery: validate(progressReportDraftQuerySchema, 'query'),
+  validateProgressReportDigestQuery: validate(progressReportDigestQuerySchema, 'query'),
   validateArticle: validate(articleSchema),
   validateChecklist: validate(checklistSchema),
   validateChecklistTask: validate(checklistTaskSchema),
   validateSubtask: validate(subtaskSchema),
   validateProject: validate(projectSchema),
   validateProjectUpdate: validate(projectUpdateSchema),
+  validateProjectTask: validate(projectTaskSchema),
+  validateProjectTaskUpdate: validate(projectTaskUpdateSchema),
+  validateScheduleLink: validate(scheduleLinkSchema),
+  validateScheduleLinkParams: validate(scheduleLinkParamsSchema, 'params'),
+  validatePerson: validate(personSchema),
+  validatePersonUpdate: validate(personUpdateSchema),
+  validateCapacityQuery: validate(capacityQuerySchema, 'query'),
+  validateProjectHistoryQuery: validate(projectHistoryQuerySchema, 'query'),
+  validateDailyTaskHistoryQuery: validate(dailyTaskHistoryQuerySchema, 'query'),
+  validateCalendarQuery: validate(calendarQuerySchema, 'query'),
   validateDailyTask: validate(dailyTaskSchema),
   validateDailyTaskUpdate: validate(dailyTaskUpdateSchema),
+  validateDailyTaskDependency: validate(dailyTaskDependencySchema),
+  validateDependencyParams: validate(dependencyParamsSchema, 'params'),
+  validateDailyTaskTemplate: validate(dailyTaskTemplateSchema),
+  validateDailyTaskTemplateUpdate: validate(dailyTaskTemplateUpdateSchema),
+  validateOccurrenceParams: validate(occurrenceParamsSchema, 'params'),
+  validateOccurrenceQuery: validate(occurrenceQuerySchema, 'query'),
   validateProgressReport: validate(progressReportSchema),
+  validateReportRoster: validate(reportRosterSchema),
+  validateReportRosterUpdate: validate(reportRosterUpdateSchema),
+  validateMissingReportsQuery: validate(missingReportsQuerySchema, 'query'),
+  validateReportReminderQuery: validate(reportReminderQuerySchema, 'query'),
+  validateWellbeingQuery: validate(wellbeingQuerySchema, 'query'),
+  validateWellbeingAlertRule: validate(wellbeingAlertRuleSchema),
+  validateWellbeingAlertRuleUpdate: validate(wellbeingAlertRuleUpdateSchema),
   validateProgressReportUpdate: validate(progressReportUpdateSchema),
   validateId: validate(idSchema, 'params')
 };
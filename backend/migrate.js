@@ -0,0 +1,36 @@
+require('dotenv').config();
+const database = require('./database');
+
+/**
+ * Apply or revert schema migrations from the command line
+ * Usage: node migrate.js            apply all pending migrations
+ *        node migrate.js rollback [steps]   revert the latest migrations (default 1)
+ */
+async function main() {
+  const [command = 'up', steps = '1'] = process.argv.slice(2);
+
+  await database.init({ migrate: false });
+
+  try {
+    if (command === 'up') {
+      const applied = await database.migrate();
+      console.log(applied.length > 0
+        ? applied.map(migration => `Applied ${migration.version}_${migration.name}`).join('\n')
+        : 'Database is already up to date');
+    } else if (command === 'rollback') {
+      const reverted = await database.rollback(parseInt(steps, 10));
+      console.log(reverted.length > 0
+        ? reverted.map(migration => `Reverted ${migration.version}_${migration.name}`).join('\n')
+        : 'No migrations to revert');
+    } else {
+      throw new Error(`Unknown command "${command}" (expected "up" or "rollback")`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
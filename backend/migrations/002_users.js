@@ -0,0 +1,61 @@
+/**
+ * User accounts, roles and designated task approvers
+ */
+const tables = [
+  // Users table
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE CHECK(length(username) >= 3),
+    password_hash TEXT NOT NULL,
+    display_name TEXT NOT NULL CHECK(length(display_name) >= 2),
+    role TEXT DEFAULT 'member' CHECK(role IN ('admin', 'manager', 'member')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Task approvers table (users designated to approve a task)
+  `CREATE TABLE IF NOT EXISTS task_approvers (
+    task_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, user_id),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_task_approvers_user ON task_approvers(user_id)'
+];
+
+// Keep updated_at current
+const triggers = [
+  `CREATE TRIGGER IF NOT EXISTS update_users_timestamp
+  AFTER UPDATE ON users
+  BEGIN
+    UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END`
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+
+    for (const trigger of triggers) {
+      await db.run(trigger);
+    }
+  },
+
+  async down(db) {
+    // Children before parents so foreign keys never dangle
+    for (const table of ['task_approvers', 'users']) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Multi-stage approval chains and per-task approval rounds
+ */
+const tables = [
+  // Approval chains table (reusable sign-off templates)
+  `CREATE TABLE IF NOT EXISTS approval_chains (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE CHECK(length(name) >= 3),
+    description TEXT DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Approval chain steps table
+  `CREATE TABLE IF NOT EXISTS approval_chain_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chain_id INTEGER NOT NULL,
+    step_order INTEGER NOT NULL,
+    name TEXT NOT NULL CHECK(length(name) >= 2),
+    approver_role TEXT CHECK(approver_role IN ('admin', 'manager', 'member')),
+    approver_user_id INTEGER,
+    FOREIGN KEY (chain_id) REFERENCES approval_chains(id) ON DELETE CASCADE,
+    FOREIGN KEY (approver_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(chain_id, step_order)
+  )`,
+
+  // Task approval steps table (one row per step per submission round)
+  `CREATE TABLE IF NOT EXISTS task_approval_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    round INTEGER NOT NULL DEFAULT 1,
+    step_order INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    approver_role TEXT CHECK(approver_role IN ('admin', 'manager', 'member')),
+    approver_user_id INTEGER,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected')),
+    comment TEXT DEFAULT '',
+    decided_by INTEGER,
+    decided_by_name TEXT,
+    decided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (approver_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE(task_id, round, step_order)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_approval_chain_steps_chain ON approval_chain_steps(chain_id)',
+  'CREATE INDEX IF NOT EXISTS idx_task_approval_steps_task ON task_approval_steps(task_id)'
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+  },
+
+  async down(db) {
+    // Children before parents so foreign keys never dangle
+    for (const table of ['task_approval_steps', 'approval_chain_steps', 'approval_chains']) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
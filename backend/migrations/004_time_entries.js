@@ -0,0 +1,49 @@
+/**
+ * Start/pause/stop time entries, replacing the free-text task timer.
+ * Old timer values ("2 hours", a date) have no owner or interval to become entries, so they are kept as a note.
+ */
+const tables = [
+  // Time entries table (one row per tracked interval; ended_at is NULL while running)
+  `CREATE TABLE IF NOT EXISTS time_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ended_at DATETIME,
+    end_reason TEXT CHECK(end_reason IN ('pause', 'stop')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CHECK(ended_at IS NULL OR ended_at >= started_at)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_time_entries_task ON time_entries(task_id)',
+  // Only one running timer per user
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL'
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+
+    await db.run('ALTER TABLE tasks ADD COLUMN legacy_timer TEXT');
+    await db.run("UPDATE tasks SET legacy_timer = trim(timer) WHERE trim(COALESCE(timer, '')) != ''");
+    await db.run('ALTER TABLE tasks DROP COLUMN timer');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE tasks ADD COLUMN timer TEXT');
+    await db.run('UPDATE tasks SET timer = legacy_timer');
+    await db.run('ALTER TABLE tasks DROP COLUMN legacy_timer');
+
+    await db.run('DROP TABLE IF EXISTS time_entries');
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Audit log of every create, update and delete
+ */
+const tables = [
+  // Audit log table (one row per create, update or delete)
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    action TEXT NOT NULL CHECK(action IN ('create', 'update', 'delete')),
+    changes TEXT NOT NULL DEFAULT '{}',
+    actor_id INTEGER,
+    actor_name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)'
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Full-text search: one FTS5 index per content table, kept in sync by triggers
+ */
+
+// Each index mirrors the searchable columns of its source table (external content)
+const sources = [
+  { table: 'tasks', columns: ['name', 'creator', 'approver'] },
+  { table: 'articles', columns: ['headline', 'link'] },
+  { table: 'checklists', columns: ['title', 'description'] },
+  { table: 'checklist_tasks', columns: ['title'] },
+  { table: 'subtasks', columns: ['title'] },
+  { table: 'projects', columns: ['name', 'description', 'manager'] },
+  { table: 'project_milestones', columns: ['title', 'description'] },
+  { table: 'resource_allocations', columns: ['resource_name', 'role'] },
+  { table: 'daily_tasks', columns: ['title', 'description', 'assigned_to'] },
+  {
+    table: 'daily_progress_reports',
+    columns: ['reporter_name', 'tasks_completed', 'tasks_in_progress', 'tasks_blocked', 'challenges', 'next_day_plan']
+  }
+];
+
+/**
+ * Build the statements that create one index and its sync triggers
+ */
+function indexStatements({ table, columns }) {
+  const fts = `${table}_fts`;
+  const columnList = columns.join(', ');
+  const values = prefix => columns.map(column => `${prefix}.${column}`).join(', ');
+
+  return [
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ${fts} USING fts5(
+      ${columnList},
+      content='${table}',
+      tokenize='porter unicode61 remove_diacritics 2'
+    )`,
+
+    `CREATE TRIGGER IF NOT EXISTS ${fts}_insert AFTER INSERT ON ${table}
+    BEGIN
+      INSERT INTO ${fts} (rowid, ${columnList}) VALUES (NEW.rowid, ${values('NEW')});
+    END`,
+
+    `CREATE TRIGGER IF NOT EXISTS ${fts}_delete AFTER DELETE ON ${table}
+    BEGIN
+      INSERT INTO ${fts} (${fts}, rowid, ${columnList}) VALUES ('delete', OLD.rowid, ${values('OLD')});
+    END`,
+
+    `CREATE TRIGGER IF NOT EXISTS ${fts}_update AFTER UPDATE ON ${table}
+    BEGIN
+      INSERT INTO ${fts} (${fts}, rowid, ${columnList}) VALUES ('delete', OLD.rowid, ${values('OLD')});
+      INSERT INTO ${fts} (rowid, ${columnList}) VALUES (NEW.rowid, ${values('NEW')});
+    END`,
+
+    // Index rows that existed before this migration
+    `INSERT INTO ${fts} (${fts}) VALUES ('rebuild')`
+  ];
+}
+
+module.exports = {
+  async up(db) {
+    for (const source of sources) {
+      for (const statement of indexStatements(source)) {
+        await db.run(statement);
+      }
+    }
+  },
+
+  async down(db) {
+    for (const { table } of sources) {
+      for (const suffix of ['insert', 'delete', 'update']) {
+        await db.run(`DROP TRIGGER IF EXISTS ${table}_fts_${suffix}`);
+      }
+      await db.run(`DROP TABLE IF EXISTS ${table}_fts`);
+    }
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Recurring daily task templates, their skipped occurrences, and the link from generated daily tasks
+ */
+const tables = [
+  // Daily task templates table (recurrence is a normalized RRULE subset)
+  `CREATE TABLE IF NOT EXISTS daily_task_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL CHECK(length(title) >= 3),
+    description TEXT DEFAULT '',
+    assigned_to TEXT NOT NULL CHECK(length(assigned_to) >= 2),
+    priority TEXT DEFAULT 'medium' CHECK(priority IN ('low', 'medium', 'high', 'urgent')),
+    estimated_hours REAL DEFAULT 0,
+    recurrence TEXT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    CHECK(end_date IS NULL OR end_date >= start_date)
+  )`,
+
+  // Occurrences that must not be generated
+  `CREATE TABLE IF NOT EXISTS daily_task_template_skips (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    template_id INTEGER NOT NULL,
+    occurrence_date DATE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (template_id) REFERENCES daily_task_templates(id) ON DELETE CASCADE,
+    UNIQUE(template_id, occurrence_date)
+  )`
+];
+
+const indexes = [
+  // One generated task per template and date
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_tasks_occurrence ON daily_tasks(template_id, occurrence_date) WHERE template_id IS NOT NULL'
+];
+
+// Keep updated_at current
+const triggers = [
+  `CREATE TRIGGER IF NOT EXISTS update_daily_task_templates_timestamp
+  AFTER UPDATE ON daily_task_templates
+  BEGIN
+    UPDATE daily_task_templates SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END`
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    // Plain columns rather than a foreign key so the down migration can drop them
+    await db.run('ALTER TABLE daily_tasks ADD COLUMN template_id INTEGER');
+    await db.run('ALTER TABLE daily_tasks ADD COLUMN occurrence_date DATE');
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+
+    for (const trigger of triggers) {
+      await db.run(trigger);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_daily_tasks_occurrence');
+    await db.run('ALTER TABLE daily_tasks DROP COLUMN occurrence_date');
+    await db.run('ALTER TABLE daily_tasks DROP COLUMN template_id');
+
+    await db.run('DROP TABLE IF EXISTS daily_task_template_skips');
+    await db.run('DROP TABLE IF EXISTS daily_task_templates');
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Carry-over tracking for unfinished daily tasks moved past their due date
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE daily_tasks ADD COLUMN carried_over_count INTEGER NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE daily_tasks ADD COLUMN original_due_date DATE');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE daily_tasks DROP COLUMN original_due_date');
+    await db.run('ALTER TABLE daily_tasks DROP COLUMN carried_over_count');
+  }
+};
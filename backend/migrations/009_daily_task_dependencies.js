@@ -0,0 +1,41 @@
+/**
+ * Dependencies between daily tasks, and the status a task had before it was blocked by them
+ */
+const tables = [
+  // Daily task dependencies table (task_id cannot start until depends_on_id is completed)
+  `CREATE TABLE IF NOT EXISTS daily_task_dependencies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    depends_on_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (task_id) REFERENCES daily_tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (depends_on_id) REFERENCES daily_tasks(id) ON DELETE CASCADE,
+    UNIQUE(task_id, depends_on_id),
+    CHECK(task_id != depends_on_id)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_daily_task_dependencies_depends_on ON daily_task_dependencies(depends_on_id)'
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+
+    // Set while a task is blocked automatically, so it can go back to this status once unblocked
+    await db.run('ALTER TABLE daily_tasks ADD COLUMN status_before_block TEXT');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE daily_tasks DROP COLUMN status_before_block');
+
+    await db.run('DROP TABLE IF EXISTS daily_task_dependencies');
+  }
+};
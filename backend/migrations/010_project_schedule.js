@@ -0,0 +1,45 @@
+/**
+ * Durations and predecessor links on project tasks and milestones, for critical path scheduling
+ */
+const tables = [
+  // Project schedule links (item cannot start until its predecessor finishes).
+  // Items are project tasks (by task ID) or milestones, so the links carry their type.
+  `CREATE TABLE IF NOT EXISTS project_schedule_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id INTEGER NOT NULL,
+    item_type TEXT NOT NULL CHECK(item_type IN ('task', 'milestone')),
+    item_id INTEGER NOT NULL,
+    predecessor_type TEXT NOT NULL CHECK(predecessor_type IN ('task', 'milestone')),
+    predecessor_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+    UNIQUE(project_id, item_type, item_id, predecessor_type, predecessor_id)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_project_schedule_links_project ON project_schedule_links(project_id)'
+];
+
+module.exports = {
+  async up(db) {
+    // Working time in days; milestones default to zero-length events
+    await db.run('ALTER TABLE project_tasks ADD COLUMN duration_days INTEGER NOT NULL DEFAULT 1');
+    await db.run('ALTER TABLE project_milestones ADD COLUMN duration_days INTEGER NOT NULL DEFAULT 0');
+
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS project_schedule_links');
+
+    await db.run('ALTER TABLE project_milestones DROP COLUMN duration_days');
+    await db.run('ALTER TABLE project_tasks DROP COLUMN duration_days');
+  }
+};
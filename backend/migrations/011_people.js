@@ -0,0 +1,66 @@
+/**
+ * People booked through resource allocations, with their weekly capacity
+ */
+const tables = [
+  // People table (one row per person, whatever case or spacing their name was typed with)
+  `CREATE TABLE IF NOT EXISTS people (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE CHECK(length(name) >= 2),
+    weekly_capacity_hours REAL NOT NULL DEFAULT 40 CHECK(weekly_capacity_hours >= 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_resource_allocations_person ON resource_allocations(person_id)'
+];
+
+// Keep updated_at current
+const triggers = [
+  `CREATE TRIGGER IF NOT EXISTS update_people_timestamp
+  AFTER UPDATE ON people
+  BEGIN
+    UPDATE people SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END`
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    // Plain column rather than a foreign key so the down migration can drop it
+    await db.run('ALTER TABLE resource_allocations ADD COLUMN person_id INTEGER');
+
+    // One person per distinct name, then link each allocation and use the person's spelling
+    await db.run(`
+      INSERT OR IGNORE INTO people (name)
+      SELECT trim(resource_name) FROM resource_allocations ORDER BY id ASC
+    `);
+    await db.run(`
+      UPDATE resource_allocations
+      SET person_id = (SELECT id FROM people WHERE name = trim(resource_allocations.resource_name))
+    `);
+    await db.run(`
+      UPDATE resource_allocations
+      SET resource_name = (SELECT name FROM people WHERE id = resource_allocations.person_id)
+    `);
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+
+    for (const trigger of triggers) {
+      await db.run(trigger);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_resource_allocations_person');
+    await db.run('ALTER TABLE resource_allocations DROP COLUMN person_id');
+
+    await db.run('DROP TABLE IF EXISTS people');
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * How each project's progress is measured, and hour estimates for its linked tasks
+ */
+module.exports = {
+  async up(db) {
+    // milestones, tasks, hours or weighted (see services/project-progress.js)
+    await db.run("ALTER TABLE projects ADD COLUMN progress_mode TEXT NOT NULL DEFAULT 'weighted'");
+    // NULL falls back to the task's duration_days in working hours
+    await db.run('ALTER TABLE project_tasks ADD COLUMN estimated_hours REAL');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE project_tasks DROP COLUMN estimated_hours');
+    await db.run('ALTER TABLE projects DROP COLUMN progress_mode');
+  }
+};
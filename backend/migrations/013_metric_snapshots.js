@@ -0,0 +1,56 @@
+/**
+ * Daily snapshots of open and completed work per project and per daily task assignee
+ */
+const tables = [
+  // One row per day per project (scope_key is the project id) or assignee (scope_key is the name);
+  // later snapshots on the same day overwrite earlier ones
+  `CREATE TABLE IF NOT EXISTS metric_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    snapshot_date DATE NOT NULL,
+    scope TEXT NOT NULL CHECK(scope IN ('project', 'assignee')),
+    scope_key TEXT NOT NULL,
+    open_count INTEGER NOT NULL DEFAULT 0,
+    completed_count INTEGER NOT NULL DEFAULT 0,
+    estimated_hours REAL NOT NULL DEFAULT 0,
+    remaining_hours REAL NOT NULL DEFAULT 0,
+    actual_hours REAL NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scope, scope_key, snapshot_date)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_metric_snapshots_date ON metric_snapshots(snapshot_date)'
+];
+
+// Keep updated_at current
+const triggers = [
+  `CREATE TRIGGER IF NOT EXISTS update_metric_snapshots_timestamp
+  AFTER UPDATE ON metric_snapshots
+  BEGIN
+    UPDATE metric_snapshots SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END`
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+
+    for (const trigger of triggers) {
+      await db.run(trigger);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS update_metric_snapshots_timestamp');
+    await db.run('DROP INDEX IF EXISTS idx_metric_snapshots_date');
+    await db.run('DROP TABLE IF EXISTS metric_snapshots');
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Daily tasks a progress report covers, by the bucket the report puts them in
+ */
+const tables = [
+  // Progress report tasks table (the report's text fields stay as free-form notes)
+  `CREATE TABLE IF NOT EXISTS progress_report_tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    report_id INTEGER NOT NULL,
+    daily_task_id INTEGER NOT NULL,
+    bucket TEXT NOT NULL CHECK(bucket IN ('completed', 'in_progress', 'blocked')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (report_id) REFERENCES daily_progress_reports(id) ON DELETE CASCADE,
+    FOREIGN KEY (daily_task_id) REFERENCES daily_tasks(id) ON DELETE CASCADE,
+    UNIQUE(report_id, daily_task_id)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_progress_report_tasks_task ON progress_report_tasks(daily_task_id)'
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS progress_report_tasks');
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Roster of people expected to submit daily progress reports, and the reminders sent when they miss one
+ */
+const tables = [
+  // Report roster table (one row per expected reporter; working_days lists MO..SU,
+  // cutoff_time is HH:MM in the reporter's own time zone)
+  `CREATE TABLE IF NOT EXISTS report_roster (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reporter_name TEXT NOT NULL UNIQUE COLLATE NOCASE CHECK(length(reporter_name) >= 2),
+    email TEXT,
+    time_zone TEXT NOT NULL DEFAULT 'UTC',
+    working_days TEXT NOT NULL DEFAULT 'MO,TU,WE,TH,FR',
+    cutoff_time TEXT NOT NULL DEFAULT '18:00',
+    active BOOLEAN NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Report reminders table (one per reporter, missed report date and channel)
+  `CREATE TABLE IF NOT EXISTS report_reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    roster_id INTEGER NOT NULL,
+    report_date DATE NOT NULL,
+    channel TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'sent', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (roster_id) REFERENCES report_roster(id) ON DELETE CASCADE,
+    UNIQUE(roster_id, report_date, channel)
+  )`
+];
+
+const indexes = [
+  'CREATE INDEX IF NOT EXISTS idx_report_reminders_status ON report_reminders(status)'
+];
+
+// Keep updated_at current
+const triggers = [
+  `CREATE TRIGGER IF NOT EXISTS update_report_roster_timestamp
+  AFTER UPDATE ON report_roster
+  BEGIN
+    UPDATE report_roster SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END`,
+
+  `CREATE TRIGGER IF NOT EXISTS update_report_reminders_timestamp
+  AFTER UPDATE ON report_reminders
+  BEGIN
+    UPDATE report_reminders SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END`
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const index of indexes) {
+      await db.run(index);
+    }
+
+    for (const trigger of triggers) {
+      await db.run(trigger);
+    }
+  },
+
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS update_report_reminders_timestamp');
+    await db.run('DROP TRIGGER IF EXISTS update_report_roster_timestamp');
+    await db.run('DROP INDEX IF EXISTS idx_report_reminders_status');
+    await db.run('DROP TABLE IF EXISTS report_reminders');
+    await db.run('DROP TABLE IF EXISTS report_roster');
+  }
+};
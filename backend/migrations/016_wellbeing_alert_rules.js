@@ -0,0 +1,52 @@
+/**
+ * Configurable wellbeing alert rules evaluated against each reporter's recent progress reports
+ */
+const tables = [
+  // Wellbeing alert rules table: a rule fires when the average or total of a report metric over a reporter's
+  // last window_reports reports (one per working day) compares to the threshold by the operator
+  `CREATE TABLE IF NOT EXISTS wellbeing_alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL CHECK(length(name) >= 3),
+    metric TEXT NOT NULL CHECK(metric IN ('mood_rating', 'productivity_score', 'hours_worked')),
+    aggregate TEXT NOT NULL CHECK(aggregate IN ('average', 'total')),
+    operator TEXT NOT NULL CHECK(operator IN ('<', '<=', '>', '>=')),
+    threshold REAL NOT NULL,
+    window_reports INTEGER NOT NULL CHECK(window_reports >= 1),
+    active BOOLEAN NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+// Keep updated_at current
+const triggers = [
+  `CREATE TRIGGER IF NOT EXISTS update_wellbeing_alert_rules_timestamp
+  AFTER UPDATE ON wellbeing_alert_rules
+  BEGIN
+    UPDATE wellbeing_alert_rules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+  END`
+];
+
+module.exports = {
+  async up(db) {
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const trigger of triggers) {
+      await db.run(trigger);
+    }
+
+    // Start with the burnout signals managers asked for
+    await db.run(`
+      INSERT INTO wellbeing_alert_rules (name, metric, aggregate, operator, threshold, window_reports) VALUES
+        ('Low mood over a working week', 'mood_rating', 'average', '<=', 2, 5),
+        ('Over 50 hours in a working week', 'hours_worked', 'total', '>', 50, 5)
+    `);
+  },
+
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS update_wellbeing_alert_rules_timestamp');
+    await db.run('DROP TABLE IF EXISTS wellbeing_alert_rules');
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Evaluate wellbeing alert rules per calendar week instead of over a reporter's last N reports,
+ * which could be weeks apart
+ */
+module.exports = {
+  async up(db) {
+    // Reports a week needs before the rule is checked against it
+    await db.run('ALTER TABLE wellbeing_alert_rules ADD COLUMN min_reports INTEGER NOT NULL DEFAULT 1 CHECK(min_reports >= 1 AND min_reports <= 7)');
+    await db.run('ALTER TABLE wellbeing_alert_rules DROP COLUMN window_reports');
+
+    // A single low day should not read as a low week
+    await db.run("UPDATE wellbeing_alert_rules SET min_reports = 3 WHERE metric = 'mood_rating' AND aggregate = 'average'");
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE wellbeing_alert_rules ADD COLUMN window_reports INTEGER NOT NULL DEFAULT 5 CHECK(window_reports >= 1)');
+    await db.run('ALTER TABLE wellbeing_alert_rules DROP COLUMN min_reports');
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Drop project schedule links left behind by tasks deleted before deletion removed them.
+ * A link's items are only referenced by type and ID, so no foreign key cascades.
+ */
+module.exports = {
+  async up(db) {
+    await db.run(`
+      DELETE FROM project_schedule_links
+      WHERE (item_type = 'task' AND item_id NOT IN (SELECT task_id FROM project_tasks WHERE project_id = project_schedule_links.project_id))
+        OR (predecessor_type = 'task' AND predecessor_id NOT IN (SELECT task_id FROM project_tasks WHERE project_id = project_schedule_links.project_id))
+        OR (item_type = 'milestone' AND item_id NOT IN (SELECT id FROM project_milestones WHERE project_id = project_schedule_links.project_id))
+        OR (predecessor_type = 'milestone' AND predecessor_id NOT IN (SELECT id FROM project_milestones WHERE project_id = project_schedule_links.project_id))
+    `);
+  },
+
+  // The pruned links pointed at nothing, so there is nothing to restore
+  async down() {}
+};
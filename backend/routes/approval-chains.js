@@ -0,0 +1,133 @@
+const express = require('express');
+const database = require('../database');
+const { validateApprovalChain, validateId } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const { approversExist } = require('../services/approvals');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+/**
+ * Get all approval chains with their steps
+ * GET /api/approval-chains
+ */
+router.get('/', async (req, res) => {
+  try {
+    const chains = await database.all('SELECT * FROM approval_chains ORDER BY name ASC');
+    const steps = await database.all(`
+      SELECT * FROM approval_chain_steps
+      ORDER BY chain_id ASC, step_order ASC
+    `);
+
+    for (const chain of chains) {
+      chain.steps = steps.filter(step => step.chain_id === chain.id);
+    }
+
+    res.json({
+      success: true,
+      data: chains
+    });
+  } catch (error) {
+    console.error('Error fetching approval chains:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch approval chains'
+    });
+  }
+});
+
+/**
+ * Create an approval chain
+ * POST /api/approval-chains
+ */
+router.post('/', requireRole('admin', 'manager'), validateApprovalChain, async (req, res) => {
+  try {
+    const { name, description, steps } = req.body;
+
+    const existingChain = await database.get('SELECT id FROM approval_chains WHERE name = ?', [name]);
+    if (existingChain) {
+      return res.status(409).json({
+        success: false,
+        message: 'An approval chain with this name already exists'
+      });
+    }
+
+    if (!(await approversExist(steps))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more approvers do not exist'
+      });
+    }
+
+    let chainId;
+    await database.transaction(async () => {
+      const result = await database.run(`
+        INSERT INTO approval_chains (name, description)
+        VALUES (?, ?)
+      `, [name, description]);
+      chainId = result.lastID;
+
+      for (const [index, step] of steps.entries()) {
+        await database.run(`
+          INSERT INTO approval_chain_steps (chain_id, step_order, name, approver_role, approver_user_id)
+          VALUES (?, ?, ?, ?, ?)
+        `, [chainId, index + 1, step.name, step.approver_role || null, step.approver_user_id || null]);
+      }
+    });
+
+    const chain = await database.get('SELECT * FROM approval_chains WHERE id = ?', [chainId]);
+    chain.steps = await database.all(`
+      SELECT * FROM approval_chain_steps
+      WHERE chain_id = ?
+      ORDER BY step_order ASC
+    `, [chainId]);
+
+    await recordAudit(req, { entityType: 'approval_chain', entityId: chainId, action: 'create', after: chain });
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval chain created successfully',
+      data: chain
+    });
+  } catch (error) {
+    console.error('Error creating approval chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create approval chain'
+    });
+  }
+});
+
+/**
+ * Delete an approval chain (tasks keep the steps they were given)
+ * DELETE /api/approval-chains/:id
+ */
+router.delete('/:id', validateId, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const chain = await database.get('SELECT * FROM approval_chains WHERE id = ?', [id]);
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+
+    await database.run('DELETE FROM approval_chains WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'approval_chain', entityId: id, action: 'delete', before: chain });
+
+    res.json({
+      success: true,
+      message: 'Approval chain deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting approval chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete approval chain'
+    });
+  }
+});
+
+module.exports = router;
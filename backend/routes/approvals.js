@@ -0,0 +1,246 @@
+const express = require('express');
+const database = require('../database');
+const { validateApprovalStart, validateApprovalDecision } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const {
+  getApprovalState,
+  canDecideStep,
+  canResubmit,
+  approversExist,
+  createRound
+} = require('../services/approvals');
+const { recordAudit } = require('../services/audit');
+
+// Mounted under /api/tasks/:id/approvals
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the task named in the URL or send a 404
+ */
+async function findTask(req, res) {
+  const task = await database.get('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+  return task;
+}
+
+/**
+ * Audit the task row after an approval action changed its status
+ */
+async function recordTaskChange(req, before) {
+  const after = await database.get('SELECT * FROM tasks WHERE id = ?', [before.id]);
+  await recordAudit(req, { entityType: 'task', entityId: before.id, action: 'update', before, after });
+}
+
+/**
+ * Get the approval chain of a task
+ * GET /api/tasks/:id/approvals
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    res.json({
+      success: true,
+      data: await getApprovalState(task.id)
+    });
+  } catch (error) {
+    console.error('Error fetching approvals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch approvals'
+    });
+  }
+});
+
+/**
+ * Start an approval chain on a task
+ * POST /api/tasks/:id/approvals
+ */
+router.post('/', requireRole('admin', 'manager'), validateApprovalStart, async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const state = await getApprovalState(task.id);
+    if (state && state.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Task already has an approval chain in progress'
+      });
+    }
+
+    let steps = req.body.steps;
+    if (req.body.chain_id) {
+      steps = await database.all(`
+        SELECT name, approver_role, approver_user_id FROM approval_chain_steps
+        WHERE chain_id = ?
+        ORDER BY step_order ASC
+      `, [req.body.chain_id]);
+
+      if (steps.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Approval chain not found'
+        });
+      }
+    }
+
+    if (!(await approversExist(steps))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more approvers do not exist'
+      });
+    }
+
+    await database.transaction(async () => {
+      await createRound(task.id, state ? state.round + 1 : 1, steps);
+    });
+
+    await recordTaskChange(req, task);
+
+    res.status(201).json({
+      success: true,
+      message: 'Approval chain started successfully',
+      data: await getApprovalState(task.id)
+    });
+  } catch (error) {
+    console.error('Error starting approval chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start approval chain'
+    });
+  }
+});
+
+/**
+ * Approve or reject the current step
+ * POST /api/tasks/:id/approvals/decision
+ */
+router.post('/decision', validateApprovalDecision, async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const { decision, comment } = req.body;
+
+    // Read the chain inside the transaction, so a concurrent decision cannot decide the same step
+    const outcome = await database.transaction(async () => {
+      const state = await getApprovalState(task.id);
+
+      if (!state) {
+        return { status: 404, message: 'Task has no approval chain' };
+      }
+
+      if (state.status !== 'pending') {
+        return { status: 409, message: `Approval chain is already ${state.status}` };
+      }
+
+      const step = state.current_step;
+      if (!canDecideStep(req.user, step)) {
+        return { status: 403, message: `You are not the approver for step "${step.name}"` };
+      }
+
+      const result = await database.run(`
+        UPDATE task_approval_steps
+        SET status = ?, comment = ?, decided_by = ?, decided_by_name = ?, decided_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `, [decision, comment, req.user.id, req.user.display_name, step.id]);
+
+      if (result.changes === 0) {
+        return { status: 409, message: `Step "${step.name}" has already been decided` };
+      }
+
+      // The task itself is only decided by a rejection or by the final approval
+      if (decision === 'rejected' || step.step_order === state.steps.length) {
+        await database.run(`
+          UPDATE tasks SET status = ?, approver = ? WHERE id = ?
+        `, [decision, req.user.display_name, task.id]);
+      }
+
+      return { step };
+    });
+
+    if (!outcome.step) {
+      return res.status(outcome.status).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    const { step } = outcome;
+    const decidedStep = await database.get('SELECT * FROM task_approval_steps WHERE id = ?', [step.id]);
+    await recordAudit(req, {
+      entityType: 'task_approval_step',
+      entityId: step.id,
+      action: 'update',
+      before: step,
+      after: decidedStep
+    });
+    await recordTaskChange(req, task);
+
+    res.json({
+      success: true,
+      message: `Step ${decision} successfully`,
+      data: await getApprovalState(task.id)
+    });
+  } catch (error) {
+    console.error('Error recording approval decision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record approval decision'
+    });
+  }
+});
+
+/**
+ * Resubmit a rejected task, starting a new round with the same steps.
+ * Only the task's creator, managers and admins may resubmit it.
+ * POST /api/tasks/:id/approvals/resubmit
+ */
+router.post('/resubmit', async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    if (!canResubmit(req.user, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the task creator or a manager can resubmit it'
+      });
+    }
+
+    const state = await getApprovalState(task.id);
+    if (!state || state.status !== 'rejected') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only rejected approval chains can be resubmitted'
+      });
+    }
+
+    await database.transaction(async () => {
+      await createRound(task.id, state.round + 1, state.steps);
+    });
+
+    await recordTaskChange(req, task);
+
+    res.json({
+      success: true,
+      message: 'Task resubmitted for approval',
+      data: await getApprovalState(task.id)
+    });
+  } catch (error) {
+    console.error('Error resubmitting task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resubmit task'
+    });
+  }
+});
+
+module.exports = router;
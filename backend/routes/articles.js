@@ -1,23 +1,27 @@
 const express = require('express');
 const database = require('../database');
-const { validateArticle, validateId } = require('../middleware/validation');
+const { validateArticle, validateArticleListQuery, validateId } = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { fetchPage } = require('../services/list-query');
 
 const router = express.Router();
 
 /**
- * Get all articles
- * GET /api/articles
+ * Get a page of articles
+ * GET /api/articles?limit=&offset=&sort=&fields=
  */
-router.get('/', async (req, res) => {
+router.get('/', validateArticleListQuery, async (req, res) => {
   try {
-    const articles = await database.all(`
-      SELECT * FROM articles 
-      ORDER BY created_at DESC
-    `);
+    const { rows: articles, pagination } = await fetchPage({
+      table: 'articles',
+      columns: ['headline', 'link', 'created_at'],
+      query: req.query
+    });
     
     res.json({
       success: true,
-      data: articles
+      data: articles,
+      pagination
     });
   } catch (error) {
     console.error('Error fetching articles:', error);
@@ -80,6 +84,7 @@ router.post('/', validateArticle, async (req, res) => {
     `, [headline.trim(), link.trim()]);
 
     const article = await database.get('SELECT * FROM articles WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'article', entityId: article.id, action: 'create', after: article });
 
     res.status(201).json({
       success: true,
@@ -140,6 +145,7 @@ router.put('/:id', validateId, validateArticle, async (req, res) => {
     `, [headline.trim(), link.trim(), id]);
 
     const updatedArticle = await database.get('SELECT * FROM articles WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'article', entityId: id, action: 'update', before: existingArticle, after: updatedArticle });
 
     res.json({
       success: true,
@@ -163,15 +169,17 @@ router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await database.run('DELETE FROM articles WHERE id = ?', [id]);
-
-    if (result.changes === 0) {
+    const article = await database.get('SELECT * FROM articles WHERE id = ?', [id]);
+    if (!article) {
       return res.status(404).json({
         success: false,
         message: 'Article not found'
       });
     }
 
+    await database.run('DELETE FROM articles WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'article', entityId: id, action: 'delete', before: article });
+
     res.json({
       success: true,
       message: 'Article deleted successfully'
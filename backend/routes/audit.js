@@ -0,0 +1,115 @@
+const express = require('express');
+const database = require('../database');
+const { validateAuditQuery } = require('../middleware/validation');
+const { paginationMeta } = require('../services/list-query');
+const { canSeeMood } = require('../services/wellbeing');
+
+const router = express.Router();
+
+/**
+ * Drop mood changes from a progress report's history unless the user may see that reporter's mood.
+ * The reporter is read from the report, or from its history once it is deleted.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} reportId - Progress report ID
+ * @param {Array} entries - The report's audit entries, changes parsed
+ */
+async function hideReportMoods(user, reportId, entries) {
+  const report = await database.get('SELECT reporter_name FROM daily_progress_reports WHERE id = ?', [reportId]);
+  const recorded = entries.map(entry => entry.changes.reporter_name).find(Boolean);
+  const reporterName = report ? report.reporter_name : recorded && (recorded.after || recorded.before);
+
+  if (canSeeMood(user, reporterName)) return;
+
+  for (const entry of entries) {
+    delete entry.changes.mood_rating;
+  }
+}
+
+/**
+ * Get audit log entries, newest first.
+ * Members may only read the history of a single entity; the full log is for managers.
+ * GET /api/audit?entity_type=&entity_id=&action=&actor_id=&start_date=&end_date=&limit=&offset=
+ */
+router.get('/', validateAuditQuery, async (req, res) => {
+  try {
+    const { entity_type, entity_id, action, actor_id, start_date, end_date, limit, offset } = req.query;
+
+    const isEntityHistory = Boolean(entity_type && entity_id);
+    if (!isEntityHistory && !['admin', 'manager'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only managers can browse the full audit log'
+      });
+    }
+
+    let params = [];
+    let conditions = [];
+
+    // Add filters
+    if (entity_type) {
+      conditions.push('entity_type = ?');
+      params.push(entity_type);
+    }
+
+    if (entity_id) {
+      conditions.push('entity_id = ?');
+      params.push(entity_id);
+    }
+
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+
+    if (actor_id) {
+      conditions.push('actor_id = ?');
+      params.push(actor_id);
+    }
+
+    if (start_date) {
+      conditions.push('date(created_at) >= date(?)');
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      conditions.push('date(created_at) <= date(?)');
+      params.push(end_date);
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+    const entries = await database.all(`
+      SELECT * FROM audit_log
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    const { total } = await database.get(`
+      SELECT COUNT(*) as total FROM audit_log ${whereClause}
+    `, params);
+
+    for (const entry of entries) {
+      entry.changes = JSON.parse(entry.changes);
+    }
+
+    // Members only ever read one entity's history, so only that report's moods need checking
+    if (entity_type === 'progress_report' && entity_id) {
+      await hideReportMoods(req.user, entity_id, entries);
+    }
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: paginationMeta(total, limit, offset)
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
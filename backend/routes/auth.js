@@ -0,0 +1,186 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const database = require('../database');
+const { validateRegister, validateLogin, validateRefresh } = require('../middleware/validation');
+const {
+  authenticate,
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken
+} = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Strip the password hash before a user leaves the server
+ */
+function toPublicUser(user) {
+  const { password_hash, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Build the token payload returned by register, login and refresh
+ */
+function issueTokens(user) {
+  return {
+    accessToken: generateAccessToken(user),
+    refreshToken: generateRefreshToken(user),
+    user: toPublicUser(user)
+  };
+}
+
+/**
+ * Register a new user
+ * POST /api/auth/register
+ */
+router.post('/register', validateRegister, async (req, res) => {
+  try {
+    const { username, password, display_name } = req.body;
+
+    const existingUser = await database.get('SELECT id FROM users WHERE username = ?', [username]);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    // The first account becomes the admin so someone can hand out roles. Checking for it in the insert
+    // itself means two simultaneous first registrations cannot both become admin.
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const result = await database.run(`
+      INSERT INTO users (username, password_hash, display_name, role)
+      SELECT ?, ?, ?, CASE WHEN EXISTS (SELECT 1 FROM users) THEN 'member' ELSE 'admin' END
+    `, [username, passwordHash, display_name]);
+
+    const user = await database.get('SELECT * FROM users WHERE id = ?', [result.lastID]);
+
+    // Nobody is signed in yet, so the new user is their own actor
+    await recordAudit({ user }, { entityType: 'user', entityId: user.id, action: 'create', after: user });
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: issueTokens(user)
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+
+    // Another request registered the same username between the check and the insert
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username is already taken'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register user'
+    });
+  }
+});
+
+/**
+ * Log in with username and password
+ * POST /api/auth/login
+ */
+router.post('/login', validateLogin, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await database.get('SELECT * FROM users WHERE username = ?', [username]);
+    const passwordMatches = user && await bcrypt.compare(password, user.password_hash);
+
+    if (!passwordMatches) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: issueTokens(user)
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in'
+    });
+  }
+});
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', validateRefresh, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const user = await database.get('SELECT * FROM users WHERE id = ?', [payload.sub]);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: issueTokens(user)
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+/**
+ * Get the signed-in user
+ * GET /api/auth/me
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await database.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch current user'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { validateCalendarQuery } = require('../middleware/validation');
+const { getCalendarEvents } = require('../services/calendar');
+const { hideMood } = require('../services/wellbeing');
+
+const router = express.Router();
+
+/**
+ * Get daily tasks, project milestones and progress reports dated between two days
+ * GET /api/calendar?start=&end=
+ */
+router.get('/', validateCalendarQuery, async (req, res) => {
+  try {
+    const { start, end } = req.query;
+    const events = await getCalendarEvents({ start, end });
+
+    res.json({
+      success: true,
+      data: events.map(event => event.type === 'progress_report' ? hideMood(req.user, event) : event)
+    });
+  } catch (error) {
+    console.error('Error fetching calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar'
+    });
+  }
+});
+
+module.exports = router;
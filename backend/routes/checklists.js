@@ -4,8 +4,11 @@ const {
   validateChecklist, 
   validateChecklistTask, 
   validateSubtask, 
+  validateChecklistListQuery,
   validateId 
 } = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { fetchPage, wantsField, groupBy } = require('../services/list-query');
 
 const router = express.Router();
 
@@ -16,39 +19,61 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Attach tasks, each with its subtasks, to checklists using one query per level
+ * @param {Array} checklists - Checklist rows
+ */
+async function attachTasks(checklists) {
+  if (checklists.length === 0) return checklists;
+
+  const placeholders = checklists.map(() => '?').join(', ');
+  const checklistIds = checklists.map(checklist => checklist.id);
+
+  const tasks = await database.all(`
+    SELECT * FROM checklist_tasks 
+    WHERE checklist_id IN (${placeholders}) 
+    ORDER BY created_at ASC
+  `, checklistIds);
+
+  const subtasks = await database.all(`
+    SELECT s.* FROM subtasks s
+    INNER JOIN checklist_tasks ct ON ct.id = s.task_id
+    WHERE ct.checklist_id IN (${placeholders})
+    ORDER BY s.created_at ASC
+  `, checklistIds);
+
+  const subtasksByTask = groupBy(subtasks, 'task_id');
+  for (const task of tasks) {
+    task.subtasks = subtasksByTask.get(task.id) || [];
+  }
+
+  const tasksByChecklist = groupBy(tasks, 'checklist_id');
+  for (const checklist of checklists) {
+    checklist.tasks = tasksByChecklist.get(checklist.id) || [];
+  }
+
+  return checklists;
+}
+
 /**
  * Get all checklists with their tasks and subtasks
  * GET /api/checklists
  */
-router.get('/', async (req, res) => {
+router.get('/', validateChecklistListQuery, async (req, res) => {
   try {
-    // Get all checklists
-    const checklists = await database.all(`
-      SELECT * FROM checklists 
-      ORDER BY created_at DESC
-    `);
-
-    // Get tasks and subtasks for each checklist
-    for (const checklist of checklists) {
-      checklist.tasks = await database.all(`
-        SELECT * FROM checklist_tasks 
-        WHERE checklist_id = ? 
-        ORDER BY created_at ASC
-      `, [checklist.id]);
-
-      // Get subtasks for each task
-      for (const task of checklist.tasks) {
-        task.subtasks = await database.all(`
-          SELECT * FROM subtasks 
-          WHERE task_id = ? 
-          ORDER BY created_at ASC
-        `, [task.id]);
-      }
-    }
+    // Get a page of checklists
+    const { rows: checklists, pagination } = await fetchPage({
+      table: 'checklists',
+      columns: ['title', 'description', 'theme', 'created_at', 'updated_at'],
+      query: req.query
+    });
+
+    if (wantsField(req.query, 'tasks')) await attachTasks(checklists);
 
     res.json({
       success: true,
-      data: checklists
+      data: checklists,
+      pagination
     });
   } catch (error) {
     console.error('Error fetching checklists:', error);
@@ -75,21 +100,7 @@ router.get('/:id', validateId, async (req, res) => {
       });
     }
 
-    // Get tasks
-    checklist.tasks = await database.all(`
-      SELECT * FROM checklist_tasks 
-      WHERE checklist_id = ? 
-      ORDER BY created_at ASC
-    `, [checklist.id]);
-
-    // Get subtasks for each task
-    for (const task of checklist.tasks) {
-      task.subtasks = await database.all(`
-        SELECT * FROM subtasks 
-        WHERE task_id = ? 
-        ORDER BY created_at ASC
-      `, [task.id]);
-    }
+    await attachTasks([checklist]);
 
     res.json({
       success: true,
@@ -119,6 +130,8 @@ router.post('/', validateChecklist, async (req, res) => {
     `, [id, title.trim(), description || '', theme]);
 
     const checklist = await database.get('SELECT * FROM checklists WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'checklist', entityId: id, action: 'create', after: checklist });
+
     checklist.tasks = [];
 
     res.status(201).json({
@@ -159,6 +172,7 @@ router.put('/:id', validateId, validateChecklist, async (req, res) => {
     `, [title.trim(), description || '', theme, id]);
 
     const updatedChecklist = await database.get('SELECT * FROM checklists WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'checklist', entityId: id, action: 'update', before: existingChecklist, after: updatedChecklist });
 
     res.json({
       success: true,
@@ -181,6 +195,7 @@ router.put('/:id', validateId, validateChecklist, async (req, res) => {
 router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
+    const checklist = await database.get('SELECT * FROM checklists WHERE id = ?', [id]);
 
     await database.transaction(async () => {
       // Delete subtasks first
@@ -202,6 +217,8 @@ router.delete('/:id', validateId, async (req, res) => {
       }
     });
 
+    await recordAudit(req, { entityType: 'checklist', entityId: id, action: 'delete', before: checklist });
+
     res.json({
       success: true,
       message: 'Checklist deleted successfully'
@@ -248,6 +265,8 @@ router.post('/:id/tasks', validateId, validateChecklistTask, async (req, res) =>
     `, [taskId, checklistId, title.trim(), priority]);
 
     const task = await database.get('SELECT * FROM checklist_tasks WHERE id = ?', [taskId]);
+    await recordAudit(req, { entityType: 'checklist_task', entityId: taskId, action: 'create', after: task });
+
     task.subtasks = [];
 
     res.status(201).json({
@@ -309,6 +328,7 @@ router.put('/:checklistId/tasks/:taskId', async (req, res) => {
       SELECT * FROM checklist_tasks 
       WHERE id = ? AND checklist_id = ?
     `, [taskId, checklistId]);
+    await recordAudit(req, { entityType: 'checklist_task', entityId: taskId, action: 'update', before: task, after: updatedTask });
 
     res.json({
       success: true,
@@ -331,6 +351,10 @@ router.put('/:checklistId/tasks/:taskId', async (req, res) => {
 router.delete('/:checklistId/tasks/:taskId', async (req, res) => {
   try {
     const { checklistId, taskId } = req.params;
+    const task = await database.get(`
+      SELECT * FROM checklist_tasks 
+      WHERE id = ? AND checklist_id = ?
+    `, [taskId, checklistId]);
 
     await database.transaction(async () => {
       // Delete subtasks first
@@ -347,6 +371,8 @@ router.delete('/:checklistId/tasks/:taskId', async (req, res) => {
       }
     });
 
+    await recordAudit(req, { entityType: 'checklist_task', entityId: taskId, action: 'delete', before: task });
+
     res.json({
       success: true,
       message: 'Task deleted successfully'
@@ -397,6 +423,7 @@ router.post('/:checklistId/tasks/:taskId/subtasks', validateSubtask, async (req,
     `, [subtaskId, taskId, title.trim()]);
 
     const subtask = await database.get('SELECT * FROM subtasks WHERE id = ?', [subtaskId]);
+    await recordAudit(req, { entityType: 'subtask', entityId: subtaskId, action: 'create', after: subtask });
 
     res.status(201).json({
       success: true,
@@ -445,23 +472,28 @@ router.put('/:checklistId/tasks/:taskId/subtasks/:subtaskId', async (req, res) =
       });
     }
 
+    const existingSubtask = await database.get(
+      'SELECT * FROM subtasks WHERE id = ? AND task_id = ?',
+      [subtaskId, taskId]
+    );
+    if (!existingSubtask) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtask not found'
+      });
+    }
+
     const values = fields.map(field => updates[field]);
     const setClause = fields.map(field => `${field} = ?`).join(', ');
 
-    const result = await database.run(`
+    await database.run(`
       UPDATE subtasks 
       SET ${setClause}
       WHERE id = ? AND task_id = ?
     `, [...values, subtaskId, taskId]);
 
-    if (result.changes === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Subtask not found'
-      });
-    }
-
     const updatedSubtask = await database.get('SELECT * FROM subtasks WHERE id = ?', [subtaskId]);
+    await recordAudit(req, { entityType: 'subtask', entityId: subtaskId, action: 'update', before: existingSubtask, after: updatedSubtask });
 
     res.json({
       success: true,
@@ -498,18 +530,20 @@ router.delete('/:checklistId/tasks/:taskId/subtasks/:subtaskId', async (req, res
       });
     }
 
-    const result = await database.run(`
-      DELETE FROM subtasks 
-      WHERE id = ? AND task_id = ?
-    `, [subtaskId, taskId]);
-
-    if (result.changes === 0) {
+    const subtask = await database.get(
+      'SELECT * FROM subtasks WHERE id = ? AND task_id = ?',
+      [subtaskId, taskId]
+    );
+    if (!subtask) {
       return res.status(404).json({
         success: false,
         message: 'Subtask not found'
       });
     }
 
+    await database.run('DELETE FROM subtasks WHERE id = ?', [subtaskId]);
+    await recordAudit(req, { entityType: 'subtask', entityId: subtaskId, action: 'delete', before: subtask });
+
     res.json({
       success: true,
       message: 'Subtask deleted successfully'
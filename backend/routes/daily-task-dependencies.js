@@ -0,0 +1,165 @@
+const express = require('express');
+const database = require('../database');
+const { validateDailyTaskDependency, validateDependencyParams } = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const {
+  wouldCreateCycle,
+  getUnfinishedPrerequisites,
+  syncBlockedStatus,
+  getDependencyGraph
+} = require('../services/dependencies');
+
+// Mounted under /api/daily-tasks/:id/dependencies
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the daily task named in the URL or send a 404
+ */
+async function findTask(req, res) {
+  const task = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [req.params.id]);
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Daily task not found'
+    });
+  }
+  return task;
+}
+
+/**
+ * Get a task's prerequisites, dependents and the dependency graph around it
+ * GET /api/daily-tasks/:id/dependencies
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const dependsOn = await database.all(`
+      SELECT t.id, t.title, t.status FROM daily_task_dependencies d
+      INNER JOIN daily_tasks t ON t.id = d.depends_on_id
+      WHERE d.task_id = ?
+      ORDER BY t.id ASC
+    `, [task.id]);
+
+    const dependents = await database.all(`
+      SELECT t.id, t.title, t.status FROM daily_task_dependencies d
+      INNER JOIN daily_tasks t ON t.id = d.task_id
+      WHERE d.depends_on_id = ?
+      ORDER BY t.id ASC
+    `, [task.id]);
+
+    res.json({
+      success: true,
+      data: {
+        task_id: task.id,
+        depends_on: dependsOn,
+        dependents,
+        blocked_by: await getUnfinishedPrerequisites(task.id),
+        graph: await getDependencyGraph(task.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dependencies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dependencies'
+    });
+  }
+});
+
+/**
+ * Make the task depend on another task; it is blocked until that task is completed
+ * POST /api/daily-tasks/:id/dependencies
+ */
+router.post('/', validateDailyTaskDependency, async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const { depends_on_id } = req.body;
+    const prerequisite = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [depends_on_id]);
+    if (!prerequisite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prerequisite task not found'
+      });
+    }
+
+    if (await wouldCreateCycle(task.id, prerequisite.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `"${prerequisite.title}" already depends on "${task.title}"; this dependency would create a cycle`
+      });
+    }
+
+    const result = await database.run(`
+      INSERT OR IGNORE INTO daily_task_dependencies (task_id, depends_on_id) VALUES (?, ?)
+    `, [task.id, prerequisite.id]);
+
+    if (result.changes === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This dependency already exists'
+      });
+    }
+
+    const dependency = await database.get('SELECT * FROM daily_task_dependencies WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'daily_task_dependency', entityId: dependency.id, action: 'create', after: dependency });
+
+    const updatedTask = await syncBlockedStatus(req, task.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: { dependency, task: updatedTask }
+    });
+  } catch (error) {
+    console.error('Error adding dependency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add dependency'
+    });
+  }
+});
+
+/**
+ * Remove a dependency; the task is unblocked if nothing else holds it up
+ * DELETE /api/daily-tasks/:id/dependencies/:dependsOnId
+ */
+router.delete('/:dependsOnId', validateDependencyParams, async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const dependency = await database.get(`
+      SELECT * FROM daily_task_dependencies WHERE task_id = ? AND depends_on_id = ?
+    `, [task.id, req.params.dependsOnId]);
+
+    if (!dependency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    await database.run('DELETE FROM daily_task_dependencies WHERE id = ?', [dependency.id]);
+    await recordAudit(req, { entityType: 'daily_task_dependency', entityId: dependency.id, action: 'delete', before: dependency });
+
+    const updatedTask = await syncBlockedStatus(req, task.id);
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: { task: updatedTask }
+    });
+  } catch (error) {
+    console.error('Error removing dependency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove dependency'
+    });
+  }
+});
+
+module.exports = router;
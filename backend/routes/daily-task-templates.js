@@ -0,0 +1,421 @@
+const express = require('express');
+const database = require('../database');
+const {
+  validateDailyTaskTemplate,
+  validateDailyTaskTemplateUpdate,
+  validateDailyTaskUpdate,
+  validateOccurrenceParams,
+  validateOccurrenceQuery,
+  validateId
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { syncAfterUpdate, syncDependents, getDependentIds } = require('../services/dependencies');
+const {
+  GENERATION_HORIZON_DAYS,
+  today,
+  addDays,
+  normalizeRecurrence,
+  occurrencesBetween,
+  createOccurrence,
+  generateOccurrences
+} = require('../services/recurrence');
+
+const router = express.Router();
+
+// Template fields copied onto every generated daily task
+const COPIED_FIELDS = ['title', 'description', 'assigned_to', 'priority', 'estimated_hours'];
+
+/**
+ * Load the template named in the URL or send a 404
+ */
+async function findTemplate(req, res) {
+  const template = await database.get('SELECT * FROM daily_task_templates WHERE id = ?', [req.params.id]);
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Daily task template not found'
+    });
+  }
+  return template;
+}
+
+/**
+ * Get the daily task generated for an occurrence, if any
+ */
+function getOccurrenceTask(templateId, date) {
+  return database.get('SELECT * FROM daily_tasks WHERE template_id = ? AND occurrence_date = ?', [templateId, date]);
+}
+
+/**
+ * Delete upcoming occurrences nobody has touched, so they are regenerated from the template.
+ * An occurrence is untouched while it is pending, due on its own date, still matches the template it came from
+ * and takes part in no dependency, since a regenerated task would lose those links.
+ * @param {Object} req - Express request (for the audit log)
+ * @param {Object} template - Template row as the occurrences were generated from
+ */
+async function removeUntouchedOccurrences(req, template) {
+  const tasks = await database.all(`
+    SELECT * FROM daily_tasks
+    WHERE template_id = ? AND occurrence_date >= ? AND status = 'pending' AND due_date = occurrence_date
+      AND NOT EXISTS (
+        SELECT 1 FROM daily_task_dependencies d WHERE d.task_id = daily_tasks.id OR d.depends_on_id = daily_tasks.id
+      )
+  `, [template.id, today()]);
+
+  const untouched = tasks.filter(task => COPIED_FIELDS.every(field => task[field] === template[field]));
+
+  for (const task of untouched) {
+    await database.run('DELETE FROM daily_tasks WHERE id = ?', [task.id]);
+    await recordAudit(req, { entityType: 'daily_task', entityId: task.id, action: 'delete', before: task });
+  }
+}
+
+/**
+ * Get all recurring daily task templates with their next occurrences
+ * GET /api/daily-task-templates
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await database.all('SELECT * FROM daily_task_templates ORDER BY title ASC');
+    const horizon = addDays(today(), GENERATION_HORIZON_DAYS);
+
+    for (const template of templates) {
+      template.upcoming = template.active ? occurrencesBetween(template, today(), horizon).slice(0, 5) : [];
+    }
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error fetching daily task templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch daily task templates'
+    });
+  }
+});
+
+/**
+ * Create a recurring daily task template and generate its upcoming occurrences
+ * POST /api/daily-task-templates
+ */
+router.post('/', validateDailyTaskTemplate, async (req, res) => {
+  try {
+    const {
+      title, description, assigned_to, priority, estimated_hours,
+      recurrence, days, start_date, end_date, active
+    } = req.body;
+
+    const rule = normalizeRecurrence(recurrence, { days, startDate: start_date });
+
+    const result = await database.run(`
+      INSERT INTO daily_task_templates
+        (title, description, assigned_to, priority, estimated_hours, recurrence, start_date, end_date, active)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [title, description, assigned_to, priority, estimated_hours, rule, start_date, end_date || null, active ? 1 : 0]);
+
+    const template = await database.get('SELECT * FROM daily_task_templates WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'daily_task_template', entityId: template.id, action: 'create', after: template });
+
+    const generated = await generateOccurrences({ templateId: template.id, req });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring daily task created successfully',
+      data: { ...template, generated }
+    });
+  } catch (error) {
+    console.error('Error creating daily task template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create recurring daily task'
+    });
+  }
+});
+
+/**
+ * Update a template; untouched upcoming occurrences are regenerated from the new values
+ * PUT /api/daily-task-templates/:id
+ */
+router.put('/:id', validateId, validateDailyTaskTemplateUpdate, async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { days, ...updates } = req.body;
+
+    if (updates.end_date && updates.end_date < (updates.start_date || template.start_date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error: "end_date" must be on or after "start_date"',
+        errors: [{ field: 'end_date', message: '"end_date" must be on or after "start_date"' }]
+      });
+    }
+
+    if (updates.recurrence || updates.start_date) {
+      updates.recurrence = normalizeRecurrence(updates.recurrence || template.recurrence, {
+        days,
+        startDate: updates.start_date || template.start_date
+      });
+    }
+
+    if (updates.active !== undefined) {
+      updates.active = updates.active ? 1 : 0;
+    }
+
+    // Build dynamic update query
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    await database.run(`
+      UPDATE daily_task_templates
+      SET ${setClause}
+      WHERE id = ?
+    `, [...values, template.id]);
+
+    const updatedTemplate = await database.get('SELECT * FROM daily_task_templates WHERE id = ?', [template.id]);
+    await recordAudit(req, {
+      entityType: 'daily_task_template',
+      entityId: template.id,
+      action: 'update',
+      before: template,
+      after: updatedTemplate
+    });
+
+    await removeUntouchedOccurrences(req, template);
+    await generateOccurrences({ templateId: template.id, req });
+
+    res.json({
+      success: true,
+      message: 'Recurring daily task updated successfully',
+      data: updatedTemplate
+    });
+  } catch (error) {
+    console.error('Error updating daily task template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring daily task'
+    });
+  }
+});
+
+/**
+ * Delete a template and its untouched upcoming occurrences; past and edited ones are kept
+ * DELETE /api/daily-task-templates/:id
+ */
+router.delete('/:id', validateId, async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    await removeUntouchedOccurrences(req, template);
+
+    await database.transaction(async () => {
+      await database.run('UPDATE daily_tasks SET template_id = NULL WHERE template_id = ?', [template.id]);
+      await database.run('DELETE FROM daily_task_templates WHERE id = ?', [template.id]);
+    });
+
+    await recordAudit(req, { entityType: 'daily_task_template', entityId: template.id, action: 'delete', before: template });
+
+    res.json({
+      success: true,
+      message: 'Recurring daily task deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting daily task template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete recurring daily task'
+    });
+  }
+});
+
+/**
+ * List a template's occurrences in a date range with their daily tasks and skips
+ * GET /api/daily-task-templates/:id/occurrences?start=&end=
+ */
+router.get('/:id/occurrences', validateId, validateOccurrenceQuery, async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const start = req.query.start || today();
+    const end = req.query.end || addDays(start, GENERATION_HORIZON_DAYS);
+
+    const tasks = await database.all(`
+      SELECT * FROM daily_tasks WHERE template_id = ? AND occurrence_date BETWEEN ? AND ?
+    `, [template.id, start, end]);
+    const skips = await database.all(`
+      SELECT occurrence_date FROM daily_task_template_skips WHERE template_id = ? AND occurrence_date BETWEEN ? AND ?
+    `, [template.id, start, end]);
+
+    const occurrences = occurrencesBetween(template, start, end).map(date => ({
+      date,
+      skipped: skips.some(skip => skip.occurrence_date === date),
+      task: tasks.find(task => task.occurrence_date === date) || null
+    }));
+
+    res.json({
+      success: true,
+      data: occurrences
+    });
+  } catch (error) {
+    console.error('Error fetching occurrences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch occurrences'
+    });
+  }
+});
+
+/**
+ * Edit a single occurrence, generating its daily task first if the scheduler has not reached it yet
+ * PUT /api/daily-task-templates/:id/occurrences/:date
+ */
+router.put('/:id/occurrences/:date', validateOccurrenceParams, validateDailyTaskUpdate, async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.params;
+    if (occurrencesBetween(template, date, date).length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found'
+      });
+    }
+
+    const existingTask = await getOccurrenceTask(template.id, date) || await createOccurrence(template, date, req);
+    if (!existingTask) {
+      return res.status(409).json({
+        success: false,
+        message: 'This occurrence was skipped; restore it before editing'
+      });
+    }
+
+    // Setting a status by hand takes the task out of automatic blocking
+    const updates = req.body;
+    if (updates.status !== undefined) {
+      updates.status_before_block = null;
+    }
+
+    // Build dynamic update query
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    await database.run(`
+      UPDATE daily_tasks
+      SET ${setClause}
+      WHERE id = ?
+    `, [...values, existingTask.id]);
+
+    const updatedTask = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [existingTask.id]);
+    await recordAudit(req, { entityType: 'daily_task', entityId: updatedTask.id, action: 'update', before: existingTask, after: updatedTask });
+
+    res.json({
+      success: true,
+      message: 'Occurrence updated successfully',
+      data: await syncAfterUpdate(req, updatedTask.id, existingTask.status)
+    });
+  } catch (error) {
+    console.error('Error updating occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update occurrence'
+    });
+  }
+});
+
+/**
+ * Skip a single occurrence, deleting its daily task if one was generated
+ * POST /api/daily-task-templates/:id/occurrences/:date/skip
+ */
+router.post('/:id/occurrences/:date/skip', validateOccurrenceParams, async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.params;
+    if (occurrencesBetween(template, date, date).length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found'
+      });
+    }
+
+    const task = await getOccurrenceTask(template.id, date);
+    const dependentIds = task ? await getDependentIds(task.id) : [];
+
+    await database.transaction(async () => {
+      await database.run(`
+        INSERT OR IGNORE INTO daily_task_template_skips (template_id, occurrence_date) VALUES (?, ?)
+      `, [template.id, date]);
+
+      if (task) {
+        await database.run('DELETE FROM daily_task_progress WHERE daily_task_id = ?', [task.id]);
+        await database.run('DELETE FROM daily_tasks WHERE id = ?', [task.id]);
+      }
+    });
+
+    if (task) {
+      await recordAudit(req, { entityType: 'daily_task', entityId: task.id, action: 'delete', before: task });
+    }
+
+    // Tasks that were waiting on the skipped one may now be free to start
+    await syncDependents(req, dependentIds);
+
+    res.json({
+      success: true,
+      message: 'Occurrence skipped'
+    });
+  } catch (error) {
+    console.error('Error skipping occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip occurrence'
+    });
+  }
+});
+
+/**
+ * Restore a skipped occurrence
+ * DELETE /api/daily-task-templates/:id/occurrences/:date/skip
+ */
+router.delete('/:id/occurrences/:date/skip', validateOccurrenceParams, async (req, res) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    const { date } = req.params;
+    const result = await database.run(`
+      DELETE FROM daily_task_template_skips WHERE template_id = ? AND occurrence_date = ?
+    `, [template.id, date]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence is not skipped'
+      });
+    }
+
+    // Past occurrences stay gone; upcoming ones come back straight away
+    const task = date >= today() ? await createOccurrence(template, date, req) : null;
+
+    res.json({
+      success: true,
+      message: 'Occurrence restored',
+      data: task
+    });
+  } catch (error) {
+    console.error('Error restoring occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore occurrence'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,37 @@
 const express = require('express');
 const database = require('../database');
-const { validateDailyTask, validateDailyTaskUpdate, validateId } = require('../middleware/validation');
+const {
+  validateDailyTask,
+  validateDailyTaskUpdate,
+  validateDailyTaskListQuery,
+  validateDailyTaskHistoryQuery,
+  validateId
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { getSnapshotHistory } = require('../services/snapshots');
+const { fetchPage, wantsField } = require('../services/list-query');
+const { rolloverOverdueTasks } = require('../services/rollover');
+const {
+  attachDependencies,
+  syncAfterUpdate,
+  syncDependents,
+  getDependentIds
+} = require('../services/dependencies');
+const dependenciesRouter = require('./daily-task-dependencies');
 
 const router = express.Router();
 
+router.use('/:id/dependencies', validateId, dependenciesRouter);
+
 /**
- * Get all daily tasks
- * GET /api/daily-tasks
+ * Get a page of daily tasks, filtered by assignee, status, due date and recurring template
+ * GET /api/daily-tasks?limit=&offset=&sort=&fields=
  */
-router.get('/', async (req, res) => {
+router.get('/', validateDailyTaskListQuery, async (req, res) => {
   try {
-    const { assigned_to, status, due_date } = req.query;
-    let query = 'SELECT * FROM daily_tasks';
-    let params = [];
-    let conditions = [];
+    const { assigned_to, status, due_date, template_id } = req.query;
+    const params = [];
+    const conditions = [];
 
     // Add filters
     if (assigned_to) {
@@ -31,17 +49,29 @@ router.get('/', async (req, res) => {
       params.push(due_date);
     }
 
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
+    if (template_id) {
+      conditions.push('template_id = ?');
+      params.push(template_id);
     }
 
-    query += ' ORDER BY due_date ASC, priority DESC, created_at DESC';
+    const { rows: tasks, pagination } = await fetchPage({
+      table: 'daily_tasks',
+      columns: [
+        'title', 'description', 'assigned_to', 'priority', 'status', 'due_date',
+        'estimated_hours', 'actual_hours', 'template_id', 'occurrence_date',
+        'carried_over_count', 'original_due_date', 'created_at', 'updated_at'
+      ],
+      query: req.query,
+      conditions,
+      params
+    });
 
-    const tasks = await database.all(query, params);
+    if (wantsField(req.query, 'depends_on')) await attachDependencies(tasks);
     
     res.json({
       success: true,
-      data: tasks
+      data: tasks,
+      pagination
     });
   } catch (error) {
     console.error('Error fetching daily tasks:', error);
@@ -52,6 +82,30 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Carry overdue unfinished daily tasks over to the next working day (the nightly job does the same)
+ * POST /api/daily-tasks/rollover
+ */
+router.post('/rollover', async (req, res) => {
+  try {
+    const result = await rolloverOverdueTasks({ req });
+
+    res.json({
+      success: true,
+      message: result.tasks.length === 1
+        ? '1 overdue task carried over'
+        : `${result.tasks.length} overdue tasks carried over`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error rolling over daily tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to carry over daily tasks'
+    });
+  }
+});
+
 /**
  * Get a single daily task by ID
  * GET /api/daily-tasks/:id
@@ -75,6 +129,8 @@ router.get('/:id', validateId, async (req, res) => {
       ORDER BY progress_date DESC
     `, [id]);
 
+    await attachDependencies([task]);
+
     res.json({
       success: true,
       data: task
@@ -105,6 +161,7 @@ router.post('/', validateDailyTask, async (req, res) => {
     `, [title.trim(), description || '', assigned_to.trim(), priority, status, due_date, estimated_hours || 0]);
 
     const task = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'daily_task', entityId: task.id, action: 'create', after: task });
 
     res.status(201).json({
       success: true,
@@ -146,6 +203,11 @@ router.put('/:id', validateId, validateDailyTaskUpdate, async (req, res) => {
       });
     }
 
+    // Setting a status by hand takes the task out of automatic blocking
+    if (updates.status !== undefined) {
+      updates.status_before_block = null;
+    }
+
     // Build dynamic update query
     const fields = Object.keys(updates);
     const values = Object.values(updates);
@@ -158,11 +220,12 @@ router.put('/:id', validateId, validateDailyTaskUpdate, async (req, res) => {
     `, [...values, id]);
 
     const updatedTask = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'daily_task', entityId: id, action: 'update', before: existingTask, after: updatedTask });
 
     res.json({
       success: true,
       message: 'Daily task updated successfully',
-      data: updatedTask
+      data: await syncAfterUpdate(req, id, existingTask.status)
     });
   } catch (error) {
     console.error('Error updating daily task:', error);
@@ -180,6 +243,8 @@ router.put('/:id', validateId, validateDailyTaskUpdate, async (req, res) => {
 router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
+    const task = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [id]);
+    const dependentIds = await getDependentIds(id);
 
     await database.transaction(async () => {
       // Delete progress history first
@@ -191,8 +256,20 @@ router.delete('/:id', validateId, async (req, res) => {
       if (result.changes === 0) {
         throw new Error('Daily task not found');
       }
+
+      // A deleted occurrence of a recurring task must not be generated again
+      if (task.template_id) {
+        await database.run(`
+          INSERT OR IGNORE INTO daily_task_template_skips (template_id, occurrence_date) VALUES (?, ?)
+        `, [task.template_id, task.occurrence_date]);
+      }
     });
 
+    await recordAudit(req, { entityType: 'daily_task', entityId: id, action: 'delete', before: task });
+
+    // Tasks that were waiting on this one may now be free to start
+    await syncDependents(req, dependentIds);
+
     res.json({
       success: true,
       message: 'Daily task deleted successfully'
@@ -254,6 +331,9 @@ router.post('/:id/progress', validateId, async (req, res) => {
     `, [totalHours.total || 0, taskId]);
 
     const progress = await database.get('SELECT * FROM daily_task_progress WHERE id = ?', [result.lastID]);
+    const updatedTask = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [taskId]);
+    await recordAudit(req, { entityType: 'daily_task_progress', entityId: progress.id, action: 'create', after: progress });
+    await recordAudit(req, { entityType: 'daily_task', entityId: taskId, action: 'update', before: task, after: updatedTask });
 
     res.status(201).json({
       success: true,
@@ -316,4 +396,26 @@ router.get('/stats/summary', async (req, res) => {
   }
 });
 
+/**
+ * Get daily snapshots of an assignee's open and completed daily tasks and hours, or of everyone summed,
+ * with weekly velocity
+ * GET /api/daily-tasks/stats/history?assigned_to=&start=&end=
+ */
+router.get('/stats/history', validateDailyTaskHistoryQuery, async (req, res) => {
+  try {
+    const { assigned_to, start, end } = req.query;
+
+    res.json({
+      success: true,
+      data: await getSnapshotHistory({ scope: 'assignee', key: assigned_to, start, end })
+    });
+  } catch (error) {
+    console.error('Error fetching daily task history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch daily task history'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,19 +1,62 @@
 const express = require('express');
 const database = require('../database');
-const { validateProgressReport, validateProgressReportUpdate, validateId } = require('../middleware/validation');
+const {
+  validateProgressReport,
+  validateProgressReportUpdate,
+  validateProgressReportListQuery,
+  validateProgressReportDraftQuery,
+  validateProgressReportDigestQuery,
+  validateId
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { fetchPage, wantsField } = require('../services/list-query');
+const {
+  getReporterTasks,
+  bucketTasks,
+  findUnknownTasks,
+  getReportTaskIds,
+  saveReportTasks,
+  completeReportedTasks,
+  attachReportTasks
+} = require('../services/report-tasks');
+const { buildReportDraft } = require('../services/report-draft');
+const { buildDigest, renderDigestMarkdown, renderDigestHtml } = require('../services/report-digest');
+const { canSeeMood, canSeeMoodAverage, hideMood } = require('../services/wellbeing');
 
 const router = express.Router();
 
 /**
- * Get all progress reports
- * GET /api/progress-reports
+ * Reply 400 if a report's buckets name tasks that do not exist
+ * @returns {boolean} Whether a reply was sent
  */
-router.get('/', async (req, res) => {
+async function rejectUnknownTasks(res, taskIds) {
+  const unknown = await findUnknownTasks(taskIds);
+  if (unknown.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    message: `Daily task not found: ${unknown.join(', ')}`
+  });
+  return true;
+}
+
+/**
+ * Get a page of progress reports with their linked daily tasks, filtered by reporter and date range
+ * GET /api/progress-reports?limit=&offset=&sort=&fields=
+ */
+router.get('/', validateProgressReportListQuery, async (req, res) => {
   try {
     const { reporter_name, start_date, end_date } = req.query;
-    let query = 'SELECT * FROM daily_progress_reports';
-    let params = [];
-    let conditions = [];
+    const params = [];
+    const conditions = [];
+
+    // Ordering by mood would reveal it, so members may only do it on their own reports
+    if (req.query.sort.some(({ field }) => field === 'mood_rating') && !canSeeMood(req.user, reporter_name)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only managers can sort other people's progress reports by mood"
+      });
+    }
 
     // Add filters
     if (reporter_name) {
@@ -32,17 +75,25 @@ router.get('/', async (req, res) => {
       params.push(end_date);
     }
 
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
-    }
-
-    query += ' ORDER BY report_date DESC, created_at DESC';
+    const { rows: reports, pagination } = await fetchPage({
+      table: 'daily_progress_reports',
+      columns: [
+        'reporter_name', 'report_date', 'tasks_completed', 'tasks_in_progress', 'tasks_blocked',
+        'hours_worked', 'challenges', 'next_day_plan', 'mood_rating', 'productivity_score', 'created_at'
+      ],
+      query: req.query,
+      conditions,
+      params
+    });
 
-    const reports = await database.all(query, params);
+    if (wantsField(req.query, 'tasks')) {
+      await attachReportTasks(reports);
+    }
     
     res.json({
       success: true,
-      data: reports
+      data: reports.map(report => hideMood(req.user, report)),
+      pagination
     });
   } catch (error) {
     console.error('Error fetching progress reports:', error);
@@ -53,6 +104,61 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * Draft a progress report from the reporter's daily task activity on a date (defaults to today)
+ * GET /api/progress-reports/draft?reporter_name=&date=
+ */
+router.get('/draft', validateProgressReportDraftQuery, async (req, res) => {
+  try {
+    const { reporter_name, date } = req.query;
+    const draft = await buildReportDraft({ reporterName: reporter_name, date });
+
+    res.json({
+      success: true,
+      data: draft
+    });
+  } catch (error) {
+    console.error('Error drafting progress report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to draft progress report'
+    });
+  }
+});
+
+/**
+ * Get the team digest of every progress report for a date (defaults to today),
+ * as JSON or as a Markdown or HTML download
+ * GET /api/progress-reports/digest?date=&format=json|markdown|html
+ */
+router.get('/digest', validateProgressReportDigestQuery, async (req, res) => {
+  try {
+    const { date, format } = req.query;
+    const digest = await buildDigest({ date, user: req.user });
+
+    if (format === 'markdown') {
+      res.attachment(`team-digest-${digest.date}.md`);
+      return res.type('text/markdown').send(renderDigestMarkdown(digest));
+    }
+
+    if (format === 'html') {
+      res.attachment(`team-digest-${digest.date}.html`);
+      return res.type('html').send(renderDigestHtml(digest));
+    }
+
+    res.json({
+      success: true,
+      data: digest
+    });
+  } catch (error) {
+    console.error('Error building team digest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build team digest'
+    });
+  }
+});
+
 /**
  * Get a single progress report by ID
  * GET /api/progress-reports/:id
@@ -69,9 +175,11 @@ router.get('/:id', validateId, async (req, res) => {
       });
     }
 
+    await attachReportTasks([report]);
+
     res.json({
       success: true,
-      data: report
+      data: hideMood(req.user, report)
     });
   } catch (error) {
     console.error('Error fetching progress report:', error);
@@ -83,7 +191,8 @@ router.get('/:id', validateId, async (req, res) => {
 });
 
 /**
- * Create a new progress report
+ * Create a new progress report. Its linked daily tasks default to the reporter's tasks due that day;
+ * tasks in the completed bucket are marked completed.
  * POST /api/progress-reports
  */
 router.post('/', validateProgressReport, async (req, res) => {
@@ -107,25 +216,37 @@ router.post('/', validateProgressReport, async (req, res) => {
       });
     }
 
-    const result = await database.run(`
-      INSERT INTO daily_progress_reports (
-        reporter_name, report_date, tasks_completed, tasks_in_progress, 
-        tasks_blocked, hours_worked, challenges, next_day_plan, 
-        mood_rating, productivity_score
-      ) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      reporter_name.trim(), report_date, tasks_completed || '', tasks_in_progress || '',
-      tasks_blocked || '', hours_worked || 0, challenges || '', next_day_plan || '',
-      mood_rating || 3, productivity_score || 3
-    ]);
-
-    const report = await database.get('SELECT * FROM daily_progress_reports WHERE id = ?', [result.lastID]);
+    const taskIds = req.body.task_ids || bucketTasks(await getReporterTasks(reporter_name, report_date));
+    if (await rejectUnknownTasks(res, taskIds)) return;
+
+    let reportId;
+    await database.transaction(async () => {
+      const result = await database.run(`
+        INSERT INTO daily_progress_reports (
+          reporter_name, report_date, tasks_completed, tasks_in_progress, 
+          tasks_blocked, hours_worked, challenges, next_day_plan, 
+          mood_rating, productivity_score
+        ) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        reporter_name.trim(), report_date, tasks_completed || '', tasks_in_progress || '',
+        tasks_blocked || '', hours_worked || 0, challenges || '', next_day_plan || '',
+        mood_rating || 3, productivity_score || 3
+      ]);
+
+      reportId = result.lastID;
+      await saveReportTasks(reportId, taskIds);
+    });
+
+    const report = await database.get('SELECT * FROM daily_progress_reports WHERE id = ?', [reportId]);
+    await recordAudit(req, { entityType: 'progress_report', entityId: report.id, action: 'create', after: { ...report, task_ids: taskIds } });
+    await completeReportedTasks(req, taskIds.completed);
+    await attachReportTasks([report]);
 
     res.status(201).json({
       success: true,
       message: 'Progress report created successfully',
-      data: report
+      data: hideMood(req.user, report)
     });
   } catch (error) {
     console.error('Error creating progress report:', error);
@@ -145,13 +266,13 @@ router.post('/', validateProgressReport, async (req, res) => {
 });
 
 /**
- * Update a progress report
+ * Update a progress report; task_ids replaces its linked daily tasks
  * PUT /api/progress-reports/:id
  */
 router.put('/:id', validateId, validateProgressReportUpdate, async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { task_ids: taskIds, ...updates } = req.body;
 
     // Check if report exists
     const existingReport = await database.get('SELECT * FROM daily_progress_reports WHERE id = ?', [id]);
@@ -162,23 +283,46 @@ router.put('/:id', validateId, validateProgressReportUpdate, async (req, res) =>
       });
     }
 
+    if (taskIds && await rejectUnknownTasks(res, taskIds)) return;
+    const previousTaskIds = taskIds ? await getReportTaskIds(id) : null;
+
     // Build dynamic update query
     const fields = Object.keys(updates);
     const values = Object.values(updates);
     const setClause = fields.map(field => `${field} = ?`).join(', ');
 
-    await database.run(`
-      UPDATE daily_progress_reports 
-      SET ${setClause}
-      WHERE id = ?
-    `, [...values, id]);
+    await database.transaction(async () => {
+      if (fields.length > 0) {
+        await database.run(`
+          UPDATE daily_progress_reports 
+          SET ${setClause}
+          WHERE id = ?
+        `, [...values, id]);
+      }
+
+      if (taskIds) {
+        await saveReportTasks(id, taskIds);
+      }
+    });
 
     const updatedReport = await database.get('SELECT * FROM daily_progress_reports WHERE id = ?', [id]);
+    await recordAudit(req, {
+      entityType: 'progress_report',
+      entityId: id,
+      action: 'update',
+      before: taskIds ? { ...existingReport, task_ids: previousTaskIds } : existingReport,
+      after: taskIds ? { ...updatedReport, task_ids: taskIds } : updatedReport
+    });
+
+    if (taskIds) {
+      await completeReportedTasks(req, taskIds.completed);
+    }
+    await attachReportTasks([updatedReport]);
 
     res.json({
       success: true,
       message: 'Progress report updated successfully',
-      data: updatedReport
+      data: hideMood(req.user, updatedReport)
     });
   } catch (error) {
     console.error('Error updating progress report:', error);
@@ -197,15 +341,17 @@ router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await database.run('DELETE FROM daily_progress_reports WHERE id = ?', [id]);
-
-    if (result.changes === 0) {
+    const report = await database.get('SELECT * FROM daily_progress_reports WHERE id = ?', [id]);
+    if (!report) {
       return res.status(404).json({
         success: false,
         message: 'Progress report not found'
       });
     }
 
+    await database.run('DELETE FROM daily_progress_reports WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'progress_report', entityId: id, action: 'delete', before: report });
+
     res.json({
       success: true,
       message: 'Progress report deleted successfully'
@@ -273,11 +419,19 @@ router.get('/stats/summary', async (req, res) => {
       ORDER BY productivity_score
     `, params);
 
+    // One reporter's mood is theirs and their managers' to see, and a few reporters' average gives theirs away
+    const reporters = await database.all(`
+      SELECT DISTINCT reporter_name FROM daily_progress_reports
+      ${whereClause}
+    `, params);
+    const { avg_mood_rating, ...otherStats } = stats;
+    const showMood = canSeeMoodAverage(req.user, reporters.map(row => row.reporter_name));
+
     res.json({
       success: true,
       data: {
-        ...stats,
-        mood_distribution: moodDistribution,
+        ...otherStats,
+        ...(showMood ? { avg_mood_rating, mood_distribution: moodDistribution } : {}),
         productivity_distribution: productivityDistribution
       }
     });
@@ -308,7 +462,7 @@ router.get('/reporter/:name', async (req, res) => {
 
     res.json({
       success: true,
-      data: reports
+      data: reports.map(report => hideMood(req.user, report))
     });
   } catch (error) {
     console.error('Error fetching reporter progress reports:', error);
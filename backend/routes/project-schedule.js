@@ -0,0 +1,138 @@
+const express = require('express');
+const database = require('../database');
+const { validateScheduleLink, validateScheduleLinkParams } = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { loadScheduleItems, loadLinks, wouldCreateCycle, getProjectSchedule } = require('../services/project-schedule');
+
+// Mounted under /api/projects/:id/schedule
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the project named in the URL or send a 404
+ */
+async function findProject(req, res) {
+  const project = await database.get('SELECT * FROM projects WHERE id = ?', [req.params.id]);
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+  }
+  return project;
+}
+
+/**
+ * Get the project's critical path, per-item slack, projected vs planned end date
+ * and milestones that are overdue or projected to slip
+ * GET /api/projects/:id/schedule
+ */
+router.get('/', async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    res.json({
+      success: true,
+      data: await getProjectSchedule(project)
+    });
+  } catch (error) {
+    console.error('Error computing project schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute project schedule'
+    });
+  }
+});
+
+/**
+ * Make a project task or milestone wait until another one finishes
+ * POST /api/projects/:id/schedule/links
+ */
+router.post('/links', validateScheduleLink, async (req, res) => {
+  try {
+    const project = await findProject(req, res);
+    if (!project) return;
+
+    const { item_type, item_id, predecessor_type, predecessor_id } = req.body;
+    const items = await loadScheduleItems(project.id);
+    const find = (type, id) => items.find(item => item.type === type && item.id === id);
+
+    const item = find(item_type, item_id);
+    const predecessor = find(predecessor_type, predecessor_id);
+    if (!item || !predecessor) {
+      return res.status(404).json({
+        success: false,
+        message: `${item ? 'Predecessor' : 'Item'} not found in project`
+      });
+    }
+
+    if (wouldCreateCycle(await loadLinks(project.id), item, predecessor)) {
+      return res.status(409).json({
+        success: false,
+        message: `"${predecessor.title}" already comes after "${item.title}"; this link would create a cycle`
+      });
+    }
+
+    const result = await database.run(`
+      INSERT OR IGNORE INTO project_schedule_links (project_id, item_type, item_id, predecessor_type, predecessor_id)
+      VALUES (?, ?, ?, ?, ?)
+    `, [project.id, item_type, item_id, predecessor_type, predecessor_id]);
+
+    if (result.changes === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This link already exists'
+      });
+    }
+
+    const link = await database.get('SELECT * FROM project_schedule_links WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'project_schedule_link', entityId: link.id, action: 'create', after: link });
+
+    res.status(201).json({
+      success: true,
+      message: 'Predecessor added successfully',
+      data: link
+    });
+  } catch (error) {
+    console.error('Error adding schedule link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add predecessor'
+    });
+  }
+});
+
+/**
+ * Remove a predecessor link
+ * DELETE /api/projects/:id/schedule/links/:linkId
+ */
+router.delete('/links/:linkId', validateScheduleLinkParams, async (req, res) => {
+  try {
+    const link = await database.get(`
+      SELECT * FROM project_schedule_links WHERE id = ? AND project_id = ?
+    `, [req.params.linkId, req.params.id]);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Link not found'
+      });
+    }
+
+    await database.run('DELETE FROM project_schedule_links WHERE id = ?', [link.id]);
+    await recordAudit(req, { entityType: 'project_schedule_link', entityId: link.id, action: 'delete', before: link });
+
+    res.json({
+      success: true,
+      message: 'Predecessor removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing schedule link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove predecessor'
+    });
+  }
+});
+
+module.exports = router;
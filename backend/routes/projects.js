@@ -1,48 +1,129 @@
 const express = require('express');
 const database = require('../database');
-const { validateProject, validateProjectUpdate, validateId } = require('../middleware/validation');
+const {
+  validateProject,
+  validateProjectUpdate,
+  validateProjectTask,
+  validateProjectTaskUpdate,
+  validateProjectListQuery,
+  validateProjectHistoryQuery,
+  validateId
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { getSnapshotHistory } = require('../services/snapshots');
+const { fetchPage, wantsField, groupBy } = require('../services/list-query');
+const { removeScheduleLinks } = require('../services/project-schedule');
+const { getProjectFinancials } = require('../services/financials');
+const { findOrCreatePerson } = require('../services/people');
+const { attachProgress } = require('../services/project-progress');
+const projectScheduleRouter = require('./project-schedule');
 
 const router = express.Router();
 
+router.use('/:id/schedule', validateId, projectScheduleRouter);
+
 /**
- * Get all projects with their tasks, milestones, and resources
- * GET /api/projects
+ * Check a schedule duration: a whole number of days, zero for a point-in-time milestone
  */
-router.get('/', async (req, res) => {
-  try {
-    const projects = await database.all(`
-      SELECT * FROM projects 
-      ORDER BY created_at DESC
-    `);
+function isValidDuration(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 3650;
+}
 
-    // Get tasks, milestones, and resources for each project
-    for (const project of projects) {
-      // Get tasks
-      project.tasks = await database.all(`
-        SELECT t.* FROM tasks t
+/**
+ * Attach tasks, milestones and resources to projects using one query per relation
+ * @param {Array} projects - Project rows
+ * @param {Object} query - Validated list query; relations it did not ask for are skipped
+ */
+async function attachRelations(projects, query = {}) {
+  if (projects.length === 0) return projects;
+
+  const placeholders = projects.map(() => '?').join(', ');
+  const projectIds = projects.map(project => project.id);
+
+  const relations = [
+    {
+      name: 'tasks',
+      sql: `
+        SELECT t.*, pt.project_id, pt.duration_days, pt.estimated_hours FROM tasks t
         INNER JOIN project_tasks pt ON t.id = pt.task_id
-        WHERE pt.project_id = ?
+        WHERE pt.project_id IN (${placeholders})
         ORDER BY t.created_at ASC
-      `, [project.id]);
-
-      // Get milestones
-      project.milestones = await database.all(`
+      `
+    },
+    {
+      name: 'milestones',
+      sql: `
         SELECT * FROM project_milestones 
-        WHERE project_id = ? 
+        WHERE project_id IN (${placeholders}) 
         ORDER BY due_date ASC
-      `, [project.id]);
-
-      // Get resource allocations
-      project.resources = await database.all(`
+      `
+    },
+    {
+      name: 'resources',
+      sql: `
         SELECT * FROM resource_allocations 
-        WHERE project_id = ? 
+        WHERE project_id IN (${placeholders}) 
         ORDER BY created_at ASC
-      `, [project.id]);
+      `
+    }
+  ];
+
+  for (const relation of relations.filter(({ name }) => wantsField(query, name))) {
+    const rowsByProject = groupBy(await database.all(relation.sql, projectIds), 'project_id');
+    for (const project of projects) {
+      project[relation.name] = rowsByProject.get(project.id) || [];
+    }
+  }
+
+  // project_id was only selected for grouping; task rows keep the tasks table shape
+  for (const task of projects.flatMap(project => project.tasks || [])) {
+    delete task.project_id;
+  }
+
+  if (wantsField(query, 'progress')) {
+    await attachProgress(projects);
+  }
+
+  return projects;
+}
+
+/**
+ * Get a page of projects with their tasks, milestones, resources and progress
+ * GET /api/projects?limit=&offset=&sort=&fields=
+ */
+router.get('/', validateProjectListQuery, async (req, res) => {
+  try {
+    const { status, priority } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (priority) {
+      conditions.push('priority = ?');
+      params.push(priority);
     }
 
+    const { rows: projects, pagination } = await fetchPage({
+      table: 'projects',
+      columns: [
+        'name', 'description', 'start_date', 'end_date', 'status', 'priority', 'manager', 'budget',
+        'progress_mode', 'created_at', 'updated_at'
+      ],
+      query: req.query,
+      conditions,
+      params
+    });
+
+    await attachRelations(projects, req.query);
+
     res.json({
       success: true,
-      data: projects
+      data: projects,
+      pagination
     });
   } catch (error) {
     console.error('Error fetching projects:', error);
@@ -69,27 +150,7 @@ router.get('/:id', validateId, async (req, res) => {
       });
     }
 
-    // Get tasks
-    project.tasks = await database.all(`
-      SELECT t.* FROM tasks t
-      INNER JOIN project_tasks pt ON t.id = pt.task_id
-      WHERE pt.project_id = ?
-      ORDER BY t.created_at ASC
-    `, [project.id]);
-
-    // Get milestones
-    project.milestones = await database.all(`
-      SELECT * FROM project_milestones 
-      WHERE project_id = ? 
-      ORDER BY due_date ASC
-    `, [project.id]);
-
-    // Get resource allocations
-    project.resources = await database.all(`
-      SELECT * FROM resource_allocations 
-      WHERE project_id = ? 
-      ORDER BY created_at ASC
-    `, [project.id]);
+    await attachRelations([project]);
 
     res.json({
       success: true,
@@ -104,6 +165,33 @@ router.get('/:id', validateId, async (req, res) => {
   }
 });
 
+/**
+ * Get planned vs actual labour cost, remaining budget, burn rate and forecast completion cost
+ * GET /api/projects/:id/financials
+ */
+router.get('/:id/financials', validateId, async (req, res) => {
+  try {
+    const project = await database.get('SELECT * FROM projects WHERE id = ?', [req.params.id]);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getProjectFinancials(project)
+    });
+  } catch (error) {
+    console.error('Error computing project financials:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute project financials'
+    });
+  }
+});
+
 /**
  * Create a new project
  * POST /api/projects
@@ -112,18 +200,21 @@ router.post('/', validateProject, async (req, res) => {
   try {
     const { 
       name, description, start_date, end_date, 
-      status, priority, manager, budget 
+      status, priority, manager, budget, progress_mode
     } = req.body;
 
     const result = await database.run(`
-      INSERT INTO projects (name, description, start_date, end_date, status, priority, manager, budget) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `, [name.trim(), description || '', start_date, end_date, status, priority, manager, budget]);
+      INSERT INTO projects (name, description, start_date, end_date, status, priority, manager, budget, progress_mode) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [name.trim(), description || '', start_date, end_date, status, priority, manager, budget, progress_mode]);
 
     const project = await database.get('SELECT * FROM projects WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'project', entityId: project.id, action: 'create', after: project });
+
     project.tasks = [];
     project.milestones = [];
     project.resources = [];
+    await attachProgress([project]);
 
     res.status(201).json({
       success: true,
@@ -177,6 +268,8 @@ router.put('/:id', validateId, validateProjectUpdate, async (req, res) => {
     `, [...values, id]);
 
     const updatedProject = await database.get('SELECT * FROM projects WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'project', entityId: id, action: 'update', before: existingProject, after: updatedProject });
+    await attachProgress([updatedProject]);
 
     res.json({
       success: true,
@@ -199,6 +292,7 @@ router.put('/:id', validateId, validateProjectUpdate, async (req, res) => {
 router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
+    const project = await database.get('SELECT * FROM projects WHERE id = ?', [id]);
 
     await database.transaction(async () => {
       // Delete resource allocations
@@ -218,6 +312,8 @@ router.delete('/:id', validateId, async (req, res) => {
       }
     });
 
+    await recordAudit(req, { entityType: 'project', entityId: id, action: 'delete', before: project });
+
     res.json({
       success: true,
       message: 'Project deleted successfully'
@@ -243,10 +339,10 @@ router.delete('/:id', validateId, async (req, res) => {
  * Add a task to a project
  * POST /api/projects/:id/tasks
  */
-router.post('/:id/tasks', validateId, async (req, res) => {
+router.post('/:id/tasks', validateId, validateProjectTask, async (req, res) => {
   try {
     const { id: projectId } = req.params;
-    const { taskId } = req.body;
+    const { taskId, duration_days, estimated_hours } = req.body;
 
     // Check if project exists
     const project = await database.get('SELECT * FROM projects WHERE id = ?', [projectId]);
@@ -279,9 +375,16 @@ router.post('/:id/tasks', validateId, async (req, res) => {
     }
 
     await database.run(`
-      INSERT INTO project_tasks (project_id, task_id) 
-      VALUES (?, ?)
-    `, [projectId, taskId]);
+      INSERT INTO project_tasks (project_id, task_id, duration_days, estimated_hours) 
+      VALUES (?, ?, ?, ?)
+    `, [projectId, taskId, duration_days, estimated_hours]);
+
+    await recordAudit(req, {
+      entityType: 'project_task',
+      entityId: `${projectId}:${taskId}`,
+      action: 'create',
+      after: { project_id: Number(projectId), task_id: task.id, duration_days, estimated_hours }
+    });
 
     res.status(201).json({
       success: true,
@@ -296,6 +399,55 @@ router.post('/:id/tasks', validateId, async (req, res) => {
   }
 });
 
+/**
+ * Update a project task's schedule duration or hour estimate
+ * PUT /api/projects/:id/tasks/:taskId
+ */
+router.put('/:id/tasks/:taskId', validateProjectTaskUpdate, async (req, res) => {
+  try {
+    const { id: projectId, taskId } = req.params;
+    const updates = req.body;
+
+    const assignment = await database.get(
+      'SELECT * FROM project_tasks WHERE project_id = ? AND task_id = ?',
+      [projectId, taskId]
+    );
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found in project'
+      });
+    }
+
+    // Build dynamic update query
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    await database.run(`UPDATE project_tasks SET ${setClause} WHERE id = ?`, [...values, assignment.id]);
+
+    await recordAudit(req, {
+      entityType: 'project_task',
+      entityId: `${projectId}:${taskId}`,
+      action: 'update',
+      before: Object.fromEntries(fields.map(field => [field, assignment[field]])),
+      after: updates
+    });
+
+    res.json({
+      success: true,
+      message: 'Project task updated successfully',
+      data: { ...assignment, ...updates }
+    });
+  } catch (error) {
+    console.error('Error updating project task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project task'
+    });
+  }
+});
+
 /**
  * Remove a task from a project
  * DELETE /api/projects/:id/tasks/:taskId
@@ -304,18 +456,30 @@ router.delete('/:id/tasks/:taskId', async (req, res) => {
   try {
     const { id: projectId, taskId } = req.params;
 
-    const result = await database.run(`
-      DELETE FROM project_tasks 
-      WHERE project_id = ? AND task_id = ?
-    `, [projectId, taskId]);
-
-    if (result.changes === 0) {
+    const assignment = await database.get(
+      'SELECT * FROM project_tasks WHERE project_id = ? AND task_id = ?',
+      [projectId, taskId]
+    );
+    if (!assignment) {
       return res.status(404).json({
         success: false,
         message: 'Task not found in project'
       });
     }
 
+    await database.run(`
+      DELETE FROM project_tasks 
+      WHERE project_id = ? AND task_id = ?
+    `, [projectId, taskId]);
+    await removeScheduleLinks(projectId, 'task', assignment.task_id);
+
+    await recordAudit(req, {
+      entityType: 'project_task',
+      entityId: `${projectId}:${taskId}`,
+      action: 'delete',
+      before: { project_id: assignment.project_id, task_id: assignment.task_id }
+    });
+
     res.json({
       success: true,
       message: 'Task removed from project successfully'
@@ -336,7 +500,7 @@ router.delete('/:id/tasks/:taskId', async (req, res) => {
 router.post('/:id/milestones', validateId, async (req, res) => {
   try {
     const { id: projectId } = req.params;
-    const { title, description, due_date } = req.body;
+    const { title, description, due_date, duration_days = 0 } = req.body;
 
     // Check if project exists
     const project = await database.get('SELECT * FROM projects WHERE id = ?', [projectId]);
@@ -354,12 +518,20 @@ router.post('/:id/milestones', validateId, async (req, res) => {
       });
     }
 
+    if (!isValidDuration(duration_days)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone duration must be a whole number of days'
+      });
+    }
+
     const result = await database.run(`
-      INSERT INTO project_milestones (project_id, title, description, due_date) 
-      VALUES (?, ?, ?, ?)
-    `, [projectId, title.trim(), description || '', due_date]);
+      INSERT INTO project_milestones (project_id, title, description, due_date, duration_days) 
+      VALUES (?, ?, ?, ?, ?)
+    `, [projectId, title.trim(), description || '', due_date, duration_days]);
 
     const milestone = await database.get('SELECT * FROM project_milestones WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'milestone', entityId: milestone.id, action: 'create', after: milestone });
 
     res.status(201).json({
       success: true,
@@ -398,7 +570,7 @@ router.put('/:id/milestones/:milestoneId', async (req, res) => {
     }
 
     // Build dynamic update query
-    const allowedFields = ['title', 'description', 'due_date', 'completed'];
+    const allowedFields = ['title', 'description', 'due_date', 'completed', 'duration_days'];
     const fields = Object.keys(updates).filter(field => allowedFields.includes(field));
     
     if (fields.length === 0) {
@@ -408,6 +580,13 @@ router.put('/:id/milestones/:milestoneId', async (req, res) => {
       });
     }
 
+    if (fields.includes('duration_days') && !isValidDuration(updates.duration_days)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone duration must be a whole number of days'
+      });
+    }
+
     const values = fields.map(field => updates[field]);
     const setClause = fields.map(field => `${field} = ?`).join(', ');
 
@@ -418,6 +597,7 @@ router.put('/:id/milestones/:milestoneId', async (req, res) => {
     `, [...values, milestoneId, projectId]);
 
     const updatedMilestone = await database.get('SELECT * FROM project_milestones WHERE id = ?', [milestoneId]);
+    await recordAudit(req, { entityType: 'milestone', entityId: milestoneId, action: 'update', before: milestone, after: updatedMilestone });
 
     res.json({
       success: true,
@@ -441,18 +621,22 @@ router.delete('/:id/milestones/:milestoneId', async (req, res) => {
   try {
     const { id: projectId, milestoneId } = req.params;
 
-    const result = await database.run(`
-      DELETE FROM project_milestones 
+    const milestone = await database.get(`
+      SELECT * FROM project_milestones 
       WHERE id = ? AND project_id = ?
     `, [milestoneId, projectId]);
 
-    if (result.changes === 0) {
+    if (!milestone) {
       return res.status(404).json({
         success: false,
         message: 'Milestone not found'
       });
     }
 
+    await database.run('DELETE FROM project_milestones WHERE id = ?', [milestoneId]);
+    await removeScheduleLinks(projectId, 'milestone', milestone.id);
+    await recordAudit(req, { entityType: 'milestone', entityId: milestoneId, action: 'delete', before: milestone });
+
     res.json({
       success: true,
       message: 'Milestone deleted successfully'
@@ -498,12 +682,15 @@ router.post('/:id/resources', validateId, async (req, res) => {
       });
     }
 
+    const person = await findOrCreatePerson(req, resource_name);
+
     const result = await database.run(`
-      INSERT INTO resource_allocations (project_id, resource_name, role, hours_per_week, start_date, end_date, hourly_rate) 
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [projectId, resource_name.trim(), role, hours_per_week || 40, start_date, end_date, hourly_rate || 0]);
+      INSERT INTO resource_allocations (project_id, person_id, resource_name, role, hours_per_week, start_date, end_date, hourly_rate) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [projectId, person.id, person.name, role, hours_per_week || 40, start_date, end_date, hourly_rate || 0]);
 
     const resource = await database.get('SELECT * FROM resource_allocations WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'resource_allocation', entityId: resource.id, action: 'create', after: resource });
 
     res.status(201).json({
       success: true,
@@ -552,6 +739,21 @@ router.put('/:id/resources/:resourceId', async (req, res) => {
       });
     }
 
+    // Renaming the resource moves the allocation to that person
+    if (fields.includes('resource_name')) {
+      if (typeof updates.resource_name !== 'string' || updates.resource_name.trim().length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Resource name must be at least 2 characters long'
+        });
+      }
+
+      const person = await findOrCreatePerson(req, updates.resource_name);
+      updates.resource_name = person.name;
+      updates.person_id = person.id;
+      fields.push('person_id');
+    }
+
     const values = fields.map(field => updates[field]);
     const setClause = fields.map(field => `${field} = ?`).join(', ');
 
@@ -562,6 +764,7 @@ router.put('/:id/resources/:resourceId', async (req, res) => {
     `, [...values, resourceId, projectId]);
 
     const updatedResource = await database.get('SELECT * FROM resource_allocations WHERE id = ?', [resourceId]);
+    await recordAudit(req, { entityType: 'resource_allocation', entityId: resourceId, action: 'update', before: resource, after: updatedResource });
 
     res.json({
       success: true,
@@ -585,18 +788,21 @@ router.delete('/:id/resources/:resourceId', async (req, res) => {
   try {
     const { id: projectId, resourceId } = req.params;
 
-    const result = await database.run(`
-      DELETE FROM resource_allocations 
+    const resource = await database.get(`
+      SELECT * FROM resource_allocations 
       WHERE id = ? AND project_id = ?
     `, [resourceId, projectId]);
 
-    if (result.changes === 0) {
+    if (!resource) {
       return res.status(404).json({
         success: false,
         message: 'Resource allocation not found'
       });
     }
 
+    await database.run('DELETE FROM resource_allocations WHERE id = ?', [resourceId]);
+    await recordAudit(req, { entityType: 'resource_allocation', entityId: resourceId, action: 'delete', before: resource });
+
     res.json({
       success: true,
       message: 'Resource allocation deleted successfully'
@@ -640,4 +846,26 @@ router.get('/stats/summary', async (req, res) => {
   }
 });
 
+/**
+ * Get daily snapshots of a project's open and completed tasks and hours, or of all projects summed,
+ * with weekly velocity
+ * GET /api/projects/stats/history?project_id=&start=&end=
+ */
+router.get('/stats/history', validateProjectHistoryQuery, async (req, res) => {
+  try {
+    const { project_id, start, end } = req.query;
+
+    res.json({
+      success: true,
+      data: await getSnapshotHistory({ scope: 'project', key: project_id, start, end })
+    });
+  } catch (error) {
+    console.error('Error fetching project history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch project history'
+    });
+  }
+});
+
 module.exports = router;
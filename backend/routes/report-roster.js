@@ -0,0 +1,262 @@
+const express = require('express');
+const database = require('../database');
+const { requireRole } = require('../middleware/auth');
+const {
+  validateReportRoster,
+  validateReportRosterUpdate,
+  validateMissingReportsQuery,
+  validateReportReminderQuery,
+  validateId
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const {
+  formatRosterEntry,
+  findMissingReports,
+  processReportReminders
+} = require('../services/report-reminders');
+
+const router = express.Router();
+
+/**
+ * Get a roster entry by ID, formatted
+ */
+async function getRosterEntry(id) {
+  const entry = await database.get('SELECT * FROM report_roster WHERE id = ?', [id]);
+  return entry ? formatRosterEntry(entry) : null;
+}
+
+/**
+ * Get everyone expected to submit daily progress reports
+ * GET /api/report-roster
+ */
+router.get('/', async (req, res) => {
+  try {
+    const entries = await database.all('SELECT * FROM report_roster ORDER BY reporter_name COLLATE NOCASE ASC');
+
+    res.json({
+      success: true,
+      data: entries.map(formatRosterEntry)
+    });
+  } catch (error) {
+    console.error('Error fetching report roster:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report roster'
+    });
+  }
+});
+
+/**
+ * Get the roster entries whose report for their current local day is missing after their cutoff
+ * GET /api/report-roster/missing?at=
+ */
+router.get('/missing', validateMissingReportsQuery, async (req, res) => {
+  try {
+    const missing = await findMissingReports({ now: req.query.at });
+
+    res.json({
+      success: true,
+      data: missing
+    });
+  } catch (error) {
+    console.error('Error finding missing progress reports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find missing progress reports'
+    });
+  }
+});
+
+/**
+ * Get reminders sent or queued for missing reports, newest first
+ * GET /api/report-roster/reminders?status=&report_date=
+ */
+router.get('/reminders', validateReportReminderQuery, async (req, res) => {
+  try {
+    const { status, report_date } = req.query;
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+
+    if (report_date) {
+      conditions.push('r.report_date = ?');
+      params.push(report_date);
+    }
+
+    const reminders = await database.all(`
+      SELECT r.*, rr.reporter_name
+      FROM report_reminders r
+      INNER JOIN report_roster rr ON rr.id = r.roster_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY r.id DESC
+      LIMIT 100
+    `, params);
+
+    res.json({
+      success: true,
+      data: reminders
+    });
+  } catch (error) {
+    console.error('Error fetching report reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report reminders'
+    });
+  }
+});
+
+/**
+ * Check for missing reports and send reminders now instead of waiting for the scheduler
+ * POST /api/report-roster/reminders/run
+ */
+router.post('/reminders/run', requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const result = await processReportReminders();
+
+    res.json({
+      success: true,
+      message: `${result.queued} reminder(s) queued, ${result.sent} sent`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error sending report reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send report reminders'
+    });
+  }
+});
+
+/**
+ * Add someone to the report roster
+ * POST /api/report-roster
+ */
+router.post('/', requireRole('admin', 'manager'), validateReportRoster, async (req, res) => {
+  try {
+    const { reporter_name, email, time_zone, working_days, cutoff_time, active } = req.body;
+
+    const existing = await database.get('SELECT id FROM report_roster WHERE reporter_name = ?', [reporter_name]);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'This reporter is already on the roster'
+      });
+    }
+
+    const result = await database.run(`
+      INSERT INTO report_roster (reporter_name, email, time_zone, working_days, cutoff_time, active)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [reporter_name, email || null, time_zone, working_days.join(','), cutoff_time, active ? 1 : 0]);
+
+    const entry = await getRosterEntry(result.lastID);
+    await recordAudit(req, { entityType: 'report_roster_entry', entityId: entry.id, action: 'create', after: entry });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reporter added to the roster',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error adding reporter to the roster:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add reporter to the roster'
+    });
+  }
+});
+
+/**
+ * Update a roster entry
+ * PUT /api/report-roster/:id
+ */
+router.put('/:id', validateId, requireRole('admin', 'manager'), validateReportRosterUpdate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = { ...req.body };
+
+    const entry = await getRosterEntry(id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roster entry not found'
+      });
+    }
+
+    if (updates.reporter_name) {
+      const namesake = await database.get('SELECT id FROM report_roster WHERE reporter_name = ? AND id != ?', [updates.reporter_name, id]);
+      if (namesake) {
+        return res.status(409).json({
+          success: false,
+          message: 'This reporter is already on the roster'
+        });
+      }
+    }
+
+    if (updates.working_days) updates.working_days = updates.working_days.join(',');
+    if (updates.active !== undefined) updates.active = updates.active ? 1 : 0;
+
+    // Build dynamic update query
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    await database.run(`
+      UPDATE report_roster
+      SET ${setClause}
+      WHERE id = ?
+    `, [...values, id]);
+
+    const updatedEntry = await getRosterEntry(id);
+    await recordAudit(req, { entityType: 'report_roster_entry', entityId: id, action: 'update', before: entry, after: updatedEntry });
+
+    res.json({
+      success: true,
+      message: 'Roster entry updated successfully',
+      data: updatedEntry
+    });
+  } catch (error) {
+    console.error('Error updating roster entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update roster entry'
+    });
+  }
+});
+
+/**
+ * Remove someone from the report roster, with their reminders
+ * DELETE /api/report-roster/:id
+ */
+router.delete('/:id', validateId, requireRole('admin', 'manager'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await getRosterEntry(id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roster entry not found'
+      });
+    }
+
+    await database.run('DELETE FROM report_roster WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'report_roster_entry', entityId: id, action: 'delete', before: entry });
+
+    res.json({
+      success: true,
+      message: 'Reporter removed from the roster'
+    });
+  } catch (error) {
+    console.error('Error removing reporter from the roster:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove reporter from the roster'
+    });
+  }
+});
+
+module.exports = router;
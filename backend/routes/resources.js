@@ -0,0 +1,157 @@
+const express = require('express');
+const database = require('../database');
+const { requireRole } = require('../middleware/auth');
+const { validatePerson, validatePersonUpdate, validateCapacityQuery, validateId } = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { DEFAULT_WEEKLY_CAPACITY_HOURS } = require('../services/people');
+const { getCapacityReport } = require('../services/capacity');
+
+const router = express.Router();
+
+/**
+ * Get everyone who can be allocated to projects, with how many allocations they have
+ * GET /api/resources/people
+ */
+router.get('/people', async (req, res) => {
+  try {
+    const people = await database.all(`
+      SELECT p.*, COUNT(ra.id) as allocation_count
+      FROM people p
+      LEFT JOIN resource_allocations ra ON ra.person_id = p.id
+      GROUP BY p.id
+      ORDER BY p.name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: people
+    });
+  } catch (error) {
+    console.error('Error fetching people:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch people'
+    });
+  }
+});
+
+/**
+ * Add a person
+ * POST /api/resources/people
+ */
+router.post('/people', validatePerson, async (req, res) => {
+  try {
+    const { name, weekly_capacity_hours = DEFAULT_WEEKLY_CAPACITY_HOURS } = req.body;
+
+    const existing = await database.get('SELECT * FROM people WHERE name = ?', [name]);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'A person with this name already exists'
+      });
+    }
+
+    const result = await database.run(`
+      INSERT INTO people (name, weekly_capacity_hours) VALUES (?, ?)
+    `, [name, weekly_capacity_hours]);
+
+    const person = await database.get('SELECT * FROM people WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'person', entityId: person.id, action: 'create', after: person });
+
+    res.status(201).json({
+      success: true,
+      message: 'Person added successfully',
+      data: person
+    });
+  } catch (error) {
+    console.error('Error adding person:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add person'
+    });
+  }
+});
+
+/**
+ * Rename a person or change their weekly capacity; their allocations follow the new name
+ * PUT /api/resources/people/:id
+ */
+router.put('/people/:id', validateId, requireRole('admin', 'manager'), validatePersonUpdate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = req.body;
+
+    const person = await database.get('SELECT * FROM people WHERE id = ?', [id]);
+    if (!person) {
+      return res.status(404).json({
+        success: false,
+        message: 'Person not found'
+      });
+    }
+
+    if (updates.name) {
+      const namesake = await database.get('SELECT * FROM people WHERE name = ? AND id != ?', [updates.name, id]);
+      if (namesake) {
+        return res.status(409).json({
+          success: false,
+          message: 'A person with this name already exists'
+        });
+      }
+    }
+
+    // Build dynamic update query
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    await database.transaction(async () => {
+      await database.run(`
+        UPDATE people
+        SET ${setClause}
+        WHERE id = ?
+      `, [...values, id]);
+
+      if (updates.name) {
+        await database.run('UPDATE resource_allocations SET resource_name = ? WHERE person_id = ?', [updates.name, id]);
+      }
+    });
+
+    const updatedPerson = await database.get('SELECT * FROM people WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'person', entityId: id, action: 'update', before: person, after: updatedPerson });
+
+    res.json({
+      success: true,
+      message: 'Person updated successfully',
+      data: updatedPerson
+    });
+  } catch (error) {
+    console.error('Error updating person:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update person'
+    });
+  }
+});
+
+/**
+ * Get allocated hours per person per week across all active projects, against each person's capacity
+ * GET /api/resources/capacity?start=&weeks=&person_id=
+ */
+router.get('/capacity', validateCapacityQuery, async (req, res) => {
+  try {
+    const { start, weeks, person_id } = req.query;
+
+    res.json({
+      success: true,
+      data: await getCapacityReport({ start, weeks, personId: person_id })
+    });
+  } catch (error) {
+    console.error('Error computing resource capacity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compute resource capacity'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { validateSearchQuery } = require('../middleware/validation');
+const { search } = require('../services/search');
+const { paginationMeta } = require('../services/list-query');
+
+const router = express.Router();
+
+/**
+ * Full-text search across every content type, best matches first.
+ * Snippets are HTML-escaped with matched terms wrapped in <mark>.
+ * GET /api/search?q=&types=&limit=&offset=
+ */
+router.get('/', validateSearchQuery, async (req, res) => {
+  try {
+    const { q, types, limit, offset } = req.query;
+
+    const { results, total } = await search(q, { types, limit, offset });
+
+    res.json({
+      success: true,
+      data: results,
+      pagination: paginationMeta(total, limit, offset)
+    });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,87 @@
 const express = require('express');
 const database = require('../database');
-const { validateTask, validateTaskUpdate, validateId } = require('../middleware/validation');
+const {
+  validateTask,
+  validateTaskUpdate,
+  validateTaskApprovers,
+  validateTaskListQuery,
+  validateId
+} = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const { attachApprovalState } = require('../services/approvals');
+const { attachTimeTracking, stopRunningEntries } = require('../services/time-tracking');
+const { recordAudit } = require('../services/audit');
+const { removeTaskScheduleLinks } = require('../services/project-schedule');
+const { fetchPage, wantsField } = require('../services/list-query');
+const approvalsRouter = require('./approvals');
+const timeEntriesRouter = require('./time-entries');
 
 const router = express.Router();
 
+router.use('/:id/approvals', validateId, approvalsRouter);
+router.use('/:id/time-entries', validateId, timeEntriesRouter);
+
+/**
+ * Attach designated approvers to each task with a single query
+ * @param {Array} tasks - Task rows
+ */
+async function attachApprovers(tasks) {
+  if (tasks.length === 0) return tasks;
+
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await database.all(`
+    SELECT ta.task_id, u.id, u.username, u.display_name
+    FROM task_approvers ta
+    INNER JOIN users u ON u.id = ta.user_id
+    WHERE ta.task_id IN (${placeholders})
+    ORDER BY u.display_name ASC
+  `, tasks.map(task => task.id));
+
+  for (const task of tasks) {
+    task.approvers = rows
+      .filter(row => row.task_id === task.id)
+      .map(({ task_id, ...user }) => user);
+  }
+
+  return tasks;
+}
+
 /**
- * Get all tasks
- * GET /api/tasks
+ * Get a page of tasks, filtered by status and completed
+ * GET /api/tasks?limit=&offset=&sort=&fields=
  */
-router.get('/', async (req, res) => {
+router.get('/', validateTaskListQuery, async (req, res) => {
   try {
-    const tasks = await database.all(`
-      SELECT * FROM tasks 
-      ORDER BY created_at DESC
-    `);
+    const { status, completed } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (completed !== undefined) {
+      conditions.push('completed = ?');
+      params.push(completed ? 1 : 0);
+    }
+
+    const { rows: tasks, pagination } = await fetchPage({
+      table: 'tasks',
+      columns: ['name', 'creator', 'status', 'approver', 'completed', 'created_at', 'updated_at'],
+      query: req.query,
+      conditions,
+      params
+    });
+
+    if (wantsField(req.query, 'approvers')) await attachApprovers(tasks);
+    if (wantsField(req.query, 'approval')) await attachApprovalState(tasks);
+    if (wantsField(req.query, 'time_tracking')) await attachTimeTracking(tasks, req.user.id);
     
     res.json({
       success: true,
-      data: tasks
+      data: tasks,
+      pagination
     });
   } catch (error) {
     console.error('Error fetching tasks:', error);
@@ -44,6 +108,10 @@ router.get('/:id', validateId, async (req, res) => {
       });
     }
 
+    await attachApprovers([task]);
+    await attachApprovalState([task]);
+    await attachTimeTracking([task], req.user.id);
+
     res.json({
       success: true,
       data: task
@@ -71,6 +139,11 @@ router.post('/', validateTask, async (req, res) => {
     `, [name.trim(), creator.trim()]);
 
     const task = await database.get('SELECT * FROM tasks WHERE id = ?', [result.lastID]);
+    await recordAudit(req, { entityType: 'task', entityId: task.id, action: 'create', after: task });
+
+    task.approvers = [];
+    task.approval = null;
+    task.time_tracking = { total_seconds: 0, running: null, paused: false };
 
     res.status(201).json({
       success: true,
@@ -112,6 +185,11 @@ router.put('/:id', validateId, validateTaskUpdate, async (req, res) => {
       });
     }
 
+    // The approver is always the signed-in user making the decision
+    if (updates.status !== undefined) {
+      updates.approver = updates.status === 'pending' ? null : req.user.display_name;
+    }
+
     // Build dynamic update query
     const fields = Object.keys(updates);
     const values = Object.values(updates);
@@ -123,7 +201,17 @@ router.put('/:id', validateId, validateTaskUpdate, async (req, res) => {
       WHERE id = ?
     `, [...values, id]);
 
+    // Completing a task stops any timers still running on it
+    if (updates.completed) {
+      await stopRunningEntries(id);
+    }
+
     const updatedTask = await database.get('SELECT * FROM tasks WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'task', entityId: id, action: 'update', before: existingTask, after: updatedTask });
+
+    await attachApprovers([updatedTask]);
+    await attachApprovalState([updatedTask]);
+    await attachTimeTracking([updatedTask], req.user.id);
 
     res.json({
       success: true,
@@ -139,6 +227,70 @@ router.put('/:id', validateId, validateTaskUpdate, async (req, res) => {
   }
 });
 
+/**
+ * Replace the designated approvers of a task
+ * PUT /api/tasks/:id/approvers
+ */
+router.put('/:id/approvers', validateId, requireRole('admin', 'manager'), validateTaskApprovers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { user_ids: userIds } = req.body;
+
+    const task = await database.get('SELECT * FROM tasks WHERE id = ?', [id]);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (userIds.length > 0) {
+      const placeholders = userIds.map(() => '?').join(', ');
+      const found = await database.get(
+        `SELECT COUNT(*) as count FROM users WHERE id IN (${placeholders})`,
+        userIds
+      );
+      if (found.count !== userIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more approvers do not exist'
+        });
+      }
+    }
+
+    const previous = await database.all('SELECT user_id FROM task_approvers WHERE task_id = ? ORDER BY user_id', [id]);
+
+    await database.transaction(async () => {
+      await database.run('DELETE FROM task_approvers WHERE task_id = ?', [id]);
+      for (const userId of userIds) {
+        await database.run('INSERT INTO task_approvers (task_id, user_id) VALUES (?, ?)', [id, userId]);
+      }
+    });
+
+    await recordAudit(req, {
+      entityType: 'task',
+      entityId: id,
+      action: 'update',
+      before: { approver_ids: previous.map(row => row.user_id) },
+      after: { approver_ids: [...userIds].sort((a, b) => a - b) }
+    });
+
+    await attachApprovers([task]);
+
+    res.json({
+      success: true,
+      message: 'Task approvers updated successfully',
+      data: task
+    });
+  } catch (error) {
+    console.error('Error updating task approvers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update task approvers'
+    });
+  }
+});
+
 /**
  * Delete a task
  * DELETE /api/tasks/:id
@@ -147,15 +299,21 @@ router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await database.run('DELETE FROM tasks WHERE id = ?', [id]);
-
-    if (result.changes === 0) {
+    const task = await database.get('SELECT * FROM tasks WHERE id = ?', [id]);
+    if (!task) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
+    // Schedule links only reference the task by ID, so nothing cascades to them
+    await database.transaction(async () => {
+      await database.run('DELETE FROM tasks WHERE id = ?', [id]);
+      await removeTaskScheduleLinks(id);
+    });
+    await recordAudit(req, { entityType: 'task', entityId: id, action: 'delete', before: task });
+
     res.json({
       success: true,
       message: 'Task deleted successfully'
@@ -0,0 +1,246 @@
+const express = require('express');
+const database = require('../database');
+const { DURATION_SQL } = require('../services/time-tracking');
+const { recordAudit } = require('../services/audit');
+
+// Mounted under /api/tasks/:id/time-entries
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the task named in the URL or send a 404
+ */
+async function findTask(req, res) {
+  const task = await database.get('SELECT * FROM tasks WHERE id = ?', [req.params.id]);
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+  return task;
+}
+
+/**
+ * Get the signed-in user's running entry on a task, if any
+ */
+function getRunningEntry(taskId, userId) {
+  return database.get(`
+    SELECT * FROM time_entries
+    WHERE task_id = ? AND user_id = ? AND ended_at IS NULL
+  `, [taskId, userId]);
+}
+
+/**
+ * Get a single entry with its duration
+ */
+function getEntry(id) {
+  return database.get(`
+    SELECT te.*, ${DURATION_SQL} as duration_seconds
+    FROM time_entries te
+    WHERE te.id = ?
+  `, [id]);
+}
+
+/**
+ * Drop the computed duration so the audit diff only covers stored columns
+ */
+function toStoredEntry(entry) {
+  const { duration_seconds, ...columns } = entry;
+  return columns;
+}
+
+/**
+ * Get all time entries of a task with totals per person
+ * GET /api/tasks/:id/time-entries
+ */
+router.get('/', async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const entries = await database.all(`
+      SELECT te.*, u.display_name, ${DURATION_SQL} as duration_seconds
+      FROM time_entries te
+      INNER JOIN users u ON u.id = te.user_id
+      WHERE te.task_id = ?
+      ORDER BY te.started_at DESC, te.id DESC
+    `, [task.id]);
+
+    const byUser = await database.all(`
+      SELECT te.user_id, u.display_name, SUM(${DURATION_SQL}) as total_seconds
+      FROM time_entries te
+      INNER JOIN users u ON u.id = te.user_id
+      WHERE te.task_id = ?
+      GROUP BY te.user_id
+      ORDER BY total_seconds DESC
+    `, [task.id]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        total_seconds: entries.reduce((sum, entry) => sum + entry.duration_seconds, 0),
+        by_user: byUser
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch time entries'
+    });
+  }
+});
+
+/**
+ * Start (or resume) a timer on a task
+ * POST /api/tasks/:id/time-entries/start
+ */
+router.post('/start', async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const running = await database.get(`
+      SELECT te.*, t.name as task_name FROM time_entries te
+      INNER JOIN tasks t ON t.id = te.task_id
+      WHERE te.user_id = ? AND te.ended_at IS NULL
+    `, [req.user.id]);
+
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: `You already have a timer running on "${running.task_name}"`,
+        data: running
+      });
+    }
+
+    const result = await database.run(`
+      INSERT INTO time_entries (task_id, user_id)
+      VALUES (?, ?)
+    `, [task.id, req.user.id]);
+
+    const entry = await getEntry(result.lastID);
+    await recordAudit(req, { entityType: 'time_entry', entityId: entry.id, action: 'create', after: toStoredEntry(entry) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error starting timer:', error);
+
+    // Another request started a timer between the check and the insert
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a timer running'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start timer'
+    });
+  }
+});
+
+/**
+ * Pause the running timer on a task
+ * POST /api/tasks/:id/time-entries/pause
+ */
+router.post('/pause', async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const running = await getRunningEntry(task.id, req.user.id);
+    if (!running) {
+      return res.status(409).json({
+        success: false,
+        message: 'No timer is running on this task'
+      });
+    }
+
+    await database.run(`
+      UPDATE time_entries SET ended_at = CURRENT_TIMESTAMP, end_reason = 'pause' WHERE id = ?
+    `, [running.id]);
+
+    const entry = await getEntry(running.id);
+    await recordAudit(req, { entityType: 'time_entry', entityId: entry.id, action: 'update', before: running, after: toStoredEntry(entry) });
+
+    res.json({
+      success: true,
+      message: 'Timer paused',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error pausing timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause timer'
+    });
+  }
+});
+
+/**
+ * Stop the timer on a task, whether it is running or paused
+ * POST /api/tasks/:id/time-entries/stop
+ */
+router.post('/stop', async (req, res) => {
+  try {
+    const task = await findTask(req, res);
+    if (!task) return;
+
+    const running = await getRunningEntry(task.id, req.user.id);
+    if (running) {
+      await database.run(`
+        UPDATE time_entries SET ended_at = CURRENT_TIMESTAMP, end_reason = 'stop' WHERE id = ?
+      `, [running.id]);
+
+      const entry = await getEntry(running.id);
+      await recordAudit(req, { entityType: 'time_entry', entityId: entry.id, action: 'update', before: running, after: toStoredEntry(entry) });
+
+      return res.json({
+        success: true,
+        message: 'Timer stopped',
+        data: entry
+      });
+    }
+
+    // A paused timer is stopped by closing out its last interval
+    const paused = await database.get(`
+      SELECT * FROM time_entries
+      WHERE task_id = ? AND user_id = ?
+      ORDER BY started_at DESC, id DESC
+      LIMIT 1
+    `, [task.id, req.user.id]);
+
+    if (!paused || paused.end_reason !== 'pause') {
+      return res.status(409).json({
+        success: false,
+        message: 'No timer is running on this task'
+      });
+    }
+
+    await database.run(`UPDATE time_entries SET end_reason = 'stop' WHERE id = ?`, [paused.id]);
+
+    const entry = await getEntry(paused.id);
+    await recordAudit(req, { entityType: 'time_entry', entityId: entry.id, action: 'update', before: paused, after: toStoredEntry(entry) });
+
+    res.json({
+      success: true,
+      message: 'Timer stopped',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error stopping timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop timer'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const database = require('../database');
+const { validateTimeSummaryQuery } = require('../middleware/validation');
+const { DURATION_SQL } = require('../services/time-tracking');
+
+const router = express.Router();
+
+// Grouping options for the summary: select list, join and group key
+const SUMMARY_GROUPS = {
+  task: {
+    select: 't.id as task_id, t.name as task_name',
+    join: 'INNER JOIN tasks t ON t.id = te.task_id',
+    groupBy: 't.id'
+  },
+  project: {
+    select: 'p.id as project_id, p.name as project_name',
+    join: `INNER JOIN project_tasks pt ON pt.task_id = te.task_id
+      INNER JOIN projects p ON p.id = pt.project_id`,
+    groupBy: 'p.id'
+  },
+  user: {
+    select: 'u.id as user_id, u.display_name',
+    join: 'INNER JOIN users u ON u.id = te.user_id',
+    groupBy: 'u.id'
+  }
+};
+
+/**
+ * Get the signed-in user's running timer
+ * GET /api/time-tracking/running
+ */
+router.get('/running', async (req, res) => {
+  try {
+    const entry = await database.get(`
+      SELECT te.*, t.name as task_name, ${DURATION_SQL} as duration_seconds
+      FROM time_entries te
+      INNER JOIN tasks t ON t.id = te.task_id
+      WHERE te.user_id = ? AND te.ended_at IS NULL
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: entry || null
+    });
+  } catch (error) {
+    console.error('Error fetching running timer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch running timer'
+    });
+  }
+});
+
+/**
+ * Get tracked time totals per task, project or person
+ * GET /api/time-tracking/summary?group_by=task|project|user
+ */
+router.get('/summary', validateTimeSummaryQuery, async (req, res) => {
+  try {
+    const { group_by: groupBy, user_id, start_date, end_date } = req.query;
+    const group = SUMMARY_GROUPS[groupBy];
+    const conditions = [];
+    const params = [];
+
+    if (user_id) {
+      conditions.push('te.user_id = ?');
+      params.push(user_id);
+    }
+
+    if (start_date) {
+      conditions.push('date(te.started_at) >= ?');
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      conditions.push('date(te.started_at) <= ?');
+      params.push(end_date);
+    }
+
+    const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+    const rows = await database.all(`
+      SELECT ${group.select},
+        COUNT(te.id) as entry_count,
+        SUM(${DURATION_SQL}) as total_seconds
+      FROM time_entries te
+      ${group.join}
+      ${whereClause}
+      GROUP BY ${group.groupBy}
+      ORDER BY total_seconds DESC
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Error fetching time summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch time summary'
+    });
+  }
+});
+
+module.exports = router;
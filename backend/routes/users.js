@@ -0,0 +1,79 @@
+const express = require('express');
+const database = require('../database');
+const { validateUserRole, validateId } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+/**
+ * Get all users (public fields only)
+ * GET /api/users
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await database.all(`
+      SELECT id, username, display_name, role, created_at FROM users 
+      ORDER BY display_name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+/**
+ * Change a user's role
+ * PUT /api/users/:id/role
+ */
+router.put('/:id/role', validateId, requireRole('admin'), validateUserRole, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (Number(id) === req.user.id && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    const existingUser = await database.get(
+      'SELECT id, username, display_name, role, created_at FROM users WHERE id = ?',
+      [id]
+    );
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await database.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+
+    const user = { ...existingUser, role };
+    await recordAudit(req, { entityType: 'user', entityId: id, action: 'update', before: existingUser, after: user });
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const database = require('../database');
+const {
+  validateWellbeingQuery,
+  validateWellbeingAlertRule,
+  validateWellbeingAlertRuleUpdate,
+  validateId
+} = require('../middleware/validation');
+const { recordAudit } = require('../services/audit');
+const { formatAlertRule, getWellbeingTrends } = require('../services/wellbeing');
+
+const router = express.Router();
+
+/**
+ * Get an alert rule by ID, formatted
+ */
+async function getAlertRule(id) {
+  const rule = await database.get('SELECT * FROM wellbeing_alert_rules WHERE id = ?', [id]);
+  return rule ? formatAlertRule(rule) : null;
+}
+
+/**
+ * Get each reporter's mood and productivity trends and the burnout alerts they trigger
+ * GET /api/wellbeing?start=&end=
+ */
+router.get('/', validateWellbeingQuery, async (req, res) => {
+  try {
+    const trends = await getWellbeingTrends({ start: req.query.start, end: req.query.end });
+
+    res.json({
+      success: true,
+      data: trends
+    });
+  } catch (error) {
+    console.error('Error fetching wellbeing trends:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wellbeing trends'
+    });
+  }
+});
+
+/**
+ * Get all wellbeing alert rules
+ * GET /api/wellbeing/alert-rules
+ */
+router.get('/alert-rules', async (req, res) => {
+  try {
+    const rules = await database.all('SELECT * FROM wellbeing_alert_rules ORDER BY id ASC');
+
+    res.json({
+      success: true,
+      data: rules.map(formatAlertRule)
+    });
+  } catch (error) {
+    console.error('Error fetching wellbeing alert rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wellbeing alert rules'
+    });
+  }
+});
+
+/**
+ * Create a wellbeing alert rule
+ * POST /api/wellbeing/alert-rules
+ */
+router.post('/alert-rules', validateWellbeingAlertRule, async (req, res) => {
+  try {
+    const { name, metric, aggregate, operator, threshold, min_reports, active } = req.body;
+
+    const result = await database.run(`
+      INSERT INTO wellbeing_alert_rules (name, metric, aggregate, operator, threshold, min_reports, active)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [name, metric, aggregate, operator, threshold, min_reports, active ? 1 : 0]);
+
+    const rule = await getAlertRule(result.lastID);
+    await recordAudit(req, { entityType: 'wellbeing_alert_rule', entityId: rule.id, action: 'create', after: rule });
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating wellbeing alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create wellbeing alert rule'
+    });
+  }
+});
+
+/**
+ * Update a wellbeing alert rule
+ * PUT /api/wellbeing/alert-rules/:id
+ */
+router.put('/alert-rules/:id', validateId, validateWellbeingAlertRuleUpdate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = { ...req.body };
+
+    const rule = await getAlertRule(id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    if (updates.active !== undefined) updates.active = updates.active ? 1 : 0;
+
+    // Build dynamic update query
+    const fields = Object.keys(updates);
+    const values = Object.values(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    await database.run(`
+      UPDATE wellbeing_alert_rules
+      SET ${setClause}
+      WHERE id = ?
+    `, [...values, id]);
+
+    const updatedRule = await getAlertRule(id);
+    await recordAudit(req, { entityType: 'wellbeing_alert_rule', entityId: id, action: 'update', before: rule, after: updatedRule });
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: updatedRule
+    });
+  } catch (error) {
+    console.error('Error updating wellbeing alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update wellbeing alert rule'
+    });
+  }
+});
+
+/**
+ * Delete a wellbeing alert rule
+ * DELETE /api/wellbeing/alert-rules/:id
+ */
+router.delete('/alert-rules/:id', validateId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await getAlertRule(id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    await database.run('DELETE FROM wellbeing_alert_rules WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'wellbeing_alert_rule', entityId: id, action: 'delete', before: rule });
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting wellbeing alert rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete wellbeing alert rule'
+    });
+  }
+});
+
+module.exports = router;
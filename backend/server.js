@@ -6,16 +6,44 @@ const path = require('path');
 require('dotenv').config();
 
 const database = require('./database');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { startScheduler, stopScheduler } = require('./services/scheduler');
+const { generateOccurrences } = require('./services/recurrence');
+const { rolloverOverdueTasks } = require('./services/rollover');
+const { recordSnapshots } = require('./services/snapshots');
+const { processReportReminders } = require('./services/report-reminders');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const approvalChainsRouter = require('./routes/approval-chains');
+const timeTrackingRouter = require('./routes/time-tracking');
+const auditRouter = require('./routes/audit');
+const searchRouter = require('./routes/search');
 const tasksRouter = require('./routes/tasks');
 const articlesRouter = require('./routes/articles');
 const checklistsRouter = require('./routes/checklists');
 const projectsRouter = require('./routes/projects');
+const resourcesRouter = require('./routes/resources');
 const dailyTasksRouter = require('./routes/daily-tasks');
+const dailyTaskTemplatesRouter = require('./routes/daily-task-templates');
 const progressReportsRouter = require('./routes/progress-reports');
+const calendarRouter = require('./routes/calendar');
+const reportRosterRouter = require('./routes/report-roster');
+const wellbeingRouter = require('./routes/wellbeing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Background jobs started with the server
+const scheduledJobs = [
+  { name: 'generate recurring daily tasks', intervalMs: 60 * 60 * 1000, run: () => generateOccurrences() },
+  // Hourly, so the first run after midnight carries the previous day's unfinished tasks over
+  { name: 'roll over overdue daily tasks', intervalMs: 60 * 60 * 1000, run: () => rolloverOverdueTasks() },
+  // Hourly, overwriting the day's snapshot, so each day keeps the numbers it ended with
+  { name: 'record daily metric snapshots', intervalMs: 60 * 60 * 1000, run: () => recordSnapshots() },
+  // Every 15 minutes, so reminders go out soon after each reporter's cutoff in their own time zone
+  { name: 'remind about missing progress reports', intervalMs: 15 * 60 * 1000, run: () => processReportReminders() }
+];
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false // Allow inline scripts for development
@@ -44,13 +72,25 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files (serve frontend)
 app.use(express.static(path.join(__dirname, '../frontend')));
 
-// API Routes
-app.use('/api/tasks', tasksRouter);
-app.use('/api/articles', articlesRouter);
-app.use('/api/checklists', checklistsRouter);
-app.use('/api/projects', projectsRouter);
-app.use('/api/daily-tasks', dailyTasksRouter);
-app.use('/api/progress-reports', progressReportsRouter);
+// API Routes (everything except auth and health requires a valid access token)
+app.use('/api/auth', authRouter);
+app.use('/api/users', authenticate, usersRouter);
+app.use('/api/approval-chains', authenticate, approvalChainsRouter);
+app.use('/api/time-tracking', authenticate, timeTrackingRouter);
+app.use('/api/audit', authenticate, auditRouter);
+app.use('/api/search', authenticate, searchRouter);
+app.use('/api/tasks', authenticate, tasksRouter);
+app.use('/api/articles', authenticate, articlesRouter);
+app.use('/api/checklists', authenticate, checklistsRouter);
+app.use('/api/projects', authenticate, projectsRouter);
+app.use('/api/resources', authenticate, resourcesRouter);
+app.use('/api/daily-tasks', authenticate, dailyTasksRouter);
+app.use('/api/daily-task-templates', authenticate, dailyTaskTemplatesRouter);
+app.use('/api/progress-reports', authenticate, progressReportsRouter);
+app.use('/api/calendar', authenticate, calendarRouter);
+app.use('/api/report-roster', authenticate, reportRosterRouter);
+// Wellbeing trends name individual people, so only managers and admins see them
+app.use('/api/wellbeing', authenticate, requireRole('admin', 'manager'), wellbeingRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -63,6 +103,14 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Unknown API endpoints must not fall through to the SPA
+app.use('/api', (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: 'Endpoint not found'
+  });
+});
+
 // Serve frontend for SPA routing
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/index.html'));
@@ -84,14 +132,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found'
-  });
-});
-
 // Initialize database and start server
 async function startServer() {
   try {
@@ -106,6 +146,8 @@ async function startServer() {
       console.log(`🔌 API: http://localhost:${PORT}/api`);
     });
 
+    startScheduler(scheduledJobs);
+
     // Handle server errors
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
@@ -125,16 +167,21 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('🛑 Shutting down gracefully...');
+  stopScheduler();
   await database.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('🛑 Received SIGTERM, shutting down gracefully...');
+  stopScheduler();
   await database.close();
   process.exit(0);
 });
 
-startServer();
+// Only listen when run directly so tests can import the app
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
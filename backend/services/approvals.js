@@ -0,0 +1,140 @@
+const database = require('../database');
+
+/**
+ * Approval chain helpers shared by the task and approval routes
+ */
+
+/**
+ * Summarise the state of one round of steps
+ * @param {Array} steps - Steps of a single round, ordered by step_order
+ */
+function summarizeRound(steps) {
+  if (steps.some(step => step.status === 'rejected')) return 'rejected';
+  if (steps.every(step => step.status === 'approved')) return 'approved';
+  return 'pending';
+}
+
+/**
+ * Build the approval state of a task from its step rows
+ * @param {Array} rows - All task_approval_steps rows of the task, ordered by round and step_order
+ */
+function buildApprovalState(rows) {
+  if (rows.length === 0) return null;
+
+  const round = Math.max(...rows.map(row => row.round));
+  const steps = rows.filter(row => row.round === round);
+  const status = summarizeRound(steps);
+
+  return {
+    round,
+    status,
+    current_step: status === 'pending' ? steps.find(step => step.status === 'pending') : null,
+    steps,
+    history: rows.filter(row => row.round < round)
+  };
+}
+
+/**
+ * Load the approval state of a task, or null when it has no chain
+ * @param {number|string} taskId - Task ID
+ */
+async function getApprovalState(taskId) {
+  const rows = await database.all(`
+    SELECT * FROM task_approval_steps 
+    WHERE task_id = ? 
+    ORDER BY round ASC, step_order ASC
+  `, [taskId]);
+
+  return buildApprovalState(rows);
+}
+
+/**
+ * Attach approval state to each task with a single query
+ * @param {Array} tasks - Task rows
+ */
+async function attachApprovalState(tasks) {
+  if (tasks.length === 0) return tasks;
+
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await database.all(`
+    SELECT * FROM task_approval_steps 
+    WHERE task_id IN (${placeholders}) 
+    ORDER BY round ASC, step_order ASC
+  `, tasks.map(task => task.id));
+
+  for (const task of tasks) {
+    task.approval = buildApprovalState(rows.filter(row => row.task_id === task.id));
+  }
+
+  return tasks;
+}
+
+/**
+ * Check whether a user may decide a step.
+ * Admins can decide any step; otherwise the step's user or role must match.
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {Object} step - Task approval step row
+ */
+function canDecideStep(user, step) {
+  if (user.role === 'admin') return true;
+  if (step.approver_user_id) return step.approver_user_id === user.id;
+  return step.approver_role === user.role;
+}
+
+/**
+ * Check whether a user may resubmit a rejected task: managers and admins, or its creator,
+ * matched by username or display name ignoring case
+ * @param {Object} user - Signed-in user (req.user)
+ * @param {Object} task - Task row
+ */
+function canResubmit(user, task) {
+  if (['admin', 'manager'].includes(user.role)) return true;
+
+  const creator = task.creator.toLowerCase();
+  return [user.username, user.display_name].some(own => Boolean(own) && own.toLowerCase() === creator);
+}
+
+/**
+ * Check that every user referenced by a list of step definitions exists
+ * @param {Array} steps - Step definitions
+ */
+async function approversExist(steps) {
+  const userIds = [...new Set(steps.map(step => step.approver_user_id).filter(Boolean))];
+  if (userIds.length === 0) return true;
+
+  const placeholders = userIds.map(() => '?').join(', ');
+  const found = await database.get(
+    `SELECT COUNT(*) as count FROM users WHERE id IN (${placeholders})`,
+    userIds
+  );
+  return found.count === userIds.length;
+}
+
+/**
+ * Insert a new round of steps for a task and reset its status to pending.
+ * Must be called inside a transaction.
+ * @param {number|string} taskId - Task ID
+ * @param {number} round - Round number
+ * @param {Array} steps - Step definitions in order
+ */
+async function createRound(taskId, round, steps) {
+  for (const [index, step] of steps.entries()) {
+    await database.run(`
+      INSERT INTO task_approval_steps (task_id, round, step_order, name, approver_role, approver_user_id) 
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [taskId, round, index + 1, step.name, step.approver_role || null, step.approver_user_id || null]);
+  }
+
+  await database.run(`
+    UPDATE tasks SET status = 'pending', approver = NULL WHERE id = ?
+  `, [taskId]);
+}
+
+module.exports = {
+  getApprovalState,
+  attachApprovalState,
+  canDecideStep,
+  canResubmit,
+  approversExist,
+  createRound
+};
@@ -0,0 +1,70 @@
+const database = require('../database');
+
+/**
+ * Audit log helpers used by every mutating route
+ */
+
+// Every entity type the routes record, used to validate audit filters
+const ENTITY_TYPES = [
+  'user', 'task', 'task_approval_step', 'approval_chain', 'time_entry',
+  'article', 'checklist', 'checklist_task', 'subtask',
+  'project', 'project_task', 'project_schedule_link', 'milestone', 'resource_allocation', 'person',
+  'daily_task', 'daily_task_template', 'daily_task_dependency', 'daily_task_progress', 'progress_report',
+  'report_roster_entry', 'wellbeing_alert_rule'
+];
+
+// Fields that change on every write or must never be stored
+const IGNORED_FIELDS = ['updated_at', 'password_hash'];
+
+/**
+ * Compute the fields that differ between two snapshots
+ * @param {Object|null} before - Row before the change
+ * @param {Object|null} after - Row after the change
+ * @returns {Object} Map of field to { before, after }
+ */
+function diffSnapshots(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const oldValue = before && before[field] !== undefined ? before[field] : null;
+    const newValue = after && after[field] !== undefined ? after[field] : null;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record a create, update or delete in the audit log.
+ * Failures are logged rather than thrown so they never undo a completed change.
+ * @param {Object} req - Express request (for the actor)
+ * @param {Object} entry - { entityType, entityId, action, before, after }
+ */
+async function recordAudit(req, { entityType, entityId, action, before = null, after = null }) {
+  try {
+    const changes = diffSnapshots(before, after);
+
+    // Updates that touch nothing are not worth a row
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    const actor = req.user || {};
+    await database.run(`
+      INSERT INTO audit_log (entity_type, entity_id, action, changes, actor_id, actor_name)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [entityType, String(entityId), action, JSON.stringify(changes), actor.id || null, actor.display_name || null]);
+  } catch (error) {
+    console.error('Error recording audit entry:', error);
+  }
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  diffSnapshots,
+  recordAudit
+};
@@ -0,0 +1,52 @@
+const database = require('../database');
+
+/**
+ * Calendar of everything with a date: daily tasks by due date, project milestones by due date
+ * and progress reports by report date
+ */
+
+// Longest range one calendar request may cover
+const CALENDAR_MAX_DAYS = 366;
+
+/**
+ * Load the dated items between two days, ordered by date and then by type
+ * @param {Object} options
+ * @param {string} options.start - First day (YYYY-MM-DD)
+ * @param {string} options.end - Last day (YYYY-MM-DD)
+ * @returns {Array} Events: { type, id, date, title, ... } with the fields each type needs to be shown
+ */
+async function getCalendarEvents({ start, end }) {
+  const dailyTasks = await database.all(`
+    SELECT id, title, substr(due_date, 1, 10) as date, status, priority, assigned_to
+    FROM daily_tasks
+    WHERE substr(due_date, 1, 10) BETWEEN ? AND ?
+  `, [start, end]);
+
+  const milestones = await database.all(`
+    SELECT m.id, m.title, substr(m.due_date, 1, 10) as date, m.completed, m.project_id, p.name as project_name
+    FROM project_milestones m
+    INNER JOIN projects p ON p.id = m.project_id
+    WHERE substr(m.due_date, 1, 10) BETWEEN ? AND ?
+  `, [start, end]);
+
+  const progressReports = await database.all(`
+    SELECT id, reporter_name as title, substr(report_date, 1, 10) as date, reporter_name, mood_rating, productivity_score
+    FROM daily_progress_reports
+    WHERE substr(report_date, 1, 10) BETWEEN ? AND ?
+  `, [start, end]);
+
+  const events = [
+    ...dailyTasks.map(task => ({ type: 'daily_task', ...task })),
+    ...milestones.map(milestone => ({ type: 'milestone', ...milestone, completed: Boolean(milestone.completed) })),
+    ...progressReports.map(report => ({ type: 'progress_report', ...report }))
+  ];
+
+  const typeOrder = ['milestone', 'daily_task', 'progress_report'];
+  return events.sort((a, b) =>
+    a.date.localeCompare(b.date) || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.id - b.id);
+}
+
+module.exports = {
+  CALENDAR_MAX_DAYS,
+  getCalendarEvents
+};
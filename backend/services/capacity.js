@@ -0,0 +1,141 @@
+const database = require('../database');
+const { today, addDays, daysBetween } = require('./recurrence');
+
+/**
+ * Cross-project capacity: each person's allocated hours per week across every active project,
+ * against their weekly capacity. An allocation counts from its start_date to its end_date,
+ * falling back to the project's dates, and is open-ended on any side that has no date.
+ */
+
+// Projects whose allocations no longer book anyone
+const INACTIVE_PROJECT_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ */
+function weekStart(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+/**
+ * Round to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Hours an allocation books in the week starting on a Monday, prorated by the days it covers
+ */
+function hoursInWeek(allocation, monday) {
+  const sunday = addDays(monday, 6);
+  const first = allocation.start_date && allocation.start_date > monday ? allocation.start_date : monday;
+  const last = allocation.end_date && allocation.end_date < sunday ? allocation.end_date : sunday;
+  if (first > last) return 0;
+
+  return allocation.hours_per_week * (daysBetween(first, last) + 1) / 7;
+}
+
+/**
+ * Aggregate allocations per person per week
+ * @param {Object} options
+ * @param {Array} options.people - People rows
+ * @param {Array} options.allocations - Allocation rows with person_id, project_id, project_name,
+ *   role, hours_per_week and the effective start_date/end_date (null when open-ended)
+ * @param {string} options.start - First week to report (any day in it)
+ * @param {number} options.weeks - Number of weeks to report
+ */
+function computeCapacity({ people, allocations, start, weeks }) {
+  const firstWeek = weekStart(start);
+  const weekStarts = Array.from({ length: weeks }, (_, index) => addDays(firstWeek, index * 7));
+
+  const report = people.map(person => {
+    const own = allocations.filter(allocation => allocation.person_id === person.id);
+
+    const personWeeks = weekStarts.map(monday => {
+      const booked = own
+        .map(allocation => ({
+          id: allocation.id,
+          project_id: allocation.project_id,
+          project_name: allocation.project_name,
+          role: allocation.role,
+          hours: round(hoursInWeek(allocation, monday))
+        }))
+        .filter(allocation => allocation.hours > 0);
+
+      const allocatedHours = round(booked.reduce((sum, allocation) => sum + allocation.hours, 0));
+
+      return {
+        week_start: monday,
+        allocated_hours: allocatedHours,
+        capacity_hours: person.weekly_capacity_hours,
+        utilization: person.weekly_capacity_hours > 0 ? round(allocatedHours / person.weekly_capacity_hours) : null,
+        over_allocated: allocatedHours > person.weekly_capacity_hours,
+        allocations: booked
+      };
+    });
+
+    return {
+      id: person.id,
+      name: person.name,
+      weekly_capacity_hours: person.weekly_capacity_hours,
+      peak_hours: Math.max(0, ...personWeeks.map(week => week.allocated_hours)),
+      over_allocated_weeks: personWeeks.filter(week => week.over_allocated).length,
+      weeks: personWeeks
+    };
+  });
+
+  const overAllocations = report.flatMap(person => person.weeks
+    .filter(week => week.over_allocated)
+    .map(week => ({
+      person_id: person.id,
+      name: person.name,
+      week_start: week.week_start,
+      allocated_hours: week.allocated_hours,
+      capacity_hours: week.capacity_hours,
+      excess_hours: round(week.allocated_hours - week.capacity_hours)
+    })));
+
+  return {
+    start: firstWeek,
+    end: addDays(firstWeek, weeks * 7 - 1),
+    weeks: weekStarts,
+    people: report,
+    over_allocations: overAllocations
+  };
+}
+
+/**
+ * Load allocations of active projects and build the capacity report
+ * @param {Object} options
+ * @param {string} options.start - First week to report (defaults to this week)
+ * @param {number} options.weeks - Number of weeks to report
+ * @param {number} options.personId - Only report this person
+ */
+async function getCapacityReport({ start = today(), weeks, personId } = {}) {
+  const people = await database.all(
+    `SELECT * FROM people ${personId ? 'WHERE id = ?' : ''} ORDER BY name ASC`,
+    personId ? [personId] : []
+  );
+
+  const placeholders = INACTIVE_PROJECT_STATUSES.map(() => '?').join(', ');
+  const allocations = await database.all(`
+    SELECT ra.id, ra.person_id, ra.project_id, p.name as project_name, ra.role, ra.hours_per_week,
+      substr(COALESCE(ra.start_date, p.start_date), 1, 10) as start_date,
+      substr(COALESCE(ra.end_date, p.end_date), 1, 10) as end_date
+    FROM resource_allocations ra
+    INNER JOIN projects p ON p.id = ra.project_id
+    WHERE ra.person_id IS NOT NULL AND p.status NOT IN (${placeholders})
+    ORDER BY ra.id ASC
+  `, INACTIVE_PROJECT_STATUSES);
+
+  return computeCapacity({ people, allocations, start, weeks });
+}
+
+module.exports = {
+  weekStart,
+  computeCapacity,
+  getCapacityReport
+};
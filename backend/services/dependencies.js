@@ -0,0 +1,181 @@
+const database = require('../database');
+const { recordAudit } = require('./audit');
+
+/**
+ * Dependency graph of daily tasks: cycle detection and automatic blocking.
+ * A task is blocked while any task it depends on is not completed, and goes back
+ * to the status it had once they all are. Tasks a user blocked by hand stay blocked.
+ */
+
+/**
+ * Check whether making a task depend on another would close a cycle,
+ * i.e. whether the prerequisite already depends (directly or transitively) on the task
+ * @param {number} taskId - Task that would gain the dependency
+ * @param {number} dependsOnId - Prerequisite task
+ */
+async function wouldCreateCycle(taskId, dependsOnId) {
+  if (Number(taskId) === Number(dependsOnId)) return true;
+
+  const row = await database.get(`
+    WITH RECURSIVE prerequisites(id) AS (
+      SELECT depends_on_id FROM daily_task_dependencies WHERE task_id = ?
+      UNION
+      SELECT d.depends_on_id FROM daily_task_dependencies d
+      INNER JOIN prerequisites p ON d.task_id = p.id
+    )
+    SELECT 1 as found FROM prerequisites WHERE id = ?
+  `, [dependsOnId, taskId]);
+
+  return Boolean(row);
+}
+
+/**
+ * Get the tasks a task depends on that are not completed yet
+ * @param {number} taskId - Daily task ID
+ */
+function getUnfinishedPrerequisites(taskId) {
+  return database.all(`
+    SELECT t.id, t.title, t.status FROM daily_task_dependencies d
+    INNER JOIN daily_tasks t ON t.id = d.depends_on_id
+    WHERE d.task_id = ? AND t.status != 'completed'
+    ORDER BY t.id ASC
+  `, [taskId]);
+}
+
+/**
+ * Block a task while it has unfinished prerequisites and unblock it once it has none
+ * @param {Object} req - Express request (for the audit log)
+ * @param {number} taskId - Daily task ID
+ * @returns {Object} The task as it is now
+ */
+async function syncBlockedStatus(req, taskId) {
+  const task = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [taskId]);
+  if (!task || task.status === 'completed') return task;
+
+  const unfinished = await getUnfinishedPrerequisites(taskId);
+
+  if (unfinished.length > 0 && task.status !== 'blocked') {
+    await database.run(`
+      UPDATE daily_tasks SET status = 'blocked', status_before_block = ? WHERE id = ?
+    `, [task.status, taskId]);
+  } else if (unfinished.length === 0 && task.status === 'blocked' && task.status_before_block) {
+    await database.run(`
+      UPDATE daily_tasks SET status = status_before_block, status_before_block = NULL WHERE id = ?
+    `, [taskId]);
+  } else {
+    return task;
+  }
+
+  const updatedTask = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [taskId]);
+  await recordAudit(req, { entityType: 'daily_task', entityId: taskId, action: 'update', before: task, after: updatedTask });
+  return updatedTask;
+}
+
+/**
+ * Re-check every task that depends on a task whose status changed or that was removed
+ * @param {Object} req - Express request (for the audit log)
+ * @param {Array} dependentIds - IDs of the dependent tasks
+ */
+async function syncDependents(req, dependentIds) {
+  for (const dependentId of dependentIds) {
+    await syncBlockedStatus(req, dependentId);
+  }
+}
+
+/**
+ * Apply the blocking rules after a task was edited: block or unblock the task itself,
+ * then re-check its dependents if its status changed
+ * @param {Object} req - Express request (for the audit log)
+ * @param {number} taskId - Daily task ID
+ * @param {string} previousStatus - Status before the edit
+ * @returns {Object} The task as it is now
+ */
+async function syncAfterUpdate(req, taskId, previousStatus) {
+  const task = await syncBlockedStatus(req, taskId);
+  if (task.status !== previousStatus) {
+    await syncDependents(req, await getDependentIds(taskId));
+  }
+  return task;
+}
+
+/**
+ * Get the IDs of the tasks that directly depend on a task
+ * @param {number} taskId - Daily task ID
+ */
+async function getDependentIds(taskId) {
+  const rows = await database.all('SELECT task_id FROM daily_task_dependencies WHERE depends_on_id = ?', [taskId]);
+  return rows.map(row => row.task_id);
+}
+
+/**
+ * Attach the tasks each daily task depends on with a single query
+ * @param {Array} tasks - Daily task rows
+ */
+async function attachDependencies(tasks) {
+  if (tasks.length === 0) return tasks;
+
+  const placeholders = tasks.map(() => '?').join(', ');
+  const rows = await database.all(`
+    SELECT d.task_id, t.id, t.title, t.status FROM daily_task_dependencies d
+    INNER JOIN daily_tasks t ON t.id = d.depends_on_id
+    WHERE d.task_id IN (${placeholders})
+    ORDER BY t.id ASC
+  `, tasks.map(task => task.id));
+
+  for (const task of tasks) {
+    task.depends_on = rows
+      .filter(row => row.task_id === task.id)
+      .map(({ task_id, ...prerequisite }) => prerequisite);
+  }
+
+  return tasks;
+}
+
+/**
+ * Get the part of the dependency graph connected to a task: everything it
+ * transitively depends on and everything that transitively depends on it
+ * @param {number} taskId - Daily task ID
+ * @returns {Object} { nodes, edges } with edges as { task_id, depends_on_id }
+ */
+async function getDependencyGraph(taskId) {
+  const edges = await database.all(`
+    WITH RECURSIVE
+      upstream(task_id, depends_on_id) AS (
+        SELECT task_id, depends_on_id FROM daily_task_dependencies WHERE task_id = ?
+        UNION
+        SELECT d.task_id, d.depends_on_id FROM daily_task_dependencies d
+        INNER JOIN upstream u ON d.task_id = u.depends_on_id
+      ),
+      downstream(task_id, depends_on_id) AS (
+        SELECT task_id, depends_on_id FROM daily_task_dependencies WHERE depends_on_id = ?
+        UNION
+        SELECT d.task_id, d.depends_on_id FROM daily_task_dependencies d
+        INNER JOIN downstream w ON d.depends_on_id = w.task_id
+      )
+    SELECT * FROM upstream
+    UNION
+    SELECT * FROM downstream
+    ORDER BY task_id ASC, depends_on_id ASC
+  `, [taskId, taskId]);
+
+  const ids = [...new Set([Number(taskId), ...edges.flatMap(edge => [edge.task_id, edge.depends_on_id])])];
+  const placeholders = ids.map(() => '?').join(', ');
+  const nodes = await database.all(`
+    SELECT id, title, assigned_to, status, due_date FROM daily_tasks
+    WHERE id IN (${placeholders})
+    ORDER BY id ASC
+  `, ids);
+
+  return { nodes, edges };
+}
+
+module.exports = {
+  wouldCreateCycle,
+  getUnfinishedPrerequisites,
+  syncBlockedStatus,
+  syncDependents,
+  syncAfterUpdate,
+  getDependentIds,
+  attachDependencies,
+  getDependencyGraph
+};
@@ -0,0 +1,175 @@
+const database = require('../database');
+const { DURATION_SQL } = require('./time-tracking');
+const { today, addDays, daysBetween } = require('./recurrence');
+
+/**
+ * Project financials: planned labour cost from resource allocations, actual cost from the time
+ * logged on the project's tasks, burn rate and a forecast completion cost against the budget.
+ * Logged hours are costed at the hourly rate of the allocation whose resource_name matches the
+ * user's display name or username; hours nobody is allocated for use the project's blended rate.
+ */
+
+/**
+ * Round to cents
+ */
+function money(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Days of a date range that fall within [from, to], both inclusive
+ */
+function overlapDays(start, end, from, to) {
+  const first = start > from ? start : from;
+  const last = end < to ? end : to;
+  return first > last ? 0 : daysBetween(first, last) + 1;
+}
+
+/**
+ * Match a person's name against an allocation's resource_name
+ */
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/**
+ * Compute a project's financials
+ * @param {Object} options
+ * @param {Object} options.project - Project row (budget, start_date, end_date)
+ * @param {Array} options.allocations - The project's resource_allocations rows
+ * @param {Array} options.loggedHours - [{ username, display_name, hours }] logged on the project's tasks
+ * @param {string} options.on - Date the figures are computed for (defaults to today)
+ */
+function computeFinancials({ project, allocations, loggedHours, on = today() }) {
+  const projectStart = project.start_date ? project.start_date.slice(0, 10) : null;
+  const projectEnd = project.end_date ? project.end_date.slice(0, 10) : null;
+  const budget = project.budget || null;
+
+  const rows = allocations.map(allocation => {
+    // Allocations without their own dates run for the whole project
+    const start = allocation.start_date ? allocation.start_date.slice(0, 10) : projectStart;
+    const end = allocation.end_date ? allocation.end_date.slice(0, 10) : projectEnd;
+    const scheduled = Boolean(start && end && start <= end);
+    const weeklyCost = (allocation.hours_per_week || 0) * (allocation.hourly_rate || 0);
+
+    return {
+      id: allocation.id,
+      resource_name: allocation.resource_name,
+      role: allocation.role,
+      hours_per_week: allocation.hours_per_week,
+      hourly_rate: allocation.hourly_rate,
+      start_date: start,
+      end_date: end,
+      scheduled,
+      planned_hours: scheduled ? money(allocation.hours_per_week * (daysBetween(start, end) + 1) / 7) : 0,
+      planned_cost: scheduled ? money(weeklyCost * (daysBetween(start, end) + 1) / 7) : 0,
+      planned_cost_to_date: scheduled ? money(weeklyCost * overlapDays(start, end, start, on) / 7) : 0,
+      actual_hours: 0,
+      actual_cost: 0
+    };
+  });
+
+  // Hours-weighted average rate, used for logged hours that match no allocation
+  const allocatedHours = rows.reduce((sum, row) => sum + (row.hours_per_week || 0), 0);
+  const blendedRate = allocatedHours > 0
+    ? rows.reduce((sum, row) => sum + (row.hours_per_week || 0) * (row.hourly_rate || 0), 0) / allocatedHours
+    : 0;
+
+  let unmatchedHours = 0;
+  for (const person of loggedHours) {
+    const names = [normalizeName(person.display_name), normalizeName(person.username)];
+    const row = rows.find(candidate => names.includes(normalizeName(candidate.resource_name)));
+
+    if (row) {
+      row.actual_hours += person.hours;
+      row.actual_cost += person.hours * (row.hourly_rate || 0);
+    } else {
+      unmatchedHours += person.hours;
+    }
+  }
+
+  rows.forEach(row => {
+    row.actual_hours = money(row.actual_hours);
+    row.actual_cost = money(row.actual_cost);
+  });
+
+  const plannedCost = money(rows.reduce((sum, row) => sum + row.planned_cost, 0));
+  const plannedCostToDate = money(rows.reduce((sum, row) => sum + row.planned_cost_to_date, 0));
+  const unmatchedCost = money(unmatchedHours * blendedRate);
+  const actualCost = money(rows.reduce((sum, row) => sum + row.actual_cost, 0) + unmatchedCost);
+
+  // Burn rate over the weeks the project has been running
+  const elapsedDays = projectStart && projectStart <= on
+    ? daysBetween(projectStart, projectEnd && projectEnd < on ? projectEnd : on) + 1
+    : 0;
+  const burnRate = elapsedDays > 0 ? money(actualCost / (elapsedDays / 7)) : null;
+
+  // Forecast at the current burn rate to the end date; otherwise spend so far plus the rest of the plan
+  let forecastCost;
+  let forecastMethod;
+  if (burnRate !== null && projectEnd) {
+    const remainingDays = projectEnd > on ? daysBetween(addDays(on, 1), projectEnd) + 1 : 0;
+    forecastCost = money(actualCost + burnRate * remainingDays / 7);
+    forecastMethod = 'burn_rate';
+  } else {
+    forecastCost = money(actualCost + Math.max(0, plannedCost - plannedCostToDate));
+    forecastMethod = 'plan';
+  }
+
+  const warnings = [];
+  if (budget !== null && forecastCost > budget) {
+    warnings.push(`Forecast cost ${forecastCost.toFixed(2)} exceeds the budget of ${budget.toFixed(2)} by ${(forecastCost - budget).toFixed(2)}`);
+  }
+  if (budget !== null && plannedCost > budget) {
+    warnings.push(`Planned cost ${plannedCost.toFixed(2)} exceeds the budget of ${budget.toFixed(2)}`);
+  }
+  if (rows.some(row => !row.scheduled)) {
+    warnings.push('Some allocations have no dates and the project has none to fall back on; they are not in the planned cost');
+  }
+
+  return {
+    budget,
+    planned_cost: plannedCost,
+    planned_cost_to_date: plannedCostToDate,
+    actual_hours: money(rows.reduce((sum, row) => sum + row.actual_hours, 0) + unmatchedHours),
+    actual_cost: actualCost,
+    remaining_budget: budget !== null ? money(budget - actualCost) : null,
+    burn_rate_per_week: burnRate,
+    forecast_cost: forecastCost,
+    forecast_method: forecastMethod,
+    over_budget: budget !== null && forecastCost > budget,
+    warnings,
+    allocations: rows,
+    unmatched_hours: money(unmatchedHours),
+    unmatched_cost: unmatchedCost,
+    as_of: on
+  };
+}
+
+/**
+ * Load and compute a project's financials
+ * @param {Object} project - Project row
+ * @param {Object} options - { on } date the figures are computed for (defaults to today)
+ */
+async function getProjectFinancials(project, { on = today() } = {}) {
+  const allocations = await database.all(`
+    SELECT * FROM resource_allocations WHERE project_id = ? ORDER BY created_at ASC, id ASC
+  `, [project.id]);
+
+  const loggedHours = await database.all(`
+    SELECT u.username, u.display_name, SUM(${DURATION_SQL}) / 3600.0 as hours
+    FROM time_entries te
+    INNER JOIN project_tasks pt ON pt.task_id = te.task_id
+    INNER JOIN users u ON u.id = te.user_id
+    WHERE pt.project_id = ?
+    GROUP BY u.id
+    ORDER BY u.id ASC
+  `, [project.id]);
+
+  return { project_id: project.id, ...computeFinancials({ project, allocations, loggedHours, on }) };
+}
+
+module.exports = {
+  computeFinancials,
+  getProjectFinancials
+};
@@ -0,0 +1,91 @@
+const database = require('../database');
+
+/**
+ * Paging, sorting and field projection shared by the list endpoints.
+ * The query options are validated (and sort/fields parsed) by listQuerySchema in middleware/validation.js.
+ */
+
+/**
+ * Build the pagination metadata returned next to a page of rows
+ * @param {number} total - Rows matching the filters
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows skipped
+ */
+function paginationMeta(total, limit, offset) {
+  const hasMore = offset + limit < total;
+  return {
+    total,
+    limit,
+    offset,
+    has_more: hasMore,
+    next_offset: hasMore ? offset + limit : null
+  };
+}
+
+/**
+ * Check whether a field was asked for (everything is, when fields= is absent)
+ * @param {Object} query - Validated list query
+ * @param {string} field - Field or relation name
+ */
+function wantsField(query, field) {
+  return !query.fields || query.fields.includes(field);
+}
+
+/**
+ * Group rows by a key column, so child rows fetched in one query can be attached to their parents
+ * @param {Array} rows - Child rows
+ * @param {string} key - Column holding the parent id
+ * @returns {Map} Parent id => rows, in their original order
+ */
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Fetch one page of rows from a table
+ * @param {Object} options
+ * @param {string} options.table - Table to read
+ * @param {Array} options.columns - Columns of the table (fields= may also name relations, which are skipped here)
+ * @param {Object} options.query - Validated list query ({ limit, offset, sort, fields })
+ * @param {Array} options.conditions - SQL conditions joined with AND
+ * @param {Array} options.params - Parameters for the conditions
+ * @returns {Object} { rows, pagination }
+ */
+async function fetchPage({ table, columns, query, conditions = [], params = [] }) {
+  const { limit, offset, sort } = query;
+  const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+  // The id is always selected so relations can be attached and rows told apart
+  const selected = query.fields
+    ? ['id', ...query.fields.filter(field => field !== 'id' && columns.includes(field))]
+    : ['*'];
+
+  // Sort fields are checked against an allowlist by the validator; id breaks ties so pages never overlap
+  const orderBy = sort.map(({ field, direction }) => `${field} ${direction.toUpperCase()}`);
+  if (!sort.some(({ field }) => field === 'id')) {
+    orderBy.push(`id ${sort[sort.length - 1].direction.toUpperCase()}`);
+  }
+
+  const rows = await database.all(`
+    SELECT ${selected.join(', ')} FROM ${table}
+    ${whereClause}
+    ORDER BY ${orderBy.join(', ')}
+    LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+
+  const { total } = await database.get(`SELECT COUNT(*) as total FROM ${table} ${whereClause}`, params);
+
+  return { rows, pagination: paginationMeta(total, limit, offset) };
+}
+
+module.exports = {
+  paginationMeta,
+  wantsField,
+  groupBy,
+  fetchPage
+};
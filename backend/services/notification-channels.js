@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Pluggable channels that deliver notifications such as missing-report reminders.
+ * A channel is an object with an async send(message) that throws when delivery fails;
+ * REMINDER_CHANNELS names the channels reminders go out on.
+ */
+
+const channels = new Map();
+
+/**
+ * Make a channel available under a name
+ * @param {string} name - Name used in REMINDER_CHANNELS and stored on each reminder
+ * @param {Object} channel - { send(message) }
+ */
+function registerChannel(name, channel) {
+  channels.set(name, channel);
+}
+
+/**
+ * Get a registered channel, or null
+ * @param {string} name - Channel name
+ */
+function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+/**
+ * Names of the channels reminders go out on (comma-separated REMINDER_CHANNELS, defaults to file)
+ */
+function getEnabledChannels() {
+  return (process.env.REMINDER_CHANNELS || 'file')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// Appends each message as a JSON line to REMINDER_FILE (defaults to report-reminders.log in the temp directory)
+registerChannel('file', {
+  async send(message) {
+    const file = process.env.REMINDER_FILE || path.join(os.tmpdir(), 'report-reminders.log');
+    await fs.promises.appendFile(file, `${JSON.stringify({ sent_at: new Date().toISOString(), ...message })}\n`);
+  }
+});
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  getEnabledChannels
+};
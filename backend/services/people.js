@@ -0,0 +1,35 @@
+const database = require('../database');
+const { recordAudit } = require('./audit');
+
+/**
+ * People booked through resource allocations. Allocations keep resource_name for display,
+ * always spelled as the person's name; person_id is the link the capacity report relies on.
+ */
+
+// Weekly hours a new person can be booked for
+const DEFAULT_WEEKLY_CAPACITY_HOURS = Number(process.env.DEFAULT_WEEKLY_CAPACITY_HOURS) || 40;
+
+/**
+ * Find a person by name (ignoring case and surrounding spaces), creating them if needed
+ * @param {Object} req - Express request (for the audit log)
+ * @param {string} name - Name as typed on the allocation
+ * @returns {Object} The person row
+ */
+async function findOrCreatePerson(req, name) {
+  const trimmed = name.trim();
+  const existing = await database.get('SELECT * FROM people WHERE name = ?', [trimmed]);
+  if (existing) return existing;
+
+  const result = await database.run(`
+    INSERT INTO people (name, weekly_capacity_hours) VALUES (?, ?)
+  `, [trimmed, DEFAULT_WEEKLY_CAPACITY_HOURS]);
+
+  const person = await database.get('SELECT * FROM people WHERE id = ?', [result.lastID]);
+  await recordAudit(req, { entityType: 'person', entityId: person.id, action: 'create', after: person });
+  return person;
+}
+
+module.exports = {
+  DEFAULT_WEEKLY_CAPACITY_HOURS,
+  findOrCreatePerson
+};
@@ -0,0 +1,132 @@
+const database = require('../database');
+const { DURATION_SQL } = require('./time-tracking');
+
+/**
+ * Project progress, measured one of four ways (projects.progress_mode):
+ * - milestones: share of milestones completed
+ * - tasks: share of linked tasks completed
+ * - hours: hours earned against the estimates of the linked tasks. A completed task earns its
+ *   whole estimate; an open one earns the hours logged on it, up to its estimate
+ * - weighted: a weighted mix of the three, over whichever of them the project has data for
+ * A completed project is always at 100%.
+ */
+
+const PROGRESS_MODES = ['milestones', 'tasks', 'hours', 'weighted'];
+
+// Share of each measure in the weighted mode
+const PROGRESS_WEIGHTS = { milestones: 0.4, tasks: 0.4, hours: 0.2 };
+
+// Working hours per day, for tasks estimated only by duration_days
+const HOURS_PER_DAY = 8;
+
+/**
+ * Round a ratio to a whole percentage
+ */
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : null;
+}
+
+/**
+ * Compute a project's progress
+ * @param {Object} project - { status, progress_mode }
+ * @param {Object} measures
+ * @param {number} measures.milestonesTotal - Milestones in the project
+ * @param {number} measures.milestonesDone - Completed milestones
+ * @param {Array} measures.tasks - Linked tasks: { completed, estimated_hours, duration_days, logged_hours }
+ * @returns {Object} { mode, percent, components } - components hold each measure, with a null
+ *   percent when the project has nothing to measure it by
+ */
+function computeProgress(project, { milestonesTotal, milestonesDone, tasks }) {
+  const tasksDone = tasks.filter(task => task.completed).length;
+
+  let estimatedHours = 0;
+  let earnedHours = 0;
+  let loggedHours = 0;
+  for (const task of tasks) {
+    const estimate = task.estimated_hours !== null && task.estimated_hours !== undefined
+      ? task.estimated_hours
+      : task.duration_days * HOURS_PER_DAY;
+
+    estimatedHours += estimate;
+    loggedHours += task.logged_hours;
+    earnedHours += task.completed ? estimate : Math.min(task.logged_hours, estimate);
+  }
+
+  const components = {
+    milestones: { done: milestonesDone, total: milestonesTotal, percent: percent(milestonesDone, milestonesTotal) },
+    tasks: { done: tasksDone, total: tasks.length, percent: percent(tasksDone, tasks.length) },
+    hours: {
+      earned: Math.round(earnedHours * 100) / 100,
+      logged: Math.round(loggedHours * 100) / 100,
+      estimated: Math.round(estimatedHours * 100) / 100,
+      percent: percent(earnedHours, estimatedHours)
+    }
+  };
+
+  const mode = project.progress_mode || 'weighted';
+  let value;
+
+  if (project.status === 'completed') {
+    value = 100;
+  } else if (mode === 'weighted') {
+    const measured = Object.keys(PROGRESS_WEIGHTS).filter(name => components[name].percent !== null);
+    const totalWeight = measured.reduce((sum, name) => sum + PROGRESS_WEIGHTS[name], 0);
+    value = totalWeight > 0
+      ? Math.round(measured.reduce((sum, name) => sum + components[name].percent * PROGRESS_WEIGHTS[name], 0) / totalWeight)
+      : 0;
+  } else {
+    value = components[mode].percent || 0;
+  }
+
+  return { mode, percent: value, components };
+}
+
+/**
+ * Attach progress to each project using one query per measure
+ * @param {Array} projects - Project rows (any selection of columns, as long as id is there)
+ */
+async function attachProgress(projects) {
+  if (projects.length === 0) return projects;
+
+  const placeholders = projects.map(() => '?').join(', ');
+  const projectIds = projects.map(project => project.id);
+
+  const summaries = await database.all(`
+    SELECT p.id, p.status, p.progress_mode,
+      COUNT(m.id) as milestones_total,
+      COALESCE(SUM(CASE WHEN m.completed THEN 1 ELSE 0 END), 0) as milestones_done
+    FROM projects p
+    LEFT JOIN project_milestones m ON m.project_id = p.id
+    WHERE p.id IN (${placeholders})
+    GROUP BY p.id
+  `, projectIds);
+
+  const tasks = await database.all(`
+    SELECT pt.project_id, t.completed, pt.estimated_hours, pt.duration_days,
+      COALESCE((SELECT SUM(${DURATION_SQL}) FROM time_entries te WHERE te.task_id = pt.task_id), 0) / 3600.0 as logged_hours
+    FROM project_tasks pt
+    INNER JOIN tasks t ON t.id = pt.task_id
+    WHERE pt.project_id IN (${placeholders})
+  `, projectIds);
+
+  for (const project of projects) {
+    const summary = summaries.find(row => row.id === project.id);
+    project.progress = computeProgress(summary, {
+      milestonesTotal: summary.milestones_total,
+      milestonesDone: summary.milestones_done,
+      tasks: tasks
+        .filter(task => task.project_id === project.id)
+        .map(task => ({ ...task, completed: Boolean(task.completed) }))
+    });
+  }
+
+  return projects;
+}
+
+module.exports = {
+  PROGRESS_MODES,
+  PROGRESS_WEIGHTS,
+  HOURS_PER_DAY,
+  computeProgress,
+  attachProgress
+};
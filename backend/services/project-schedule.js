@@ -0,0 +1,244 @@
+const database = require('../database');
+const { today, addDays, daysBetween } = require('./recurrence');
+
+/**
+ * Critical path scheduling for projects. Project tasks and milestones are the schedule items;
+ * each has a duration in calendar days and may wait on predecessors. The schedule runs from the
+ * project's start date, and work that is not completed cannot start before today, so late work
+ * pushes the projected end date out.
+ */
+
+const ITEM_TYPES = ['task', 'milestone'];
+
+/**
+ * Key identifying a schedule item across both item types
+ */
+function itemKey(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * Load a project's tasks and milestones as schedule items
+ * @param {number} projectId - Project ID
+ */
+async function loadScheduleItems(projectId) {
+  const tasks = await database.all(`
+    SELECT t.id, t.name as title, t.completed, pt.duration_days FROM project_tasks pt
+    INNER JOIN tasks t ON t.id = pt.task_id
+    WHERE pt.project_id = ?
+    ORDER BY pt.created_at ASC, pt.id ASC
+  `, [projectId]);
+
+  const milestones = await database.all(`
+    SELECT id, title, completed, duration_days, due_date FROM project_milestones
+    WHERE project_id = ?
+    ORDER BY due_date ASC, id ASC
+  `, [projectId]);
+
+  return [
+    ...tasks.map(task => ({ type: 'task', ...task, completed: Boolean(task.completed) })),
+    ...milestones.map(milestone => ({ type: 'milestone', ...milestone, completed: Boolean(milestone.completed) }))
+  ];
+}
+
+/**
+ * Load a project's predecessor links
+ * @param {number} projectId - Project ID
+ */
+function loadLinks(projectId) {
+  return database.all('SELECT * FROM project_schedule_links WHERE project_id = ? ORDER BY id ASC', [projectId]);
+}
+
+/**
+ * Check whether making an item wait on a predecessor would close a cycle,
+ * i.e. whether the item already comes (directly or transitively) before the predecessor
+ * @param {Array} links - The project's existing links
+ * @param {Object} item - { type, id }
+ * @param {Object} predecessor - { type, id }
+ */
+function wouldCreateCycle(links, item, predecessor) {
+  const target = itemKey(item.type, item.id);
+  const pending = [itemKey(predecessor.type, predecessor.id)];
+  const seen = new Set();
+
+  while (pending.length > 0) {
+    const key = pending.pop();
+    if (key === target) return true;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    links
+      .filter(link => itemKey(link.item_type, link.item_id) === key)
+      .forEach(link => pending.push(itemKey(link.predecessor_type, link.predecessor_id)));
+  }
+
+  return false;
+}
+
+/**
+ * Compute the schedule: earliest and latest start per item, slack, the critical path,
+ * and the projected end date against the planned one
+ * @param {Object} options
+ * @param {string} options.startDate - YYYY-MM-DD the schedule runs from
+ * @param {string} options.plannedEndDate - The project's end_date, if any
+ * @param {Array} options.items - Schedule items from loadScheduleItems
+ * @param {Array} options.links - Predecessor links; links to items not in `items` are ignored
+ * @param {string} options.on - Date to schedule from (defaults to today)
+ */
+function computeSchedule({ startDate, plannedEndDate = null, items, links, on = today() }) {
+  const nodes = new Map(items.map(item => [itemKey(item.type, item.id), {
+    ...item,
+    predecessors: [],
+    successors: [],
+    links: []
+  }]));
+
+  for (const link of links) {
+    const node = nodes.get(itemKey(link.item_type, link.item_id));
+    const predecessor = nodes.get(itemKey(link.predecessor_type, link.predecessor_id));
+    if (!node || !predecessor) continue;
+
+    node.predecessors.push(predecessor);
+    node.links.push({ type: predecessor.type, id: predecessor.id, link_id: link.id });
+    predecessor.successors.push(node);
+  }
+
+  // Topological order (Kahn), keeping the input order among independent items
+  const order = [];
+  const waiting = new Map([...nodes].map(([key, node]) => [key, node.predecessors.length]));
+  const ready = [...nodes.values()].filter(node => node.predecessors.length === 0);
+  while (ready.length > 0) {
+    const node = ready.shift();
+    order.push(node);
+    for (const successor of node.successors) {
+      const key = itemKey(successor.type, successor.id);
+      waiting.set(key, waiting.get(key) - 1);
+      if (waiting.get(key) === 0) ready.push(successor);
+    }
+  }
+
+  if (order.length !== nodes.size) {
+    throw new Error('Schedule links contain a cycle');
+  }
+
+  // Days from the start date before which unfinished work cannot begin
+  const elapsed = Math.max(0, daysBetween(startDate, on));
+
+  // Forward pass: earliest start and finish, as day offsets from the start date
+  for (const node of order) {
+    const earliest = Math.max(0, ...node.predecessors.map(predecessor => predecessor.earliestFinish));
+    node.earliestStart = node.completed ? earliest : Math.max(earliest, elapsed);
+    node.earliestFinish = node.earliestStart + node.duration_days;
+  }
+
+  const finish = Math.max(0, ...order.map(node => node.earliestFinish));
+
+  // Backward pass: latest start and finish that keep the projected end date
+  for (const node of [...order].reverse()) {
+    node.latestFinish = Math.min(finish, ...node.successors.map(successor => successor.latestStart));
+    node.latestStart = node.latestFinish - node.duration_days;
+  }
+
+  // An item occupies days earliestStart..earliestFinish - 1; zero-length items sit on earliestStart
+  const lastDay = node => Math.max(node.earliestStart, node.earliestFinish - 1);
+
+  const scheduled = order.map(node => {
+    const slack = node.latestStart - node.earliestStart;
+    const finishDate = addDays(startDate, lastDay(node));
+
+    return {
+      type: node.type,
+      id: node.id,
+      title: node.title,
+      duration_days: node.duration_days,
+      completed: node.completed,
+      predecessors: node.links,
+      start_date: addDays(startDate, node.earliestStart),
+      finish_date: finishDate,
+      slack_days: slack,
+      critical: slack === 0,
+      ...(node.type === 'milestone' ? {
+        due_date: node.due_date,
+        projected_slip_days: node.due_date ? Math.max(0, daysBetween(node.due_date, finishDate)) : null
+      } : {})
+    };
+  });
+
+  const projectedEndDate = scheduled.length > 0
+    ? addDays(startDate, Math.max(...order.map(lastDay)))
+    : null;
+
+  const milestones = scheduled.filter(item => item.type === 'milestone' && !item.completed && item.due_date);
+
+  return {
+    start_date: startDate,
+    planned_end_date: plannedEndDate,
+    projected_end_date: projectedEndDate,
+    slip_days: plannedEndDate && projectedEndDate ? daysBetween(plannedEndDate, projectedEndDate) : null,
+    critical_path: scheduled
+      .filter(item => item.critical)
+      .map(({ type, id, title }) => ({ type, id, title })),
+    items: scheduled,
+    overdue_milestones: milestones
+      .filter(milestone => milestone.due_date < on)
+      .map(({ id, title, due_date }) => ({ id, title, due_date, days_overdue: daysBetween(due_date, on) })),
+    at_risk_milestones: milestones
+      .filter(milestone => milestone.due_date >= on && milestone.projected_slip_days > 0)
+      .map(({ id, title, due_date, finish_date, projected_slip_days }) => ({
+        id, title, due_date, projected_date: finish_date, projected_slip_days
+      }))
+  };
+}
+
+/**
+ * Load and compute a project's schedule
+ * @param {Object} project - Project row
+ * @param {Object} options - { on } date to schedule from (defaults to today)
+ */
+async function getProjectSchedule(project, { on = today() } = {}) {
+  const schedule = computeSchedule({
+    startDate: (project.start_date || project.created_at).slice(0, 10),
+    plannedEndDate: project.end_date ? project.end_date.slice(0, 10) : null,
+    items: await loadScheduleItems(project.id),
+    links: await loadLinks(project.id),
+    on
+  });
+
+  return { project_id: project.id, ...schedule };
+}
+
+/**
+ * Remove the links to and from an item that left the project
+ * @param {number} projectId - Project ID
+ * @param {string} type - 'task' or 'milestone'
+ * @param {number} id - Task or milestone ID
+ */
+function removeScheduleLinks(projectId, type, id) {
+  return database.run(`
+    DELETE FROM project_schedule_links
+    WHERE project_id = ? AND ((item_type = ? AND item_id = ?) OR (predecessor_type = ? AND predecessor_id = ?))
+  `, [projectId, type, id, type, id]);
+}
+
+/**
+ * Remove a deleted task's links from every project it was scheduled in
+ * @param {number} taskId - Task ID
+ */
+function removeTaskScheduleLinks(taskId) {
+  return database.run(`
+    DELETE FROM project_schedule_links
+    WHERE (item_type = 'task' AND item_id = ?) OR (predecessor_type = 'task' AND predecessor_id = ?)
+  `, [taskId, taskId]);
+}
+
+module.exports = {
+  ITEM_TYPES,
+  itemKey,
+  loadScheduleItems,
+  loadLinks,
+  wouldCreateCycle,
+  computeSchedule,
+  getProjectSchedule,
+  removeScheduleLinks,
+  removeTaskScheduleLinks
+};
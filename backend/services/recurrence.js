@@ -0,0 +1,294 @@
+const database = require('../database');
+const { recordAudit } = require('./audit');
+
+/**
+ * Recurrence rules for daily task templates and the generator that turns them into daily_tasks rows.
+ * Rules are stored as an RRULE subset: FREQ=DAILY|WEEKLY|MONTHLY with optional
+ * INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly, -1 for the last day), COUNT and UNTIL.
+ */
+
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Named presets accepted in place of an RRULE
+const PRESETS = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+// How many days ahead the scheduler creates occurrences
+const GENERATION_HORIZON_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date
+ */
+function parseDate(value) {
+  return new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a YYYY-MM-DD string by a number of days
+ */
+function addDays(value, days) {
+  return formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+}
+
+/**
+ * Whole days from one YYYY-MM-DD string to another (negative when `to` is earlier)
+ */
+function daysBetween(from, to) {
+  return Math.round((parseDate(to).getTime() - parseDate(from).getTime()) / DAY_MS);
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ */
+function today() {
+  return formatDate(new Date());
+}
+
+/**
+ * Parse an RRULE string into its parts
+ * @param {string} rrule - e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH
+ * @returns {Object} { freq, interval, byDay, byMonthDay, count, until }
+ * @throws {Error} When the rule is outside the supported subset
+ */
+function parseRule(rrule) {
+  const parts = {};
+  for (const part of String(rrule).replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      throw new Error(`Malformed recurrence rule part "${part}"`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: 1,
+    byDay: null,
+    byMonthDay: null,
+    count: null,
+    until: null
+  };
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(rule.freq)) {
+    throw new Error('Recurrence FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+
+  for (const key of Object.keys(parts)) {
+    if (!['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'].includes(key)) {
+      throw new Error(`Recurrence rule part ${key} is not supported`);
+    }
+  }
+
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = Number(parts.INTERVAL);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+      throw new Error('Recurrence INTERVAL must be a positive whole number');
+    }
+  }
+
+  if (parts.BYDAY !== undefined) {
+    if (rule.freq !== 'WEEKLY') {
+      throw new Error('Recurrence BYDAY is only supported with FREQ=WEEKLY');
+    }
+    rule.byDay = parts.BYDAY.split(',');
+    if (rule.byDay.some(day => !WEEKDAYS.includes(day))) {
+      throw new Error('Recurrence BYDAY must list days as MO,TU,WE,TH,FR,SA,SU');
+    }
+  }
+
+  if (parts.BYMONTHDAY !== undefined) {
+    if (rule.freq !== 'MONTHLY') {
+      throw new Error('Recurrence BYMONTHDAY is only supported with FREQ=MONTHLY');
+    }
+    rule.byMonthDay = Number(parts.BYMONTHDAY);
+    if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay === 0 || rule.byMonthDay < -1 || rule.byMonthDay > 31) {
+      throw new Error('Recurrence BYMONTHDAY must be 1-31 or -1 for the last day');
+    }
+  }
+
+  if (parts.COUNT !== undefined) {
+    rule.count = Number(parts.COUNT);
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      throw new Error('Recurrence COUNT must be a positive whole number');
+    }
+  }
+
+  if (parts.UNTIL !== undefined) {
+    const match = parts.UNTIL.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (!match) {
+      throw new Error('Recurrence UNTIL must be a date such as 20261231');
+    }
+    rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  return rule;
+}
+
+/**
+ * Turn a preset name or RRULE into a stored RRULE
+ * @param {string} recurrence - daily, weekdays, weekly, monthly or an RRULE
+ * @param {Object} options
+ * @param {Array} options.days - Weekdays (MO..SU) for the weekly preset
+ * @param {string} options.startDate - First day of the template, used for weekly and monthly defaults
+ */
+function normalizeRecurrence(recurrence, { days = null, startDate }) {
+  const start = parseDate(startDate);
+
+  switch (recurrence) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'weekdays':
+      return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+    case 'weekly':
+      return `FREQ=WEEKLY;BYDAY=${(days && days.length > 0 ? days : [WEEKDAYS[start.getUTCDay()]]).join(',')}`;
+    case 'monthly':
+      return `FREQ=MONTHLY;BYMONTHDAY=${start.getUTCDate()}`;
+    default: {
+      // Validate and tidy the RRULE so it is stored in one form
+      const rule = parseRule(recurrence);
+      return [
+        `FREQ=${rule.freq}`,
+        rule.interval > 1 && `INTERVAL=${rule.interval}`,
+        rule.byDay && `BYDAY=${rule.byDay.join(',')}`,
+        rule.byMonthDay && `BYMONTHDAY=${rule.byMonthDay}`,
+        rule.count && `COUNT=${rule.count}`,
+        rule.until && `UNTIL=${rule.until.replace(/-/g, '')}`
+      ].filter(Boolean).join(';');
+    }
+  }
+}
+
+/**
+ * Check whether a date falls on the rule's pattern (ignoring COUNT and UNTIL)
+ */
+function matchesRule(rule, start, date) {
+  const daysSinceStart = Math.round((date - start) / DAY_MS);
+
+  if (rule.freq === 'DAILY') {
+    return daysSinceStart % rule.interval === 0;
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay || [WEEKDAYS[start.getUTCDay()]];
+    // Weeks run Monday to Sunday, counted from the start date's week
+    const startWeek = Math.floor((daysSinceStart + (start.getUTCDay() + 6) % 7) / 7);
+    return startWeek % rule.interval === 0 && days.includes(WEEKDAYS[date.getUTCDay()]);
+  }
+
+  const monthsSinceStart = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+  if (monthsSinceStart % rule.interval !== 0) return false;
+
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  const monthDay = rule.byMonthDay || start.getUTCDate();
+  // Days past the end of a short month fall on its last day
+  const target = monthDay === -1 ? lastDay : Math.min(monthDay, lastDay);
+  return date.getUTCDate() === target;
+}
+
+/**
+ * List a template's occurrence dates within a range
+ * @param {Object} template - Template row ({ recurrence, start_date, end_date })
+ * @param {string} from - First date to include (YYYY-MM-DD)
+ * @param {string} to - Last date to include (YYYY-MM-DD)
+ * @returns {Array} Dates as YYYY-MM-DD, oldest first
+ */
+function occurrencesBetween(template, from, to) {
+  const rule = parseRule(template.recurrence);
+  const start = parseDate(template.start_date);
+  const limits = [to, template.end_date, rule.until].filter(Boolean).map(value => String(value).slice(0, 10));
+  const last = parseDate(limits.sort()[0]);
+  const first = parseDate(from);
+  const dates = [];
+
+  // COUNT counts from the start date, so walk from there even when the range starts later
+  let seen = 0;
+  for (let date = start; date <= last; date = new Date(date.getTime() + DAY_MS)) {
+    if (!matchesRule(rule, start, date)) continue;
+
+    seen++;
+    if (rule.count && seen > rule.count) break;
+    if (date >= first) dates.push(formatDate(date));
+  }
+
+  return dates;
+}
+
+/**
+ * Create the daily task for one occurrence of a template, unless it exists or was skipped
+ * @param {Object} template - Template row
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @param {Object} req - Request of the user who caused the generation, if any (for the audit log)
+ * @returns {Object|null} The new daily task, or null when nothing was created
+ */
+async function createOccurrence(template, date, req = {}) {
+  const skipped = await database.get(`
+    SELECT id FROM daily_task_template_skips WHERE template_id = ? AND occurrence_date = ?
+  `, [template.id, date]);
+  if (skipped) return null;
+
+  // The unique (template_id, occurrence_date) index makes generation idempotent
+  const result = await database.run(`
+    INSERT OR IGNORE INTO daily_tasks
+      (title, description, assigned_to, priority, due_date, estimated_hours, template_id, occurrence_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    template.title, template.description, template.assigned_to, template.priority,
+    date, template.estimated_hours, template.id, date
+  ]);
+
+  if (result.changes === 0) return null;
+
+  const task = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [result.lastID]);
+  await recordAudit(req, { entityType: 'daily_task', entityId: task.id, action: 'create', after: task });
+  return task;
+}
+
+/**
+ * Create the daily tasks of active templates from today up to the generation horizon
+ * @param {Object} options
+ * @param {number} options.templateId - Only generate for this template
+ * @param {string} options.from - First date to generate (defaults to today)
+ * @param {number} options.horizonDays - Days ahead of `from` to generate
+ * @param {Object} options.req - Request of the user who caused the generation; the scheduler has none
+ * @returns {Array} Daily tasks that were created
+ */
+async function generateOccurrences({ templateId = null, from = today(), horizonDays = GENERATION_HORIZON_DAYS, req = {} } = {}) {
+  const templates = templateId
+    ? await database.all('SELECT * FROM daily_task_templates WHERE id = ? AND active = 1', [templateId])
+    : await database.all('SELECT * FROM daily_task_templates WHERE active = 1');
+
+  const to = addDays(from, horizonDays);
+  const created = [];
+
+  for (const template of templates) {
+    for (const date of occurrencesBetween(template, from, to)) {
+      const task = await createOccurrence(template, date, req);
+      if (task) created.push(task);
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  WEEKDAYS,
+  PRESETS,
+  GENERATION_HORIZON_DAYS,
+  today,
+  addDays,
+  daysBetween,
+  parseRule,
+  normalizeRecurrence,
+  occurrencesBetween,
+  createOccurrence,
+  generateOccurrences
+};
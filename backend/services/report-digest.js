@@ -0,0 +1,202 @@
+const database = require('../database');
+const { today } = require('./recurrence');
+const { attachReportTasks } = require('./report-tasks');
+const { getRosteredReporters } = require('./report-reminders');
+const { canSeeMoodAverage } = require('./wellbeing');
+
+/**
+ * Team digest of every progress report for a date, as data, Markdown or HTML
+ */
+
+// Note fields behind each report bucket
+const BUCKET_NOTES = {
+  completed: 'tasks_completed',
+  in_progress: 'tasks_in_progress',
+  blocked: 'tasks_blocked'
+};
+
+// Formats the digest is served in
+const DIGEST_FORMATS = ['json', 'markdown', 'html'];
+
+// Digest sections in the order they are exported; blockers come first
+const DIGEST_SECTIONS = [
+  { key: 'blockers', title: 'Blockers' },
+  { key: 'completed', title: 'Completed' },
+  { key: 'in_progress', title: 'In progress' }
+];
+
+// Two decimal places; a missing average stays null
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Split a notes field into items, dropping list bullets and blank lines
+ * @param {string} notes - Free-form notes, one item per line
+ */
+function noteLines(notes) {
+  return String(notes || '')
+    .split('\n')
+    .map(line => line.trim().replace(/^[-*•]\s*/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Merge a report bucket's linked tasks and note lines into digest items.
+ * A note line that starts with a linked task's title (as drafted reports write them) describes that task.
+ * @param {Object} report - Progress report with its linked tasks
+ * @param {string} bucket - completed, in_progress or blocked
+ * @returns {Array} { reporter_name, daily_task_id, text }
+ */
+function bucketItems(report, bucket) {
+  const lines = noteLines(report[BUCKET_NOTES[bucket]]);
+
+  const taskItems = report.tasks[bucket].map(task => {
+    const index = lines.findIndex(line => line.startsWith(task.title));
+    const text = index === -1 ? task.title : lines.splice(index, 1)[0];
+    return { reporter_name: report.reporter_name, daily_task_id: task.id, text };
+  });
+
+  const noteItems = lines.map(text => ({ reporter_name: report.reporter_name, daily_task_id: null, text }));
+
+  return [...taskItems, ...noteItems];
+}
+
+/**
+ * Get the people expected to report on a date: the report roster's members who work that weekday,
+ * or everyone with a daily task due that day while the roster is empty
+ * @param {string} date - YYYY-MM-DD
+ */
+async function getExpectedReporters(date) {
+  const { count } = await database.get('SELECT COUNT(*) as count FROM report_roster WHERE active = 1');
+  if (count > 0) return getRosteredReporters(date);
+
+  const rows = await database.all(`
+    SELECT trim(assigned_to) as name FROM daily_tasks
+    WHERE substr(due_date, 1, 10) = ?
+    GROUP BY trim(assigned_to) COLLATE NOCASE
+    ORDER BY name COLLATE NOCASE ASC
+  `, [date]);
+
+  return rows.map(row => row.name);
+}
+
+/**
+ * Build the team digest for a date
+ * @param {Object} options
+ * @param {string} options.date - YYYY-MM-DD (defaults to today)
+ * @param {Object} [options.user] - Signed-in user; the mood average is null when they may not see it
+ * @returns {Object} { date, totals, blockers, completed, in_progress, submitted, missing }
+ */
+async function buildDigest({ date = today(), user } = {}) {
+  const reports = await database.all(`
+    SELECT * FROM daily_progress_reports
+    WHERE report_date = ?
+    ORDER BY reporter_name COLLATE NOCASE ASC, id ASC
+  `, [date]);
+  await attachReportTasks(reports);
+
+  const submitted = reports.map(report => report.reporter_name);
+  const reported = new Set(submitted.map(name => name.toLowerCase()));
+  const missing = (await getExpectedReporters(date)).filter(name => !reported.has(name.toLowerCase()));
+
+  const average = field => (reports.length > 0
+    ? round(reports.reduce((sum, report) => sum + report[field], 0) / reports.length)
+    : null);
+
+  return {
+    date,
+    totals: {
+      reports: reports.length,
+      hours_worked: round(reports.reduce((sum, report) => sum + report.hours_worked, 0)),
+      average_mood_rating: !user || canSeeMoodAverage(user, submitted) ? average('mood_rating') : null,
+      average_productivity_score: average('productivity_score')
+    },
+    blockers: reports.flatMap(report => bucketItems(report, 'blocked')),
+    completed: reports.flatMap(report => bucketItems(report, 'completed')),
+    in_progress: reports.flatMap(report => bucketItems(report, 'in_progress')),
+    submitted,
+    missing
+  };
+}
+
+/**
+ * One-line summary of the digest totals
+ */
+function describeTotals({ totals }) {
+  const parts = [`${totals.reports} report${totals.reports === 1 ? '' : 's'}`, `${totals.hours_worked}h worked`];
+  if (totals.average_mood_rating !== null) parts.push(`mood ${totals.average_mood_rating}/5`);
+  if (totals.reports > 0) parts.push(`productivity ${totals.average_productivity_score}/5`);
+  return parts.join(' · ');
+}
+
+/**
+ * Render a digest as Markdown
+ * @param {Object} digest - From buildDigest
+ */
+function renderDigestMarkdown(digest) {
+  const list = lines => (lines.length > 0 ? lines.map(line => `- ${line}`) : ['- None']);
+
+  return [
+    `# Team digest for ${digest.date}`,
+    '',
+    describeTotals(digest),
+    ...DIGEST_SECTIONS.flatMap(({ key, title }) => [
+      '',
+      `## ${title}`,
+      '',
+      ...list(digest[key].map(item => `**${item.reporter_name}**: ${item.text}`))
+    ]),
+    '',
+    '## Missing reports',
+    '',
+    ...list(digest.missing),
+    ''
+  ].join('\n');
+}
+
+// Escape text for the HTML export
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Render a digest as a standalone HTML page
+ * @param {Object} digest - From buildDigest
+ */
+function renderDigestHtml(digest) {
+  const list = items => (items.length > 0
+    ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+    : '<p>None</p>');
+
+  const sections = DIGEST_SECTIONS.map(({ key, title }) => `
+<h2>${title}</h2>
+${list(digest[key].map(item => `<strong>${escapeHtml(item.reporter_name)}</strong>: ${escapeHtml(item.text)}`))}`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Team digest for ${digest.date}</title>
+</head>
+<body>
+<h1>Team digest for ${digest.date}</h1>
+<p>${escapeHtml(describeTotals(digest))}</p>${sections}
+<h2>Missing reports</h2>
+${list(digest.missing.map(escapeHtml))}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  DIGEST_FORMATS,
+  buildDigest,
+  renderDigestMarkdown,
+  renderDigestHtml
+};
@@ -0,0 +1,152 @@
+const database = require('../database');
+const { addDays } = require('./recurrence');
+const { nextWorkingDay } = require('./rollover');
+const { getReporterTasks, bucketTasks } = require('./report-tasks');
+const { zonedNow } = require('./report-reminders');
+
+/**
+ * Draft a progress report from what a reporter did on their daily tasks that day:
+ * status changes from the audit log, progress entries and the hours they logged. The audit log keeps
+ * UTC timestamps, so status changes count towards the day they fell on in the reporter's roster time zone.
+ */
+
+// Sum logged hours without floating point noise
+function sumHours(entries) {
+  return Math.round(entries.reduce((sum, entry) => sum + entry.hours_spent, 0) * 100) / 100;
+}
+
+/**
+ * The time zone a reporter works in, from the report roster; UTC when they are not on it
+ * @param {string} reporterName - Matched against the roster, ignoring case
+ */
+async function getReporterTimeZone(reporterName) {
+  const entry = await database.get('SELECT time_zone FROM report_roster WHERE reporter_name = ?', [reporterName]);
+  return entry ? entry.time_zone : 'UTC';
+}
+
+/**
+ * Get the status changes made to a reporter's daily tasks on a date in their time zone, oldest first
+ * @param {string} reporterName - Matched against assigned_to, ignoring case
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone the date is in (defaults to UTC)
+ * @returns {Array} { daily_task_id, from, to }
+ */
+async function getStatusChanges(reporterName, date, timeZone = 'UTC') {
+  // Every time zone's day lies within the UTC day before and the UTC day after
+  const entries = await database.all(`
+    SELECT t.id as daily_task_id, a.changes, a.created_at
+    FROM audit_log a
+    INNER JOIN daily_tasks t ON t.id = CAST(a.entity_id AS INTEGER)
+    WHERE a.entity_type = 'daily_task' AND a.action = 'update'
+      AND a.created_at >= ? AND a.created_at < ? AND t.assigned_to = ? COLLATE NOCASE
+    ORDER BY a.id ASC
+  `, [addDays(date, -1), addDays(date, 2), reporterName]);
+
+  return entries
+    .filter(entry => zonedNow(timeZone, new Date(`${entry.created_at.replace(' ', 'T')}Z`)).date === date)
+    .map(entry => ({ daily_task_id: entry.daily_task_id, status: JSON.parse(entry.changes).status }))
+    .filter(entry => entry.status)
+    .map(entry => ({ daily_task_id: entry.daily_task_id, from: entry.status.before, to: entry.status.after }));
+}
+
+/**
+ * Get the progress a reporter logged on their daily tasks for a date, oldest first
+ * @param {string} reporterName - Matched against assigned_to, ignoring case
+ * @param {string} date - YYYY-MM-DD
+ */
+function getProgressEntries(reporterName, date) {
+  return database.all(`
+    SELECT p.*
+    FROM daily_task_progress p
+    INNER JOIN daily_tasks t ON t.id = p.daily_task_id
+    WHERE substr(p.progress_date, 1, 10) = ? AND t.assigned_to = ? COLLATE NOCASE
+    ORDER BY p.id ASC
+  `, [date, reporterName]);
+}
+
+/**
+ * Describe a task as one line of a report: its latest progress and the day's notes
+ * @param {Object} task - Daily task row
+ * @param {Array} entries - The task's progress entries for the day
+ */
+function describeTask(task, entries) {
+  if (entries.length === 0) return `- ${task.title}`;
+
+  const notes = entries.map(entry => entry.notes).filter(Boolean).join('; ');
+  const { progress_percentage: percent } = entries[entries.length - 1];
+
+  return `- ${task.title} (${percent}%, ${sumHours(entries)}h)${notes ? `: ${notes}` : ''}`;
+}
+
+/**
+ * Build a draft progress report for a reporter and date. It covers the tasks due that day and every
+ * task whose status changed or that had progress logged that day, bucketed by their current status;
+ * the next day's plan lists the unfinished tasks due on the next working day.
+ * @param {Object} options
+ * @param {string} options.reporterName - Matched against assigned_to, ignoring case
+ * @param {string} options.date - YYYY-MM-DD (defaults to today in the reporter's time zone)
+ * @returns {Object} Report fields ready to submit, plus `tasks` (every task the draft considered),
+ *   `next_day` (the date the plan is for) and `time_zone` (the one status changes were dated in)
+ */
+async function buildReportDraft({ reporterName, date }) {
+  const timeZone = await getReporterTimeZone(reporterName);
+  if (!date) date = zonedNow(timeZone, new Date()).date;
+
+  const [dueTasks, statusChanges, progressEntries] = await Promise.all([
+    getReporterTasks(reporterName, date),
+    getStatusChanges(reporterName, date, timeZone),
+    getProgressEntries(reporterName, date)
+  ]);
+
+  // Tasks worked on that day that were due on another day
+  const dueIds = new Set(dueTasks.map(task => task.id));
+  const otherIds = [...new Set([...statusChanges, ...progressEntries].map(entry => entry.daily_task_id))]
+    .filter(id => !dueIds.has(id));
+
+  const otherTasks = otherIds.length > 0
+    ? await database.all(`SELECT * FROM daily_tasks WHERE id IN (${otherIds.map(() => '?').join(', ')})`, otherIds)
+    : [];
+  const tasks = [...dueTasks, ...otherTasks].sort((a, b) => a.id - b.id);
+
+  const taskIds = bucketTasks(tasks);
+  const notes = Object.fromEntries(Object.entries(taskIds).map(([bucket, ids]) => [
+    bucket,
+    ids
+      .map(id => tasks.find(task => task.id === id))
+      .map(task => describeTask(task, progressEntries.filter(entry => entry.daily_task_id === task.id)))
+      .join('\n')
+  ]));
+
+  const nextDay = nextWorkingDay(addDays(date, 1));
+  const nextTasks = (await getReporterTasks(reporterName, nextDay)).filter(task => task.status !== 'completed');
+
+  return {
+    reporter_name: reporterName,
+    report_date: date,
+    tasks_completed: notes.completed,
+    tasks_in_progress: notes.in_progress,
+    tasks_blocked: notes.blocked,
+    hours_worked: sumHours(progressEntries),
+    next_day_plan: nextTasks.map(task => `- ${task.title}`).join('\n'),
+    next_day: nextDay,
+    time_zone: timeZone,
+    task_ids: taskIds,
+    tasks: tasks.map(task => ({
+      id: task.id,
+      title: task.title,
+      status: task.status,
+      assigned_to: task.assigned_to,
+      due_date: task.due_date,
+      status_changes: statusChanges
+        .filter(change => change.daily_task_id === task.id)
+        .map(({ from, to }) => ({ from, to }))
+    }))
+  };
+}
+
+module.exports = {
+  getReporterTimeZone,
+  getStatusChanges,
+  getProgressEntries,
+  buildReportDraft
+};
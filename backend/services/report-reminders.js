@@ -0,0 +1,215 @@
+const database = require('../database');
+const { WEEKDAYS } = require('./recurrence');
+const { getChannel, getEnabledChannels } = require('./notification-channels');
+
+/**
+ * Missing progress report detection. Everyone on the report roster is expected to report on each of
+ * their working days; once their cutoff time has passed in their own time zone without a report,
+ * a reminder is queued on every enabled notification channel and delivered.
+ */
+
+// Delivery attempts before a reminder is given up on
+const REMINDER_MAX_ATTEMPTS = 3;
+
+/**
+ * Whether a string is a time zone this server knows, e.g. Asia/Kolkata
+ * @param {string} timeZone - IANA time zone name
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The date, time and weekday an instant falls on in a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @param {Date} now - Instant to convert
+ * @returns {Object} { date: YYYY-MM-DD, time: HH:MM, weekday: MO..SU }
+ */
+function zonedNow(timeZone, now) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]
+  };
+}
+
+/**
+ * Turn a roster row's stored working days and flag into an array and a boolean
+ * @param {Object} entry - report_roster row
+ */
+function formatRosterEntry(entry) {
+  return {
+    ...entry,
+    working_days: entry.working_days.split(','),
+    active: Boolean(entry.active)
+  };
+}
+
+/**
+ * Get the active roster entries, by name
+ */
+async function getRoster() {
+  const entries = await database.all('SELECT * FROM report_roster WHERE active = 1 ORDER BY reporter_name COLLATE NOCASE ASC');
+  return entries.map(formatRosterEntry);
+}
+
+/**
+ * Names of the active roster entries who work on a date's weekday
+ * @param {string} date - YYYY-MM-DD
+ */
+async function getRosteredReporters(date) {
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  return (await getRoster())
+    .filter(entry => entry.working_days.includes(weekday))
+    .map(entry => entry.reporter_name);
+}
+
+/**
+ * Whether someone has reported for a date
+ */
+async function hasReported(reporterName, date) {
+  const report = await database.get(
+    'SELECT id FROM daily_progress_reports WHERE reporter_name = ? COLLATE NOCASE AND report_date = ?',
+    [reporterName, date]
+  );
+  return Boolean(report);
+}
+
+/**
+ * Find the roster entries whose report for their current local day is missing after their cutoff
+ * @param {Object} options
+ * @param {Date} options.now - When to check (defaults to now)
+ * @returns {Array} Roster entries, each with the report_date they missed
+ */
+async function findMissingReports({ now = new Date() } = {}) {
+  const missing = [];
+
+  for (const entry of await getRoster()) {
+    const local = zonedNow(entry.time_zone, now);
+    if (!entry.working_days.includes(local.weekday) || local.time < entry.cutoff_time) continue;
+
+    if (!await hasReported(entry.reporter_name, local.date)) {
+      missing.push({ ...entry, report_date: local.date });
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Queue a reminder on every enabled channel for each missing report; a reminder is only ever queued once
+ * @returns {number} Reminders queued
+ */
+async function queueReminders({ now = new Date() } = {}) {
+  let queued = 0;
+
+  for (const entry of await findMissingReports({ now })) {
+    for (const channel of getEnabledChannels()) {
+      const result = await database.run(`
+        INSERT OR IGNORE INTO report_reminders (roster_id, report_date, channel) VALUES (?, ?, ?)
+      `, [entry.id, entry.report_date, channel]);
+      queued += result.changes;
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * The message a channel delivers for a reminder
+ * @param {Object} reminder - Reminder row joined with its roster entry
+ */
+function buildReminderMessage(reminder) {
+  return {
+    type: 'missing_progress_report',
+    to: { name: reminder.reporter_name, email: reminder.email },
+    report_date: reminder.report_date,
+    subject: `Progress report for ${reminder.report_date} is missing`,
+    text: `Hi ${reminder.reporter_name}, your daily progress report for ${reminder.report_date} has not been submitted. ` +
+      `It was due by ${reminder.cutoff_time} (${reminder.time_zone}).`
+  };
+}
+
+/**
+ * Deliver every queued reminder. Reminders whose report has since arrived are cancelled;
+ * failed deliveries are retried on later runs until REMINDER_MAX_ATTEMPTS.
+ * @returns {Object} { sent, failed, cancelled }
+ */
+async function deliverReminders() {
+  const counts = { sent: 0, failed: 0, cancelled: 0 };
+  const reminders = await database.all(`
+    SELECT r.*, rr.reporter_name, rr.email, rr.time_zone, rr.cutoff_time
+    FROM report_reminders r
+    INNER JOIN report_roster rr ON rr.id = r.roster_id
+    WHERE r.status = 'queued'
+    ORDER BY r.id ASC
+  `);
+
+  for (const reminder of reminders) {
+    if (await hasReported(reminder.reporter_name, reminder.report_date)) {
+      await database.run("UPDATE report_reminders SET status = 'cancelled' WHERE id = ?", [reminder.id]);
+      counts.cancelled++;
+      continue;
+    }
+
+    try {
+      const channel = getChannel(reminder.channel);
+      if (!channel) {
+        throw new Error(`Unknown notification channel "${reminder.channel}"`);
+      }
+
+      await channel.send({ channel: reminder.channel, ...buildReminderMessage(reminder) });
+      await database.run(`
+        UPDATE report_reminders
+        SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [reminder.id]);
+      counts.sent++;
+    } catch (error) {
+      const attempts = reminder.attempts + 1;
+      await database.run(`
+        UPDATE report_reminders SET status = ?, attempts = ?, last_error = ? WHERE id = ?
+      `, [attempts >= REMINDER_MAX_ATTEMPTS ? 'failed' : 'queued', attempts, error.message, reminder.id]);
+      counts.failed++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Queue reminders for missing reports and deliver everything queued; run by the scheduler
+ * @returns {Object} { queued, sent, failed, cancelled }
+ */
+async function processReportReminders({ now = new Date() } = {}) {
+  const queued = await queueReminders({ now });
+  return { queued, ...await deliverReminders() };
+}
+
+module.exports = {
+  REMINDER_MAX_ATTEMPTS,
+  isValidTimeZone,
+  zonedNow,
+  formatRosterEntry,
+  getRosteredReporters,
+  findMissingReports,
+  queueReminders,
+  deliverReminders,
+  processReportReminders
+};
@@ -0,0 +1,152 @@
+const database = require('../database');
+const { recordAudit } = require('./audit');
+const { syncAfterUpdate } = require('./dependencies');
+const { groupBy } = require('./list-query');
+
+/**
+ * Daily tasks linked to progress reports. A report puts each task it covers in one bucket;
+ * a task reported as completed is marked completed.
+ */
+
+// Report buckets and the daily task status each one stands for
+const REPORT_BUCKETS = {
+  completed: 'completed',
+  in_progress: 'in-progress',
+  blocked: 'blocked'
+};
+
+/**
+ * Get a reporter's daily tasks due on a date
+ * @param {string} reporterName - Matched against assigned_to, ignoring case
+ * @param {string} date - YYYY-MM-DD
+ */
+function getReporterTasks(reporterName, date) {
+  return database.all(`
+    SELECT * FROM daily_tasks
+    WHERE assigned_to = ? COLLATE NOCASE AND substr(due_date, 1, 10) = ?
+    ORDER BY id ASC
+  `, [reporterName, date]);
+}
+
+/**
+ * Sort tasks into report buckets by their current status; pending tasks are left out
+ * @param {Array} tasks - Daily task rows
+ * @returns {Object} { completed, in_progress, blocked } - Task IDs per bucket
+ */
+function bucketTasks(tasks) {
+  return Object.fromEntries(Object.entries(REPORT_BUCKETS).map(([bucket, status]) => [
+    bucket,
+    tasks.filter(task => task.status === status).map(task => task.id)
+  ]));
+}
+
+/**
+ * Find the IDs in a report's buckets that are not daily tasks
+ * @param {Object} taskIds - { completed, in_progress, blocked }
+ * @returns {Array} Unknown IDs
+ */
+async function findUnknownTasks(taskIds) {
+  const ids = Object.values(taskIds).flat();
+  if (ids.length === 0) return [];
+
+  const placeholders = ids.map(() => '?').join(', ');
+  const found = await database.all(`SELECT id FROM daily_tasks WHERE id IN (${placeholders})`, ids);
+  const foundIds = new Set(found.map(task => task.id));
+
+  return ids.filter(id => !foundIds.has(id));
+}
+
+/**
+ * Get the task IDs linked to a report, per bucket
+ * @param {number} reportId - Progress report ID
+ * @returns {Object} { completed, in_progress, blocked }
+ */
+async function getReportTaskIds(reportId) {
+  const links = await database.all(
+    'SELECT daily_task_id, bucket FROM progress_report_tasks WHERE report_id = ? ORDER BY id ASC',
+    [reportId]
+  );
+
+  return Object.fromEntries(Object.keys(REPORT_BUCKETS).map(bucket => [
+    bucket,
+    links.filter(link => link.bucket === bucket).map(link => link.daily_task_id)
+  ]));
+}
+
+/**
+ * Replace the tasks linked to a report
+ * @param {number} reportId - Progress report ID
+ * @param {Object} taskIds - { completed, in_progress, blocked }
+ */
+async function saveReportTasks(reportId, taskIds) {
+  await database.run('DELETE FROM progress_report_tasks WHERE report_id = ?', [reportId]);
+
+  for (const [bucket, ids] of Object.entries(taskIds)) {
+    for (const id of ids) {
+      await database.run(`
+        INSERT INTO progress_report_tasks (report_id, daily_task_id, bucket) VALUES (?, ?, ?)
+      `, [reportId, id, bucket]);
+    }
+  }
+}
+
+/**
+ * Mark the tasks a report lists as completed, applying the dependency blocking rules to their dependents
+ * @param {Object} req - Express request (for the audit log)
+ * @param {Array} taskIds - Daily task IDs in the report's completed bucket
+ */
+async function completeReportedTasks(req, taskIds) {
+  for (const id of taskIds) {
+    const task = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [id]);
+    if (!task || task.status === 'completed') continue;
+
+    await database.run(`
+      UPDATE daily_tasks SET status = 'completed', status_before_block = NULL WHERE id = ?
+    `, [id]);
+
+    const updatedTask = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [id]);
+    await recordAudit(req, { entityType: 'daily_task', entityId: id, action: 'update', before: task, after: updatedTask });
+    await syncAfterUpdate(req, id, task.status);
+  }
+}
+
+/**
+ * Attach each report's linked tasks, by bucket, with a single query
+ * @param {Array} reports - Progress report rows
+ */
+async function attachReportTasks(reports) {
+  if (reports.length === 0) return reports;
+
+  const placeholders = reports.map(() => '?').join(', ');
+  const rows = await database.all(`
+    SELECT prt.report_id, prt.bucket, t.id, t.title, t.status, t.assigned_to, t.due_date
+    FROM progress_report_tasks prt
+    INNER JOIN daily_tasks t ON t.id = prt.daily_task_id
+    WHERE prt.report_id IN (${placeholders})
+    ORDER BY prt.id ASC
+  `, reports.map(report => report.id));
+
+  const rowsByReport = groupBy(rows, 'report_id');
+  for (const report of reports) {
+    const linked = rowsByReport.get(report.id) || [];
+    report.tasks = Object.fromEntries(Object.keys(REPORT_BUCKETS).map(bucket => [
+      bucket,
+      linked
+        .filter(row => row.bucket === bucket)
+        .map(row => ({ id: row.id, title: row.title, status: row.status, assigned_to: row.assigned_to, due_date: row.due_date }))
+    ]));
+  }
+
+  return reports;
+}
+
+module.exports = {
+  REPORT_BUCKETS,
+  getReporterTasks,
+  bucketTasks,
+  findUnknownTasks,
+  getReportTaskIds,
+  saveReportTasks,
+  completeReportedTasks,
+  attachReportTasks
+};
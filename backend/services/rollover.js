@@ -0,0 +1,81 @@
+const database = require('../database');
+const { recordAudit } = require('./audit');
+const { addDays } = require('./recurrence');
+const { isValidTimeZone, zonedNow } = require('./report-reminders');
+
+/**
+ * Carry unfinished daily tasks that are past their due date over to the next working day
+ */
+
+// Statuses that still need work
+const UNFINISHED_STATUSES = ['pending', 'in-progress', 'blocked'];
+
+/**
+ * The team's date, in the TEAM_TIME_ZONE time zone (default UTC), so tasks are not overdue
+ * before the team's own day has ended
+ * @param {Date} now - Instant to take the date of
+ */
+function teamToday(now = new Date()) {
+  const timeZone = process.env.TEAM_TIME_ZONE || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error('TEAM_TIME_ZONE must be an IANA time zone such as Asia/Kolkata');
+  }
+  return zonedNow(timeZone, now).date;
+}
+
+/**
+ * First Monday-to-Friday date on or after a date
+ * @param {string} date - YYYY-MM-DD
+ */
+function nextWorkingDay(date) {
+  let day = date;
+  while ([0, 6].includes(new Date(`${day}T00:00:00Z`).getUTCDay())) {
+    day = addDays(day, 1);
+  }
+  return day;
+}
+
+/**
+ * Move every overdue unfinished daily task to the next working day.
+ * Each run bumps carried_over_count once and keeps the first due date in original_due_date,
+ * so running it again on the same day changes nothing.
+ * @param {Object} options
+ * @param {Date} options.now - Instant the rollover runs at (defaults to now)
+ * @param {string} options.on - Date the rollover runs for (defaults to the team's date at `now`)
+ * @param {Object} options.req - Request of the user who asked for it; the nightly job has none
+ * @returns {Object} { due_date, tasks } - The new due date and the tasks that were moved
+ */
+async function rolloverOverdueTasks({ now = new Date(), on = teamToday(now), req = {} } = {}) {
+  const dueDate = nextWorkingDay(on);
+  const placeholders = UNFINISHED_STATUSES.map(() => '?').join(', ');
+
+  const overdue = await database.all(`
+    SELECT * FROM daily_tasks
+    WHERE due_date < ? AND status IN (${placeholders})
+    ORDER BY due_date ASC, id ASC
+  `, [on, ...UNFINISHED_STATUSES]);
+
+  const tasks = [];
+  for (const task of overdue) {
+    await database.run(`
+      UPDATE daily_tasks
+      SET due_date = ?,
+          original_due_date = COALESCE(original_due_date, due_date),
+          carried_over_count = carried_over_count + 1
+      WHERE id = ?
+    `, [dueDate, task.id]);
+
+    const movedTask = await database.get('SELECT * FROM daily_tasks WHERE id = ?', [task.id]);
+    await recordAudit(req, { entityType: 'daily_task', entityId: task.id, action: 'update', before: task, after: movedTask });
+    tasks.push(movedTask);
+  }
+
+  return { due_date: dueDate, tasks };
+}
+
+module.exports = {
+  UNFINISHED_STATUSES,
+  teamToday,
+  nextWorkingDay,
+  rolloverOverdueTasks
+};
@@ -0,0 +1,53 @@
+/**
+ * In-process scheduler for background jobs such as generating recurring daily tasks.
+ * Each job runs once at start-up and then on its interval; a job that is still
+ * running when its next tick comes round is not started twice.
+ */
+
+const timers = [];
+
+/**
+ * Run a job, logging rather than throwing failures so one bad run never stops the schedule
+ * @param {Object} job - { name, run }
+ */
+async function runJob(job) {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Error running scheduled job "${job.name}":`, error);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start running jobs on their intervals
+ * @param {Array} jobs - [{ name, intervalMs, run }]
+ */
+function startScheduler(jobs) {
+  for (const job of jobs) {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    // Scheduled jobs alone should not keep the process alive
+    timer.unref();
+    timers.push(timer);
+  }
+}
+
+/**
+ * Stop every scheduled job
+ */
+function stopScheduler() {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+}
+
+module.exports = {
+  runJob,
+  startScheduler,
+  stopScheduler
+};
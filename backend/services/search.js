@@ -0,0 +1,117 @@
+const database = require('../database');
+
+/**
+ * Full-text search over the FTS5 indexes created by migration 006
+ */
+
+// Markers FTS5 wraps around matched terms; swapped for <mark> after escaping
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Searchable content types: FTS index, source table, title and parent (for navigation)
+const SEARCH_TYPES = {
+  task: { fts: 'tasks_fts', table: 'tasks', title: 's.name', parent: 'NULL' },
+  article: { fts: 'articles_fts', table: 'articles', title: 's.headline', parent: 'NULL' },
+  checklist: { fts: 'checklists_fts', table: 'checklists', title: 's.title', parent: 'NULL' },
+  checklist_task: { fts: 'checklist_tasks_fts', table: 'checklist_tasks', title: 's.title', parent: 's.checklist_id' },
+  subtask: {
+    fts: 'subtasks_fts',
+    table: 'subtasks',
+    join: 'INNER JOIN checklist_tasks ct ON ct.id = s.task_id',
+    title: 's.title',
+    parent: 'ct.checklist_id'
+  },
+  project: { fts: 'projects_fts', table: 'projects', title: 's.name', parent: 'NULL' },
+  milestone: { fts: 'project_milestones_fts', table: 'project_milestones', title: 's.title', parent: 's.project_id' },
+  resource_allocation: {
+    fts: 'resource_allocations_fts',
+    table: 'resource_allocations',
+    title: 's.resource_name',
+    parent: 's.project_id'
+  },
+  daily_task: { fts: 'daily_tasks_fts', table: 'daily_tasks', title: 's.title', parent: 'NULL' },
+  progress_report: {
+    fts: 'daily_progress_reports_fts',
+    table: 'daily_progress_reports',
+    title: 's.reporter_name',
+    parent: 'NULL'
+  }
+};
+
+/**
+ * Turn free text into an FTS5 query: every word must match, as a prefix.
+ * Words are quoted so operators and punctuation in user input are taken literally.
+ * @param {string} text - Search text
+ * @returns {string|null} MATCH expression, or null when there is nothing to search for
+ */
+function buildMatchQuery(text) {
+  const terms = text.split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return null;
+
+  return terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ');
+}
+
+/**
+ * Escape a snippet and turn the match markers into <mark> tags
+ * @param {string} snippet - Raw snippet from FTS5
+ */
+function highlight(snippet) {
+  const escaped = String(snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+
+  return escaped
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+/**
+ * Search the given content types, best matches first
+ * @param {string} text - Search text
+ * @param {Object} options - { types, limit, offset }
+ * @returns {Object} { results, total }
+ */
+async function search(text, { types = Object.keys(SEARCH_TYPES), limit = 20, offset = 0 } = {}) {
+  const match = buildMatchQuery(text);
+  if (!match) return { results: [], total: 0 };
+
+  const subqueries = types.map(type => {
+    const { fts, table, join = '', title, parent } = SEARCH_TYPES[type];
+    return `
+      SELECT '${type}' as type, s.id as id, ${title} as title, ${parent} as parent_id,
+        snippet(${fts}, -1, '${MATCH_START}', '${MATCH_END}', '…', 16) as snippet,
+        bm25(${fts}) as score
+      FROM ${fts}
+      INNER JOIN ${table} s ON s.rowid = ${fts}.rowid
+      ${join}
+      WHERE ${fts} MATCH ?
+    `;
+  });
+  const union = subqueries.join(' UNION ALL ');
+  const params = types.map(() => match);
+
+  // bm25 scores are negative; lower means a better match
+  const results = await database.all(`
+    SELECT * FROM (${union})
+    ORDER BY score ASC, type ASC, id ASC
+    LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+
+  const { total } = await database.get(`SELECT COUNT(*) as total FROM (${union})`, params);
+
+  for (const result of results) {
+    result.snippet = highlight(result.snippet);
+  }
+
+  return { results, total };
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  buildMatchQuery,
+  highlight,
+  search
+};
@@ -0,0 +1,169 @@
+const database = require('../database');
+const { DURATION_SQL } = require('./time-tracking');
+const { HOURS_PER_DAY } = require('./project-progress');
+const { weekStart } = require('./capacity');
+const { today, addDays } = require('./recurrence');
+
+/**
+ * Daily snapshots of open and completed work, so trends can be charted:
+ * - project: linked tasks, their hour estimates (as in project progress) and hours logged on them
+ * - assignee: daily tasks per assigned_to, with their estimated and actual hours
+ * A snapshot is recorded for every project and assignee each day; recording again on the same
+ * day overwrites that day's numbers, so the last run of the day wins.
+ */
+
+// Days charted when no start date is given
+const DEFAULT_HISTORY_DAYS = 30;
+
+/**
+ * Round to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Record today's numbers for every project and assignee
+ * @param {Object} options
+ * @param {string} options.on - Date the snapshot is for (defaults to today)
+ * @returns {number} Number of snapshot rows written
+ */
+async function recordSnapshots({ on = today() } = {}) {
+  const estimate = `COALESCE(pt.estimated_hours, pt.duration_days * ${HOURS_PER_DAY})`;
+
+  const projects = await database.all(`
+    SELECT CAST(p.id AS TEXT) as scope_key,
+      COUNT(t.id) - COALESCE(SUM(t.completed), 0) as open_count,
+      COALESCE(SUM(t.completed), 0) as completed_count,
+      COALESCE(SUM(${estimate}), 0) as estimated_hours,
+      COALESCE(SUM(CASE WHEN t.completed THEN 0 ELSE ${estimate} END), 0) as remaining_hours,
+      COALESCE(SUM((SELECT SUM(${DURATION_SQL}) FROM time_entries te WHERE te.task_id = t.id)), 0) / 3600.0 as actual_hours
+    FROM projects p
+    LEFT JOIN project_tasks pt ON pt.project_id = p.id
+    LEFT JOIN tasks t ON t.id = pt.task_id
+    GROUP BY p.id
+  `);
+
+  const assignees = await database.all(`
+    SELECT assigned_to as scope_key,
+      SUM(CASE WHEN status = 'completed' THEN 0 ELSE 1 END) as open_count,
+      SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_count,
+      COALESCE(SUM(estimated_hours), 0) as estimated_hours,
+      COALESCE(SUM(CASE WHEN status = 'completed' THEN 0 ELSE estimated_hours END), 0) as remaining_hours,
+      COALESCE(SUM(actual_hours), 0) as actual_hours
+    FROM daily_tasks
+    GROUP BY assigned_to
+  `);
+
+  const rows = [
+    ...projects.map(row => ({ scope: 'project', ...row })),
+    ...assignees.map(row => ({ scope: 'assignee', ...row }))
+  ];
+
+  // Each row is an upsert and a run interrupted halfway is completed by the next one, so there is no
+  // transaction for requests to wait behind
+  for (const row of rows) {
+    await database.run(`
+      INSERT INTO metric_snapshots
+        (snapshot_date, scope, scope_key, open_count, completed_count, estimated_hours, remaining_hours, actual_hours)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(scope, scope_key, snapshot_date) DO UPDATE SET
+        open_count = excluded.open_count,
+        completed_count = excluded.completed_count,
+        estimated_hours = excluded.estimated_hours,
+        remaining_hours = excluded.remaining_hours,
+        actual_hours = excluded.actual_hours
+    `, [
+      on, row.scope, row.scope_key, row.open_count, row.completed_count,
+      round(row.estimated_hours), round(row.remaining_hours), round(row.actual_hours)
+    ]);
+  }
+
+  return rows.length;
+}
+
+/**
+ * Turn daily totals into chart series
+ * @param {Array} rows - { date, open_count, completed_count, estimated_hours, remaining_hours, actual_hours },
+ *   one per snapshot date in ascending order
+ * @returns {Object} { points, velocity } - points are the daily values for burndown (open, remaining_hours)
+ *   and burnup (completed against total scope); velocity is the work completed in each week, measured
+ *   from the last snapshot before the week (or its first snapshot) to its last snapshot
+ */
+function computeSeries(rows) {
+  const points = rows.map(row => ({
+    date: row.date,
+    open: row.open_count,
+    completed: row.completed_count,
+    total: row.open_count + row.completed_count,
+    estimated_hours: round(row.estimated_hours),
+    remaining_hours: round(row.remaining_hours),
+    completed_hours: round(row.estimated_hours - row.remaining_hours),
+    actual_hours: round(row.actual_hours)
+  }));
+
+  const velocity = [];
+  let baseline = null;
+  for (const point of points) {
+    const week = weekStart(point.date);
+    let current = velocity[velocity.length - 1];
+
+    if (!current || current.week_start !== week) {
+      current = { week_start: week, from: baseline || point, to: point };
+      velocity.push(current);
+    }
+
+    current.to = point;
+    baseline = point;
+  }
+
+  return {
+    points,
+    velocity: velocity.map(({ week_start, from, to }) => ({
+      week_start,
+      completed: to.completed - from.completed,
+      completed_hours: round(to.completed_hours - from.completed_hours),
+      actual_hours: round(to.actual_hours - from.actual_hours)
+    }))
+  };
+}
+
+/**
+ * Load daily totals for one project or assignee, or summed over all of them
+ * @param {Object} options
+ * @param {string} options.scope - project or assignee
+ * @param {string} options.key - Project id or assignee name; all of the scope when missing
+ * @param {string} options.start - First date (defaults to DEFAULT_HISTORY_DAYS before end)
+ * @param {string} options.end - Last date (defaults to today)
+ */
+async function getSnapshotHistory({ scope, key, start, end = today() }) {
+  const from = start || addDays(end, -(DEFAULT_HISTORY_DAYS - 1));
+  const conditions = ['scope = ?', 'snapshot_date BETWEEN ? AND ?'];
+  const params = [scope, from, end];
+
+  if (key !== undefined && key !== null) {
+    conditions.push('scope_key = ?');
+    params.push(String(key));
+  }
+
+  const rows = await database.all(`
+    SELECT snapshot_date as date,
+      SUM(open_count) as open_count,
+      SUM(completed_count) as completed_count,
+      SUM(estimated_hours) as estimated_hours,
+      SUM(remaining_hours) as remaining_hours,
+      SUM(actual_hours) as actual_hours
+    FROM metric_snapshots
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY snapshot_date
+    ORDER BY snapshot_date ASC
+  `, params);
+
+  return { scope, key: key ?? null, start: from, end, ...computeSeries(rows) };
+}
+
+module.exports = {
+  recordSnapshots,
+  computeSeries,
+  getSnapshotHistory
+};
@@ -0,0 +1,57 @@
+const database = require('../database');
+
+/**
+ * Time tracking helpers shared by the task and time tracking routes
+ */
+
+// Seconds covered by a time entry; running entries count up to now
+const DURATION_SQL = `(strftime('%s', COALESCE(te.ended_at, CURRENT_TIMESTAMP)) - strftime('%s', te.started_at))`;
+
+/**
+ * Attach tracked totals and the signed-in user's timer state to each task with a single query
+ * @param {Array} tasks - Task rows
+ * @param {number} userId - Signed-in user ID
+ */
+async function attachTimeTracking(tasks, userId) {
+  if (tasks.length === 0) return tasks;
+
+  const placeholders = tasks.map(() => '?').join(', ');
+  const entries = await database.all(`
+    SELECT te.*, ${DURATION_SQL} as duration_seconds
+    FROM time_entries te
+    WHERE te.task_id IN (${placeholders})
+    ORDER BY te.started_at ASC, te.id ASC
+  `, tasks.map(task => task.id));
+
+  for (const task of tasks) {
+    const taskEntries = entries.filter(entry => entry.task_id === task.id);
+    const ownEntries = taskEntries.filter(entry => entry.user_id === userId);
+    const lastOwnEntry = ownEntries[ownEntries.length - 1];
+
+    task.time_tracking = {
+      total_seconds: taskEntries.reduce((sum, entry) => sum + entry.duration_seconds, 0),
+      running: lastOwnEntry && !lastOwnEntry.ended_at ? lastOwnEntry : null,
+      paused: Boolean(lastOwnEntry && lastOwnEntry.end_reason === 'pause')
+    };
+  }
+
+  return tasks;
+}
+
+/**
+ * End every running entry on a task, e.g. when it is completed
+ * @param {number|string} taskId - Task ID
+ */
+async function stopRunningEntries(taskId) {
+  await database.run(`
+    UPDATE time_entries
+    SET ended_at = CURRENT_TIMESTAMP, end_reason = 'stop'
+    WHERE task_id = ? AND ended_at IS NULL
+  `, [taskId]);
+}
+
+module.exports = {
+  DURATION_SQL,
+  attachTimeTracking,
+  stopRunningEntries
+};
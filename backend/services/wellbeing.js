@@ -0,0 +1,288 @@
+const database = require('../database');
+const { today, addDays } = require('./recurrence');
+const { weekStart } = require('./capacity');
+
+/**
+ * Wellbeing trends per reporter from their progress reports: rolling mood and productivity,
+ * week-over-week change, how both move with hours worked, and the alert rules that flag burnout risk
+ */
+
+// What an alert rule can measure and how
+const ALERT_METRICS = ['mood_rating', 'productivity_score', 'hours_worked'];
+const ALERT_AGGREGATES = ['average', 'total'];
+const ALERT_OPERATORS = ['<', '<=', '>', '>='];
+
+const COMPARISONS = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold
+};
+
+// Rolling averages smooth the series over a reporter's last five reports
+const ROLLING_WINDOW_REPORTS = 5;
+
+// Trends cover the last eight weeks unless a start is given, and at most a year
+const DEFAULT_TREND_DAYS = 56;
+const TREND_MAX_DAYS = 366;
+
+// Members only see a mood average over other people's reports once it spans this many reporters
+const MOOD_AVERAGE_MIN_REPORTERS = 3;
+
+// Two decimal places; a missing value stays null
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function mean(values) {
+  return values.length > 0 ? sum(values) / values.length : null;
+}
+
+/**
+ * Pearson correlation of two equally long series, from -1 to 1
+ * @returns {number|null} Null with fewer than three points or when either series never changes
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  xs.forEach((x, index) => {
+    const dx = x - meanX;
+    const dy = ys[index] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return round(covariance / Math.sqrt(varianceX * varianceY));
+}
+
+/**
+ * Turn an alert rule row's stored flag into a boolean
+ * @param {Object} rule - wellbeing_alert_rules row
+ */
+function formatAlertRule(rule) {
+  return { ...rule, active: Boolean(rule.active) };
+}
+
+/**
+ * Check a reporter's reports against alert rules, one calendar week (Monday to Sunday) at a time:
+ * the week of the period's last day and the week before. A week is checked once it has the rule's min_reports.
+ * @param {string} reporterName - Reporter the reports belong to
+ * @param {Array} reports - The reporter's reports, oldest first
+ * @param {Array} rules - Active alert rules
+ * @param {string} end - Last day of the period
+ * @returns {Array} Alerts that fired, with the value that fired them and the week it covers
+ */
+function evaluateAlerts(reporterName, reports, rules, end) {
+  const alerts = [];
+  const weeks = [addDays(weekStart(end), -7), weekStart(end)];
+
+  for (const monday of weeks) {
+    const week = reports.filter(report => weekStart(report.report_date) === monday);
+
+    for (const rule of rules) {
+      if (week.length === 0 || week.length < rule.min_reports) continue;
+
+      const values = week.map(report => report[rule.metric]);
+      const value = round(rule.aggregate === 'average' ? mean(values) : sum(values));
+
+      if (COMPARISONS[rule.operator](value, rule.threshold)) {
+        alerts.push({
+          rule_id: rule.id,
+          name: rule.name,
+          reporter_name: reporterName,
+          metric: rule.metric,
+          aggregate: rule.aggregate,
+          operator: rule.operator,
+          threshold: rule.threshold,
+          value,
+          week_start: monday,
+          reports: week.length
+        });
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Average mood and productivity and total hours of the reports in the week starting on a Monday
+ */
+function summarizeWeek(reports, monday) {
+  const week = reports.filter(report => weekStart(report.report_date) === monday);
+
+  return {
+    week_start: monday,
+    reports: week.length,
+    mood_rating: round(mean(week.map(report => report.mood_rating))),
+    productivity_score: round(mean(week.map(report => report.productivity_score))),
+    hours_worked: round(sum(week.map(report => report.hours_worked)))
+  };
+}
+
+function difference(current, previous) {
+  return current === null || previous === null ? null : round(current - previous);
+}
+
+/**
+ * Compute one reporter's trends
+ * @param {string} reporterName - Reporter the reports belong to
+ * @param {Array} reports - The reporter's reports in the period, oldest first
+ * @param {Array} rules - Active alert rules
+ * @param {string} end - Last day of the period; its week is compared with the week before
+ */
+function computeReporterTrends(reporterName, reports, rules, end) {
+  const moods = reports.map(report => report.mood_rating);
+  const productivity = reports.map(report => report.productivity_score);
+  const hours = reports.map(report => report.hours_worked);
+
+  const series = reports.map((report, index) => {
+    const window = reports.slice(Math.max(0, index - ROLLING_WINDOW_REPORTS + 1), index + 1);
+    return {
+      date: report.report_date,
+      mood_rating: report.mood_rating,
+      productivity_score: report.productivity_score,
+      hours_worked: report.hours_worked,
+      rolling_mood_rating: round(mean(window.map(r => r.mood_rating))),
+      rolling_productivity_score: round(mean(window.map(r => r.productivity_score)))
+    };
+  });
+
+  const current = summarizeWeek(reports, weekStart(end));
+  const previous = summarizeWeek(reports, addDays(weekStart(end), -7));
+
+  return {
+    reporter_name: reporterName,
+    reports: reports.length,
+    average_mood_rating: round(mean(moods)),
+    average_productivity_score: round(mean(productivity)),
+    average_hours_worked: round(mean(hours)),
+    series,
+    week_over_week: {
+      current,
+      previous,
+      change: {
+        mood_rating: difference(current.mood_rating, previous.mood_rating),
+        productivity_score: difference(current.productivity_score, previous.productivity_score),
+        hours_worked: difference(current.hours_worked, previous.hours_worked)
+      }
+    },
+    correlation_with_hours: {
+      mood_rating: correlation(hours, moods),
+      productivity_score: correlation(hours, productivity)
+    },
+    alerts: evaluateAlerts(reporterName, reports, rules, end)
+  };
+}
+
+/**
+ * Whether a user may see a reporter's mood: managers and admins see everyone's, members only their own,
+ * matched by username or display name ignoring case
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} reporterName - Name the progress report was filed under
+ */
+function canSeeMood(user, reporterName) {
+  if (['admin', 'manager'].includes(user.role)) return true;
+
+  const name = String(reporterName || '').toLowerCase();
+  return [user.username, user.display_name].some(own => Boolean(own) && own.toLowerCase() === name);
+}
+
+/**
+ * Drop the mood from a progress report the user may not see it on
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} report - daily_progress_reports row
+ */
+function hideMood(user, report) {
+  if (canSeeMood(user, report.reporter_name)) return report;
+
+  const { mood_rating, ...visible } = report;
+  return visible;
+}
+
+/**
+ * Whether a user may see a mood average over reports from several reporters. Members only see it when
+ * the reports are all their own or come from enough people that no one's mood can be read back out of it.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Array<string>} reporterNames - Names the averaged reports were filed under
+ */
+function canSeeMoodAverage(user, reporterNames) {
+  const reporters = new Set(reporterNames.map(name => String(name).toLowerCase()));
+  if ([...reporters].every(name => canSeeMood(user, name))) return true;
+
+  return reporters.size >= MOOD_AVERAGE_MIN_REPORTERS;
+}
+
+/**
+ * Get the active alert rules
+ */
+async function getActiveAlertRules() {
+  const rules = await database.all('SELECT * FROM wellbeing_alert_rules WHERE active = 1 ORDER BY id ASC');
+  return rules.map(formatAlertRule);
+}
+
+/**
+ * Build every reporter's wellbeing trends for a period. Names that differ only in case are one reporter.
+ * @param {Object} options
+ * @param {string} options.start - First day (defaults to eight weeks before end)
+ * @param {string} options.end - Last day (defaults to today)
+ * @returns {Object} { start, end, rules, reporters, alerts }
+ */
+async function getWellbeingTrends({ start, end = today() } = {}) {
+  const from = start || addDays(end, -(DEFAULT_TREND_DAYS - 1));
+
+  const [reports, rules] = await Promise.all([
+    database.all(`
+      SELECT reporter_name, report_date, mood_rating, productivity_score, hours_worked
+      FROM daily_progress_reports
+      WHERE report_date BETWEEN ? AND ?
+      ORDER BY reporter_name COLLATE NOCASE ASC, report_date ASC, id ASC
+    `, [from, end]),
+    getActiveAlertRules()
+  ]);
+
+  const byReporter = new Map();
+  for (const report of reports) {
+    const key = report.reporter_name.toLowerCase();
+    if (!byReporter.has(key)) byReporter.set(key, []);
+    byReporter.get(key).push(report);
+  }
+
+  const reporters = [...byReporter.values()]
+    .map(group => computeReporterTrends(group[0].reporter_name, group, rules, end));
+
+  return {
+    start: from,
+    end,
+    rules,
+    reporters,
+    alerts: reporters.flatMap(reporter => reporter.alerts)
+  };
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_AGGREGATES,
+  ALERT_OPERATORS,
+  TREND_MAX_DAYS,
+  correlation,
+  evaluateAlerts,
+  MOOD_AVERAGE_MIN_REPORTERS,
+  canSeeMood,
+  canSeeMoodAverage,
+  hideMood,
+  formatAlertRule,
+  getWellbeingTrends
+};
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Multi-stage task approvals', () => {
+  let manager;
+  let lead;
+  let editor;
+  let chainId;
+  let taskId;
+
+  const auth = user => ({ Authorization: `Bearer ${user.token}` });
+
+  beforeAll(async () => {
+    await database.init();
+    manager = await createUser('manager', 'manager');
+    lead = await createUser('teamlead');
+    editor = await createUser('editor');
+
+    const chain = await request(app)
+      .post('/api/approval-chains')
+      .set(auth(manager))
+      .send({
+        name: 'News sign-off',
+        steps: [
+          { name: 'Team lead', approver_user_id: lead.user.id },
+          { name: 'Editor', approver_user_id: editor.user.id },
+          { name: 'Publisher', approver_role: 'manager' }
+        ]
+      });
+    chainId = chain.body.data.id;
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set(auth(lead))
+      .send({ name: 'Bangkok hotel roundup', creator: 'Teamlead' });
+    taskId = task.body.data.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('a manager can start a chain from a saved template', async () => {
+    const response = await request(app)
+      .post(`/api/tasks/${taskId}/approvals`)
+      .set(auth(manager))
+      .send({ chain_id: chainId });
+    expect(response.status).toBe(201);
+    expect(response.body.data.steps.map(step => step.name)).toEqual(['Team lead', 'Editor', 'Publisher']);
+    expect(response.body.data.current_step.name).toBe('Team lead');
+  });
+
+  test('steps must be decided in order by their approver', async () => {
+    const response = await request(app)
+      .post(`/api/tasks/${taskId}/approvals/decision`)
+      .set(auth(editor))
+      .send({ decision: 'approved' });
+    expect(response.status).toBe(403);
+  });
+
+  test('direct status changes are rejected while a chain exists', async () => {
+    const response = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set(auth(manager))
+      .send({ status: 'approved' });
+    expect(response.status).toBe(409);
+  });
+
+  test('two decisions on the same step cannot both succeed', async () => {
+    const decide = () => request(app)
+      .post(`/api/tasks/${taskId}/approvals/decision`)
+      .set(auth(lead))
+      .send({ decision: 'approved' });
+
+    const responses = await Promise.all([decide(), decide()]);
+    expect(responses.filter(response => response.status === 200)).toHaveLength(1);
+
+    const state = await request(app).get(`/api/tasks/${taskId}/approvals`).set(auth(lead));
+    expect(state.body.data.steps.map(step => step.status)).toEqual(['approved', 'pending', 'pending']);
+    expect(state.body.data.current_step.name).toBe('Editor');
+  });
+
+  test('a rejection requires a comment and rejects the task', async () => {
+
+    const missingComment = await request(app)
+      .post(`/api/tasks/${taskId}/approvals/decision`)
+      .set(auth(editor))
+      .send({ decision: 'rejected' });
+    expect(missingComment.status).toBe(400);
+
+    const response = await request(app)
+      .post(`/api/tasks/${taskId}/approvals/decision`)
+      .set(auth(editor))
+      .send({ decision: 'rejected', comment: 'Headline needs a source' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('rejected');
+
+    const task = await request(app).get(`/api/tasks/${taskId}`).set(auth(lead));
+    expect(task.body.data.status).toBe('rejected');
+  });
+
+  test('only the creator or a manager can resubmit a rejected task', async () => {
+    const response = await request(app)
+      .post(`/api/tasks/${taskId}/approvals/resubmit`)
+      .set(auth(editor));
+    expect(response.status).toBe(403);
+  });
+
+  test('a resubmitted task starts a fresh round and keeps history', async () => {
+    const response = await request(app)
+      .post(`/api/tasks/${taskId}/approvals/resubmit`)
+      .set(auth(lead));
+    expect(response.status).toBe(200);
+    expect(response.body.data.round).toBe(2);
+    expect(response.body.data.history).toHaveLength(3);
+    expect(response.body.data.current_step.name).toBe('Team lead');
+  });
+
+  test('approving every step approves the task', async () => {
+    for (const user of [lead, editor, manager]) {
+      const response = await request(app)
+        .post(`/api/tasks/${taskId}/approvals/decision`)
+        .set(auth(user))
+        .send({ decision: 'approved' });
+      expect(response.status).toBe(200);
+    }
+
+    const task = await request(app).get(`/api/tasks/${taskId}`).set(auth(lead));
+    expect(task.body.data.status).toBe('approved');
+    expect(task.body.data.approver).toBe('manager user');
+    expect(task.body.data.approval.status).toBe('approved');
+  });
+});
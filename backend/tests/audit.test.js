@@ -0,0 +1,97 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Audit log', () => {
+  let admin;
+  let member;
+  let taskId;
+
+  const auth = user => ({ Authorization: `Bearer ${user.token}` });
+
+  beforeAll(async () => {
+    await database.init();
+    admin = await createUser('admin', 'admin');
+    member = await createUser('member');
+
+    const task = await request(app).post('/api/tasks').set(auth(member)).send({ name: 'Write release notes', creator: 'Member' });
+    taskId = task.body.data.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const history = (user, entityType, entityId) => request(app)
+    .get('/api/audit')
+    .query({ entity_type: entityType, entity_id: entityId })
+    .set(auth(user));
+
+  test('records creates with the actor and the new values', async () => {
+    const response = await history(member, 'task', taskId);
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+
+    const [entry] = response.body.data;
+    expect(entry.action).toBe('create');
+    expect(entry.actor_id).toBe(member.user.id);
+    expect(entry.actor_name).toBe('member user');
+    expect(entry.changes.name).toEqual({ before: null, after: 'Write release notes' });
+  });
+
+  test('records only the fields an update changed', async () => {
+    await request(app).put(`/api/tasks/${taskId}`).set(auth(member)).send({ completed: true });
+
+    const response = await history(member, 'task', taskId);
+    const [entry] = response.body.data;
+    expect(entry.action).toBe('update');
+    expect(entry.changes).toEqual({ completed: { before: 0, after: 1 } });
+  });
+
+  test('records deletes with the removed values', async () => {
+    const checklist = await request(app)
+      .post('/api/checklists')
+      .set(auth(member))
+      .send({ title: 'Launch checklist', theme: 'blue' });
+    const checklistId = checklist.body.data.id;
+
+    await request(app).delete(`/api/checklists/${checklistId}`).set(auth(member));
+
+    const response = await history(member, 'checklist', checklistId);
+    expect(response.body.data.map(entry => entry.action)).toEqual(['delete', 'create']);
+    expect(response.body.data[0].changes.title).toEqual({ before: 'Launch checklist', after: null });
+  });
+
+  test('never stores password hashes', async () => {
+    const response = await request(app)
+      .get('/api/audit')
+      .query({ entity_type: 'user', action: 'create' })
+      .set(auth(admin));
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBeGreaterThan(0);
+    for (const entry of response.body.data) {
+      expect(entry.changes.password_hash).toBeUndefined();
+    }
+  });
+
+  test('filters by actor and paginates', async () => {
+    const response = await request(app)
+      .get('/api/audit')
+      .query({ actor_id: member.user.id, limit: 2 })
+      .set(auth(admin));
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(2);
+    expect(response.body.data.every(entry => entry.actor_id === member.user.id)).toBe(true);
+    expect(response.body.pagination).toEqual({ total: 5, limit: 2, offset: 0, has_more: true, next_offset: 2 });
+  });
+
+  test('only managers can browse the full log', async () => {
+    const response = await request(app).get('/api/audit').set(auth(member));
+    expect(response.status).toBe(403);
+  });
+
+  test('rejects unknown entity types', async () => {
+    const response = await history(member, 'unknown', 1);
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../database');
+
+describe('Authentication', () => {
+  beforeAll(async () => {
+    await database.init();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const credentials = {
+    username: 'editor',
+    password: 'correct-horse',
+    display_name: 'News Editor'
+  };
+
+  test('only one of two simultaneous first registrations should become an admin', async () => {
+    const responses = await Promise.all(['first', 'second'].map(username => request(app)
+      .post('/api/auth/register')
+      .send({ username, password: 'correct-horse', display_name: username })));
+
+    expect(responses.map(response => response.status)).toEqual([201, 201]);
+    expect(responses.map(response => response.body.data.user.role).sort()).toEqual(['admin', 'member']);
+  });
+
+  test('POST /api/auth/register should create a user and return tokens', async () => {
+    const response = await request(app).post('/api/auth/register').send(credentials);
+    expect(response.status).toBe(201);
+    expect(response.body.data).toHaveProperty('accessToken');
+    expect(response.body.data).toHaveProperty('refreshToken');
+    expect(response.body.data.user).not.toHaveProperty('password_hash');
+  });
+
+  test('POST /api/auth/register should reject a duplicate username', async () => {
+    const response = await request(app).post('/api/auth/register').send(credentials);
+    expect(response.status).toBe(409);
+  });
+
+  test('POST /api/auth/login should reject a wrong password', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'editor', password: 'wrong-password' });
+    expect(response.status).toBe(401);
+  });
+
+  test('protected routes should require a token', async () => {
+    const response = await request(app).get('/api/tasks');
+    expect(response.status).toBe(401);
+  });
+
+  test('protected routes should accept a valid access token', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'editor', password: 'correct-horse' });
+    expect(login.status).toBe(200);
+
+    const response = await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${login.body.data.accessToken}`);
+    expect(response.status).toBe(200);
+  });
+
+  test('POST /api/auth/refresh should issue a new token pair', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'editor', password: 'correct-horse' });
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: login.body.data.refreshToken });
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty('accessToken');
+  });
+
+  test('a refresh token should not be accepted as an access token', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'editor', password: 'correct-horse' });
+
+    const response = await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${login.body.data.refreshToken}`);
+    expect(response.status).toBe(401);
+  });
+});
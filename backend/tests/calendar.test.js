@@ -0,0 +1,60 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Calendar', () => {
+  let member;
+  let projectId;
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const calendar = query => request(app).get('/api/calendar').query(query).set(auth());
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    const project = await request(app).post('/api/projects').set(auth()).send({ name: 'Launch campaign' });
+    projectId = project.body.data.id;
+
+    await request(app).post(`/api/projects/${projectId}/milestones`).set(auth()).send({ title: 'Press release', due_date: '2026-10-20' });
+    await request(app).post(`/api/projects/${projectId}/milestones`).set(auth()).send({ title: 'Retrospective', due_date: '2026-11-30' });
+
+    for (const [title, due_date] of [['Draft posts', '2026-10-20'], ['Book venue', '2026-10-18'], ['Send invoices', '2026-11-02']]) {
+      await request(app).post('/api/daily-tasks').set(auth()).send({ title, assigned_to: 'Member', due_date });
+    }
+
+    await request(app).post('/api/progress-reports').set(auth()).send({ reporter_name: 'Member', report_date: '2026-10-19' });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('returns daily tasks, milestones and progress reports in the range by date', async () => {
+    const response = await calendar({ start: '2026-10-18', end: '2026-10-31' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(event => [event.date, event.type, event.title])).toEqual([
+      ['2026-10-18', 'daily_task', 'Book venue'],
+      ['2026-10-19', 'progress_report', 'Member'],
+      ['2026-10-20', 'milestone', 'Press release'],
+      ['2026-10-20', 'daily_task', 'Draft posts']
+    ]);
+    expect(response.body.data[2]).toMatchObject({ project_id: projectId, project_name: 'Launch campaign', completed: false });
+  });
+
+  test('includes both ends of the range', async () => {
+    const response = await calendar({ start: '2026-11-02', end: '2026-11-30' });
+
+    expect(response.body.data.map(event => event.title)).toEqual(['Send invoices', 'Retrospective']);
+  });
+
+  test('requires a bounded range', async () => {
+    expect((await calendar({ start: '2026-10-01' })).status).toBe(400);
+    expect((await calendar({ start: '2026-10-31', end: '2026-10-01' })).status).toBe(400);
+
+    const tooLong = await calendar({ start: '2026-01-01', end: '2027-06-30' });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.message).toContain('within 366 days');
+  });
+});
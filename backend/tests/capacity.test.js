@@ -0,0 +1,121 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { computeCapacity } = require('../services/capacity');
+
+describe('Resource capacity', () => {
+  let member;
+  let manager;
+  const projects = {};
+
+  const auth = user => ({ Authorization: `Bearer ${user.token}` });
+  const allocate = (projectId, body) =>
+    request(app).post(`/api/projects/${projectId}/resources`).set(auth(member)).send({ role: 'Developer', ...body });
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+    manager = await createUser('manager', 'manager');
+
+    for (const [key, status] of [['web', 'active'], ['app', 'active'], ['api', 'planning'], ['old', 'completed']]) {
+      const response = await request(app).post('/api/projects').set(auth(member)).send({
+        name: `Project ${key}`,
+        status,
+        start_date: '2026-10-05',
+        end_date: '2026-11-29'
+      });
+      projects[key] = response.body.data.id;
+    }
+
+    await allocate(projects.web, { resource_name: 'Alice Chen', hours_per_week: 20 });
+    await allocate(projects.app, { resource_name: ' alice chen ', hours_per_week: 20, start_date: '2026-10-21' });
+    await allocate(projects.api, { resource_name: 'ALICE CHEN', hours_per_week: 10, end_date: '2026-10-25' });
+    await allocate(projects.old, { resource_name: 'Alice Chen', hours_per_week: 40 });
+    await allocate(projects.web, { resource_name: 'Bob Singh', hours_per_week: 30 });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('prorates allocations by the days they cover in each week', () => {
+    const report = computeCapacity({
+      people: [{ id: 1, name: 'Alice', weekly_capacity_hours: 40 }],
+      allocations: [
+        { id: 1, person_id: 1, project_id: 1, project_name: 'A', role: 'Dev', hours_per_week: 35, start_date: null, end_date: null },
+        // Wednesday to Sunday: 5 of 7 days
+        { id: 2, person_id: 1, project_id: 2, project_name: 'B', role: 'Dev', hours_per_week: 14, start_date: '2026-10-21', end_date: null }
+      ],
+      start: '2026-10-15',
+      weeks: 2
+    });
+
+    expect(report.weeks).toEqual(['2026-10-12', '2026-10-19']);
+    expect(report.people[0].weeks.map(week => week.allocated_hours)).toEqual([35, 45]);
+    expect(report.over_allocations).toEqual([
+      { person_id: 1, name: 'Alice', week_start: '2026-10-19', allocated_hours: 45, capacity_hours: 40, excess_hours: 5 }
+    ]);
+  });
+
+  test('normalises resource names into one person', async () => {
+    const response = await request(app).get('/api/resources/people').set(auth(member));
+
+    expect(response.body.data.map(person => [person.name, person.allocation_count])).toEqual([
+      ['Alice Chen', 4],
+      ['Bob Singh', 1]
+    ]);
+
+    const project = await request(app).get(`/api/projects/${projects.app}`).set(auth(member));
+    expect(project.body.data.resources[0].resource_name).toBe('Alice Chen');
+  });
+
+  test('aggregates allocations across active projects per week', async () => {
+    const response = await request(app)
+      .get('/api/resources/capacity')
+      .query({ start: '2026-10-19', weeks: 2 })
+      .set(auth(member));
+
+    expect(response.status).toBe(200);
+    const alice = response.body.data.people.find(person => person.name === 'Alice Chen');
+
+    // Week of Oct 19: web 20 + app 20 × 5/7 + api 10; week of Oct 26: web 20 + app 20. The completed project is ignored.
+    expect(alice.weeks.map(week => week.allocated_hours)).toEqual([44.29, 40]);
+    expect(alice.weeks[0]).toMatchObject({ capacity_hours: 40, over_allocated: true });
+    expect(alice.weeks[0].allocations.map(allocation => allocation.project_name))
+      .toEqual(['Project web', 'Project app', 'Project api']);
+    expect(alice.over_allocated_weeks).toBe(1);
+    expect(response.body.data.over_allocations).toEqual([
+      expect.objectContaining({ name: 'Alice Chen', week_start: '2026-10-19', excess_hours: 4.29 })
+    ]);
+  });
+
+  test('capacity is configurable per person by managers', async () => {
+    const people = (await request(app).get('/api/resources/people').set(auth(member))).body.data;
+    const bob = people.find(person => person.name === 'Bob Singh');
+
+    expect((await request(app).put(`/api/resources/people/${bob.id}`).set(auth(member)).send({ weekly_capacity_hours: 20 })).status).toBe(403);
+
+    const update = await request(app).put(`/api/resources/people/${bob.id}`).set(auth(manager)).send({ weekly_capacity_hours: 20 });
+    expect(update.status).toBe(200);
+
+    const capacity = await request(app)
+      .get('/api/resources/capacity')
+      .query({ start: '2026-10-19', weeks: 1, person_id: bob.id })
+      .set(auth(member));
+    expect(capacity.body.data.people).toHaveLength(1);
+    expect(capacity.body.data.people[0].weeks[0]).toMatchObject({ allocated_hours: 30, capacity_hours: 20, over_allocated: true });
+  });
+
+  test('renaming a person renames their allocations', async () => {
+    const people = (await request(app).get('/api/resources/people').set(auth(member))).body.data;
+    const bob = people.find(person => person.name === 'Bob Singh');
+
+    await request(app).put(`/api/resources/people/${bob.id}`).set(auth(manager)).send({ name: 'Robert Singh' });
+
+    const project = await request(app).get(`/api/projects/${projects.web}`).set(auth(member));
+    expect(project.body.data.resources.map(resource => resource.resource_name)).toEqual(['Alice Chen', 'Robert Singh']);
+
+    const clash = await request(app).put(`/api/resources/people/${bob.id}`).set(auth(manager)).send({ name: 'alice chen' });
+    expect(clash.status).toBe(409);
+  });
+});
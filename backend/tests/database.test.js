@@ -0,0 +1,59 @@
+const database = require('../database');
+
+describe('Transactions on the shared connection', () => {
+  const names = async () => (await database.all('SELECT name FROM scratch ORDER BY name')).map(row => row.name);
+  const pause = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  beforeAll(async () => {
+    await database.init({ migrate: false });
+    await database.run('CREATE TABLE scratch (name TEXT NOT NULL)');
+  });
+
+  beforeEach(async () => {
+    await database.run('DELETE FROM scratch');
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('overlapping transactions take turns instead of nesting', async () => {
+    const results = await Promise.allSettled([
+      database.transaction(async () => {
+        await database.run("INSERT INTO scratch (name) VALUES ('first')");
+        await pause();
+        throw new Error('Rolled back');
+      }),
+      database.transaction(async () => {
+        await database.run("INSERT INTO scratch (name) VALUES ('second')");
+        return 'committed';
+      })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'fulfilled']);
+    expect(results[1].value).toBe('committed');
+    expect(await names()).toEqual(['second']);
+  });
+
+  test('statements from outside wait for the open transaction and survive its rollback', async () => {
+    const failing = database.transaction(async () => {
+      await database.run("INSERT INTO scratch (name) VALUES ('inside')");
+      await pause();
+      throw new Error('Rolled back');
+    });
+    const outside = database.run("INSERT INTO scratch (name) VALUES ('outside')");
+
+    await expect(failing).rejects.toThrow('Rolled back');
+    await outside;
+    expect(await names()).toEqual(['outside']);
+  });
+
+  test('a transaction started inside another joins it', async () => {
+    await database.transaction(async () => {
+      await database.run("INSERT INTO scratch (name) VALUES ('outer')");
+      await database.transaction(() => database.run("INSERT INTO scratch (name) VALUES ('inner')"));
+    });
+
+    expect(await names()).toEqual(['inner', 'outer']);
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Daily task dependencies', () => {
+  let member;
+  const ids = {};
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const getTask = async id => (await request(app).get(`/api/daily-tasks/${id}`).set(auth())).body.data;
+  const addDependency = (id, dependsOnId) =>
+    request(app).post(`/api/daily-tasks/${id}/dependencies`).set(auth()).send({ depends_on_id: dependsOnId });
+  const setStatus = (id, status) => request(app).put(`/api/daily-tasks/${id}`).set(auth()).send({ status });
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    for (const [key, title] of [['draft', 'Draft Articles'], ['edit', 'Edit Content'], ['publish', 'Publish Articles']]) {
+      const response = await request(app).post('/api/daily-tasks').set(auth()).send({
+        title,
+        assigned_to: 'Editor',
+        due_date: '2026-10-19',
+        status: key === 'edit' ? 'in-progress' : 'pending'
+      });
+      ids[key] = response.body.data.id;
+    }
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('blocks a task when it gains an unfinished prerequisite', async () => {
+    const response = await addDependency(ids.edit, ids.draft);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.task.status).toBe('blocked');
+    expect((await getTask(ids.edit)).depends_on).toEqual([{ id: ids.draft, title: 'Draft Articles', status: 'pending' }]);
+  });
+
+  test('rejects cycles, self-dependencies and duplicates', async () => {
+    expect((await addDependency(ids.publish, ids.edit)).status).toBe(201);
+
+    const cycle = await addDependency(ids.draft, ids.publish);
+    expect(cycle.status).toBe(409);
+    expect(cycle.body.message).toContain('cycle');
+
+    expect((await addDependency(ids.draft, ids.draft)).status).toBe(409);
+    expect((await addDependency(ids.edit, ids.draft)).status).toBe(409);
+    expect((await addDependency(ids.edit, 9999)).status).toBe(404);
+  });
+
+  test('exposes the dependency graph', async () => {
+    const response = await request(app).get(`/api/daily-tasks/${ids.edit}/dependencies`).set(auth());
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.depends_on.map(task => task.id)).toEqual([ids.draft]);
+    expect(response.body.data.dependents.map(task => task.id)).toEqual([ids.publish]);
+    expect(response.body.data.blocked_by.map(task => task.id)).toEqual([ids.draft]);
+    expect(response.body.data.graph.nodes).toHaveLength(3);
+    expect(response.body.data.graph.edges).toEqual([
+      { task_id: ids.edit, depends_on_id: ids.draft },
+      { task_id: ids.publish, depends_on_id: ids.edit }
+    ]);
+  });
+
+  test('unblocks a task with its earlier status once the prerequisite completes', async () => {
+    const response = await setStatus(ids.draft, 'completed');
+    expect(response.status).toBe(200);
+
+    expect((await getTask(ids.edit)).status).toBe('in-progress');
+    // Publish still waits on Edit Content
+    expect((await getTask(ids.publish)).status).toBe('blocked');
+
+    await setStatus(ids.edit, 'completed');
+    expect((await getTask(ids.publish)).status).toBe('pending');
+  });
+
+  test('blocks dependents again when a prerequisite is reopened', async () => {
+    await setStatus(ids.edit, 'in-progress');
+    expect((await getTask(ids.publish)).status).toBe('blocked');
+  });
+
+  test('keeps a task blocked by hand blocked', async () => {
+    await request(app).delete(`/api/daily-tasks/${ids.publish}/dependencies/${ids.edit}`).set(auth());
+    expect((await getTask(ids.publish)).status).toBe('pending');
+
+    await setStatus(ids.publish, 'blocked');
+    await addDependency(ids.publish, ids.edit);
+    await setStatus(ids.edit, 'completed');
+
+    expect((await getTask(ids.publish)).status).toBe('blocked');
+  });
+
+  test('deleting a prerequisite unblocks its dependents', async () => {
+    await setStatus(ids.edit, 'pending');
+    expect((await getTask(ids.edit)).status).toBe('pending');
+
+    const response = await request(app).post('/api/daily-tasks').set(auth()).send({
+      title: 'Review drafts',
+      assigned_to: 'Editor',
+      due_date: '2026-10-19'
+    });
+    await addDependency(ids.edit, response.body.data.id);
+    expect((await getTask(ids.edit)).status).toBe('blocked');
+
+    await request(app).delete(`/api/daily-tasks/${response.body.data.id}`).set(auth());
+    expect((await getTask(ids.edit)).status).toBe('pending');
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { computeFinancials } = require('../services/financials');
+const { today, addDays } = require('../services/recurrence');
+
+describe('Project financials', () => {
+  let member;
+  let projectId;
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const getFinancials = async () => (await request(app).get(`/api/projects/${projectId}/financials`).set(auth())).body.data;
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('finance');
+
+    const project = await request(app).post('/api/projects').set(auth()).send({
+      name: 'Guest portal',
+      start_date: addDays(today(), -6),
+      end_date: addDays(today(), 7),
+      budget: 1000
+    });
+    projectId = project.body.data.id;
+
+    await request(app).post(`/api/projects/${projectId}/resources`).set(auth()).send({
+      resource_name: 'finance user',
+      role: 'Developer',
+      hours_per_week: 10,
+      hourly_rate: 20
+    });
+
+    const task = await request(app).post('/api/tasks').set(auth()).send({ name: 'Build booking form', creator: 'Finance' });
+    await request(app).post(`/api/projects/${projectId}/tasks`).set(auth()).send({ taskId: task.body.data.id });
+
+    // Three hours logged on the project's task
+    await database.run(`
+      INSERT INTO time_entries (task_id, user_id, started_at, ended_at, end_reason)
+      VALUES (?, ?, datetime('now', '-4 hours'), datetime('now', '-1 hours'), 'stop')
+    `, [task.body.data.id, member.user.id]);
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('multiplies out allocations and logged hours', () => {
+    const financials = computeFinancials({
+      project: { budget: 10000, start_date: '2026-01-01', end_date: '2026-01-28' },
+      allocations: [
+        { id: 1, resource_name: 'Alice', role: 'Developer', hours_per_week: 40, hourly_rate: 50 },
+        { id: 2, resource_name: 'Bob', role: 'Designer', hours_per_week: 10, hourly_rate: 100, start_date: '2026-01-15', end_date: '2026-01-28' }
+      ],
+      loggedHours: [
+        { username: 'alice', display_name: 'Alice', hours: 100 },
+        { username: 'carol', display_name: 'Carol', hours: 10 }
+      ],
+      on: '2026-01-14'
+    });
+
+    expect(financials).toMatchObject({
+      planned_cost: 10000,
+      planned_cost_to_date: 4000,
+      actual_hours: 110,
+      // Carol is not allocated, so her hours use the blended rate of 60
+      actual_cost: 5600,
+      unmatched_cost: 600,
+      remaining_budget: 4400,
+      burn_rate_per_week: 2800,
+      forecast_cost: 11200,
+      forecast_method: 'burn_rate',
+      over_budget: true
+    });
+    expect(financials.allocations.map(allocation => allocation.planned_cost)).toEqual([8000, 2000]);
+    expect(financials.warnings[0]).toContain('exceeds the budget');
+  });
+
+  test('forecasts from the plan before the project starts', () => {
+    const financials = computeFinancials({
+      project: { budget: null, start_date: '2026-02-01', end_date: '2026-02-14' },
+      allocations: [{ id: 1, resource_name: 'Alice', role: 'Developer', hours_per_week: 20, hourly_rate: 50 }],
+      loggedHours: [],
+      on: '2026-01-14'
+    });
+
+    expect(financials).toMatchObject({
+      planned_cost: 2000,
+      actual_cost: 0,
+      burn_rate_per_week: null,
+      forecast_cost: 2000,
+      forecast_method: 'plan',
+      remaining_budget: null,
+      over_budget: false
+    });
+  });
+
+  test('returns planned and actual cost for a project', async () => {
+    const financials = await getFinancials();
+
+    expect(financials).toMatchObject({
+      budget: 1000,
+      planned_cost: 400,
+      actual_hours: 3,
+      actual_cost: 60,
+      remaining_budget: 940,
+      burn_rate_per_week: 60,
+      forecast_cost: 120,
+      over_budget: false,
+      warnings: []
+    });
+    expect(financials.allocations[0]).toMatchObject({ actual_hours: 3, actual_cost: 60, start_date: addDays(today(), -6) });
+  });
+
+  test('warns when the forecast exceeds the budget', async () => {
+    await request(app).put(`/api/projects/${projectId}`).set(auth()).send({ budget: 100 });
+
+    const financials = await getFinancials();
+    expect(financials.over_budget).toBe(true);
+    expect(financials.warnings).toHaveLength(2);
+  });
+
+  test('returns 404 for an unknown project', async () => {
+    const response = await request(app).get('/api/projects/9999/financials').set(auth());
+    expect(response.status).toBe(404);
+  });
+});
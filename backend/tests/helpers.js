@@ -0,0 +1,25 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../database');
+
+/**
+ * Register a user, give them a role and return a fresh access token
+ * @param {string} username - Username (also used for the display name)
+ * @param {string} role - admin, manager or member
+ */
+async function createUser(username, role = 'member') {
+  const credentials = { username, password: 'password123', display_name: `${username} user` };
+  await request(app).post('/api/auth/register').send(credentials);
+  await database.run('UPDATE users SET role = ? WHERE username = ?', [role, username]);
+
+  const login = await request(app)
+    .post('/api/auth/login')
+    .send({ username, password: credentials.password });
+
+  return {
+    user: login.body.data.user,
+    token: login.body.data.accessToken
+  };
+}
+
+module.exports = { app, createUser };
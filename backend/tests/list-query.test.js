@@ -0,0 +1,82 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('List endpoint paging, sorting and fields', () => {
+  let member;
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const list = (path, query) => request(app).get(path).query(query).set(auth());
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    for (const name of ['Alpha task', 'Bravo task', 'Charlie task', 'Delta task', 'Echo task']) {
+      await request(app).post('/api/tasks').set(auth()).send({ name, creator: 'Member' });
+    }
+
+    for (const name of ['Website relaunch', 'Intranet refresh', 'Mobile app']) {
+      await request(app).post('/api/projects').set(auth()).send({ name, priority: name === 'Mobile app' ? 'high' : 'low' });
+    }
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('pages with limit and offset and reports the next page', async () => {
+    const firstPage = await list('/api/tasks', { limit: 2, sort: 'name:asc' });
+    expect(firstPage.status).toBe(200);
+    expect(firstPage.body.data.map(task => task.name)).toEqual(['Alpha task', 'Bravo task']);
+    expect(firstPage.body.pagination).toEqual({ total: 5, limit: 2, offset: 0, has_more: true, next_offset: 2 });
+
+    const lastPage = await list('/api/tasks', { limit: 2, offset: 4, sort: 'name:asc' });
+    expect(lastPage.body.data.map(task => task.name)).toEqual(['Echo task']);
+    expect(lastPage.body.pagination).toMatchObject({ has_more: false, next_offset: null });
+  });
+
+  test('sorts on allowlisted fields only', async () => {
+    const response = await list('/api/tasks', { sort: 'name:desc' });
+    expect(response.body.data[0].name).toBe('Echo task');
+
+    const rejected = await list('/api/tasks', { sort: 'password_hash:asc' });
+    expect(rejected.status).toBe(400);
+
+    const badDirection = await list('/api/tasks', { sort: 'name:sideways' });
+    expect(badDirection.status).toBe(400);
+  });
+
+  test('projects the requested fields and skips unrequested relations', async () => {
+    const response = await list('/api/tasks', { fields: 'name', limit: 1 });
+    expect(Object.keys(response.body.data[0]).sort()).toEqual(['id', 'name']);
+
+    const withRelation = await list('/api/tasks', { fields: 'name,approvers', limit: 1 });
+    expect(withRelation.body.data[0].approvers).toEqual([]);
+    expect(withRelation.body.data[0].approval).toBeUndefined();
+
+    const rejected = await list('/api/tasks', { fields: 'name,secret' });
+    expect(rejected.status).toBe(400);
+  });
+
+  test('combines filters with paging', async () => {
+    const response = await list('/api/projects', { priority: 'high', fields: 'name,milestones' });
+    expect(response.body.data).toEqual([{ id: expect.any(Number), name: 'Mobile app', milestones: [] }]);
+    expect(response.body.pagination.total).toBe(1);
+  });
+
+  test('stores dates from request bodies as given, so date filters match', async () => {
+    await request(app).post('/api/daily-tasks').set(auth()).send({ title: 'Proofread', assigned_to: 'Editor', due_date: '2026-10-19' });
+
+    const response = await list('/api/daily-tasks', { due_date: '2026-10-19' });
+    expect(response.body.data.map(task => task.due_date)).toEqual(['2026-10-19']);
+  });
+
+  test('validates limit bounds', async () => {
+    expect((await list('/api/articles', { limit: 0 })).status).toBe(400);
+    expect((await list('/api/articles', { limit: 500 })).status).toBe(400);
+
+    const defaults = await list('/api/checklists', {});
+    expect(defaults.body.pagination).toEqual({ total: 0, limit: 50, offset: 0, has_more: false, next_offset: null });
+  });
+});
@@ -0,0 +1,140 @@
+const database = require('../database');
+
+describe('Schema migrations', () => {
+  const tableExists = async name => Boolean(await database.get(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [name]
+  ));
+
+  const columnNames = async table => (await database.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+  beforeAll(async () => {
+    await database.init();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('init applies every migration in order', async () => {
+    const migrations = await database.loadMigrations();
+    const rows = await database.all('SELECT version, name FROM schema_migrations ORDER BY version');
+
+    expect(rows).toEqual(migrations.map(({ version, name }) => ({ version, name })));
+    expect(await tableExists('audit_log')).toBe(true);
+  });
+
+  test('migrate is a no-op when the schema is current', async () => {
+    expect(await database.migrate()).toEqual([]);
+  });
+
+  test('rollback reverts the latest migrations and migrate reapplies them', async () => {
+    // Roll back to just before the time entries migration
+    const migrations = await database.loadMigrations();
+    const later = migrations.filter(migration => migration.version >= 4);
+
+    const reverted = await database.rollback(later.length);
+    expect(reverted.map(migration => migration.version)).toEqual(later.map(migration => migration.version).reverse());
+    expect(await tableExists('audit_log')).toBe(false);
+    expect(await tableExists('time_entries')).toBe(false);
+    expect(await columnNames('tasks')).toContain('timer');
+
+    const applied = await database.migrate();
+    expect(applied.map(migration => migration.version)).toEqual(later.map(migration => migration.version));
+    expect(await tableExists('audit_log')).toBe(true);
+    expect(await columnNames('tasks')).not.toContain('timer');
+  });
+
+  test('the time entries migration keeps legacy timer values as a note', async () => {
+    const migrations = await database.loadMigrations();
+    const later = migrations.filter(migration => migration.version >= 4);
+    await database.rollback(later.length);
+
+    for (const [name, timer] of [['Timed', ' 2 hours '], ['Blank', '  '], ['Untimed', null]]) {
+      await database.run("INSERT INTO tasks (name, creator, timer) VALUES (?, 'Reporter', ?)", [name, timer]);
+    }
+
+    await database.migrate();
+
+    const tasks = await database.all("SELECT name, legacy_timer FROM tasks WHERE name IN ('Timed', 'Blank', 'Untimed') ORDER BY id");
+    expect(tasks).toEqual([
+      { name: 'Timed', legacy_timer: '2 hours' },
+      { name: 'Blank', legacy_timer: null },
+      { name: 'Untimed', legacy_timer: null }
+    ]);
+    expect(await columnNames('tasks')).not.toContain('timer');
+  });
+
+  test('the people migration links existing allocations to one person per name', async () => {
+    const migrations = await database.loadMigrations();
+    const later = migrations.filter(migration => migration.version >= 11);
+    await database.rollback(later.length);
+
+    const project = await database.run("INSERT INTO projects (name) VALUES ('Legacy project')");
+    for (const name of ['Dana Lee', ' dana lee', 'Sam Ortiz']) {
+      await database.run(
+        "INSERT INTO resource_allocations (project_id, resource_name, role) VALUES (?, ?, 'Developer')",
+        [project.lastID, name]
+      );
+    }
+
+    await database.migrate();
+
+    const people = await database.all('SELECT id, name FROM people ORDER BY name');
+    expect(people.map(person => person.name)).toEqual(['Dana Lee', 'Sam Ortiz']);
+
+    const allocations = await database.all('SELECT resource_name, person_id FROM resource_allocations ORDER BY id');
+    expect(allocations).toEqual([
+      { resource_name: 'Dana Lee', person_id: people[0].id },
+      { resource_name: 'Dana Lee', person_id: people[0].id },
+      { resource_name: 'Sam Ortiz', person_id: people[1].id }
+    ]);
+  });
+
+  test('schedule links to tasks that were deleted are pruned', async () => {
+    const migrations = await database.loadMigrations();
+    const later = migrations.filter(migration => migration.version >= 18);
+    await database.rollback(later.length);
+
+    const project = await database.run("INSERT INTO projects (name) VALUES ('Schedule project')");
+    const kept = await database.run("INSERT INTO tasks (name, creator) VALUES ('Kept', 'Reporter')");
+    const milestone = await database.run('INSERT INTO project_milestones (project_id, title) VALUES (?, ?)', [project.lastID, 'Launch']);
+    await database.run('INSERT INTO project_tasks (project_id, task_id) VALUES (?, ?)', [project.lastID, kept.lastID]);
+
+    for (const taskId of [kept.lastID, 9999]) {
+      await database.run(`
+        INSERT INTO project_schedule_links (project_id, item_type, item_id, predecessor_type, predecessor_id)
+        VALUES (?, 'milestone', ?, 'task', ?)
+      `, [project.lastID, milestone.lastID, taskId]);
+    }
+
+    await database.migrate();
+
+    const links = await database.all('SELECT predecessor_id FROM project_schedule_links WHERE project_id = ?', [project.lastID]);
+    expect(links).toEqual([{ predecessor_id: kept.lastID }]);
+  });
+
+  test('a failing migration is rolled back and not recorded', async () => {
+    const migrations = await database.loadMigrations();
+    const latest = migrations[migrations.length - 1];
+    const loadMigrations = jest.spyOn(database, 'loadMigrations').mockResolvedValue([
+      ...migrations,
+      {
+        version: latest.version + 1,
+        name: 'broken',
+        async up(db) {
+          await db.run('CREATE TABLE half_done (id INTEGER)');
+          await db.run('THIS IS NOT SQL');
+        },
+        async down() {}
+      }
+    ]);
+
+    await expect(database.migrate()).rejects.toThrow();
+    loadMigrations.mockRestore();
+
+    expect(await tableExists('half_done')).toBe(false);
+    const recorded = await database.get('SELECT * FROM schema_migrations WHERE name = ?', ['broken']);
+    expect(recorded).toBeUndefined();
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Task approval permissions', () => {
+  let admin;
+  let manager;
+  let member;
+  let approver;
+  let taskId;
+
+  beforeAll(async () => {
+    await database.init();
+    admin = await createUser('admin', 'admin');
+    manager = await createUser('manager', 'manager');
+    member = await createUser('member');
+    approver = await createUser('approver');
+
+    const task = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({ name: 'Publish hotel news', creator: 'Member' });
+    taskId = task.body.data.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('the first registered user should become an admin', async () => {
+    const response = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${admin.token}`);
+    expect(response.body.data.role).toBe('admin');
+  });
+
+  test('a member cannot approve a task', async () => {
+    const response = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({ status: 'approved' });
+    expect(response.status).toBe(403);
+  });
+
+  test('the approver name cannot be supplied by the client', async () => {
+    const response = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ status: 'approved', approver: 'Somebody Else' });
+    expect(response.status).toBe(400);
+  });
+
+  test('only managers can designate approvers', async () => {
+    const response = await request(app)
+      .put(`/api/tasks/${taskId}/approvers`)
+      .set('Authorization', `Bearer ${member.token}`)
+      .send({ user_ids: [member.user.id] });
+    expect(response.status).toBe(403);
+  });
+
+  test('a designated approver can approve and is recorded as the approver', async () => {
+    const designate = await request(app)
+      .put(`/api/tasks/${taskId}/approvers`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ user_ids: [approver.user.id] });
+    expect(designate.status).toBe(200);
+    expect(designate.body.data.approvers.map(u => u.id)).toEqual([approver.user.id]);
+
+    const response = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${approver.token}`)
+      .send({ status: 'approved' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.approver).toBe('approver user');
+  });
+
+  test('a manager can reject any task', async () => {
+    const response = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ status: 'rejected' });
+    expect(response.status).toBe(200);
+    expect(response.body.data.approver).toBe('manager user');
+  });
+
+  test('only admins can change roles', async () => {
+    const denied = await request(app)
+      .put(`/api/users/${member.user.id}/role`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ role: 'manager' });
+    expect(denied.status).toBe(403);
+
+    const allowed = await request(app)
+      .put(`/api/users/${member.user.id}/role`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'manager' });
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.role).toBe('manager');
+  });
+
+  test('a role change applies to access tokens already issued', async () => {
+    const demoted = await request(app)
+      .put(`/api/users/${manager.user.id}/role`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ role: 'member' });
+    expect(demoted.status).toBe(200);
+
+    const response = await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${manager.token}`)
+      .send({ status: 'approved' });
+    expect(response.status).toBe(403);
+  });
+});
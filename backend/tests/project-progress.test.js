@@ -0,0 +1,103 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { computeProgress } = require('../services/project-progress');
+
+describe('Project progress', () => {
+  let member;
+  let projectId;
+  const taskIds = [];
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const getProject = async () => (await request(app).get(`/api/projects/${projectId}`).set(auth())).body.data;
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('progress');
+
+    const project = await request(app).post('/api/projects').set(auth()).send({ name: 'Mobile app' });
+    projectId = project.body.data.id;
+
+    for (const [name, estimated_hours] of [['Design screens', 10], ['Build API', 30]]) {
+      const task = await request(app).post('/api/tasks').set(auth()).send({ name, creator: 'Progress' });
+      taskIds.push(task.body.data.id);
+      await request(app).post(`/api/projects/${projectId}/tasks`).set(auth()).send({ taskId: task.body.data.id, estimated_hours });
+    }
+
+    const beta = await request(app).post(`/api/projects/${projectId}/milestones`).set(auth()).send({ title: 'Beta' });
+    await request(app).put(`/api/projects/${projectId}/milestones/${beta.body.data.id}`).set(auth()).send({ completed: true });
+    await request(app).post(`/api/projects/${projectId}/milestones`).set(auth()).send({ title: 'Launch' });
+
+    await request(app).put(`/api/tasks/${taskIds[0]}`).set(auth()).send({ completed: true });
+
+    // Six hours logged on the open task
+    await database.run(`
+      INSERT INTO time_entries (task_id, user_id, started_at, ended_at, end_reason)
+      VALUES (?, ?, datetime('now', '-7 hours'), datetime('now', '-1 hours'), 'stop')
+    `, [taskIds[1], member.user.id]);
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('weights only the measures a project has data for', () => {
+    const progress = computeProgress({ status: 'active', progress_mode: 'weighted' }, {
+      milestonesTotal: 0,
+      milestonesDone: 0,
+      tasks: [
+        { completed: true, estimated_hours: null, duration_days: 1, logged_hours: 2 },
+        { completed: false, estimated_hours: 4, duration_days: 1, logged_hours: 10 },
+        { completed: false, estimated_hours: 12, duration_days: 1, logged_hours: 0 }
+      ]
+    });
+
+    // Tasks 1/3 = 33%; hours (8 + 4 + 0) / 24 = 50%; no milestones, so 0.4 × 33 + 0.2 × 50 over 0.6
+    expect(progress.components.milestones.percent).toBeNull();
+    expect(progress.components.tasks.percent).toBe(33);
+    expect(progress.components.hours).toMatchObject({ earned: 12, logged: 12, estimated: 24, percent: 50 });
+    expect(progress.percent).toBe(39);
+  });
+
+  test('a completed project is done whatever its measures say', () => {
+    const progress = computeProgress({ status: 'completed', progress_mode: 'tasks' }, {
+      milestonesTotal: 0,
+      milestonesDone: 0,
+      tasks: []
+    });
+
+    expect(progress.percent).toBe(100);
+  });
+
+  test('returns progress with the project and the project list', async () => {
+    const project = await getProject();
+
+    // Milestones 1/2 = 50%; tasks 1/2 = 50%; hours (10 + 6) / 40 = 40%
+    expect(project.progress).toMatchObject({
+      mode: 'weighted',
+      percent: 48,
+      components: {
+        milestones: { done: 1, total: 2, percent: 50 },
+        tasks: { done: 1, total: 2, percent: 50 },
+        hours: { earned: 16, estimated: 40, percent: 40 }
+      }
+    });
+
+    const list = await request(app).get('/api/projects').query({ fields: 'id,progress' }).set(auth());
+    expect(list.body.data.find(item => item.id === projectId).progress.percent).toBe(48);
+  });
+
+  test('the progress mode is configurable per project', async () => {
+    const update = await request(app).put(`/api/projects/${projectId}`).set(auth()).send({ progress_mode: 'hours' });
+    expect(update.status).toBe(200);
+    expect(update.body.data.progress).toMatchObject({ mode: 'hours', percent: 40 });
+
+    await request(app).put(`/api/projects/${projectId}/tasks/${taskIds[1]}`).set(auth()).send({ estimated_hours: null });
+
+    // Without an estimate the open task counts its one-day duration: (10 + 6) / (10 + 8)
+    expect((await getProject()).progress.percent).toBe(89);
+
+    const invalid = await request(app).put(`/api/projects/${projectId}`).set(auth()).send({ progress_mode: 'vibes' });
+    expect(invalid.status).toBe(400);
+  });
+});
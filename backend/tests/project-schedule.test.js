@@ -0,0 +1,141 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { computeSchedule } = require('../services/project-schedule');
+const { today, addDays } = require('../services/recurrence');
+
+describe('Project schedule', () => {
+  let member;
+  let projectId;
+  const ids = {};
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const link = body => request(app).post(`/api/projects/${projectId}/schedule/links`).set(auth()).send(body);
+  const getSchedule = async () => (await request(app).get(`/api/projects/${projectId}/schedule`).set(auth())).body.data;
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    const project = await request(app).post('/api/projects').set(auth()).send({
+      name: 'Website relaunch',
+      start_date: today(),
+      end_date: addDays(today(), 7)
+    });
+    projectId = project.body.data.id;
+
+    for (const [key, name, duration] of [['design', 'Design pages', 3], ['build', 'Build pages', 5], ['copy', 'Write copy', 2]]) {
+      const task = await request(app).post('/api/tasks').set(auth()).send({ name, creator: 'Member' });
+      ids[key] = task.body.data.id;
+      await request(app).post(`/api/projects/${projectId}/tasks`).set(auth()).send({ taskId: ids[key], duration_days: duration });
+    }
+
+    const launch = await request(app).post(`/api/projects/${projectId}/milestones`).set(auth()).send({
+      title: 'Launch',
+      due_date: addDays(today(), 7)
+    });
+    ids.launch = launch.body.data.id;
+
+    const kickoff = await request(app).post(`/api/projects/${projectId}/milestones`).set(auth()).send({
+      title: 'Kickoff',
+      due_date: addDays(today(), -2)
+    });
+    ids.kickoff = kickoff.body.data.id;
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('computes slack and the critical path of a small network', () => {
+    const items = [
+      { type: 'task', id: 1, title: 'A', duration_days: 3, completed: false },
+      { type: 'task', id: 2, title: 'B', duration_days: 5, completed: false },
+      { type: 'task', id: 3, title: 'C', duration_days: 2, completed: false },
+      { type: 'milestone', id: 1, title: 'Done', duration_days: 0, completed: false, due_date: '2026-01-07' }
+    ];
+    const links = [
+      { id: 1, item_type: 'task', item_id: 2, predecessor_type: 'task', predecessor_id: 1 },
+      { id: 2, item_type: 'milestone', item_id: 1, predecessor_type: 'task', predecessor_id: 2 },
+      { id: 3, item_type: 'milestone', item_id: 1, predecessor_type: 'task', predecessor_id: 3 }
+    ];
+
+    const schedule = computeSchedule({ startDate: '2026-01-01', plannedEndDate: '2026-01-07', items, links, on: '2026-01-01' });
+
+    expect(schedule.critical_path.map(item => item.title)).toEqual(['A', 'B', 'Done']);
+    expect(schedule.items.find(item => item.title === 'C')).toMatchObject({ slack_days: 6, critical: false });
+    expect(schedule.items.find(item => item.title === 'B')).toMatchObject({ start_date: '2026-01-04', finish_date: '2026-01-08' });
+    expect(schedule.projected_end_date).toBe('2026-01-09');
+    expect(schedule.slip_days).toBe(2);
+    expect(schedule.at_risk_milestones).toEqual([
+      { id: 1, title: 'Done', due_date: '2026-01-07', projected_date: '2026-01-09', projected_slip_days: 2 }
+    ]);
+  });
+
+  test('unfinished work cannot start before today', () => {
+    const items = [
+      { type: 'task', id: 1, title: 'Done already', duration_days: 2, completed: true },
+      { type: 'task', id: 2, title: 'Still to do', duration_days: 2, completed: false }
+    ];
+
+    const schedule = computeSchedule({ startDate: '2026-01-01', items, links: [], on: '2026-01-10' });
+
+    expect(schedule.items[0].start_date).toBe('2026-01-01');
+    expect(schedule.items[1].start_date).toBe('2026-01-10');
+    expect(schedule.projected_end_date).toBe('2026-01-11');
+  });
+
+  test('links tasks and milestones and returns the schedule', async () => {
+    expect((await link({ item_type: 'task', item_id: ids.build, predecessor_type: 'task', predecessor_id: ids.design })).status).toBe(201);
+    expect((await link({ item_type: 'milestone', item_id: ids.launch, predecessor_type: 'task', predecessor_id: ids.build })).status).toBe(201);
+
+    const schedule = await getSchedule();
+
+    expect(schedule.planned_end_date).toBe(addDays(today(), 7));
+    expect(schedule.projected_end_date).toBe(addDays(today(), 8));
+    expect(schedule.slip_days).toBe(1);
+    expect(schedule.critical_path.map(item => item.title)).toEqual(['Design pages', 'Build pages', 'Launch']);
+    expect(schedule.items.find(item => item.title === 'Write copy').slack_days).toBe(6);
+    expect(schedule.items.find(item => item.title === 'Build pages').predecessors)
+      .toEqual([{ type: 'task', id: ids.design, link_id: expect.any(Number) }]);
+  });
+
+  test('flags milestones past due and not completed', async () => {
+    const schedule = await getSchedule();
+    expect(schedule.overdue_milestones).toEqual([
+      { id: ids.kickoff, title: 'Kickoff', due_date: addDays(today(), -2), days_overdue: 2 }
+    ]);
+
+    await request(app).put(`/api/projects/${projectId}/milestones/${ids.kickoff}`).set(auth()).send({ completed: true });
+    expect((await getSchedule()).overdue_milestones).toEqual([]);
+  });
+
+  test('rejects cycles, duplicates and items from other projects', async () => {
+    const cycle = await link({ item_type: 'task', item_id: ids.design, predecessor_type: 'milestone', predecessor_id: ids.launch });
+    expect(cycle.status).toBe(409);
+    expect(cycle.body.message).toContain('cycle');
+
+    expect((await link({ item_type: 'task', item_id: ids.build, predecessor_type: 'task', predecessor_id: ids.design })).status).toBe(409);
+    expect((await link({ item_type: 'task', item_id: ids.build, predecessor_type: 'task', predecessor_id: 9999 })).status).toBe(404);
+    expect((await link({ item_type: 'epic', item_id: ids.build, predecessor_type: 'task', predecessor_id: ids.design })).status).toBe(400);
+  });
+
+  test('durations can be changed and removed items drop their links', async () => {
+    const update = await request(app).put(`/api/projects/${projectId}/tasks/${ids.build}`).set(auth()).send({ duration_days: 2 });
+    expect(update.status).toBe(200);
+    expect((await getSchedule()).projected_end_date).toBe(addDays(today(), 5));
+
+    await request(app).delete(`/api/projects/${projectId}/tasks/${ids.design}`).set(auth());
+    const schedule = await getSchedule();
+    expect(schedule.items.find(item => item.title === 'Build pages').predecessors).toEqual([]);
+    expect(await database.all('SELECT * FROM project_schedule_links WHERE predecessor_id = ?', [ids.design])).toEqual([]);
+  });
+
+  test('deleting a task outright drops its links', async () => {
+    await request(app).delete(`/api/tasks/${ids.build}`).set(auth());
+
+    const schedule = await getSchedule();
+    expect(schedule.items.find(item => item.title === 'Launch').predecessors).toEqual([]);
+    expect(await database.all("SELECT * FROM project_schedule_links WHERE predecessor_type = 'task' AND predecessor_id = ?", [ids.build])).toEqual([]);
+  });
+});
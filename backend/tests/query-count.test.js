@@ -0,0 +1,89 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Query count of nested list endpoints', () => {
+  let member;
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+
+  /**
+   * Run a request and count the SQL statements it sends to the database
+   */
+  async function countQueries(path) {
+    const methods = ['run', 'get', 'all'].map(method => jest.spyOn(database, method));
+    try {
+      const response = await request(app).get(path).set(auth());
+      expect(response.status).toBe(200);
+      return methods.reduce((sum, spy) => sum + spy.mock.calls.length, 0);
+    } finally {
+      methods.forEach(spy => spy.mockRestore());
+    }
+  }
+
+  async function createChecklists(count, tasksPerChecklist) {
+    for (let i = 0; i < count; i++) {
+      const checklist = await request(app).post('/api/checklists').set(auth()).send({ title: `Checklist ${i}`, theme: 'blue' });
+      for (let j = 0; j < tasksPerChecklist; j++) {
+        const task = await request(app)
+          .post(`/api/checklists/${checklist.body.data.id}/tasks`)
+          .set(auth())
+          .send({ title: `Task ${j}`, priority: 'Medium' });
+        await request(app)
+          .post(`/api/checklists/${checklist.body.data.id}/tasks/${task.body.data.id}/subtasks`)
+          .set(auth())
+          .send({ title: `Subtask ${j}` });
+      }
+    }
+  }
+
+  async function createProjects(count) {
+    for (let i = 0; i < count; i++) {
+      const project = await request(app).post('/api/projects').set(auth()).send({ name: `Project ${i}` });
+      const task = await request(app).post('/api/tasks').set(auth()).send({ name: `Project task ${i}`, creator: 'Member' });
+      await request(app).post(`/api/projects/${project.body.data.id}/tasks`).set(auth()).send({ taskId: task.body.data.id });
+      await request(app).post(`/api/projects/${project.body.data.id}/milestones`).set(auth()).send({ title: `Milestone ${i}` });
+    }
+  }
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('checklists load with the same number of queries however many there are', async () => {
+    await createChecklists(1, 1);
+    const small = await countQueries('/api/checklists');
+
+    await createChecklists(3, 3);
+    const large = await countQueries('/api/checklists');
+
+    expect(large).toBe(small);
+
+    const response = await request(app).get('/api/checklists').set(auth());
+    const checklist = response.body.data.find(item => item.title === 'Checklist 2');
+    expect(checklist.tasks).toHaveLength(3);
+    expect(checklist.tasks[0].subtasks).toHaveLength(1);
+  });
+
+  test('projects load with the same number of queries however many there are', async () => {
+    await createProjects(1);
+    const small = await countQueries('/api/projects');
+
+    await createProjects(4);
+    const large = await countQueries('/api/projects');
+
+    expect(large).toBe(small);
+
+    const response = await request(app).get('/api/projects').set(auth());
+    const project = response.body.data.find(item => item.name === 'Project 3');
+    expect(project.tasks.map(task => task.name)).toEqual(['Project task 3']);
+    expect(project.tasks[0].project_id).toBeUndefined();
+    expect(project.milestones).toHaveLength(1);
+    expect(project.resources).toEqual([]);
+  });
+});
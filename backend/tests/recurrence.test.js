@@ -0,0 +1,200 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const {
+  today,
+  addDays,
+  parseRule,
+  normalizeRecurrence,
+  occurrencesBetween,
+  generateOccurrences
+} = require('../services/recurrence');
+
+describe('Recurrence rules', () => {
+  const between = (recurrence, startDate, from, to, extra = {}) =>
+    occurrencesBetween({ recurrence, start_date: startDate, ...extra }, from, to);
+
+  test('expands the presets', () => {
+    // 2026-10-05 is a Monday
+    expect(between(normalizeRecurrence('daily', { startDate: '2026-10-05' }), '2026-10-05', '2026-10-05', '2026-10-07'))
+      .toEqual(['2026-10-05', '2026-10-06', '2026-10-07']);
+    expect(between(normalizeRecurrence('weekdays', { startDate: '2026-10-05' }), '2026-10-05', '2026-10-09', '2026-10-13'))
+      .toEqual(['2026-10-09', '2026-10-12', '2026-10-13']);
+    expect(between(normalizeRecurrence('weekly', { days: ['TU', 'TH'], startDate: '2026-10-05' }), '2026-10-05', '2026-10-05', '2026-10-13'))
+      .toEqual(['2026-10-06', '2026-10-08', '2026-10-13']);
+    expect(between(normalizeRecurrence('monthly', { startDate: '2026-01-31' }), '2026-01-31', '2026-01-01', '2026-04-30'))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  test('supports INTERVAL, COUNT, UNTIL and the last day of the month', () => {
+    expect(between('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO', '2026-10-05', '2026-10-01', '2026-11-01'))
+      .toEqual(['2026-10-05', '2026-10-19']);
+    expect(between('FREQ=DAILY;COUNT=3', '2026-10-05', '2026-10-06', '2026-10-31'))
+      .toEqual(['2026-10-06', '2026-10-07']);
+    expect(between('FREQ=DAILY;UNTIL=20261007', '2026-10-05', '2026-10-01', '2026-10-31'))
+      .toEqual(['2026-10-05', '2026-10-06', '2026-10-07']);
+    expect(between('FREQ=MONTHLY;BYMONTHDAY=-1', '2026-01-15', '2026-01-01', '2026-03-31'))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+    expect(between('FREQ=DAILY', '2026-10-05', '2026-10-01', '2026-10-31', { end_date: '2026-10-06' }))
+      .toEqual(['2026-10-05', '2026-10-06']);
+  });
+
+  test('rejects rules outside the supported subset', () => {
+    expect(() => parseRule('FREQ=YEARLY')).toThrow('FREQ');
+    expect(() => parseRule('FREQ=DAILY;BYDAY=MO')).toThrow('BYDAY');
+    expect(() => parseRule('FREQ=WEEKLY;BYSETPOS=1')).toThrow('BYSETPOS');
+    expect(normalizeRecurrence('rrule:freq=weekly;interval=1;byday=mo,fr', { startDate: '2026-10-05' }))
+      .toBe('FREQ=WEEKLY;BYDAY=MO,FR');
+  });
+});
+
+describe('Recurring daily task templates', () => {
+  let member;
+  let templateId;
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const occurrences = () => request(app).get(`/api/daily-tasks?template_id=${templateId}`).set(auth());
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('creates a template and generates its upcoming daily tasks', async () => {
+    const response = await request(app).post('/api/daily-task-templates').set(auth()).send({
+      title: 'Publish Articles',
+      assigned_to: 'Editor',
+      recurrence: 'daily',
+      start_date: today()
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.recurrence).toBe('FREQ=DAILY');
+    expect(response.body.data.generated).toHaveLength(15);
+    templateId = response.body.data.id;
+
+    const tasks = (await occurrences()).body.data;
+    expect(tasks[0]).toMatchObject({ title: 'Publish Articles', due_date: today(), occurrence_date: today() });
+  });
+
+  test('scheduler runs are idempotent and extend the horizon', async () => {
+    expect(await generateOccurrences()).toEqual([]);
+
+    const created = await generateOccurrences({ from: addDays(today(), 1) });
+    expect(created.map(task => task.occurrence_date)).toEqual([addDays(today(), 15)]);
+  });
+
+  test('rejects unsupported recurrence rules', async () => {
+    const response = await request(app).post('/api/daily-task-templates').set(auth()).send({
+      title: 'Social Media Promotion',
+      assigned_to: 'Editor',
+      recurrence: 'FREQ=HOURLY',
+      start_date: today()
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('FREQ');
+  });
+
+  test('edits a single occurrence, including one not generated yet', async () => {
+    const date = addDays(today(), 20);
+    const response = await request(app)
+      .put(`/api/daily-task-templates/${templateId}/occurrences/${date}`)
+      .set(auth())
+      .send({ title: 'Publish Articles (holiday edition)', priority: 'high' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ title: 'Publish Articles (holiday edition)', occurrence_date: date, due_date: date });
+
+    const notAnOccurrence = await request(app)
+      .put(`/api/daily-task-templates/${templateId}/occurrences/${addDays(today(), -1)}`)
+      .set(auth())
+      .send({ title: 'Too early' });
+    expect(notAnOccurrence.status).toBe(404);
+  });
+
+  test('skips and restores a single occurrence', async () => {
+    const date = addDays(today(), 2);
+    const skip = await request(app).post(`/api/daily-task-templates/${templateId}/occurrences/${date}/skip`).set(auth());
+    expect(skip.status).toBe(200);
+
+    await generateOccurrences();
+    const listing = await request(app)
+      .get(`/api/daily-task-templates/${templateId}/occurrences?start=${date}&end=${date}`)
+      .set(auth());
+    expect(listing.body.data).toEqual([{ date, skipped: true, task: null }]);
+
+    const restore = await request(app).delete(`/api/daily-task-templates/${templateId}/occurrences/${date}/skip`).set(auth());
+    expect(restore.status).toBe(200);
+    expect(restore.body.data.occurrence_date).toBe(date);
+  });
+
+  test('deleting a generated daily task keeps it from coming back', async () => {
+    const date = addDays(today(), 3);
+    const task = (await occurrences()).body.data.find(item => item.occurrence_date === date);
+
+    await request(app).delete(`/api/daily-tasks/${task.id}`).set(auth());
+    await generateOccurrences();
+
+    const tasks = (await occurrences()).body.data;
+    expect(tasks.some(item => item.occurrence_date === date)).toBe(false);
+  });
+
+  test('template updates regenerate untouched occurrences only', async () => {
+    const response = await request(app)
+      .put(`/api/daily-task-templates/${templateId}`)
+      .set(auth())
+      .send({ assigned_to: 'Night editor' });
+    expect(response.status).toBe(200);
+
+    const tasks = (await occurrences()).body.data;
+    const edited = tasks.find(item => item.occurrence_date === addDays(today(), 20));
+    const regenerated = tasks.find(item => item.occurrence_date === addDays(today(), 1));
+
+    expect(edited.assigned_to).toBe('Editor');
+    expect(regenerated.assigned_to).toBe('Night editor');
+  });
+
+  test('deleting a template removes untouched upcoming occurrences', async () => {
+    const response = await request(app).delete(`/api/daily-task-templates/${templateId}`).set(auth());
+    expect(response.status).toBe(200);
+
+    const remaining = await request(app).get('/api/daily-tasks?sort=due_date:asc').set(auth());
+    expect(remaining.body.data.map(task => task.title)).toEqual(['Publish Articles (holiday edition)']);
+    expect(remaining.body.data[0].template_id).toBeNull();
+  });
+
+  test('keeps occurrences with dependencies and unblocks the dependents of skipped ones', async () => {
+    const template = await request(app).post('/api/daily-task-templates').set(auth()).send({
+      title: 'Collect Sources',
+      assigned_to: 'Editor',
+      recurrence: 'daily',
+      start_date: today()
+    });
+    const tasks = template.body.data.generated;
+    const [linked, skipped] = [tasks[1], tasks[2]];
+
+    const dependents = [];
+    for (const prerequisite of [linked, skipped]) {
+      const task = await request(app).post('/api/daily-tasks').set(auth()).send({
+        title: `Write up ${prerequisite.occurrence_date}`,
+        assigned_to: 'Editor',
+        due_date: prerequisite.occurrence_date
+      });
+      await request(app).post(`/api/daily-tasks/${task.body.data.id}/dependencies`).set(auth()).send({ depends_on_id: prerequisite.id });
+      dependents.push(task.body.data.id);
+    }
+
+    await request(app).put(`/api/daily-task-templates/${template.body.data.id}`).set(auth()).send({ assigned_to: 'Researcher' });
+    const kept = await request(app).get(`/api/daily-tasks/${linked.id}`).set(auth());
+    expect(kept.body.data.assigned_to).toBe('Editor');
+    expect((await request(app).get(`/api/daily-tasks/${dependents[0]}`).set(auth())).body.data.status).toBe('blocked');
+
+    await request(app).post(`/api/daily-task-templates/${template.body.data.id}/occurrences/${skipped.occurrence_date}/skip`).set(auth());
+    expect((await request(app).get(`/api/daily-tasks/${dependents[1]}`).set(auth())).body.data.status).toBe('pending');
+  });
+});
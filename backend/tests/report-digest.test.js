@@ -0,0 +1,123 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Team digest', () => {
+  let member;
+  let manager;
+  const ids = {};
+
+  const auth = (user = member) => ({ Authorization: `Bearer ${user.token}` });
+  const digest = (query, user) => request(app).get('/api/progress-reports/digest').query(query).set(auth(user));
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+    manager = await createUser('manager', 'manager');
+
+    const tasks = {
+      release: { assigned_to: 'Priya', status: 'completed' },
+      review: { assigned_to: 'Priya', status: 'blocked' },
+      migrate: { assigned_to: 'Omar', status: 'in-progress' },
+      triage: { assigned_to: 'Lena' }
+    };
+
+    for (const [name, fields] of Object.entries(tasks)) {
+      const response = await request(app).post('/api/daily-tasks').set(auth()).send({ title: `Task ${name}`, due_date: '2026-10-19', ...fields });
+      ids[name] = response.body.data.id;
+    }
+
+    await request(app).post('/api/progress-reports').set(auth()).send({
+      reporter_name: 'Priya',
+      report_date: '2026-10-19',
+      tasks_completed: '- Task release (100%, 2h): Shipped to staging\n- Answered <support> tickets',
+      tasks_blocked: 'Task review',
+      hours_worked: 6,
+      mood_rating: 4,
+      productivity_score: 5
+    });
+
+    await request(app).post('/api/progress-reports').set(auth()).send({
+      reporter_name: 'omar',
+      report_date: '2026-10-19',
+      tasks_blocked: 'Waiting on database access',
+      hours_worked: 7.5,
+      mood_rating: 3,
+      productivity_score: 2
+    });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test("merges every report's items, blockers first, and lists who has not reported", async () => {
+    const response = await digest({ date: '2026-10-19' }, manager);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      date: '2026-10-19',
+      totals: { reports: 2, hours_worked: 13.5, average_mood_rating: 3.5, average_productivity_score: 3.5 },
+      blockers: [
+        { reporter_name: 'omar', daily_task_id: null, text: 'Waiting on database access' },
+        { reporter_name: 'Priya', daily_task_id: ids.review, text: 'Task review' }
+      ],
+      completed: [
+        { reporter_name: 'Priya', daily_task_id: ids.release, text: 'Task release (100%, 2h): Shipped to staging' },
+        { reporter_name: 'Priya', daily_task_id: null, text: 'Answered <support> tickets' }
+      ],
+      in_progress: [
+        { reporter_name: 'omar', daily_task_id: ids.migrate, text: 'Task migrate' }
+      ],
+      submitted: ['omar', 'Priya'],
+      missing: ['Lena']
+    });
+  });
+
+  test('exports as Markdown and HTML', async () => {
+    const markdown = await digest({ date: '2026-10-19', format: 'markdown' }, manager);
+    expect(markdown.status).toBe(200);
+    expect(markdown.headers['content-type']).toContain('text/markdown');
+    expect(markdown.headers['content-disposition']).toContain('team-digest-2026-10-19.md');
+    expect(markdown.text).toContain('2 reports · 13.5h worked · mood 3.5/5 · productivity 3.5/5');
+    expect(markdown.text.indexOf('## Blockers')).toBeLessThan(markdown.text.indexOf('## Completed'));
+    expect(markdown.text).toContain('## Missing reports\n\n- Lena');
+
+    const html = await digest({ date: '2026-10-19', format: 'html' });
+    expect(html.headers['content-type']).toContain('text/html');
+    expect(html.text).toContain('<strong>Priya</strong>: Answered &lt;support&gt; tickets');
+  });
+
+  test("members do not get a mood average that gives away one or two people's moods", async () => {
+    const response = await digest({ date: '2026-10-19' });
+    expect(response.body.data.totals).toMatchObject({ reports: 2, average_mood_rating: null, average_productivity_score: 3.5 });
+
+    const markdown = await digest({ date: '2026-10-19', format: 'markdown' });
+    expect(markdown.text).toContain('2 reports · 13.5h worked · productivity 3.5/5');
+    expect(markdown.text).not.toContain('mood');
+
+    await request(app).post('/api/progress-reports').set(auth()).send({ reporter_name: 'Lena', report_date: '2026-10-21', mood_rating: 1 });
+
+    const single = await digest({ date: '2026-10-21' });
+    expect(single.body.data.totals.average_mood_rating).toBeNull();
+    expect((await digest({ date: '2026-10-21' }, manager)).body.data.totals.average_mood_rating).toBe(1);
+
+    const stats = await request(app).get('/api/progress-reports/stats/summary')
+      .query({ start_date: '2026-10-21', end_date: '2026-10-21' })
+      .set(auth());
+    expect(stats.body.data.total_reports).toBe(1);
+    expect(stats.body.data).not.toHaveProperty('avg_mood_rating');
+    expect(stats.body.data).not.toHaveProperty('mood_distribution');
+
+    const own = await request(app).post('/api/progress-reports').set(auth()).send({ reporter_name: 'Member', report_date: '2026-10-22', mood_rating: 2 });
+    expect(own.status).toBe(201);
+    expect((await digest({ date: '2026-10-22' })).body.data.totals.average_mood_rating).toBe(2);
+  });
+
+  test('is empty for a day without reports', async () => {
+    const response = await digest({ date: '2026-10-20' });
+
+    expect(response.body.data.totals).toEqual({ reports: 0, hours_worked: 0, average_mood_rating: null, average_productivity_score: null });
+    expect((await digest({ format: 'pdf' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { today, addDays } = require('../services/recurrence');
+const { nextWorkingDay } = require('../services/rollover');
+
+describe('Progress report drafts', () => {
+  let member;
+  const ids = {};
+  const day = today();
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const draft = query => request(app).get('/api/progress-reports/draft').query(query).set(auth());
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    const tasks = {
+      shipped: { assigned_to: 'Dana', due_date: day },
+      carried: { assigned_to: 'Dana', due_date: addDays(day, -3) },
+      stuck: { assigned_to: 'Dana', status: 'blocked', due_date: day },
+      untouched: { assigned_to: 'Dana', due_date: day },
+      upcoming: { assigned_to: 'Dana', due_date: nextWorkingDay(addDays(day, 1)) },
+      others: { assigned_to: 'Eli', due_date: day }
+    };
+
+    for (const [name, fields] of Object.entries(tasks)) {
+      const response = await request(app).post('/api/daily-tasks').set(auth()).send({ title: `Task ${name}`, ...fields });
+      ids[name] = response.body.data.id;
+    }
+
+    await request(app).put(`/api/daily-tasks/${ids.shipped}`).set(auth()).send({ status: 'completed' });
+    await request(app).put(`/api/daily-tasks/${ids.carried}`).set(auth()).send({ status: 'in-progress' });
+    await request(app).put(`/api/daily-tasks/${ids.others}`).set(auth()).send({ status: 'completed' });
+
+    const progress = [
+      [ids.shipped, { hours_spent: 1.25, progress_percentage: 100, notes: 'Released' }],
+      [ids.carried, { hours_spent: 2, progress_percentage: 30, notes: 'Outlined' }],
+      [ids.carried, { hours_spent: 0.5, progress_percentage: 50, notes: '' }],
+      [ids.carried, { hours_spent: 4, progress_percentage: 90, progress_date: addDays(day, -1) }],
+      [ids.others, { hours_spent: 3, progress_percentage: 100 }]
+    ];
+    for (const [id, entry] of progress) {
+      await request(app).post(`/api/daily-tasks/${id}/progress`).set(auth()).send({ progress_date: day, ...entry });
+    }
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test("drafts the report from the reporter's status changes, progress and hours that day", async () => {
+    const response = await draft({ reporter_name: 'dana', date: day });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      reporter_name: 'dana',
+      report_date: day,
+      tasks_completed: '- Task shipped (100%, 1.25h): Released',
+      tasks_in_progress: '- Task carried (50%, 2.5h): Outlined',
+      tasks_blocked: '- Task stuck',
+      hours_worked: 3.75,
+      next_day_plan: '- Task upcoming',
+      task_ids: { completed: [ids.shipped], in_progress: [ids.carried], blocked: [ids.stuck] }
+    });
+    expect(response.body.data.tasks.map(task => task.id)).toEqual([ids.shipped, ids.carried, ids.stuck, ids.untouched]);
+    expect(response.body.data.tasks[0].status_changes).toEqual([{ from: 'pending', to: 'completed' }]);
+  });
+
+  test('defaults to today and submits as a report', async () => {
+    const { data } = (await draft({ reporter_name: 'Dana' })).body;
+    expect(data.report_date).toBe(day);
+
+    const { tasks, next_day, ...report } = data;
+    const response = await request(app).post('/api/progress-reports').set(auth()).send(report);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.tasks.in_progress.map(task => task.id)).toEqual([ids.carried]);
+  });
+
+  test("dates status changes in the reporter's roster time zone", async () => {
+    await database.run("INSERT INTO report_roster (reporter_name, time_zone) VALUES ('Ravi', 'Asia/Kolkata')");
+    const task = await request(app).post('/api/daily-tasks').set(auth()).send({ title: 'Task late', assigned_to: 'Ravi', due_date: '2026-10-16' });
+
+    // 20:00 UTC on the 19th is 01:30 on the 20th in Kolkata
+    await database.run(`
+      INSERT INTO audit_log (entity_type, entity_id, action, changes, created_at)
+      VALUES ('daily_task', ?, 'update', ?, '2026-10-19 20:00:00')
+    `, [String(task.body.data.id), JSON.stringify({ status: { before: 'pending', after: 'in-progress' } })]);
+
+    const evening = (await draft({ reporter_name: 'Ravi', date: '2026-10-19' })).body.data;
+    expect(evening.time_zone).toBe('Asia/Kolkata');
+    expect(evening.tasks).toEqual([]);
+
+    const nextDay = (await draft({ reporter_name: 'Ravi', date: '2026-10-20' })).body.data;
+    expect(nextDay.tasks).toEqual([expect.objectContaining({
+      id: task.body.data.id,
+      status_changes: [{ from: 'pending', to: 'in-progress' }]
+    })]);
+  });
+
+  test('requires a reporter', async () => {
+    expect((await draft({ date: day })).status).toBe(400);
+  });
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { registerChannel } = require('../services/notification-channels');
+const { processReportReminders } = require('../services/report-reminders');
+
+describe('Missing report reminders', () => {
+  let manager;
+  let member;
+  const reminderFile = path.join(os.tmpdir(), `report-reminders-${process.pid}.log`);
+
+  const auth = user => ({ Authorization: `Bearer ${user.token}` });
+  const missingAt = at => request(app).get('/api/report-roster/missing').query({ at }).set(auth(member));
+  const sentReminders = () => fs.readFileSync(reminderFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  beforeAll(async () => {
+    process.env.REMINDER_FILE = reminderFile;
+    await database.init();
+    manager = await createUser('manager', 'manager');
+    member = await createUser('member');
+
+    // 18:00 is 12:30 UTC in Kolkata and 11:00 UTC in Bangkok; 2026-10-19 is a Monday
+    const roster = [
+      { reporter_name: 'Priya', email: 'priya@example.com', time_zone: 'Asia/Kolkata' },
+      { reporter_name: 'Somchai', time_zone: 'Asia/Bangkok' },
+      { reporter_name: 'Lena', working_days: ['SA', 'SU'] }
+    ];
+    for (const entry of roster) {
+      await request(app).post('/api/report-roster').set(auth(manager)).send(entry);
+    }
+  });
+
+  afterAll(async () => {
+    delete process.env.REMINDER_FILE;
+    delete process.env.REMINDER_CHANNELS;
+    fs.rmSync(reminderFile, { force: true });
+    await database.close();
+  });
+
+  test('keeps a roster of reporters with working days and time zones', async () => {
+    const response = await request(app).get('/api/report-roster').set(auth(member));
+
+    expect(response.body.data.map(entry => entry.reporter_name)).toEqual(['Lena', 'Priya', 'Somchai']);
+    expect(response.body.data[1]).toMatchObject({
+      time_zone: 'Asia/Kolkata',
+      working_days: ['MO', 'TU', 'WE', 'TH', 'FR'],
+      cutoff_time: '18:00',
+      active: true
+    });
+
+    const invalid = await request(app).post('/api/report-roster').set(auth(manager)).send({ reporter_name: 'Ana', time_zone: 'Mars/Olympus' });
+    expect(invalid.status).toBe(400);
+
+    const forbidden = await request(app).post('/api/report-roster').set(auth(member)).send({ reporter_name: 'Ana' });
+    expect(forbidden.status).toBe(403);
+  });
+
+  test("finds reports missing after each reporter's cutoff in their own time zone", async () => {
+    const names = response => response.body.data.map(entry => [entry.reporter_name, entry.report_date]);
+
+    expect(names(await missingAt('2026-10-19T10:59:00Z'))).toEqual([]);
+    expect(names(await missingAt('2026-10-19T12:00:00Z'))).toEqual([['Somchai', '2026-10-19']]);
+    expect(names(await missingAt('2026-10-19T13:00:00Z'))).toEqual([['Priya', '2026-10-19'], ['Somchai', '2026-10-19']]);
+
+    await request(app).post('/api/progress-reports').set(auth(member)).send({ reporter_name: 'priya', report_date: '2026-10-19' });
+    expect(names(await missingAt('2026-10-19T13:00:00Z'))).toEqual([['Somchai', '2026-10-19']]);
+  });
+
+  test('queues one reminder per missing report and delivers it through the file channel', async () => {
+    expect(await processReportReminders({ now: new Date('2026-10-19T13:00:00Z') })).toEqual({ queued: 1, sent: 1, failed: 0, cancelled: 0 });
+    expect(await processReportReminders({ now: new Date('2026-10-19T14:00:00Z') })).toEqual({ queued: 0, sent: 0, failed: 0, cancelled: 0 });
+
+    expect(sentReminders()).toEqual([expect.objectContaining({
+      channel: 'file',
+      type: 'missing_progress_report',
+      to: { name: 'Somchai', email: null },
+      report_date: '2026-10-19'
+    })]);
+
+    const reminders = await request(app).get('/api/report-roster/reminders').query({ status: 'sent' }).set(auth(member));
+    expect(reminders.body.data).toEqual([expect.objectContaining({ reporter_name: 'Somchai', channel: 'file', attempts: 1 })]);
+  });
+
+  test('retries failed deliveries, then gives up, and cancels reminders once the report arrives', async () => {
+    registerChannel('broken', { send: async () => { throw new Error('Mail server unavailable'); } });
+    process.env.REMINDER_CHANNELS = 'broken';
+    const tuesday = new Date('2026-10-20T13:00:00Z');
+
+    expect(await processReportReminders({ now: tuesday })).toEqual({ queued: 2, sent: 0, failed: 2, cancelled: 0 });
+
+    await request(app).post('/api/progress-reports').set(auth(member)).send({ reporter_name: 'Priya', report_date: '2026-10-20' });
+    expect(await processReportReminders({ now: tuesday })).toEqual({ queued: 0, sent: 0, failed: 1, cancelled: 1 });
+    expect(await processReportReminders({ now: tuesday })).toEqual({ queued: 0, sent: 0, failed: 1, cancelled: 0 });
+    expect(await processReportReminders({ now: tuesday })).toEqual({ queued: 0, sent: 0, failed: 0, cancelled: 0 });
+
+    const failed = await request(app).get('/api/report-roster/reminders').query({ status: 'failed' }).set(auth(member));
+    expect(failed.body.data).toEqual([expect.objectContaining({
+      reporter_name: 'Somchai',
+      report_date: '2026-10-20',
+      attempts: 3,
+      last_error: 'Mail server unavailable'
+    })]);
+  });
+
+  test("the team digest expects the roster's reporters working that day", async () => {
+    const digest = await request(app).get('/api/progress-reports/digest').query({ date: '2026-10-19' }).set(auth(member));
+
+    expect(digest.body.data.submitted).toEqual(['priya']);
+    expect(digest.body.data.missing).toEqual(['Somchai']);
+  });
+});
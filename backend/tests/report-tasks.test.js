@@ -0,0 +1,102 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Progress report tasks', () => {
+  let member;
+  const ids = {};
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const getTask = async id => (await request(app).get(`/api/daily-tasks/${id}`).set(auth())).body.data;
+  const titles = tasks => tasks.map(task => task.title);
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    const tasks = {
+      shipped: { assigned_to: 'Priya', status: 'completed', due_date: '2026-10-19' },
+      drafting: { assigned_to: 'Priya', status: 'in-progress', due_date: '2026-10-19' },
+      waiting: { assigned_to: 'priya', status: 'blocked', due_date: '2026-10-19' },
+      queued: { assigned_to: 'Priya', status: 'pending', due_date: '2026-10-19' },
+      tomorrow: { assigned_to: 'Priya', status: 'pending', due_date: '2026-10-20' },
+      others: { assigned_to: 'Omar', status: 'in-progress', due_date: '2026-10-19' },
+      followUp: { assigned_to: 'Omar', status: 'pending', due_date: '2026-10-20' }
+    };
+
+    for (const [name, fields] of Object.entries(tasks)) {
+      const response = await request(app).post('/api/daily-tasks').set(auth()).send({ title: `Task ${name}`, ...fields });
+      ids[name] = response.body.data.id;
+    }
+
+    // followUp waits for others
+    await request(app).post(`/api/daily-tasks/${ids.followUp}/dependencies`).set(auth()).send({ depends_on_id: ids.others });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test("links the reporter's tasks due that day by status when none are given", async () => {
+    const response = await request(app).post('/api/progress-reports').set(auth()).send({
+      reporter_name: 'Priya',
+      report_date: '2026-10-19',
+      tasks_completed: 'Also answered support tickets'
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.tasks_completed).toBe('Also answered support tickets');
+    expect(titles(response.body.data.tasks.completed)).toEqual(['Task shipped']);
+    expect(titles(response.body.data.tasks.in_progress)).toEqual(['Task drafting']);
+    expect(titles(response.body.data.tasks.blocked)).toEqual(['Task waiting']);
+  });
+
+  test('completing a task through a report completes it and unblocks its dependents', async () => {
+    expect((await getTask(ids.followUp)).status).toBe('blocked');
+
+    const response = await request(app).post('/api/progress-reports').set(auth()).send({
+      reporter_name: 'Omar',
+      report_date: '2026-10-19',
+      task_ids: { completed: [ids.others], in_progress: [ids.followUp] }
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.tasks.completed[0]).toMatchObject({ id: ids.others, status: 'completed' });
+    expect((await getTask(ids.others)).status).toBe('completed');
+    expect((await getTask(ids.followUp)).status).toBe('pending');
+  });
+
+  test('replaces the linked tasks on update and lists them with reports', async () => {
+    const list = await request(app).get('/api/progress-reports').query({ reporter_name: 'Priya' }).set(auth());
+    const reportId = list.body.data[0].id;
+
+    const update = await request(app).put(`/api/progress-reports/${reportId}`).set(auth()).send({
+      task_ids: { completed: [ids.drafting, ids.queued] }
+    });
+
+    expect(update.status).toBe(200);
+    expect(titles(update.body.data.tasks.completed)).toEqual(['Task drafting', 'Task queued']);
+    expect(update.body.data.tasks.blocked).toEqual([]);
+    expect((await getTask(ids.queued)).status).toBe('completed');
+
+    const fields = await request(app).get('/api/progress-reports').query({ reporter_name: 'Priya', fields: 'id,tasks' }).set(auth());
+    expect(titles(fields.body.data[0].tasks.completed)).toEqual(['Task drafting', 'Task queued']);
+  });
+
+  test('rejects unknown tasks and tasks in two buckets', async () => {
+    const unknown = await request(app).post('/api/progress-reports').set(auth()).send({
+      reporter_name: 'Priya',
+      report_date: '2026-10-20',
+      task_ids: { completed: [99999] }
+    });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe('Daily task not found: 99999');
+
+    const twice = await request(app).post('/api/progress-reports').set(auth()).send({
+      reporter_name: 'Priya',
+      report_date: '2026-10-20',
+      task_ids: { completed: [ids.tomorrow], blocked: [ids.tomorrow] }
+    });
+    expect(twice.status).toBe(400);
+  });
+});
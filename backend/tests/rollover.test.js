@@ -0,0 +1,112 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { teamToday, nextWorkingDay, rolloverOverdueTasks } = require('../services/rollover');
+
+describe('Daily task rollover', () => {
+  let member;
+  const ids = {};
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const getTask = async id => (await request(app).get(`/api/daily-tasks/${id}`).set(auth())).body.data;
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    const tasks = {
+      pending: { due_date: '2026-10-15', status: 'pending' },
+      blocked: { due_date: '2026-10-14', status: 'blocked' },
+      completed: { due_date: '2026-10-15', status: 'completed' },
+      upcoming: { due_date: '2026-10-20', status: 'pending' }
+    };
+
+    for (const [name, fields] of Object.entries(tasks)) {
+      const response = await request(app).post('/api/daily-tasks').set(auth()).send({
+        title: `Task ${name}`,
+        assigned_to: 'Editor',
+        ...fields
+      });
+      ids[name] = response.body.data.id;
+    }
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('finds the next working day', () => {
+    // 2026-10-17 is a Saturday
+    expect(nextWorkingDay('2026-10-16')).toBe('2026-10-16');
+    expect(nextWorkingDay('2026-10-17')).toBe('2026-10-19');
+    expect(nextWorkingDay('2026-10-18')).toBe('2026-10-19');
+  });
+
+  test('moves overdue unfinished tasks and keeps their original due date', async () => {
+    const result = await rolloverOverdueTasks({ on: '2026-10-17' });
+
+    expect(result.due_date).toBe('2026-10-19');
+    expect(result.tasks.map(task => task.id)).toEqual([ids.blocked, ids.pending]);
+
+    expect(await getTask(ids.pending)).toMatchObject({
+      due_date: '2026-10-19',
+      original_due_date: '2026-10-15',
+      carried_over_count: 1
+    });
+    expect(await getTask(ids.completed)).toMatchObject({ due_date: '2026-10-15', carried_over_count: 0 });
+    expect(await getTask(ids.upcoming)).toMatchObject({ due_date: '2026-10-20', original_due_date: null });
+  });
+
+  test('running again the same day changes nothing', async () => {
+    const result = await rolloverOverdueTasks({ on: '2026-10-17' });
+    expect(result.tasks).toEqual([]);
+  });
+
+  test('counts each carry-over and keeps the first due date', async () => {
+    await rolloverOverdueTasks({ on: '2026-10-21' });
+
+    expect(await getTask(ids.pending)).toMatchObject({
+      due_date: '2026-10-21',
+      original_due_date: '2026-10-15',
+      carried_over_count: 2
+    });
+    expect(await getTask(ids.upcoming)).toMatchObject({
+      due_date: '2026-10-21',
+      original_due_date: '2026-10-20',
+      carried_over_count: 1
+    });
+  });
+
+  test("judges overdue by the team's date in its time zone", async () => {
+    // 20:00 UTC on the 21st is already the 22nd in Auckland
+    const now = new Date('2026-10-21T20:00:00Z');
+    expect(teamToday(now)).toBe('2026-10-21');
+
+    process.env.TEAM_TIME_ZONE = 'Pacific/Auckland';
+    try {
+      expect(teamToday(now)).toBe('2026-10-22');
+
+      const result = await rolloverOverdueTasks({ now });
+      expect(result.due_date).toBe('2026-10-22');
+      expect(result.tasks.map(task => task.id)).toEqual([ids.pending, ids.blocked, ids.upcoming]);
+
+      process.env.TEAM_TIME_ZONE = 'Mars/Olympus_Mons';
+      expect(() => teamToday(now)).toThrow('TEAM_TIME_ZONE');
+    } finally {
+      delete process.env.TEAM_TIME_ZONE;
+    }
+  });
+
+  test('can be run on demand and is audited', async () => {
+    const response = await request(app).post('/api/daily-tasks/rollover').set(auth());
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.tasks.every(task => task.carried_over_count >= 1)).toBe(true);
+
+    const history = await request(app)
+      .get('/api/audit')
+      .query({ entity_type: 'daily_task', entity_id: ids.pending })
+      .set(auth());
+    expect(history.body.data[0].changes.carried_over_count).toBeDefined();
+  });
+});
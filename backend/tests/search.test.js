@@ -0,0 +1,111 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Full-text search', () => {
+  let member;
+  let projectId;
+  let checklistId;
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const search = query => request(app).get('/api/search').query(query).set(auth());
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    const project = await request(app).post('/api/projects').set(auth()).send({
+      name: 'Website relaunch',
+      description: 'Migrate the newsroom to the new publishing platform'
+    });
+    projectId = project.body.data.id;
+
+    await request(app).post('/api/tasks').set(auth()).send({ name: 'Publishing checklist review', creator: 'Member' });
+    await request(app).post('/api/articles').set(auth()).send({
+      headline: 'Publishing <script> tips',
+      link: 'https://example.com/publishing'
+    });
+
+    const checklist = await request(app).post('/api/checklists').set(auth()).send({ title: 'Launch day', theme: 'blue' });
+    checklistId = checklist.body.data.id;
+    const checklistTask = await request(app)
+      .post(`/api/checklists/${checklistId}/tasks`)
+      .set(auth())
+      .send({ title: 'Notify the newsroom', priority: 'High' });
+    await request(app)
+      .post(`/api/checklists/${checklistId}/tasks/${checklistTask.body.data.id}/subtasks`)
+      .set(auth())
+      .send({ title: 'Email newsroom editors' });
+
+    await request(app).post('/api/daily-tasks').set(auth()).send({
+      title: 'Proofread newsroom copy',
+      assigned_to: 'Member',
+      due_date: '2026-10-19'
+    });
+    await request(app).post('/api/progress-reports').set(auth()).send({
+      reporter_name: 'Member',
+      report_date: '2026-10-19',
+      challenges: 'Newsroom CMS was down for an hour'
+    });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('finds every content type, including daily tasks and progress reports', async () => {
+    const response = await search({ q: 'newsroom' });
+    expect(response.status).toBe(200);
+
+    const types = response.body.data.map(result => result.type).sort();
+    expect(types).toEqual(['checklist_task', 'daily_task', 'progress_report', 'project', 'subtask']);
+
+    const subtask = response.body.data.find(result => result.type === 'subtask');
+    expect(subtask.parent_id).toBe(checklistId);
+  });
+
+  test('matches word prefixes and stems', async () => {
+    const response = await search({ q: 'publish' });
+    expect(response.body.data.map(result => result.type).sort()).toEqual(['article', 'project', 'task']);
+  });
+
+  test('returns escaped snippets with highlighted matches', async () => {
+    const response = await search({ q: 'tips', types: 'article' });
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].snippet).toBe('Publishing &lt;script&gt; <mark>tips</mark>');
+  });
+
+  test('ranks closer matches first', async () => {
+    const response = await search({ q: 'publishing checklist' });
+    expect(response.body.data[0].type).toBe('task');
+  });
+
+  test('paginates results', async () => {
+    const firstPage = await search({ q: 'newsroom', limit: 2 });
+    const secondPage = await search({ q: 'newsroom', limit: 2, offset: 2 });
+
+    expect(firstPage.body.pagination).toEqual({ total: 5, limit: 2, offset: 0, has_more: true, next_offset: 2 });
+    expect(firstPage.body.data).toHaveLength(2);
+    expect(secondPage.body.data).toHaveLength(2);
+    expect(secondPage.body.data[0]).not.toEqual(firstPage.body.data[0]);
+  });
+
+  test('keeps the index in sync with updates and deletes', async () => {
+    await request(app).put(`/api/projects/${projectId}`).set(auth()).send({ name: 'Intranet relaunch' });
+    expect((await search({ q: 'intranet' })).body.data).toHaveLength(1);
+    expect((await search({ q: 'website' })).body.data).toHaveLength(0);
+
+    await request(app).delete(`/api/projects/${projectId}`).set(auth());
+    expect((await search({ q: 'intranet' })).body.data).toHaveLength(0);
+  });
+
+  test('treats search operators in the query as plain text', async () => {
+    const response = await search({ q: 'newsroom" OR NOT (' });
+    expect(response.status).toBe(200);
+  });
+
+  test('validates the query', async () => {
+    expect((await search({ q: 'a' })).status).toBe(400);
+    expect((await search({ q: 'newsroom', types: 'task,unknown' })).status).toBe(400);
+  });
+});
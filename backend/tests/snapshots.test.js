@@ -0,0 +1,100 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { recordSnapshots, computeSeries } = require('../services/snapshots');
+
+describe('Metric snapshots', () => {
+  let member;
+  let projectId;
+  const taskIds = [];
+  const dailyTaskIds = [];
+
+  const auth = () => ({ Authorization: `Bearer ${member.token}` });
+  const history = (path, query) => request(app).get(path).query(query).set(auth());
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+
+    const project = await request(app).post('/api/projects').set(auth()).send({ name: 'Website relaunch' });
+    projectId = project.body.data.id;
+
+    for (const [name, estimated_hours] of [['Wireframes', 6], ['Copy', 4]]) {
+      const task = await request(app).post('/api/tasks').set(auth()).send({ name, creator: 'Member' });
+      taskIds.push(task.body.data.id);
+      await request(app).post(`/api/projects/${projectId}/tasks`).set(auth()).send({ taskId: task.body.data.id, estimated_hours });
+    }
+
+    for (const [title, assigned_to, estimated_hours] of [['Review PRs', 'Dana', 2], ['Write docs', 'Dana', 3], ['Fix build', 'Eli', 1]]) {
+      const task = await request(app).post('/api/daily-tasks').set(auth()).send({
+        title, assigned_to, estimated_hours, due_date: '2026-10-12'
+      });
+      dailyTaskIds.push(task.body.data.id);
+    }
+
+    // Friday: nothing done yet; Monday: one project task and one of Dana's tasks done
+    await recordSnapshots({ on: '2026-10-09' });
+
+    await request(app).put(`/api/tasks/${taskIds[0]}`).set(auth()).send({ completed: true });
+    await request(app).put(`/api/daily-tasks/${dailyTaskIds[0]}`).set(auth()).send({ status: 'completed', actual_hours: 2.5 });
+    await recordSnapshots({ on: '2026-10-12' });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('measures weekly velocity from the previous snapshot', () => {
+    const row = (date, open_count, completed_count, remaining_hours) =>
+      ({ date, open_count, completed_count, estimated_hours: 10, remaining_hours, actual_hours: 0 });
+
+    const { points, velocity } = computeSeries([
+      row('2026-10-07', 5, 0, 10),
+      row('2026-10-09', 4, 1, 8),
+      row('2026-10-13', 2, 3, 4),
+      row('2026-10-16', 1, 4, 2)
+    ]);
+
+    expect(points[2]).toMatchObject({ open: 2, completed: 3, total: 5, remaining_hours: 4, completed_hours: 6 });
+    expect(velocity).toEqual([
+      { week_start: '2026-10-05', completed: 1, completed_hours: 2, actual_hours: 0 },
+      { week_start: '2026-10-12', completed: 3, completed_hours: 6, actual_hours: 0 }
+    ]);
+  });
+
+  test('records one snapshot per project and assignee per day', async () => {
+    await recordSnapshots({ on: '2026-10-12' });
+
+    const rows = await database.all("SELECT scope, scope_key FROM metric_snapshots WHERE snapshot_date = '2026-10-12' ORDER BY scope, scope_key");
+    expect(rows).toEqual([
+      { scope: 'assignee', scope_key: 'Dana' },
+      { scope: 'assignee', scope_key: 'Eli' },
+      { scope: 'project', scope_key: String(projectId) }
+    ]);
+  });
+
+  test('returns a project burndown as a time series', async () => {
+    const response = await history('/api/projects/stats/history', { project_id: projectId, start: '2026-10-01', end: '2026-10-31' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.points).toEqual([
+      expect.objectContaining({ date: '2026-10-09', open: 2, completed: 0, remaining_hours: 10 }),
+      expect.objectContaining({ date: '2026-10-12', open: 1, completed: 1, remaining_hours: 4, completed_hours: 6 })
+    ]);
+    expect(response.body.data.velocity.map(week => [week.week_start, week.completed])).toEqual([
+      ['2026-10-05', 0],
+      ['2026-10-12', 1]
+    ]);
+  });
+
+  test('returns daily task history per assignee or for everyone', async () => {
+    const dana = await history('/api/daily-tasks/stats/history', { assigned_to: 'Dana', start: '2026-10-01', end: '2026-10-31' });
+    expect(dana.body.data.points[1]).toMatchObject({ open: 1, completed: 1, estimated_hours: 5, remaining_hours: 3, actual_hours: 2.5 });
+
+    const everyone = await history('/api/daily-tasks/stats/history', { start: '2026-10-01', end: '2026-10-31' });
+    expect(everyone.body.data.points.map(point => point.total)).toEqual([3, 3]);
+
+    const invalid = await history('/api/daily-tasks/stats/history', { start: '2026-10-31', end: '2026-10-01' });
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,107 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+
+describe('Task time tracking', () => {
+  let member;
+  let other;
+  let firstTaskId;
+  let secondTaskId;
+
+  const auth = user => ({ Authorization: `Bearer ${user.token}` });
+
+  beforeAll(async () => {
+    await database.init();
+    member = await createUser('member');
+    other = await createUser('other');
+
+    const first = await request(app).post('/api/tasks').set(auth(member)).send({ name: 'Draft articles', creator: 'Member' });
+    const second = await request(app).post('/api/tasks').set(auth(member)).send({ name: 'Edit content', creator: 'Member' });
+    firstTaskId = first.body.data.id;
+    secondTaskId = second.body.data.id;
+
+    const project = await request(app).post('/api/projects').set(auth(member)).send({ name: 'Hotel News' });
+    await request(app)
+      .post(`/api/projects/${project.body.data.id}/tasks`)
+      .set(auth(member))
+      .send({ taskId: firstTaskId });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('starting a timer creates a running entry', async () => {
+    const response = await request(app)
+      .post(`/api/tasks/${firstTaskId}/time-entries/start`)
+      .set(auth(member));
+    expect(response.status).toBe(201);
+    expect(response.body.data.ended_at).toBeNull();
+  });
+
+  test('a user can only run one timer at a time', async () => {
+    const response = await request(app)
+      .post(`/api/tasks/${secondTaskId}/time-entries/start`)
+      .set(auth(member));
+    expect(response.status).toBe(409);
+
+    const otherUser = await request(app)
+      .post(`/api/tasks/${secondTaskId}/time-entries/start`)
+      .set(auth(other));
+    expect(otherUser.status).toBe(201);
+  });
+
+  test('pausing ends the interval and reports the task as paused', async () => {
+    const pause = await request(app)
+      .post(`/api/tasks/${firstTaskId}/time-entries/pause`)
+      .set(auth(member));
+    expect(pause.status).toBe(200);
+    expect(pause.body.data.end_reason).toBe('pause');
+
+    const task = await request(app).get(`/api/tasks/${firstTaskId}`).set(auth(member));
+    expect(task.body.data.time_tracking.running).toBeNull();
+    expect(task.body.data.time_tracking.paused).toBe(true);
+  });
+
+  test('stopping a paused timer clears the paused state', async () => {
+    const stop = await request(app)
+      .post(`/api/tasks/${firstTaskId}/time-entries/stop`)
+      .set(auth(member));
+    expect(stop.status).toBe(200);
+
+    const task = await request(app).get(`/api/tasks/${firstTaskId}`).set(auth(member));
+    expect(task.body.data.time_tracking.paused).toBe(false);
+  });
+
+  test('entries are summed per task, project and person', async () => {
+    // Backdate the finished entry so it has a known duration
+    await database.run(`
+      UPDATE time_entries
+      SET started_at = datetime(ended_at, '-90 minutes')
+      WHERE task_id = ? AND ended_at IS NOT NULL
+    `, [firstTaskId]);
+
+    const entries = await request(app).get(`/api/tasks/${firstTaskId}/time-entries`).set(auth(member));
+    expect(entries.body.data.total_seconds).toBe(5400);
+    expect(entries.body.data.by_user[0].display_name).toBe('member user');
+
+    const byProject = await request(app)
+      .get('/api/time-tracking/summary?group_by=project')
+      .set(auth(member));
+    expect(byProject.body.data).toEqual([
+      expect.objectContaining({ project_name: 'Hotel News', total_seconds: 5400 })
+    ]);
+
+    const byUser = await request(app)
+      .get('/api/time-tracking/summary?group_by=user')
+      .set(auth(member));
+    expect(byUser.body.data.map(row => row.display_name).sort()).toEqual(['member user', 'other user']);
+  });
+
+  test('completing a task stops timers running on it', async () => {
+    await request(app).put(`/api/tasks/${secondTaskId}`).set(auth(member)).send({ completed: true });
+
+    const running = await request(app).get('/api/time-tracking/running').set(auth(other));
+    expect(running.body.data).toBeNull();
+  });
+});
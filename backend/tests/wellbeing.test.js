@@ -0,0 +1,170 @@
+const request = require('supertest');
+const database = require('../database');
+const { app, createUser } = require('./helpers');
+const { addDays } = require('../services/recurrence');
+
+describe('Wellbeing trends and burnout alerts', () => {
+  let manager;
+  let member;
+
+  const auth = user => ({ Authorization: `Bearer ${user.token}` });
+  const period = { start: '2026-10-05', end: '2026-10-16' };
+  const getTrends = () => request(app).get('/api/wellbeing').query(period).set(auth(manager));
+
+  beforeAll(async () => {
+    await database.init();
+    manager = await createUser('manager', 'manager');
+    member = await createUser('member');
+
+    // Two working weeks: Ana's second week has low mood and long days, Ben's stays steady, and Cara's
+    // long days straddle the weekend, so no one calendar week reaches 50 hours
+    const weeks = {
+      Ana: [
+        { mood: [4, 4, 4, 4, 4], productivity: [4, 4, 4, 4, 4], hours: 8 },
+        { mood: [2, 2, 1, 2, 2], productivity: [3, 3, 2, 3, 3], hours: 11 }
+      ],
+      Ben: [
+        { mood: [4, 4, 4, 4, 4], productivity: [4, 4, 4, 4, 4], hours: 8 },
+        { mood: [4, 4, 4, 4, 4], productivity: [4, 4, 4, 4, 4], hours: 8 }
+      ],
+      Cara: [
+        { mood: [4, 4, 4, 4, 4], productivity: [4, 4, 4, 4, 4], hours: [6, 6, 6, 12, 12] },
+        { mood: [4, 4, 4], productivity: [4, 4, 4], hours: [12, 12, 12] }
+      ]
+    };
+
+    for (const [reporter_name, [first, second]] of Object.entries(weeks)) {
+      for (const [monday, week] of [['2026-10-05', first], ['2026-10-12', second]]) {
+        for (let day = 0; day < week.mood.length; day++) {
+          await request(app).post('/api/progress-reports').set(auth(member)).send({
+            reporter_name,
+            report_date: addDays(monday, day),
+            mood_rating: week.mood[day],
+            productivity_score: week.productivity[day],
+            hours_worked: Array.isArray(week.hours) ? week.hours[day] : week.hours
+          });
+        }
+      }
+    }
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('only managers and admins see wellbeing trends', async () => {
+    const forbidden = await request(app).get('/api/wellbeing').set(auth(member));
+    expect(forbidden.status).toBe(403);
+
+    const rules = await request(app).get('/api/wellbeing/alert-rules').set(auth(member));
+    expect(rules.status).toBe(403);
+
+    const invalid = await request(app).get('/api/wellbeing').query({ start: '2026-10-16', end: '2026-10-05' }).set(auth(manager));
+    expect(invalid.status).toBe(400);
+  });
+
+  test('shows rolling averages, week-over-week change and correlation with hours per reporter', async () => {
+    const response = await getTrends();
+    const [ana, ben] = response.body.data.reporters;
+    expect(response.body.data.reporters.map(reporter => reporter.reporter_name)).toEqual(['Ana', 'Ben', 'Cara']);
+
+    expect(ana).toMatchObject({
+      reporter_name: 'Ana',
+      reports: 10,
+      average_mood_rating: 2.9,
+      average_hours_worked: 9.5
+    });
+    expect(ana.series[9]).toMatchObject({ date: '2026-10-16', rolling_mood_rating: 1.8, rolling_productivity_score: 2.8 });
+    expect(ana.week_over_week).toMatchObject({
+      current: { week_start: '2026-10-12', reports: 5, mood_rating: 1.8, hours_worked: 55 },
+      previous: { week_start: '2026-10-05', reports: 5, mood_rating: 4, hours_worked: 40 },
+      change: { mood_rating: -2.2, productivity_score: -1.2, hours_worked: 15 }
+    });
+    expect(ana.correlation_with_hours.mood_rating).toBeLessThan(-0.9);
+
+    // Nothing moves for Ben, so there is nothing to correlate
+    expect(ben.correlation_with_hours).toEqual({ mood_rating: null, productivity_score: null });
+    expect(ben.week_over_week.change.mood_rating).toBe(0);
+  });
+
+  test('flags low mood and long hours within a calendar week', async () => {
+    const response = await getTrends();
+
+    expect(response.body.data.alerts).toEqual([
+      expect.objectContaining({ reporter_name: 'Ana', name: 'Low mood over a working week', value: 1.8, week_start: '2026-10-12', reports: 5 }),
+      expect.objectContaining({ reporter_name: 'Ana', name: 'Over 50 hours in a working week', value: 55, week_start: '2026-10-12' })
+    ]);
+
+    // Cara's last five reports add up to 60 hours, but across two weeks of 42 and 36
+    const cara = response.body.data.reporters[2];
+    expect(cara.series.slice(-5).reduce((total, point) => total + point.hours_worked, 0)).toBe(60);
+    expect(cara.week_over_week.current.hours_worked).toBe(36);
+    expect(cara.alerts).toEqual([]);
+  });
+
+  test('a week is only checked once it has the reports the rule asks for', async () => {
+    const midweek = await request(app).get('/api/wellbeing').query({ ...period, end: '2026-10-13' }).set(auth(manager));
+
+    // Two low days are not a low week yet; the week before had nothing to flag
+    expect(midweek.body.data.alerts).toEqual([]);
+  });
+
+  test('managers can tune, add and remove alert rules', async () => {
+    const rules = await request(app).get('/api/wellbeing/alert-rules').set(auth(manager));
+    const hoursRule = rules.body.data.find(rule => rule.metric === 'hours_worked');
+
+    const updated = await request(app).put(`/api/wellbeing/alert-rules/${hoursRule.id}`).set(auth(manager)).send({ threshold: 60 });
+    expect(updated.body.data).toMatchObject({ threshold: 60, active: true });
+
+    const created = await request(app).post('/api/wellbeing/alert-rules').set(auth(manager)).send({
+      name: 'Productivity slipping',
+      metric: 'productivity_score',
+      aggregate: 'average',
+      operator: '<',
+      threshold: 3,
+      min_reports: 3
+    });
+    expect(created.status).toBe(201);
+
+    const invalid = await request(app).post('/api/wellbeing/alert-rules').set(auth(manager)).send({
+      name: 'Bad rule',
+      metric: 'coffee_cups',
+      aggregate: 'average',
+      operator: '<',
+      threshold: 3,
+      min_reports: 3
+    });
+    expect(invalid.status).toBe(400);
+
+    let response = await getTrends();
+    expect(response.body.data.alerts.map(alert => alert.name)).toEqual(['Low mood over a working week', 'Productivity slipping']);
+
+    await request(app).delete(`/api/wellbeing/alert-rules/${created.body.data.id}`).set(auth(manager));
+    response = await getTrends();
+    expect(response.body.data.alerts.map(alert => alert.name)).toEqual(['Low mood over a working week']);
+  });
+
+  test("members see their own mood but not other people's", async () => {
+    const own = await request(app).post('/api/progress-reports').set(auth(member)).send({ reporter_name: 'Member', report_date: '2026-10-16', mood_rating: 2 });
+    expect(own.body.data.mood_rating).toBe(2);
+
+    const listing = await request(app).get('/api/progress-reports').query({ start_date: '2026-10-16', end_date: '2026-10-16' }).set(auth(member));
+    const moods = Object.fromEntries(listing.body.data.map(report => [report.reporter_name, report.mood_rating]));
+    expect(moods).toEqual({ Ana: undefined, Ben: undefined, Member: 2 });
+
+    const managerListing = await request(app).get('/api/progress-reports').query({ start_date: '2026-10-16', end_date: '2026-10-16' }).set(auth(manager));
+    expect(managerListing.body.data.find(report => report.reporter_name === 'Ana').mood_rating).toBe(2);
+
+    const sorted = await request(app).get('/api/progress-reports').query({ sort: 'mood_rating:asc' }).set(auth(member));
+    expect(sorted.status).toBe(403);
+
+    const anaReport = listing.body.data.find(report => report.reporter_name === 'Ana');
+    const history = await request(app).get('/api/audit').query({ entity_type: 'progress_report', entity_id: anaReport.id }).set(auth(member));
+    expect(history.body.data[0].changes).toHaveProperty('hours_worked');
+    expect(history.body.data[0].changes).not.toHaveProperty('mood_rating');
+
+    const stats = await request(app).get('/api/progress-reports/stats/summary').query({ reporter_name: 'Ana' }).set(auth(member));
+    expect(stats.body.data).not.toHaveProperty('avg_mood_rating');
+    expect(stats.body.data).not.toHaveProperty('mood_distribution');
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Calendar
+ * Month, week and day views of daily tasks, project milestones and progress reports,
+ * with click a day to add a task and drag to reschedule
+ */
+
+const CALENDAR_VIEWS = ['month', 'week', 'day'];
+
+const CALENDAR_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// How each kind of event looks, and whether it can be dragged to another day
+const CALENDAR_EVENT_TYPES = {
+  milestone: { icon: '🏁', draggable: true },
+  daily_task: { icon: '✅', draggable: true },
+  progress_report: { icon: '📝', draggable: false }
+};
+
+class CalendarView {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.apiBaseUrl = window.location.origin + '/api';
+    this.view = 'month';
+    this.date = this.today();
+    this.events = [];
+    this.dragged = null;
+  }
+
+  /**
+   * Make API request to backend
+   */
+  async apiRequest(endpoint, options = {}) {
+    try {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        ...options
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Calendar API request failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Today in the browser's time zone, as YYYY-MM-DD
+   */
+  today() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())).toISOString().slice(0, 10);
+  }
+
+  addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Monday of the week a date falls in
+   */
+  weekStart(date) {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return this.addDays(date, -((weekday + 6) % 7));
+  }
+
+  /**
+   * Days shown by the current view: six full weeks around the month, one week, or one day
+   */
+  getDays() {
+    if (this.view === 'day') return [this.date];
+
+    const first = this.view === 'month'
+      ? this.weekStart(`${this.date.slice(0, 7)}-01`)
+      : this.weekStart(this.date);
+    const count = this.view === 'month' ? 42 : 7;
+
+    return Array.from({ length: count }, (_, index) => this.addDays(first, index));
+  }
+
+  /**
+   * Load the events of the days on screen
+   */
+  async loadEvents() {
+    try {
+      const days = this.getDays();
+      const query = new URLSearchParams({ start: days[0], end: days[days.length - 1] });
+
+      this.events = (await this.apiRequest(`/calendar?${query}`)).data;
+      this.render();
+    } catch (error) {
+      console.error('Error loading calendar:', error);
+      showNotification('Error loading calendar', 'error');
+    }
+  }
+
+  /**
+   * Reload when the calendar is on screen, e.g. after a task was created from it
+   */
+  async refreshIfVisible() {
+    const section = document.getElementById('calendar');
+    if (section && !section.classList.contains('hidden')) {
+      await this.loadEvents();
+    }
+  }
+
+  /**
+   * Switch between month, week and day
+   */
+  async setView(view) {
+    this.view = view;
+    await this.loadEvents();
+  }
+
+  /**
+   * Move back or forward by one month, week or day
+   */
+  async shift(direction) {
+    if (this.view === 'month') {
+      const day = new Date(`${this.date.slice(0, 7)}-01T00:00:00Z`);
+      day.setUTCMonth(day.getUTCMonth() + direction);
+      this.date = day.toISOString().slice(0, 10);
+    } else {
+      this.date = this.addDays(this.date, direction * (this.view === 'week' ? 7 : 1));
+    }
+    await this.loadEvents();
+  }
+
+  async goToToday() {
+    this.date = this.today();
+    await this.loadEvents();
+  }
+
+  /**
+   * Open a day in the day view
+   */
+  async openDay(date) {
+    this.date = date;
+    await this.setView('day');
+  }
+
+  /**
+   * Open the daily task form with the clicked day as its due date
+   */
+  createTaskOn(date) {
+    showCreateDailyTaskModal();
+    document.getElementById('daily-task-due-date').value = date;
+  }
+
+  onDragStart(event, type, id) {
+    event.stopPropagation();
+    this.dragged = this.events.find(e => e.type === type && e.id === id);
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', `${type}:${id}`);
+  }
+
+  onDragOver(event) {
+    event.preventDefault();
+    event.currentTarget.classList.add('calendar-drop-target');
+  }
+
+  onDragLeave(event) {
+    event.currentTarget.classList.remove('calendar-drop-target');
+  }
+
+  /**
+   * Move the dropped task or milestone to the day it was dropped on
+   */
+  async onDrop(event, date) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('calendar-drop-target');
+
+    const item = this.dragged;
+    this.dragged = null;
+    if (!item || item.date === date) return;
+
+    const endpoint = item.type === 'milestone'
+      ? `/projects/${item.project_id}/milestones/${item.id}`
+      : `/daily-tasks/${item.id}`;
+
+    try {
+      await this.apiRequest(endpoint, {
+        method: 'PUT',
+        body: JSON.stringify({ due_date: date })
+      });
+
+      await this.loadEvents();
+      showNotification(`${item.type === 'milestone' ? 'Milestone' : 'Task'} moved to ${this.formatDate(date, { day: 'numeric', month: 'short' })}`);
+    } catch (error) {
+      console.error('Error rescheduling:', error);
+      showNotification(error.message || 'Error rescheduling', 'error');
+    }
+  }
+
+  /**
+   * Format a YYYY-MM-DD date for display
+   */
+  formatDate(date, options) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+  }
+
+  /**
+   * Heading for the period on screen
+   */
+  getTitle() {
+    if (this.view === 'month') return this.formatDate(this.date, { month: 'long', year: 'numeric' });
+    if (this.view === 'day') return this.formatDate(this.date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+    const days = this.getDays();
+    return `${this.formatDate(days[0], { day: 'numeric', month: 'short' })} – ${this.formatDate(days[6], { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  }
+
+  /**
+   * Colour an event by its type and state
+   */
+  getEventColor(event) {
+    if (event.type === 'milestone') return event.completed ? 'bg-purple-50 text-purple-400 line-through' : 'bg-purple-100 text-purple-800';
+    if (event.type === 'progress_report') return 'bg-green-100 text-green-800';
+    return dailyTaskManager.getStatusColor(event.status);
+  }
+
+  /**
+   * Describe an event in its tooltip
+   */
+  describeEvent(event) {
+    if (event.type === 'milestone') return `Milestone of ${event.project_name}`;
+    if (event.type === 'progress_report') return `Progress report by ${event.reporter_name}`;
+    return `${event.assigned_to} · ${event.status} · ${event.priority} priority`;
+  }
+
+  /**
+   * Render one event chip
+   */
+  renderEvent(event) {
+    const { icon, draggable } = CALENDAR_EVENT_TYPES[event.type];
+
+    return `
+      <div class="calendar-event text-xs rounded px-1 mb-1 truncate ${this.getEventColor(event)} ${draggable ? 'cursor-grab' : ''}"
+           ${draggable ? `draggable="true" ondragstart="calendarView.onDragStart(event, '${event.type}', ${event.id})"` : ''}
+           onclick="event.stopPropagation()" title="${this.escapeHtml(this.describeEvent(event))}">
+        ${icon} ${this.escapeHtml(event.title)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render one day cell
+   */
+  renderDay(date) {
+    const events = this.events.filter(event => event.date === date);
+    const outsideMonth = this.view === 'month' && date.slice(0, 7) !== this.date.slice(0, 7);
+    const isToday = date === this.today();
+
+    return `
+      <div class="calendar-day calendar-day-${this.view} p-1 border border-gray-100 ${outsideMonth ? 'bg-gray-50 text-gray-400' : 'bg-white'}"
+           onclick="calendarView.createTaskOn('${date}')" title="Click to add a daily task due this day"
+           ondragover="calendarView.onDragOver(event)" ondragleave="calendarView.onDragLeave(event)"
+           ondrop="calendarView.onDrop(event, '${date}')">
+        <div class="flex justify-between text-xs mb-1">
+          ${this.view !== 'day' ? `
+            <button onclick="event.stopPropagation(); calendarView.openDay('${date}')"
+                    class="${isToday ? 'bg-blue-600 text-white rounded-full px-1' : 'hover:underline'}">${Number(date.slice(8))}</button>
+          ` : ''}
+          ${events.length > 0 ? `<span class="text-gray-400">${events.length}</span>` : ''}
+        </div>
+        ${events.map(event => this.renderEvent(event)).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the toolbar and the days of the current view
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    const days = this.getDays();
+    const columns = this.view === 'day' ? 1 : 7;
+
+    container.innerHTML = `
+      <div class="flex flex-wrap items-center gap-2 mb-4">
+        <button onclick="calendarView.shift(-1)" class="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50" aria-label="Previous">←</button>
+        <button onclick="calendarView.goToToday()" class="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50">Today</button>
+        <button onclick="calendarView.shift(1)" class="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50" aria-label="Next">→</button>
+        <h3 class="text-lg font-semibold ml-2">${this.getTitle()}</h3>
+        <div class="ml-auto space-x-1 text-sm">
+          ${CALENDAR_VIEWS.map(view => `
+            <button onclick="calendarView.setView('${view}')"
+                    class="calendar-view-btn px-3 py-1 rounded border border-gray-300 ${view === this.view ? 'active' : ''}">
+              ${view.charAt(0).toUpperCase() + view.slice(1)}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+      <div class="calendar-grid" style="grid-template-columns: repeat(${columns}, minmax(0, 1fr))">
+        ${this.view !== 'day' ? CALENDAR_WEEKDAYS.map(day => `
+          <div class="text-xs font-semibold text-gray-500 text-center py-1">${day}</div>
+        `).join('') : ''}
+        ${days.map(date => this.renderDay(date)).join('')}
+      </div>
+      <p class="text-xs text-gray-500 mt-2">🏁 Milestone · ✅ Daily task · 📝 Progress report. Drag tasks and milestones to another day to reschedule them.</p>
+    `;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+// Global instance
+let calendarView;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  calendarView = new CalendarView('calendar-container');
+});
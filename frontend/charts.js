@@ -0,0 +1,307 @@
+/**
+ * Trend Charts
+ * Burndown, burnup and weekly velocity from the daily snapshots, drawn as inline SVG
+ */
+
+// Where each chart source gets its history and what it can be narrowed to
+const TREND_SOURCES = {
+  'daily-tasks': { label: 'Daily tasks', endpoint: '/daily-tasks/stats/history', keyParam: 'assigned_to' },
+  projects: { label: 'Projects', endpoint: '/projects/stats/history', keyParam: 'project_id' }
+};
+
+const TREND_CHART_SIZE = { width: 480, height: 200, padding: { top: 12, right: 12, bottom: 28, left: 40 } };
+
+class TrendCharts {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.apiBaseUrl = window.location.origin + '/api';
+    this.source = 'daily-tasks';
+    this.key = '';
+    this.days = 30;
+    this.projects = null;
+    this.history = null;
+  }
+
+  /**
+   * Make API request to backend
+   */
+  async apiRequest(endpoint, options = {}) {
+    try {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        ...options
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Trend API request failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the history for the chosen source, and the project names the first time projects are charted
+   */
+  async loadTrends() {
+    try {
+      const { endpoint, keyParam } = TREND_SOURCES[this.source];
+      const end = new Date();
+      const start = new Date(end.getTime() - (this.days - 1) * 24 * 60 * 60 * 1000);
+      const query = new URLSearchParams({
+        start: start.toISOString().split('T')[0],
+        end: end.toISOString().split('T')[0],
+        ...(this.key ? { [keyParam]: this.key } : {})
+      });
+
+      if (this.source === 'projects' && !this.projects) {
+        this.projects = await fetchAllPages('/projects?fields=id,name', request => this.apiRequest(request));
+      }
+
+      this.history = (await this.apiRequest(`${endpoint}?${query}`)).data;
+      this.render();
+    } catch (error) {
+      console.error('Error loading trends:', error);
+      showNotification('Error loading trends', 'error');
+    }
+  }
+
+  /**
+   * Chart daily tasks or projects
+   */
+  async setSource(source) {
+    this.source = source;
+    this.key = '';
+    await this.loadTrends();
+  }
+
+  /**
+   * Narrow the charts to one assignee or project; blank charts all of them
+   */
+  async setKey(key) {
+    this.key = key.trim();
+    await this.loadTrends();
+  }
+
+  /**
+   * Change how many days the charts cover
+   */
+  async setDays(days) {
+    this.days = parseInt(days);
+    await this.loadTrends();
+  }
+
+  /**
+   * Map values onto the plot area, from zero up to the largest value
+   */
+  getScale(count, values) {
+    const { width, height, padding } = TREND_CHART_SIZE;
+    const max = Math.max(1, ...values);
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    return {
+      max,
+      x: index => padding.left + (count > 1 ? (index / (count - 1)) * plotWidth : plotWidth / 2),
+      y: value => padding.top + plotHeight - (value / max) * plotHeight,
+      band: plotWidth / Math.max(count, 1)
+    };
+  }
+
+  /**
+   * Horizontal grid lines with value labels, and the first, middle and last x labels
+   */
+  renderAxes(scale, labels) {
+    const { width, height, padding } = TREND_CHART_SIZE;
+    const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+      const value = Math.round(scale.max * fraction * 10) / 10;
+      const y = scale.y(value);
+      return `
+        <line x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}" stroke="#E5E7EB" />
+        <text x="${padding.left - 4}" y="${y + 3}" text-anchor="end" font-size="10" fill="#6B7280">${value}</text>
+      `;
+    }).join('');
+
+    const labelIndexes = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])];
+    const xLabels = labelIndexes.map(index => `
+      <text x="${scale.x(index)}" y="${height - padding.bottom + 16}" text-anchor="middle" font-size="10" fill="#6B7280">${labels[index]}</text>
+    `).join('');
+
+    return gridLines + xLabels;
+  }
+
+  /**
+   * Line chart of one or more series sharing the same dates
+   */
+  renderLineChart(title, dates, series) {
+    const { width, height } = TREND_CHART_SIZE;
+    const scale = this.getScale(dates.length, series.flatMap(line => line.values));
+
+    const lines = series.map(line => `
+      <polyline fill="none" stroke="${line.color}" stroke-width="2" ${line.dashed ? 'stroke-dasharray="4 3"' : ''}
+                points="${line.values.map((value, index) => `${scale.x(index)},${scale.y(value)}`).join(' ')}" />
+      ${line.values.map((value, index) => `
+        <circle cx="${scale.x(index)}" cy="${scale.y(value)}" r="2.5" fill="${line.color}">
+          <title>${dates[index]}: ${value} ${this.escapeHtml(line.label)}</title>
+        </circle>
+      `).join('')}
+    `).join('');
+
+    return this.renderChartCard(title, `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full" role="img" aria-label="${this.escapeHtml(title)}">
+        ${this.renderAxes(scale, dates.map(date => this.formatDate(date)))}
+        ${lines}
+      </svg>
+    `, series);
+  }
+
+  /**
+   * Bar chart of tasks completed per week
+   */
+  renderVelocityChart(velocity) {
+    const { width, height } = TREND_CHART_SIZE;
+    const values = velocity.map(week => week.completed);
+    const scale = this.getScale(values.length, values);
+    const barWidth = Math.min(40, scale.band * 0.6);
+
+    const bars = velocity.map((week, index) => {
+      const value = Math.max(0, week.completed);
+      return `
+        <rect x="${scale.x(index) - barWidth / 2}" y="${scale.y(value)}" width="${barWidth}"
+              height="${scale.y(0) - scale.y(value)}" fill="#6366F1">
+          <title>Week of ${week.week_start}: ${week.completed} tasks, ${week.completed_hours}h estimated work done, ${week.actual_hours}h spent</title>
+        </rect>
+      `;
+    }).join('');
+
+    return this.renderChartCard('Weekly velocity', `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full" role="img" aria-label="Weekly velocity">
+        ${this.renderAxes(scale, velocity.map(week => this.formatDate(week.week_start)))}
+        ${bars}
+      </svg>
+    `, [{ label: 'Tasks completed', color: '#6366F1' }]);
+  }
+
+  /**
+   * Chart with its title and legend
+   */
+  renderChartCard(title, svg, series) {
+    return `
+      <div class="border border-gray-100 rounded p-3">
+        <h4 class="font-semibold text-sm mb-1">${this.escapeHtml(title)}</h4>
+        ${svg}
+        <div class="flex flex-wrap gap-3 text-xs text-gray-600 mt-1">
+          ${series.map(line => `
+            <span><span class="inline-block w-3 h-1 align-middle mr-1" style="background-color: ${line.color}"></span>${this.escapeHtml(line.label)}</span>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Control to narrow the charts to one assignee or project
+   */
+  renderKeyControl() {
+    if (this.source === 'projects') {
+      return `
+        <select onchange="trendCharts.setKey(this.value)" class="p-1 border border-gray-300 rounded" aria-label="Project">
+          <option value="">All projects</option>
+          ${(this.projects || []).map(project => `
+            <option value="${project.id}" ${String(project.id) === this.key ? 'selected' : ''}>${this.escapeHtml(project.name)}</option>
+          `).join('')}
+        </select>
+      `;
+    }
+
+    return `
+      <input type="text" value="${this.escapeHtml(this.key)}" placeholder="All assignees"
+             onchange="trendCharts.setKey(this.value)" class="p-1 border border-gray-300 rounded" aria-label="Assignee">
+    `;
+  }
+
+  /**
+   * Render the controls and the burndown, burnup and velocity charts
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container || !this.history) return;
+
+    const { points, velocity } = this.history;
+    const dates = points.map(point => point.date);
+
+    const controls = `
+      <div class="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <select onchange="trendCharts.setSource(this.value)" class="p-1 border border-gray-300 rounded" aria-label="Chart source">
+          ${Object.entries(TREND_SOURCES).map(([source, { label }]) => `
+            <option value="${source}" ${source === this.source ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+        ${this.renderKeyControl()}
+        <select onchange="trendCharts.setDays(this.value)" class="p-1 border border-gray-300 rounded" aria-label="Days charted">
+          ${[14, 30, 90, 180].map(days => `
+            <option value="${days}" ${days === this.days ? 'selected' : ''}>Last ${days} days</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+
+    if (points.length === 0) {
+      container.innerHTML = `${controls}<p class="text-gray-500">No snapshots in this period yet. They are recorded once a day.</p>`;
+      return;
+    }
+
+    container.innerHTML = `
+      ${controls}
+      <div class="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        ${this.renderLineChart('Burndown', dates, [
+          { label: 'Open tasks', color: '#EF4444', values: points.map(point => point.open) },
+          { label: 'Remaining hours', color: '#F59E0B', values: points.map(point => point.remaining_hours), dashed: true }
+        ])}
+        ${this.renderLineChart('Burnup', dates, [
+          { label: 'Total scope', color: '#9CA3AF', values: points.map(point => point.total), dashed: true },
+          { label: 'Completed', color: '#10B981', values: points.map(point => point.completed) }
+        ])}
+        ${this.renderVelocityChart(velocity)}
+      </div>
+    `;
+  }
+
+  /**
+   * Short day and month label for a YYYY-MM-DD date
+   */
+  formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+// Global instance
+let trendCharts;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  trendCharts = new TrendCharts('trend-charts');
+});
@@ -14,7 +14,7 @@ class ChecklistManager {
      */
     async apiRequest(endpoint, options = {}) {
       try {
-        const response = await fetch(`${this.apiBaseUrl}${endpoint}`, {
+        const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
           headers: {
             'Content-Type': 'application/json',
             ...options.headers
@@ -40,8 +40,7 @@ class ChecklistManager {
      */
     async loadChecklists() {
       try {
-        const response = await this.apiRequest('/checklists');
-        this.checklists = response.data || [];
+        this.checklists = await fetchAllPages('/checklists', endpoint => this.apiRequest(endpoint));
         this.renderAll();
       } catch (error) {
         console.error('Error loading checklists:', error);
@@ -368,8 +367,12 @@ class ChecklistManager {
               <h3 class="text-xl font-bold">${this.escapeHtml(checklist.title)}</h3>
               <p class="text-gray-600">${this.escapeHtml(checklist.description || '')}</p>
             </div>
-            <button onclick="checklistManager.deleteChecklist('${checklist.id}')" 
-                    class="text-red-500 hover:text-red-700 font-bold">×</button>
+            <div class="flex items-start space-x-2">
+              <button onclick="showEntityHistory('checklist', '${checklist.id}', 'Checklist')" 
+                      class="text-gray-400 hover:text-gray-600" title="History">🕘</button>
+              <button onclick="checklistManager.deleteChecklist('${checklist.id}')" 
+                      class="text-red-500 hover:text-red-700 font-bold">×</button>
+            </div>
           </div>
           
           <div class="mb-4">
@@ -2,10 +2,20 @@
  * Daily Task Management System
  * Handles daily tasks, progress tracking, and progress reports
  */
+
+// Progress report buckets and the daily task status each one stands for
+const REPORT_BUCKETS = {
+  completed: { label: 'Completed', status: 'completed' },
+  in_progress: { label: 'In progress', status: 'in-progress' },
+  blocked: { label: 'Blocked', status: 'blocked' }
+};
+
 class DailyTaskManager {
   constructor() {
     this.dailyTasks = [];
     this.progressReports = [];
+    this.templates = [];
+    this.view = 'list';
     this.apiBaseUrl = window.location.origin + '/api';
   }
 
@@ -14,7 +24,7 @@ class DailyTaskManager {
    */
   async apiRequest(endpoint, options = {}) {
     try {
-      const response = await fetch(`${this.apiBaseUrl}${endpoint}`, {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
         headers: {
           'Content-Type': 'application/json',
           ...options.headers
@@ -45,8 +55,7 @@ class DailyTaskManager {
       if (filters.status) queryParams.append('status', filters.status);
       if (filters.due_date) queryParams.append('due_date', filters.due_date);
 
-      const response = await this.apiRequest(`/daily-tasks?${queryParams.toString()}`);
-      this.dailyTasks = response.data || [];
+      this.dailyTasks = await fetchAllPages(`/daily-tasks?${queryParams.toString()}`, endpoint => this.apiRequest(endpoint));
       this.renderDailyTasks();
     } catch (error) {
       console.error('Error loading daily tasks:', error);
@@ -59,7 +68,8 @@ class DailyTaskManager {
    */
   async loadProgressReports() {
     try {
-      const response = await this.apiRequest('/progress-reports');
+      // Only the latest five are shown
+      const response = await this.apiRequest('/progress-reports?limit=5');
       this.progressReports = response.data || [];
       this.renderProgressReports();
     } catch (error) {
@@ -88,6 +98,95 @@ class DailyTaskManager {
     }
   }
 
+  /**
+   * Load recurring daily task templates from backend
+   */
+  async loadTemplates() {
+    try {
+      const response = await this.apiRequest('/daily-task-templates');
+      this.templates = response.data || [];
+      this.renderTemplates();
+    } catch (error) {
+      console.error('Error loading recurring tasks:', error);
+      showNotification('Error loading recurring tasks', 'error');
+    }
+  }
+
+  /**
+   * Create a recurring daily task template
+   */
+  async createRecurringTask(templateData) {
+    try {
+      const response = await this.apiRequest('/daily-task-templates', {
+        method: 'POST',
+        body: JSON.stringify(templateData)
+      });
+
+      await Promise.all([this.loadDailyTasks(), this.loadTemplates()]);
+      showNotification('Recurring daily task created successfully');
+      return response.data;
+    } catch (error) {
+      console.error('Error creating recurring daily task:', error);
+      showNotification(error.message || 'Error creating recurring daily task', 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a recurring daily task template
+   */
+  async deleteTemplate(templateId) {
+    if (confirm('Stop repeating this task? Upcoming occurrences that were not edited will be removed.')) {
+      try {
+        await this.apiRequest(`/daily-task-templates/${templateId}`, {
+          method: 'DELETE'
+        });
+
+        await Promise.all([this.loadDailyTasks(), this.loadTemplates()]);
+        showNotification('Recurring daily task deleted successfully');
+      } catch (error) {
+        console.error('Error deleting recurring daily task:', error);
+        showNotification(error.message || 'Error deleting recurring daily task', 'error');
+      }
+    }
+  }
+
+  /**
+   * Carry overdue unfinished tasks over to the next working day now instead of waiting for the nightly run
+   */
+  async rolloverOverdueTasks() {
+    try {
+      const response = await this.apiRequest('/daily-tasks/rollover', {
+        method: 'POST'
+      });
+
+      await this.loadDailyTasks();
+      showNotification(response.message);
+    } catch (error) {
+      console.error('Error carrying over daily tasks:', error);
+      showNotification(error.message || 'Error carrying over daily tasks', 'error');
+    }
+  }
+
+  /**
+   * Skip one occurrence of a recurring daily task
+   */
+  async skipOccurrence(templateId, date) {
+    if (confirm(`Skip this task on ${date}?`)) {
+      try {
+        await this.apiRequest(`/daily-task-templates/${templateId}/occurrences/${date}/skip`, {
+          method: 'POST'
+        });
+
+        await this.loadDailyTasks();
+        showNotification('Occurrence skipped');
+      } catch (error) {
+        console.error('Error skipping occurrence:', error);
+        showNotification(error.message || 'Error skipping occurrence', 'error');
+      }
+    }
+  }
+
   /**
    * Update a daily task
    */
@@ -155,7 +254,8 @@ class DailyTaskManager {
         body: JSON.stringify(reportData)
       });
 
-      await this.loadProgressReports();
+      // Tasks reported as completed are completed on the server
+      await Promise.all([this.loadProgressReports(), this.loadDailyTasks()]);
       showNotification('Progress report submitted successfully');
       return response.data;
     } catch (error) {
@@ -165,6 +265,58 @@ class DailyTaskManager {
     }
   }
 
+  /**
+   * Draft a progress report from the reporter's daily task activity on a date
+   */
+  async loadReportDraft(reporterName, reportDate) {
+    const queryParams = new URLSearchParams({ reporter_name: reporterName, date: reportDate });
+    const response = await this.apiRequest(`/progress-reports/draft?${queryParams.toString()}`);
+    return response.data;
+  }
+
+  /**
+   * Render a bucket picker per task the draft considered, pre-selected from the draft's buckets
+   */
+  renderReportTaskOptions(tasks, taskIds) {
+    const container = document.getElementById('progress-linked-tasks');
+    if (!container) return;
+
+    if (tasks.length === 0) {
+      container.innerHTML = '<p class="text-sm text-gray-500">No daily tasks due or worked on for this name and date.</p>';
+      return;
+    }
+
+    container.innerHTML = tasks.map(task => {
+      const bucket = Object.keys(REPORT_BUCKETS).find(b => taskIds[b].includes(task.id)) || '';
+
+      return `
+        <div class="flex items-center justify-between gap-2">
+          <span class="text-sm truncate">${this.escapeHtml(task.title)}</span>
+          <select data-task-id="${task.id}" class="progress-task-bucket p-1 border border-gray-300 rounded text-sm"
+                  aria-label="Report bucket for ${this.escapeHtml(task.title)}">
+            <option value="">Not reported</option>
+            ${Object.entries(REPORT_BUCKETS).map(([value, { label }]) => `
+              <option value="${value}" ${value === bucket ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Task ids per bucket as chosen in the report form
+   */
+  getReportTaskIds() {
+    const taskIds = Object.fromEntries(Object.keys(REPORT_BUCKETS).map(bucket => [bucket, []]));
+
+    document.querySelectorAll('#progress-linked-tasks .progress-task-bucket').forEach(select => {
+      if (select.value) taskIds[select.value].push(parseInt(select.dataset.taskId));
+    });
+
+    return taskIds;
+  }
+
   /**
    * Get status color class
    */
@@ -219,10 +371,30 @@ class DailyTaskManager {
     return emojis[score] || '🚶';
   }
 
+  /**
+   * Switch between the task list and the board
+   */
+  setView(view) {
+    this.view = view;
+
+    document.getElementById('daily-tasks-container').classList.toggle('hidden', view !== 'list');
+    document.getElementById('daily-task-board').classList.toggle('hidden', view !== 'board');
+    document.querySelectorAll('.daily-task-view-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === view);
+    });
+
+    this.renderDailyTasks();
+  }
+
   /**
    * Render daily tasks in the UI
    */
   renderDailyTasks() {
+    if (this.view === 'board') {
+      if (dailyTaskBoard) dailyTaskBoard.render(this.dailyTasks);
+      return;
+    }
+
     const container = document.getElementById('daily-tasks-container');
     if (!container) return;
 
@@ -259,10 +431,35 @@ class DailyTaskManager {
                 ${task.priority.charAt(0).toUpperCase() + task.priority.slice(1)}
               </span>
               <span class="text-gray-600">📅 Due: ${new Date(task.due_date).toLocaleDateString()}</span>
+              ${task.template_id ? '<span class="inline-block px-2 py-1 rounded text-xs font-medium bg-purple-100 text-purple-800" title="Generated from a recurring task">🔁 Recurring</span>' : ''}
+              ${task.carried_over_count > 0 ? `
+                <span class="inline-block px-2 py-1 rounded text-xs font-medium bg-orange-100 text-orange-800" 
+                      title="Originally due ${new Date(task.original_due_date).toLocaleDateString()}">
+                  ↪ Carried over ${task.carried_over_count} ${task.carried_over_count === 1 ? 'time' : 'times'}
+                </span>
+              ` : ''}
             </div>
+            ${task.depends_on && task.depends_on.length > 0 ? `
+              <div class="text-sm text-gray-600 mt-2">
+                ⛓ Depends on:
+                ${task.depends_on.map(prerequisite => `
+                  <span class="${prerequisite.status === 'completed' ? 'line-through text-gray-400' : 'font-medium'}">${this.escapeHtml(prerequisite.title)}</span>
+                  <button onclick="dailyTaskManager.removeDependency(${task.id}, ${prerequisite.id})" 
+                          class="text-red-400 hover:text-red-600" title="Remove dependency">×</button>
+                `).join(' ')}
+              </div>
+            ` : ''}
+          </div>
+          <div class="flex items-start space-x-2">
+            ${task.template_id ? `
+              <button onclick="dailyTaskManager.skipOccurrence(${task.template_id}, '${task.occurrence_date}')" 
+                      class="text-gray-400 hover:text-gray-600 text-sm" title="Skip this occurrence">Skip</button>
+            ` : ''}
+            <button onclick="showEntityHistory('daily_task', ${task.id}, 'Daily task #${task.id}')" 
+                    class="text-gray-400 hover:text-gray-600" title="History">🕘</button>
+            <button onclick="dailyTaskManager.deleteDailyTask(${task.id})" 
+                    class="text-red-500 hover:text-red-700 font-bold text-xl">×</button>
           </div>
-          <button onclick="dailyTaskManager.deleteDailyTask(${task.id})" 
-                  class="text-red-500 hover:text-red-700 font-bold text-xl">×</button>
         </div>
         
         <div class="mb-4">
@@ -288,6 +485,10 @@ class DailyTaskManager {
                   class="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600">
             Update Task
           </button>
+          <button onclick="dailyTaskManager.promptAddDependency(${task.id})" 
+                  class="bg-gray-500 text-white px-4 py-2 rounded hover:bg-gray-600">
+            Add Dependency
+          </button>
         </div>
 
         <div class="text-xs text-gray-500 mt-2">
@@ -299,6 +500,35 @@ class DailyTaskManager {
     });
   }
 
+  /**
+   * Render recurring daily task templates in the UI
+   */
+  renderTemplates() {
+    const section = document.getElementById('recurring-templates-section');
+    const container = document.getElementById('recurring-templates-container');
+    if (!section || !container) return;
+
+    section.classList.toggle('hidden', this.templates.length === 0);
+    container.innerHTML = this.templates.map(template => `
+      <div class="flex justify-between items-center border-b pb-2">
+        <div>
+          <span class="font-medium">${this.escapeHtml(template.title)}</span>
+          <span class="text-sm text-gray-600">👤 ${this.escapeHtml(template.assigned_to)}</span>
+          <span class="text-xs text-gray-500 ml-2">${this.escapeHtml(template.recurrence)}</span>
+          <div class="text-xs text-gray-500">
+            Next: ${template.upcoming.length > 0 ? template.upcoming.map(date => new Date(date).toLocaleDateString()).join(', ') : 'none'}
+          </div>
+        </div>
+        <div class="flex items-center space-x-2">
+          <button onclick="showEntityHistory('daily_task_template', ${template.id}, 'Recurring task #${template.id}')" 
+                  class="text-gray-400 hover:text-gray-600" title="History">🕘</button>
+          <button onclick="dailyTaskManager.deleteTemplate(${template.id})" 
+                  class="text-red-500 hover:text-red-700 font-bold text-xl" title="Stop repeating">×</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
   /**
    * Render progress reports in the UI
    */
@@ -330,12 +560,16 @@ class DailyTaskManager {
             <h4 class="text-lg font-bold mb-2">${this.escapeHtml(report.reporter_name)} - ${new Date(report.report_date).toLocaleDateString()}</h4>
             <div class="flex items-center space-x-4 text-sm mb-2">
               <span class="text-gray-600">⏰ ${report.hours_worked}h worked</span>
-              <span class="text-gray-600">${this.getMoodEmoji(report.mood_rating)} Mood: ${report.mood_rating}/5</span>
+              ${report.mood_rating !== undefined ? `<span class="text-gray-600">${this.getMoodEmoji(report.mood_rating)} Mood: ${report.mood_rating}/5</span>` : ''}
               <span class="text-gray-600">${this.getProductivityEmoji(report.productivity_score)} Productivity: ${report.productivity_score}/5</span>
             </div>
           </div>
-          <button onclick="dailyTaskManager.deleteProgressReport(${report.id})" 
-                  class="text-red-500 hover:text-red-700 font-bold text-xl">×</button>
+          <div class="flex items-start space-x-2">
+            <button onclick="showEntityHistory('progress_report', ${report.id}, 'Progress report #${report.id}')" 
+                    class="text-gray-400 hover:text-gray-600" title="History">🕘</button>
+            <button onclick="dailyTaskManager.deleteProgressReport(${report.id})" 
+                    class="text-red-500 hover:text-red-700 font-bold text-xl">×</button>
+          </div>
         </div>
 
         <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
@@ -349,6 +583,8 @@ class DailyTaskManager {
           </div>
         </div>
 
+        ${this.renderReportTasks(report.tasks)}
+
         ${report.tasks_blocked ? `
           <div class="mb-4">
             <h5 class="font-semibold text-red-600 mb-1">🚫 Blocked</h5>
@@ -379,6 +615,30 @@ class DailyTaskManager {
     });
   }
 
+  /**
+   * Render the daily tasks linked to a report, by bucket
+   */
+  renderReportTasks(tasks) {
+    if (!tasks) return '';
+
+    const buckets = Object.entries(REPORT_BUCKETS).filter(([bucket]) => tasks[bucket].length > 0);
+    if (buckets.length === 0) return '';
+
+    return `
+      <div class="mb-4">
+        <h5 class="font-semibold text-gray-700 mb-1">🔗 Linked tasks</h5>
+        ${buckets.map(([bucket, { label }]) => `
+          <div class="text-sm mb-1">
+            <span class="text-gray-600">${label}:</span>
+            ${tasks[bucket].map(task => `
+              <span class="inline-block px-2 py-0.5 rounded text-xs ${this.getStatusColor(task.status)}">${this.escapeHtml(task.title)}</span>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   /**
    * Prompt user to add progress to a task
    */
@@ -424,6 +684,54 @@ class DailyTaskManager {
     await this.updateDailyTask(taskId, { status: newStatus });
   }
 
+  /**
+   * Prompt for a task this one should wait on
+   */
+  async promptAddDependency(taskId) {
+    const task = this.dailyTasks.find(t => t.id === taskId);
+    const existing = (task && task.depends_on || []).map(p => p.id);
+    const candidates = this.dailyTasks.filter(t => t.id !== taskId && !existing.includes(t.id));
+    if (candidates.length === 0) {
+      showNotification('No other tasks to depend on', 'error');
+      return;
+    }
+
+    const taskList = candidates.map(t => `${t.id}: ${t.title} (${t.status})`).join('\n');
+    const dependsOnId = prompt(`This task waits until the chosen task is completed:\n${taskList}\n\nEnter task ID:`);
+
+    if (dependsOnId && !isNaN(dependsOnId)) {
+      try {
+        await this.apiRequest(`/daily-tasks/${taskId}/dependencies`, {
+          method: 'POST',
+          body: JSON.stringify({ depends_on_id: parseInt(dependsOnId) })
+        });
+
+        await this.loadDailyTasks();
+        showNotification('Dependency added successfully');
+      } catch (error) {
+        console.error('Error adding dependency:', error);
+        showNotification(error.message || 'Error adding dependency', 'error');
+      }
+    }
+  }
+
+  /**
+   * Stop a task waiting on another
+   */
+  async removeDependency(taskId, dependsOnId) {
+    try {
+      await this.apiRequest(`/daily-tasks/${taskId}/dependencies/${dependsOnId}`, {
+        method: 'DELETE'
+      });
+
+      await this.loadDailyTasks();
+      showNotification('Dependency removed successfully');
+    } catch (error) {
+      console.error('Error removing dependency:', error);
+      showNotification(error.message || 'Error removing dependency', 'error');
+    }
+  }
+
   /**
    * Delete a progress report
    */
@@ -489,6 +797,11 @@ function hideCreateDailyTaskModal() {
     document.getElementById('daily-task-priority').value = 'medium';
     document.getElementById('daily-task-status').value = 'pending';
     document.getElementById('daily-task-estimated-hours').value = '';
+    document.getElementById('daily-task-repeat').value = 'none';
+    document.getElementById('daily-task-repeat-until').value = '';
+    document.getElementById('daily-task-rrule').value = '';
+    document.querySelectorAll('.repeat-day').forEach(checkbox => { checkbox.checked = false; });
+    updateRepeatOptions();
   }
 }
 
@@ -496,8 +809,35 @@ function showCreateProgressReportModal() {
   const modal = document.getElementById('progress-report-modal');
   if (modal) {
     modal.classList.remove('hidden');
-    // Set default date to today
+    // Default to the signed-in user reporting on today
+    document.getElementById('progress-reporter-name').value = currentUser ? currentUser.display_name : '';
     document.getElementById('progress-report-date').value = new Date().toISOString().split('T')[0];
+    loadProgressReportDraft();
+  }
+}
+
+// Pre-fill the report form with a draft of the reporter's day
+async function loadProgressReportDraft() {
+  const reporterName = document.getElementById('progress-reporter-name').value.trim();
+  const reportDate = document.getElementById('progress-report-date').value;
+
+  if (reporterName.length < 2 || !reportDate) {
+    dailyTaskManager.renderReportTaskOptions([], {});
+    return;
+  }
+
+  try {
+    const draft = await dailyTaskManager.loadReportDraft(reporterName, reportDate);
+
+    document.getElementById('progress-tasks-completed').value = draft.tasks_completed;
+    document.getElementById('progress-tasks-in-progress').value = draft.tasks_in_progress;
+    document.getElementById('progress-tasks-blocked').value = draft.tasks_blocked;
+    document.getElementById('progress-hours-worked').value = draft.hours_worked || '';
+    document.getElementById('progress-next-day-plan').value = draft.next_day_plan;
+    dailyTaskManager.renderReportTaskOptions(draft.tasks, draft.task_ids);
+  } catch (error) {
+    console.error('Error drafting progress report:', error);
+    showNotification('Error drafting progress report', 'error');
   }
 }
 
@@ -516,9 +856,18 @@ function hideCreateProgressReportModal() {
     document.getElementById('progress-productivity-score').value = '3';
     document.getElementById('progress-challenges').value = '';
     document.getElementById('progress-next-day-plan').value = '';
+    document.getElementById('progress-linked-tasks').innerHTML = '';
   }
 }
 
+// Show the fields that belong to the chosen repeat option
+function updateRepeatOptions() {
+  const repeat = document.getElementById('daily-task-repeat').value;
+  document.getElementById('daily-task-repeat-days').classList.toggle('hidden', repeat !== 'weekly');
+  document.getElementById('daily-task-rrule-field').classList.toggle('hidden', repeat !== 'custom');
+  document.getElementById('daily-task-repeat-until-field').classList.toggle('hidden', repeat === 'none');
+}
+
 async function createNewDailyTask() {
   const title = document.getElementById('daily-task-title').value.trim();
   const description = document.getElementById('daily-task-description').value.trim();
@@ -543,18 +892,42 @@ async function createNewDailyTask() {
     return;
   }
 
+  const repeat = document.getElementById('daily-task-repeat').value;
+
   try {
-    await dailyTaskManager.createDailyTask({
-      title,
-      description,
-      assigned_to: assignedTo,
-      due_date: dueDate,
-      priority,
-      status,
-      estimated_hours: estimatedHours ? parseFloat(estimatedHours) : 0
-    });
+    if (repeat === 'none') {
+      await dailyTaskManager.createDailyTask({
+        title,
+        description,
+        assigned_to: assignedTo,
+        due_date: dueDate,
+        priority,
+        status,
+        estimated_hours: estimatedHours ? parseFloat(estimatedHours) : 0
+      });
+    } else {
+      const days = Array.from(document.querySelectorAll('.repeat-day:checked')).map(checkbox => checkbox.value);
+      const repeatUntil = document.getElementById('daily-task-repeat-until').value;
+
+      await dailyTaskManager.createRecurringTask({
+        title,
+        description,
+        assigned_to: assignedTo,
+        priority,
+        estimated_hours: estimatedHours ? parseFloat(estimatedHours) : 0,
+        recurrence: repeat === 'custom' ? document.getElementById('daily-task-rrule').value.trim() : repeat,
+        ...(repeat === 'weekly' && days.length > 0 && { days }),
+        start_date: dueDate,
+        end_date: repeatUntil || null
+      });
+    }
 
     hideCreateDailyTaskModal();
+
+    // The calendar opens this form too, so show the new task there
+    if (calendarView) {
+      await calendarView.refreshIfVisible();
+    }
   } catch (error) {
     // Error already handled in createDailyTask method
   }
@@ -593,7 +966,8 @@ async function createNewProgressReport() {
       mood_rating: parseInt(moodRating),
       productivity_score: parseInt(productivityScore),
       challenges,
-      next_day_plan: nextDayPlan
+      next_day_plan: nextDayPlan,
+      task_ids: dailyTaskManager.getReportTaskIds()
     });
 
     hideCreateProgressReportModal();
@@ -620,7 +994,7 @@ window.dailyTaskManager = null;
 
 // Update navigation function to include daily tasks
 function showSection(sectionName) {
-  const sections = ['dashboard', 'projects', 'daily-tasks', 'tasks', 'articles', 'checklists'];
+  const sections = ['dashboard', 'projects', 'people', 'daily-tasks', 'calendar', 'wellbeing', 'tasks', 'articles', 'checklists'];
   sections.forEach(section => {
     const element = document.getElementById(section);
     if (section === sectionName) {
@@ -641,13 +1015,31 @@ function showSection(sectionName) {
     activeButton.classList.add('active');
   }
 
-  // Load data when sections are shown
-  if (sectionName === 'projects' && window.projectManager) {
-    window.projectManager.loadProjects();
+  // Load data when sections are shown (the managers are script-level globals, not window properties)
+  if (sectionName === 'dashboard' && trendCharts) {
+    trendCharts.loadTrends();
+  }
+
+  if (sectionName === 'projects' && projectManager) {
+    projectManager.loadProjects();
+  }
+
+  if (sectionName === 'people' && resourceManager) {
+    resourceManager.loadCapacity();
+    reportRoster.loadRoster();
+  }
+
+  if (sectionName === 'calendar' && calendarView) {
+    calendarView.loadEvents();
+  }
+
+  if (sectionName === 'wellbeing' && wellbeingDashboard) {
+    wellbeingDashboard.loadTrends();
   }
   
-  if (sectionName === 'daily-tasks' && window.dailyTaskManager) {
-    window.dailyTaskManager.loadDailyTasks();
-    window.dailyTaskManager.loadProgressReports();
+  if (sectionName === 'daily-tasks' && dailyTaskManager) {
+    dailyTaskManager.loadDailyTasks();
+    dailyTaskManager.loadTemplates();
+    dailyTaskManager.loadProgressReports();
   }
 }
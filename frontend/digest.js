@@ -0,0 +1,180 @@
+/**
+ * Team Digest
+ * Every progress report for a date in one view: blockers first, then completed and in-progress work,
+ * who has not reported, and the team's hours, mood and productivity; exportable as Markdown or HTML
+ */
+
+// Export formats and the file extension each downloads as
+const DIGEST_EXPORTS = {
+  markdown: { label: 'Markdown', extension: 'md' },
+  html: { label: 'HTML', extension: 'html' }
+};
+
+class TeamDigest {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.apiBaseUrl = window.location.origin + '/api';
+    this.digest = null;
+  }
+
+  /**
+   * Make API request to backend
+   */
+  async apiRequest(endpoint, options = {}) {
+    try {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        ...options
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Digest API request failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the digest for a date
+   */
+  async loadDigest(date) {
+    try {
+      const query = new URLSearchParams({ date });
+      this.digest = (await this.apiRequest(`/progress-reports/digest?${query}`)).data;
+      this.render();
+    } catch (error) {
+      console.error('Error loading team digest:', error);
+      showNotification('Error loading team digest', 'error');
+    }
+  }
+
+  /**
+   * Download the digest on screen as Markdown or HTML
+   */
+  async exportDigest(format) {
+    if (!this.digest) return;
+
+    try {
+      const query = new URLSearchParams({ date: this.digest.date, format });
+      const response = await authFetch(`${this.apiBaseUrl}/progress-reports/digest?${query}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `team-digest-${this.digest.date}.${DIGEST_EXPORTS[format].extension}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting team digest:', error);
+      showNotification('Error exporting team digest', 'error');
+    }
+  }
+
+  /**
+   * Render one digest section as a list of reporter items
+   */
+  renderSection(title, items, color) {
+    return `
+      <div class="mb-4">
+        <h5 class="font-semibold ${color} mb-1">${title}</h5>
+        ${items.length > 0 ? `
+          <ul class="text-sm text-gray-700 list-disc ml-5">
+            ${items.map(item => `
+              <li><span class="font-medium">${this.escapeHtml(item.reporter_name)}</span>: ${this.escapeHtml(item.text)}${item.daily_task_id ? ' 🔗' : ''}</li>
+            `).join('')}
+          </ul>
+        ` : '<p class="text-sm text-gray-500">None</p>'}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the digest on screen
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container || !this.digest) return;
+
+    const { totals, missing } = this.digest;
+
+    container.innerHTML = `
+      <div class="flex flex-wrap gap-4 text-sm text-gray-600 mb-4">
+        <span>📝 ${totals.reports} report${totals.reports === 1 ? '' : 's'}</span>
+        <span>⏰ ${totals.hours_worked}h worked</span>
+        ${totals.average_mood_rating !== null ? `<span>😊 Mood ${totals.average_mood_rating}/5</span>` : ''}
+        ${totals.reports > 0 ? `<span>📈 Productivity ${totals.average_productivity_score}/5</span>` : ''}
+      </div>
+
+      ${this.renderSection('🚫 Blockers', this.digest.blockers, 'text-red-600')}
+      ${this.renderSection('✅ Completed', this.digest.completed, 'text-green-600')}
+      ${this.renderSection('🔄 In Progress', this.digest.in_progress, 'text-blue-600')}
+
+      <div class="mb-4">
+        <h5 class="font-semibold text-orange-600 mb-1">⏳ Missing Reports</h5>
+        <p class="text-sm text-gray-700">${missing.length > 0 ? missing.map(name => this.escapeHtml(name)).join(', ') : 'Everyone has reported'}</p>
+      </div>
+
+      <div class="flex justify-end space-x-2">
+        ${Object.entries(DIGEST_EXPORTS).map(([format, { label }]) => `
+          <button onclick="teamDigest.exportDigest('${format}')" class="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50">
+            Export ${label}
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+// Global instance
+let teamDigest;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  teamDigest = new TeamDigest('digest-container');
+});
+
+function showDigestModal() {
+  const modal = document.getElementById('digest-modal');
+  if (modal) {
+    modal.classList.remove('hidden');
+    const dateInput = document.getElementById('digest-date');
+    if (!dateInput.value) {
+      dateInput.value = new Date().toISOString().split('T')[0];
+    }
+    teamDigest.loadDigest(dateInput.value);
+  }
+}
+
+function hideDigestModal() {
+  const modal = document.getElementById('digest-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+}
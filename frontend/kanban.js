@@ -0,0 +1,244 @@
+/**
+ * Daily Task Board
+ * Kanban view of daily tasks with a column per status, optional swimlanes and WIP limits
+ */
+
+const KANBAN_COLUMNS = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'in-progress', label: 'In Progress' },
+  { status: 'blocked', label: 'Blocked' },
+  { status: 'completed', label: 'Completed' }
+];
+
+// Swimlane groupings; dropping a card into another lane moves it to that assignee or priority
+const KANBAN_SWIMLANES = {
+  none: { label: 'No swimlanes' },
+  assigned_to: { label: 'By assignee' },
+  priority: { label: 'By priority', order: ['urgent', 'high', 'medium', 'low'] }
+};
+
+// WIP limits are a per-browser preference
+const WIP_LIMITS_STORAGE_KEY = 'dailyTaskWipLimits';
+
+class DailyTaskBoard {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.tasks = [];
+    this.swimlane = 'none';
+    this.lanes = [null];
+    this.wipLimits = this.loadWipLimits();
+    this.draggedTaskId = null;
+  }
+
+  /**
+   * Read the saved WIP limits, ignoring anything unreadable
+   */
+  loadWipLimits() {
+    try {
+      return JSON.parse(localStorage.getItem(WIP_LIMITS_STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error reading WIP limits:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Prompt for a column's WIP limit; blank removes it
+   */
+  promptSetWipLimit(status) {
+    const column = KANBAN_COLUMNS.find(c => c.status === status);
+    const limit = prompt(`WIP limit for ${column.label} (leave blank for none):`, this.wipLimits[status] || '');
+    if (limit === null) return;
+
+    if (limit.trim() !== '' && !/^[1-9]\d*$/.test(limit.trim())) {
+      showNotification('WIP limit must be a whole number of tasks', 'error');
+      return;
+    }
+
+    if (limit.trim() === '') {
+      delete this.wipLimits[status];
+    } else {
+      this.wipLimits[status] = parseInt(limit);
+    }
+
+    localStorage.setItem(WIP_LIMITS_STORAGE_KEY, JSON.stringify(this.wipLimits));
+    this.render(this.tasks);
+  }
+
+  /**
+   * Group the board by assignee or priority, or not at all
+   */
+  setSwimlane(swimlane) {
+    this.swimlane = swimlane;
+    this.render(this.tasks);
+  }
+
+  /**
+   * Lane values in display order
+   */
+  getLanes() {
+    if (this.swimlane === 'none') return [null];
+    if (this.swimlane === 'priority') return KANBAN_SWIMLANES.priority.order;
+
+    return [...new Set(this.tasks.map(task => task.assigned_to))].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Tasks in a column, and in a lane when the board has swimlanes
+   */
+  getCellTasks(status, lane) {
+    return this.tasks.filter(task =>
+      task.status === status && (lane === null || task[this.swimlane] === lane));
+  }
+
+  /**
+   * Whether a column holds more tasks than its WIP limit
+   */
+  isOverLimit(status, count = this.getCellTasks(status, null).length) {
+    const limit = this.wipLimits[status];
+    return Boolean(limit) && count > limit;
+  }
+
+  onDragStart(event, taskId) {
+    this.draggedTaskId = taskId;
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', String(taskId));
+  }
+
+  onDragOver(event) {
+    event.preventDefault();
+    event.currentTarget.classList.add('kanban-drop-target');
+  }
+
+  onDragLeave(event) {
+    event.currentTarget.classList.remove('kanban-drop-target');
+  }
+
+  /**
+   * Move the dropped task to the column's status and the lane's assignee or priority
+   */
+  async onDrop(event, status, laneIndex) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('kanban-drop-target');
+
+    const lane = this.lanes[laneIndex];
+    const task = this.tasks.find(t => t.id === this.draggedTaskId);
+    this.draggedTaskId = null;
+    if (!task) return;
+
+    const updates = {};
+    if (task.status !== status) updates.status = status;
+    if (lane !== null && task[this.swimlane] !== lane) updates[this.swimlane] = lane;
+    if (Object.keys(updates).length === 0) return;
+
+    if (updates.status && this.isOverLimit(status, this.getCellTasks(status, null).length + 1)) {
+      const column = KANBAN_COLUMNS.find(c => c.status === status);
+      showNotification(`${column.label} is over its WIP limit of ${this.wipLimits[status]}`, 'error');
+    }
+
+    await dailyTaskManager.updateDailyTask(task.id, updates);
+  }
+
+  /**
+   * Render one draggable task card
+   */
+  renderCard(task) {
+    const blockedBy = (task.depends_on || []).filter(prerequisite => prerequisite.status !== 'completed');
+
+    return `
+      <div class="kanban-card bg-white p-3 rounded shadow-sm mb-2 border-l-4 border-blue-500" draggable="true"
+           ondragstart="dailyTaskBoard.onDragStart(event, ${task.id})">
+        <div class="font-medium text-sm">${this.escapeHtml(task.title)}</div>
+        <div class="flex flex-wrap items-center gap-1 text-xs mt-1">
+          <span class="text-gray-600">👤 ${this.escapeHtml(task.assigned_to)}</span>
+          <span class="px-1 rounded ${dailyTaskManager.getPriorityColor(task.priority)}">${task.priority}</span>
+          <span class="text-gray-500">📅 ${new Date(task.due_date).toLocaleDateString()}</span>
+        </div>
+        ${blockedBy.length > 0 ? `
+          <div class="text-xs text-red-600 mt-1">⛓ Waiting on ${blockedBy.map(prerequisite => this.escapeHtml(prerequisite.title)).join(', ')}</div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the board for the given tasks
+   */
+  render(tasks) {
+    this.tasks = tasks;
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    this.lanes = this.getLanes();
+
+    const headerHtml = KANBAN_COLUMNS.map(column => {
+      const count = this.getCellTasks(column.status, null).length;
+      const limit = this.wipLimits[column.status];
+      const over = this.isOverLimit(column.status, count);
+
+      return `
+        <div class="kanban-column-header p-2 rounded-t ${over ? 'bg-red-100 text-red-800' : 'bg-gray-100'}">
+          <span class="font-semibold">${column.label}</span>
+          <button onclick="dailyTaskBoard.promptSetWipLimit('${column.status}')" class="text-xs ml-1 hover:underline"
+                  title="${over ? 'Over the WIP limit' : 'Set WIP limit'}">
+            ${count}${limit ? ` / ${limit}` : ''}${over ? ' ⚠️' : ''}
+          </button>
+        </div>
+      `;
+    }).join('');
+
+    const lanesHtml = this.lanes.map((lane, laneIndex) => `
+      ${lane !== null ? `
+        <div class="kanban-lane-label text-sm font-semibold text-gray-700 pt-3 pb-1">
+          ${this.escapeHtml(this.swimlane === 'priority' ? lane.charAt(0).toUpperCase() + lane.slice(1) : lane)}
+        </div>
+      ` : ''}
+      ${KANBAN_COLUMNS.map(column => `
+        <div class="kanban-cell bg-gray-50 p-2 ${this.isOverLimit(column.status) ? 'kanban-cell-over-limit' : ''}"
+             ondragover="dailyTaskBoard.onDragOver(event)" ondragleave="dailyTaskBoard.onDragLeave(event)"
+             ondrop="dailyTaskBoard.onDrop(event, '${column.status}', ${laneIndex})">
+          ${this.getCellTasks(column.status, lane).map(task => this.renderCard(task)).join('')}
+        </div>
+      `).join('')}
+    `).join('');
+
+    container.innerHTML = `
+      <div class="flex items-center gap-2 mb-3 text-sm">
+        <label for="kanban-swimlane" class="text-gray-700">Swimlanes</label>
+        <select id="kanban-swimlane" onchange="dailyTaskBoard.setSwimlane(this.value)" class="p-1 border border-gray-300 rounded">
+          ${Object.entries(KANBAN_SWIMLANES).map(([value, { label }]) => `
+            <option value="${value}" ${value === this.swimlane ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+        <span class="text-xs text-gray-500 ml-auto">Drag a card to change its status${this.swimlane !== 'none' ? ' or lane' : ''}; click a column's count to set its WIP limit</span>
+      </div>
+      <div class="kanban-board">
+        ${headerHtml}
+        ${lanesHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+// Global instance
+let dailyTaskBoard;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  dailyTaskBoard = new DailyTaskBoard('daily-task-board');
+});
@@ -2,9 +2,20 @@
  * Project Management System
  * Handles projects, milestones, resource allocation, and global search
  */
+
+// Ways the server can measure project progress (projects.progress_mode)
+const PROGRESS_MODE_LABELS = {
+  weighted: 'Weighted mix',
+  milestones: 'Milestones',
+  tasks: 'Tasks',
+  hours: 'Hours'
+};
+
 class ProjectManager {
   constructor() {
     this.projects = [];
+    this.schedules = {};
+    this.openPanels = new Set();
     this.apiBaseUrl = window.location.origin + '/api';
     this.clockInterval = null;
     this.initializeClocks();
@@ -72,7 +83,7 @@ class ProjectManager {
    */
   async apiRequest(endpoint, options = {}) {
     try {
-      const response = await fetch(`${this.apiBaseUrl}${endpoint}`, {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
         headers: {
           'Content-Type': 'application/json',
           ...options.headers
@@ -98,8 +109,7 @@ class ProjectManager {
    */
   async loadProjects() {
     try {
-      const response = await this.apiRequest('/projects');
-      this.projects = response.data || [];
+      this.projects = await fetchAllPages('/projects', endpoint => this.apiRequest(endpoint));
       this.renderProjects();
     } catch (error) {
       console.error('Error loading projects:', error);
@@ -310,13 +320,309 @@ class ProjectManager {
   }
 
   /**
-   * Calculate project progress based on milestones
+   * Open or close a project's schedule or cost panel; open panels stay open across re-renders
+   * @param {string} panel - 'schedule' or 'financials'
    */
-  calculateProjectProgress(project) {
-    if (!project.milestones || !project.milestones.length) return 0;
-    
-    const completedMilestones = project.milestones.filter(m => m.completed).length;
-    return Math.round((completedMilestones / project.milestones.length) * 100);
+  togglePanel(panel, projectId, open) {
+    const key = `${panel}:${projectId}`;
+    if (!open) {
+      this.openPanels.delete(key);
+      return;
+    }
+
+    this.openPanels.add(key);
+    if (panel === 'schedule') {
+      this.loadSchedule(projectId);
+    } else {
+      this.loadFinancials(projectId);
+    }
+  }
+
+  /**
+   * Load a project's planned vs actual cost into its cost panel
+   */
+  async loadFinancials(projectId) {
+    try {
+      const response = await this.apiRequest(`/projects/${projectId}/financials`);
+      this.renderFinancials(projectId, response.data);
+    } catch (error) {
+      console.error('Error loading project financials:', error);
+      showNotification('Error loading project financials', 'error');
+    }
+  }
+
+  /**
+   * Render a project's cost panel: budget, planned and actual cost, burn rate and forecast
+   */
+  renderFinancials(projectId, financials) {
+    const container = document.getElementById(`project-financials-${projectId}`);
+    if (!container) return;
+
+    const formatMoney = value => value === null ? '—' : `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const spent = financials.budget ? Math.min(100, Math.round((financials.actual_cost / financials.budget) * 100)) : 0;
+
+    const allocationsHtml = financials.allocations.map(allocation => `
+      <tr>
+        <td class="py-1 pr-2">${this.escapeHtml(allocation.resource_name)} <span class="text-gray-500">${this.escapeHtml(allocation.role)}</span></td>
+        <td class="py-1 pr-2">${allocation.scheduled ? `${allocation.start_date} → ${allocation.end_date}` : '<span class="text-gray-400">No dates</span>'}</td>
+        <td class="py-1 pr-2">${formatMoney(allocation.planned_cost)}</td>
+        <td class="py-1">${allocation.actual_hours}h · ${formatMoney(allocation.actual_cost)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      ${financials.warnings.map(warning => `
+        <p class="text-red-600 mb-1">⚠️ ${this.escapeHtml(warning)}</p>
+      `).join('')}
+      <div class="grid grid-cols-2 md:grid-cols-3 gap-2 mb-3">
+        <div><span class="text-gray-500">Budget</span><br><strong>${formatMoney(financials.budget)}</strong></div>
+        <div><span class="text-gray-500">Planned cost</span><br><strong>${formatMoney(financials.planned_cost)}</strong></div>
+        <div><span class="text-gray-500">Actual cost</span><br><strong>${formatMoney(financials.actual_cost)}</strong> (${financials.actual_hours}h)</div>
+        <div><span class="text-gray-500">Remaining budget</span><br><strong>${formatMoney(financials.remaining_budget)}</strong></div>
+        <div><span class="text-gray-500">Burn rate</span><br><strong>${financials.burn_rate_per_week === null ? '—' : `${formatMoney(financials.burn_rate_per_week)}/week`}</strong></div>
+        <div>
+          <span class="text-gray-500">Forecast at completion</span><br>
+          <strong class="${financials.over_budget ? 'text-red-600' : 'text-green-600'}">${formatMoney(financials.forecast_cost)}</strong>
+        </div>
+      </div>
+      ${financials.budget ? `
+        <div class="w-full bg-gray-200 rounded-full h-2 mb-3" title="${spent}% of budget spent">
+          <div class="progress-bar ${financials.over_budget ? 'bg-red-500' : 'bg-green-500'} h-2 rounded-full" style="width: ${spent}%"></div>
+        </div>
+      ` : ''}
+      ${allocationsHtml ? `
+        <table class="w-full text-left">
+          <thead class="text-xs text-gray-500">
+            <tr><th>Resource</th><th>Allocated</th><th>Planned</th><th>Logged</th></tr>
+          </thead>
+          <tbody>${allocationsHtml}</tbody>
+        </table>
+      ` : '<p class="text-gray-500">Add resource allocations to plan costs</p>'}
+      ${financials.unmatched_hours > 0 ? `
+        <p class="text-xs text-gray-500 mt-2">${financials.unmatched_hours}h logged by people without an allocation are costed at the project's average rate (${formatMoney(financials.unmatched_cost)})</p>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Load a project's critical path schedule into its risk panel
+   */
+  async loadSchedule(projectId) {
+    try {
+      const response = await this.apiRequest(`/projects/${projectId}/schedule`);
+      this.schedules[projectId] = response.data;
+      this.renderSchedule(projectId);
+    } catch (error) {
+      console.error('Error loading project schedule:', error);
+      showNotification('Error loading project schedule', 'error');
+    }
+  }
+
+  /**
+   * Change how many days a project task or milestone takes
+   */
+  async promptSetDuration(projectId, type, id, current) {
+    const duration = prompt('Enter duration in days:', current);
+    if (duration === null) return;
+
+    if (!/^\d+$/.test(duration.trim())) {
+      showNotification('Duration must be a whole number of days', 'error');
+      return;
+    }
+
+    const endpoint = type === 'task'
+      ? `/projects/${projectId}/tasks/${id}`
+      : `/projects/${projectId}/milestones/${id}`;
+
+    try {
+      await this.apiRequest(endpoint, {
+        method: 'PUT',
+        body: JSON.stringify({ duration_days: parseInt(duration) })
+      });
+
+      await this.loadProjects();
+      showNotification('Duration updated successfully');
+    } catch (error) {
+      console.error('Error updating duration:', error);
+      showNotification(error.message || 'Error updating duration', 'error');
+    }
+  }
+
+  /**
+   * Prompt for an item that must finish before this one starts
+   */
+  async promptAddPredecessor(projectId, type, id) {
+    const schedule = this.schedules[projectId];
+    const item = schedule && schedule.items.find(i => i.type === type && i.id === id);
+    if (!item) return;
+
+    const candidates = schedule.items.filter(i =>
+      !(i.type === type && i.id === id) && !item.predecessors.some(p => p.type === i.type && p.id === i.id)
+    );
+    if (candidates.length === 0) {
+      showNotification('No other tasks or milestones to wait on', 'error');
+      return;
+    }
+
+    const choices = candidates.map((c, index) => `${index + 1}: ${c.title} (${c.type})`).join('\n');
+    const choice = prompt(`"${item.title}" starts after:\n${choices}\n\nEnter number:`);
+    const predecessor = candidates[parseInt(choice) - 1];
+    if (!predecessor) return;
+
+    try {
+      await this.apiRequest(`/projects/${projectId}/schedule/links`, {
+        method: 'POST',
+        body: JSON.stringify({
+          item_type: type,
+          item_id: id,
+          predecessor_type: predecessor.type,
+          predecessor_id: predecessor.id
+        })
+      });
+
+      await this.loadSchedule(projectId);
+      showNotification('Predecessor added successfully');
+    } catch (error) {
+      console.error('Error adding predecessor:', error);
+      showNotification(error.message || 'Error adding predecessor', 'error');
+    }
+  }
+
+  /**
+   * Remove a predecessor link
+   */
+  async removePredecessor(projectId, linkId) {
+    try {
+      await this.apiRequest(`/projects/${projectId}/schedule/links/${linkId}`, {
+        method: 'DELETE'
+      });
+
+      await this.loadSchedule(projectId);
+      showNotification('Predecessor removed successfully');
+    } catch (error) {
+      console.error('Error removing predecessor:', error);
+      showNotification(error.message || 'Error removing predecessor', 'error');
+    }
+  }
+
+  /**
+   * Render a project's risk panel: projected vs planned end, late milestones and the critical path
+   */
+  renderSchedule(projectId) {
+    const container = document.getElementById(`project-schedule-${projectId}`);
+    const schedule = this.schedules[projectId];
+    if (!container || !schedule) return;
+
+    if (schedule.items.length === 0) {
+      container.innerHTML = '<p class="text-gray-500">Add tasks or milestones to see the schedule</p>';
+      return;
+    }
+
+    const titleOf = ({ type, id }) => {
+      const item = schedule.items.find(i => i.type === type && i.id === id);
+      return item ? this.escapeHtml(item.title) : '';
+    };
+
+    let slipHtml = '<span class="text-gray-500">No planned end date</span>';
+    if (schedule.slip_days > 0) {
+      slipHtml = `<span class="text-red-600 font-semibold">${schedule.slip_days} days late</span>`;
+    } else if (schedule.slip_days !== null) {
+      slipHtml = `<span class="text-green-600 font-semibold">On track${schedule.slip_days < 0 ? ` (${-schedule.slip_days} days spare)` : ''}</span>`;
+    }
+
+    const risksHtml = [
+      ...schedule.overdue_milestones.map(m => `
+        <li class="text-red-600">⛔ ${this.escapeHtml(m.title)} is ${m.days_overdue} days overdue (due ${m.due_date})</li>
+      `),
+      ...schedule.at_risk_milestones.map(m => `
+        <li class="text-orange-600">⚠️ ${this.escapeHtml(m.title)} is projected ${m.projected_slip_days} days late (${m.projected_date}, due ${m.due_date})</li>
+      `)
+    ].join('');
+
+    const rowsHtml = schedule.items.map(item => `
+      <tr class="${item.critical ? 'bg-red-50' : ''}">
+        <td class="py-1 pr-2 ${item.completed ? 'line-through text-gray-500' : ''}">
+          ${item.type === 'milestone' ? '◆' : '▪'} ${this.escapeHtml(item.title)}
+        </td>
+        <td class="py-1 pr-2">
+          <button onclick="projectManager.promptSetDuration(${projectId}, '${item.type}', ${item.id}, ${item.duration_days})" 
+                  class="text-blue-600 hover:text-blue-800" title="Change duration">${item.duration_days}d</button>
+        </td>
+        <td class="py-1 pr-2 text-gray-600">${item.start_date} → ${item.finish_date}</td>
+        <td class="py-1 pr-2 ${item.critical ? 'text-red-600 font-semibold' : 'text-gray-600'}">
+          ${item.critical ? 'Critical' : `${item.slack_days}d slack`}
+        </td>
+        <td class="py-1">
+          ${item.predecessors.map(p => `
+            <span class="inline-block bg-gray-100 rounded px-1 mr-1">${titleOf(p)}
+              <button onclick="projectManager.removePredecessor(${projectId}, ${p.link_id})" 
+                      class="text-red-400 hover:text-red-600" title="Remove predecessor">×</button>
+            </span>
+          `).join('')}
+          <button onclick="projectManager.promptAddPredecessor(${projectId}, '${item.type}', ${item.id})" 
+                  class="text-blue-600 hover:text-blue-800 text-xs">+ After</button>
+        </td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <div class="flex flex-wrap gap-4 mb-2">
+        <span>Planned end: <strong>${schedule.planned_end_date || '—'}</strong></span>
+        <span>Projected end: <strong>${schedule.projected_end_date}</strong></span>
+        ${slipHtml}
+      </div>
+      ${risksHtml ? `<ul class="mb-2">${risksHtml}</ul>` : ''}
+      <div class="mb-2">
+        <span class="font-medium">Critical path:</span>
+        ${schedule.critical_path.map(item => this.escapeHtml(item.title)).join(' → ')}
+      </div>
+      <div class="overflow-x-auto">
+        <table class="w-full text-left">
+          <thead class="text-xs text-gray-500">
+            <tr><th>Item</th><th>Duration</th><th>Scheduled</th><th>Slack</th><th>Starts after</th></tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Prompt for a project task's work estimate in hours (blank uses its duration)
+   */
+  async promptSetEstimate(projectId, taskId, current) {
+    const estimate = prompt('Enter estimated hours (leave blank to use the duration):', current ?? '');
+    if (estimate === null) return;
+
+    if (estimate.trim() !== '' && (isNaN(estimate) || parseFloat(estimate) < 0)) {
+      showNotification('Estimate must be a number of hours', 'error');
+      return;
+    }
+
+    try {
+      await this.apiRequest(`/projects/${projectId}/tasks/${taskId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ estimated_hours: estimate.trim() === '' ? null : parseFloat(estimate) })
+      });
+
+      await this.loadProjects();
+      showNotification('Estimate updated successfully');
+    } catch (error) {
+      console.error('Error updating estimate:', error);
+      showNotification(error.message || 'Error updating estimate', 'error');
+    }
+  }
+
+  /**
+   * Describe how a project's progress was measured
+   */
+  describeProgress(progress) {
+    const { milestones, tasks, hours } = progress.components;
+    return [
+      `Milestones: ${milestones.done}/${milestones.total}`,
+      `Tasks: ${tasks.done}/${tasks.total}`,
+      `Hours: ${hours.earned}h of ${hours.estimated}h estimated (${hours.logged}h logged)`
+    ].join('\n');
   }
 
   /**
@@ -356,13 +662,18 @@ class ProjectManager {
     container.innerHTML = '';
 
     this.projects.forEach(project => {
-      const progress = this.calculateProjectProgress(project);
+      const progress = project.progress ? project.progress.percent : 0;
       const projectDiv = document.createElement('div');
       projectDiv.className = 'project-card bg-white p-6 rounded-lg shadow mb-6 border-l-4 border-blue-500';
 
       const tasksHtml = (project.tasks || []).map(task => `
         <div class="flex items-center justify-between p-2 bg-gray-50 rounded mb-2">
-          <span class="text-sm ${task.completed ? 'line-through text-gray-500' : ''}">${this.escapeHtml(task.name)}</span>
+          <span class="text-sm ${task.completed ? 'line-through text-gray-500' : ''}">
+            ${this.escapeHtml(task.name)}
+            <span class="text-xs text-gray-400">${task.duration_days}d</span>
+            <button onclick="projectManager.promptSetEstimate(${project.id}, ${task.id}, ${task.estimated_hours})"
+                    class="text-xs text-blue-600 hover:text-blue-800" title="Change estimated hours">${task.estimated_hours !== null ? `${task.estimated_hours}h est.` : 'set estimate'}</button>
+          </span>
           <button onclick="projectManager.removeTaskFromProject(${project.id}, ${task.id})" 
                   class="text-red-500 hover:text-red-700 text-xs">Remove</button>
         </div>
@@ -411,14 +722,26 @@ class ProjectManager {
               ${project.budget ? `<span class="text-gray-600">💰 $${project.budget.toLocaleString()}</span>` : ''}
             </div>
           </div>
-          <button onclick="projectManager.deleteProject(${project.id})" 
-                  class="text-red-500 hover:text-red-700 font-bold text-xl">×</button>
+          <div class="flex items-start space-x-2">
+            <button onclick="showEntityHistory('project', ${project.id}, 'Project #${project.id}')" 
+                    class="text-gray-400 hover:text-gray-600" title="History">🕘</button>
+            <button onclick="projectManager.deleteProject(${project.id})" 
+                    class="text-red-500 hover:text-red-700 font-bold text-xl">×</button>
+          </div>
         </div>
         
         <div class="mb-4">
-          <div class="flex justify-between text-sm mb-1">
-            <span>Progress</span>
-            <span>${progress}%</span>
+          <div class="flex justify-between items-center text-sm mb-1">
+            <span>
+              Progress by
+              <select onchange="projectManager.updateProject(${project.id}, {progress_mode: this.value})"
+                      class="text-sm border border-gray-300 rounded" aria-label="Progress mode">
+                ${Object.entries(PROGRESS_MODE_LABELS).map(([mode, label]) => `
+                  <option value="${mode}" ${project.progress_mode === mode ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </span>
+            <span title="${project.progress ? this.describeProgress(project.progress) : ''}">${progress}%</span>
           </div>
           <div class="w-full bg-gray-200 rounded-full h-2">
             <div class="progress-bar bg-blue-600 h-2 rounded-full" style="width: ${progress}%"></div>
@@ -454,6 +777,22 @@ class ProjectManager {
           </div>
         </div>
 
+        <details class="mb-4 border border-gray-200 rounded p-3" ${this.openPanels.has(`financials:${project.id}`) ? 'open' : ''}
+                 ontoggle="projectManager.togglePanel('financials', ${project.id}, this.open)">
+          <summary class="font-semibold cursor-pointer">💰 Costs</summary>
+          <div id="project-financials-${project.id}" class="mt-3 text-sm">
+            <p class="text-gray-500">Loading costs...</p>
+          </div>
+        </details>
+
+        <details class="mb-4 border border-gray-200 rounded p-3" ${this.openPanels.has(`schedule:${project.id}`) ? 'open' : ''}
+                 ontoggle="projectManager.togglePanel('schedule', ${project.id}, this.open)">
+          <summary class="font-semibold cursor-pointer">⚠️ Schedule &amp; Risks</summary>
+          <div id="project-schedule-${project.id}" class="mt-3 text-sm">
+            <p class="text-gray-500">Loading schedule...</p>
+          </div>
+        </details>
+
         <div class="text-xs text-gray-500">
           Created: ${new Date(project.created_at).toLocaleDateString()}
           ${project.start_date ? ` | Start: ${new Date(project.start_date).toLocaleDateString()}` : ''}
@@ -463,6 +802,10 @@ class ProjectManager {
 
       container.appendChild(projectDiv);
     });
+
+    if (projectTimeline) {
+      projectTimeline.render(this.projects);
+    }
   }
 
   /**
@@ -471,9 +814,8 @@ class ProjectManager {
   async promptAddTask(projectId) {
     // Get available tasks that are not already assigned to this project
     try {
-      const tasksResponse = await fetch(`${this.apiBaseUrl}/tasks`);
-      const tasksData = await tasksResponse.json();
-      const availableTasks = tasksData.data.filter(task => 
+      const allTasks = await fetchAllPages('/tasks?fields=id,name', endpoint => this.apiRequest(endpoint));
+      const availableTasks = allTasks.filter(task => 
         !this.projects.find(p => p.id === projectId)?.tasks?.some(pt => pt.id === task.id)
       );
 
@@ -560,10 +902,14 @@ class ProjectManager {
 class GlobalSearch {
   constructor() {
     this.apiBaseUrl = window.location.origin + '/api';
+    this.pageSize = 20;
+    this.query = '';
+    this.results = [];
+    this.total = 0;
   }
 
   /**
-   * Perform global search across all content
+   * Search all content on the server (ranked, with highlighted snippets)
    */
   async performSearch(query) {
     if (!query || query.trim().length < 2) {
@@ -571,32 +917,14 @@ class GlobalSearch {
       return;
     }
 
+    this.query = query.trim();
+    this.results = [];
+    this.total = 0;
+
     try {
       showLoading(true);
-      
-      // Search in parallel across all endpoints
-      const [projectsResponse, tasksResponse, articlesResponse, checklistsResponse] = await Promise.all([
-        fetch(`${this.apiBaseUrl}/projects`),
-        fetch(`${this.apiBaseUrl}/tasks`),
-        fetch(`${this.apiBaseUrl}/articles`),
-        fetch(`${this.apiBaseUrl}/checklists`)
-      ]);
-
-      const [projectsData, tasksData, articlesData, checklistsData] = await Promise.all([
-        projectsResponse.json(),
-        tasksResponse.json(),
-        articlesResponse.json(),
-        checklistsResponse.json()
-      ]);
-
-      const results = {
-        projects: this.filterProjects(projectsData.data || [], query),
-        tasks: this.filterTasks(tasksData.data || [], query),
-        articles: this.filterArticles(articlesData.data || [], query),
-        checklists: this.filterChecklists(checklistsData.data || [], query)
-      };
-
-      this.displaySearchResults(results, query);
+      await this.fetchPage(0);
+      this.displaySearchResults();
     } catch (error) {
       console.error('Error performing search:', error);
       showNotification('Error performing search', 'error');
@@ -606,68 +934,46 @@ class GlobalSearch {
   }
 
   /**
-   * Filter projects based on search query
+   * Append the next page of results for the current query
    */
-  filterProjects(projects, query) {
-    const lowerQuery = query.toLowerCase();
-    return projects.filter(project => 
-      project.name.toLowerCase().includes(lowerQuery) ||
-      project.description.toLowerCase().includes(lowerQuery) ||
-      (project.manager && project.manager.toLowerCase().includes(lowerQuery)) ||
-      project.status.toLowerCase().includes(lowerQuery) ||
-      project.priority.toLowerCase().includes(lowerQuery)
-    );
+  async loadMore() {
+    try {
+      await this.fetchPage(this.results.length);
+      this.displaySearchResults();
+    } catch (error) {
+      console.error('Error loading more results:', error);
+      showNotification('Error loading more results', 'error');
+    }
   }
 
   /**
-   * Filter tasks based on search query
+   * Fetch one page of results starting at offset
    */
-  filterTasks(tasks, query) {
-    const lowerQuery = query.toLowerCase();
-    return tasks.filter(task => 
-      task.name.toLowerCase().includes(lowerQuery) ||
-      task.creator.toLowerCase().includes(lowerQuery) ||
-      task.status.toLowerCase().includes(lowerQuery) ||
-      (task.approver && task.approver.toLowerCase().includes(lowerQuery))
-    );
-  }
+  async fetchPage(offset) {
+    const params = new URLSearchParams({ q: this.query, limit: this.pageSize, offset });
+    const response = await authFetch(`${this.apiBaseUrl}/search?${params}`);
+    const data = await response.json();
 
-  /**
-   * Filter articles based on search query
-   */
-  filterArticles(articles, query) {
-    const lowerQuery = query.toLowerCase();
-    return articles.filter(article => 
-      article.headline.toLowerCase().includes(lowerQuery) ||
-      article.link.toLowerCase().includes(lowerQuery)
-    );
-  }
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
 
-  /**
-   * Filter checklists based on search query
-   */
-  filterChecklists(checklists, query) {
-    const lowerQuery = query.toLowerCase();
-    return checklists.filter(checklist => 
-      checklist.title.toLowerCase().includes(lowerQuery) ||
-      checklist.description.toLowerCase().includes(lowerQuery) ||
-      checklist.theme.toLowerCase().includes(lowerQuery)
-    );
+    this.results = this.results.concat(data.data);
+    this.total = data.pagination.total;
   }
 
   /**
    * Display search results in modal
    */
-  displaySearchResults(results, query) {
+  displaySearchResults() {
     const modal = document.getElementById('search-modal');
     const resultsContainer = document.getElementById('search-results');
     
     if (!modal || !resultsContainer) return;
 
-    const totalResults = results.projects.length + results.tasks.length + 
-                        results.articles.length + results.checklists.length;
+    const query = this.escapeHtml(this.query);
 
-    if (totalResults === 0) {
+    if (this.total === 0) {
       resultsContainer.innerHTML = `
         <div class="text-center py-8">
           <p class="text-gray-500">No results found for "${query}"</p>
@@ -676,13 +982,20 @@ class GlobalSearch {
     } else {
       resultsContainer.innerHTML = `
         <div class="mb-4">
-          <p class="text-sm text-gray-600">Found ${totalResults} results for "${query}"</p>
+          <p class="text-sm text-gray-600">Found ${this.total} results for "${query}"</p>
         </div>
         
-        ${this.renderSearchSection('Projects', results.projects, 'project')}
-        ${this.renderSearchSection('Tasks', results.tasks, 'task')}
-        ${this.renderSearchSection('Articles', results.articles, 'article')}
-        ${this.renderSearchSection('Checklists', results.checklists, 'checklist')}
+        <div class="space-y-2">
+          ${this.results.map(result => this.renderSearchItem(result)).join('')}
+        </div>
+
+        ${this.results.length < this.total ? `
+          <div class="text-center mt-4">
+            <button onclick="globalSearch.loadMore()" class="bg-gray-200 text-gray-700 px-4 py-2 rounded hover:bg-gray-300">
+              Load more (${this.total - this.results.length} remaining)
+            </button>
+          </div>
+        ` : ''}
       `;
     }
 
@@ -690,75 +1003,43 @@ class GlobalSearch {
   }
 
   /**
-   * Render a search results section
+   * Label and section for each result type
    */
-  renderSearchSection(title, items, type) {
-    if (items.length === 0) return '';
+  getResultType(type) {
+    const types = {
+      project: { label: 'Project', section: 'projects' },
+      milestone: { label: 'Milestone', section: 'projects' },
+      resource_allocation: { label: 'Resource', section: 'projects' },
+      task: { label: 'Task', section: 'tasks' },
+      article: { label: 'Article', section: 'articles' },
+      checklist: { label: 'Checklist', section: 'checklists' },
+      checklist_task: { label: 'Checklist Task', section: 'checklists' },
+      subtask: { label: 'Subtask', section: 'checklists' },
+      daily_task: { label: 'Daily Task', section: 'daily-tasks' },
+      progress_report: { label: 'Progress Report', section: 'daily-tasks' }
+    };
+    return types[type] || { label: type, section: 'dashboard' };
+  }
+
+  /**
+   * Render a single search result item.
+   * The snippet is already HTML-escaped by the server, with matches wrapped in <mark>.
+   */
+  renderSearchItem(result) {
+    const { label, section } = this.getResultType(result.type);
 
     return `
-      <div class="mb-6">
-        <h4 class="font-semibold text-lg mb-3">${title} (${items.length})</h4>
-        <div class="space-y-2">
-          ${items.map(item => this.renderSearchItem(item, type)).join('')}
+      <div class="p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer" 
+           onclick="hideSearchModal(); showSection('${section}')">
+        <div class="flex items-center gap-2">
+          <span class="inline-block px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">${label}</span>
+          <span class="font-medium">${this.escapeHtml(String(result.title))}</span>
         </div>
+        <div class="text-sm text-gray-600 mt-1">${result.snippet}</div>
       </div>
     `;
   }
 
-  /**
-   * Render a single search result item
-   */
-  renderSearchItem(item, type) {
-    const itemClass = 'p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer';
-    
-    switch (type) {
-      case 'project':
-        return `
-          <div class="${itemClass}" onclick="showSection('projects')">
-            <div class="font-medium">${this.escapeHtml(item.name)}</div>
-            <div class="text-sm text-gray-600">${this.escapeHtml(item.description || '')}</div>
-            <div class="text-xs text-gray-500 mt-1">
-              Status: ${item.status} | Priority: ${item.priority}
-              ${item.manager ? ` | Manager: ${this.escapeHtml(item.manager)}` : ''}
-            </div>
-          </div>
-        `;
-      
-      case 'task':
-        return `
-          <div class="${itemClass}" onclick="showSection('tasks')">
-            <div class="font-medium">${this.escapeHtml(item.name)}</div>
-            <div class="text-sm text-gray-600">Created by: ${this.escapeHtml(item.creator)}</div>
-            <div class="text-xs text-gray-500 mt-1">
-              Status: ${item.status} ${item.completed ? '| Completed' : ''}
-            </div>
-          </div>
-        `;
-      
-      case 'article':
-        return `
-          <div class="${itemClass}">
-            <div class="font-medium">${this.escapeHtml(item.headline)}</div>
-            <a href="${this.escapeHtml(item.link)}" target="_blank" class="text-sm text-blue-600 hover:text-blue-800">
-              ${this.escapeHtml(item.link)}
-            </a>
-          </div>
-        `;
-      
-      case 'checklist':
-        return `
-          <div class="${itemClass}" onclick="showSection('checklists')">
-            <div class="font-medium">${this.escapeHtml(item.title)}</div>
-            <div class="text-sm text-gray-600">${this.escapeHtml(item.description || '')}</div>
-            <div class="text-xs text-gray-500 mt-1">Theme: ${item.theme}</div>
-          </div>
-        `;
-      
-      default:
-        return '';
-    }
-  }
-
   /**
    * Escape HTML to prevent XSS
    */
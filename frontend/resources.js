@@ -0,0 +1,234 @@
+/**
+ * People and Capacity
+ * Weekly allocated hours per person across all projects, against each person's capacity
+ */
+class ResourceManager {
+  constructor() {
+    this.apiBaseUrl = window.location.origin + '/api';
+    this.people = [];
+    this.capacity = null;
+    this.start = new Date().toISOString().split('T')[0];
+    this.weeks = 8;
+  }
+
+  /**
+   * Make API request to backend
+   */
+  async apiRequest(endpoint, options = {}) {
+    try {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        ...options
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Resource API request failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load people and the capacity report
+   */
+  async loadCapacity() {
+    try {
+      const query = new URLSearchParams({ start: this.start, weeks: this.weeks });
+      const [people, capacity] = await Promise.all([
+        this.apiRequest('/resources/people'),
+        this.apiRequest(`/resources/capacity?${query}`)
+      ]);
+
+      this.people = people.data;
+      this.capacity = capacity.data;
+      this.renderCapacity();
+    } catch (error) {
+      console.error('Error loading capacity:', error);
+      showNotification('Error loading capacity', 'error');
+    }
+  }
+
+  /**
+   * Move the report window by a number of weeks
+   */
+  async shiftWeeks(weeks) {
+    const start = new Date(`${this.capacity ? this.capacity.start : this.start}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() + weeks * 7);
+    this.start = start.toISOString().split('T')[0];
+    await this.loadCapacity();
+  }
+
+  /**
+   * Change how many weeks the report covers
+   */
+  async setWeeks(weeks) {
+    this.weeks = parseInt(weeks);
+    await this.loadCapacity();
+  }
+
+  /**
+   * Prompt for a new person
+   */
+  async promptAddPerson() {
+    const name = prompt('Enter name:');
+    if (!name) return;
+
+    if (name.trim().length < 2) {
+      showNotification('Name must be at least 2 characters long', 'error');
+      return;
+    }
+
+    const capacity = prompt('Enter weekly capacity in hours (default: 40):');
+
+    try {
+      await this.apiRequest('/resources/people', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: name.trim(),
+          ...(capacity ? { weekly_capacity_hours: parseFloat(capacity) } : {})
+        })
+      });
+
+      await this.loadCapacity();
+      showNotification('Person added successfully');
+    } catch (error) {
+      console.error('Error adding person:', error);
+      showNotification(error.message || 'Error adding person', 'error');
+    }
+  }
+
+  /**
+   * Prompt for a person's weekly capacity (managers and admins only)
+   */
+  async promptSetCapacity(personId) {
+    const person = this.people.find(p => p.id === personId);
+    if (!person) return;
+
+    const capacity = prompt(`Weekly capacity for ${person.name} (hours):`, person.weekly_capacity_hours);
+    if (capacity === null) return;
+
+    if (isNaN(capacity) || capacity.trim() === '') {
+      showNotification('Capacity must be a number of hours', 'error');
+      return;
+    }
+
+    try {
+      await this.apiRequest(`/resources/people/${personId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ weekly_capacity_hours: parseFloat(capacity) })
+      });
+
+      await this.loadCapacity();
+      showNotification('Capacity updated successfully');
+    } catch (error) {
+      console.error('Error updating capacity:', error);
+      showNotification(error.message || 'Error updating capacity', 'error');
+    }
+  }
+
+  /**
+   * Colour a week by how much of the person's capacity it uses
+   */
+  getUtilizationColor(week) {
+    if (week.over_allocated) return 'bg-red-100 text-red-800 font-semibold';
+    if (week.utilization !== null && week.utilization >= 0.8) return 'bg-yellow-100 text-yellow-800';
+    if (week.allocated_hours > 0) return 'bg-green-100 text-green-800';
+    return 'text-gray-400';
+  }
+
+  /**
+   * Render the people × weeks capacity grid and the over-allocation list
+   */
+  renderCapacity() {
+    const container = document.getElementById('capacity-container');
+    if (!container || !this.capacity) return;
+
+    const { weeks, people, over_allocations } = this.capacity;
+    const allocationCounts = new Map(this.people.map(person => [person.id, person.allocation_count]));
+
+    if (people.length === 0) {
+      container.innerHTML = '<p class="text-gray-500">No people yet. Allocate someone to a project or add a person.</p>';
+      return;
+    }
+
+    const formatWeek = week => new Date(`${week}T00:00:00Z`).toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+    const rowsHtml = people.map(person => `
+      <tr class="border-t border-gray-100">
+        <td class="py-2 pr-4 whitespace-nowrap">
+          <div class="font-medium">${this.escapeHtml(person.name)}</div>
+          <div class="text-xs text-gray-500">
+            ${allocationCounts.get(person.id) || 0} allocations ·
+            <button onclick="resourceManager.promptSetCapacity(${person.id})"
+                    class="text-blue-600 hover:text-blue-800" title="Change weekly capacity">${person.weekly_capacity_hours}h/week</button>
+          </div>
+        </td>
+        ${person.weeks.map(week => `
+          <td class="py-2 px-1 text-center">
+            <div class="rounded px-2 py-1 ${this.getUtilizationColor(week)}"
+                 title="${week.allocations.map(a => `${this.escapeHtml(a.project_name)} (${this.escapeHtml(a.role)}): ${a.hours}h`).join('\n') || 'Nothing allocated'}">
+              ${week.allocated_hours}h
+            </div>
+          </td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    const overHtml = over_allocations.map(over => `
+      <li>⚠️ <strong>${this.escapeHtml(over.name)}</strong>: week of ${formatWeek(over.week_start)}
+        booked ${over.allocated_hours}h of ${over.capacity_hours}h (${over.excess_hours}h over)</li>
+    `).join('');
+
+    container.innerHTML = `
+      ${overHtml ? `
+        <div class="bg-red-50 border border-red-200 text-red-800 rounded-lg p-4 mb-4">
+          <h4 class="font-semibold mb-2">Over-allocated (${over_allocations.length})</h4>
+          <ul class="text-sm space-y-1">${overHtml}</ul>
+        </div>
+      ` : '<p class="text-green-700 mb-4">✓ Nobody is booked beyond their capacity in these weeks</p>'}
+      <div class="bg-white p-4 rounded-lg shadow overflow-x-auto">
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="text-gray-500">
+              <th class="text-left pr-4">Person</th>
+              ${weeks.map(week => `<th class="px-1 font-normal">${formatWeek(week)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+// Global instance
+let resourceManager;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  resourceManager = new ResourceManager();
+});
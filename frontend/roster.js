@@ -0,0 +1,274 @@
+/**
+ * Progress Report Roster
+ * Who is expected to submit daily progress reports, on which days and by what time in their own time zone,
+ * and whose report is missing right now
+ */
+
+const ROSTER_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// The time zones the team works in, offered first when adding someone
+const ROSTER_TIME_ZONES = ['Asia/Kolkata', 'Asia/Bangkok', 'UTC'];
+
+class ReportRoster {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.apiBaseUrl = window.location.origin + '/api';
+    this.entries = [];
+    this.missing = [];
+  }
+
+  /**
+   * Make API request to backend
+   */
+  async apiRequest(endpoint, options = {}) {
+    try {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        ...options
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Roster API request failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the roster and whose report is currently missing
+   */
+  async loadRoster() {
+    try {
+      const [roster, missing] = await Promise.all([
+        this.apiRequest('/report-roster'),
+        this.apiRequest('/report-roster/missing')
+      ]);
+
+      this.entries = roster.data;
+      this.missing = missing.data;
+      this.render();
+    } catch (error) {
+      console.error('Error loading report roster:', error);
+      showNotification('Error loading report roster', 'error');
+    }
+  }
+
+  /**
+   * Ask for working days as e.g. MO,TU,WE; null when cancelled or invalid
+   */
+  promptWorkingDays(current) {
+    const input = prompt(`Working days (${ROSTER_WEEKDAYS.join(',')}):`, current.join(','));
+    if (input === null) return null;
+
+    const days = input.toUpperCase().split(',').map(day => day.trim()).filter(Boolean);
+    if (days.length === 0 || days.some(day => !ROSTER_WEEKDAYS.includes(day))) {
+      showNotification(`Working days must be a list of ${ROSTER_WEEKDAYS.join(', ')}`, 'error');
+      return null;
+    }
+    return days;
+  }
+
+  /**
+   * Prompt for a new reporter (managers and admins only)
+   */
+  async promptAddReporter() {
+    const name = prompt('Reporter name (as they sign their progress reports):');
+    if (!name) return;
+
+    const timeZone = prompt(`Time zone (e.g. ${ROSTER_TIME_ZONES.join(', ')}):`, ROSTER_TIME_ZONES[0]);
+    if (!timeZone) return;
+
+    const cutoffTime = prompt('Report due by (HH:MM, their local time):', '18:00');
+    if (!cutoffTime) return;
+
+    const workingDays = this.promptWorkingDays(['MO', 'TU', 'WE', 'TH', 'FR']);
+    if (!workingDays) return;
+
+    try {
+      await this.apiRequest('/report-roster', {
+        method: 'POST',
+        body: JSON.stringify({
+          reporter_name: name.trim(),
+          time_zone: timeZone.trim(),
+          cutoff_time: cutoffTime.trim(),
+          working_days: workingDays
+        })
+      });
+
+      await this.loadRoster();
+      showNotification('Reporter added to the roster');
+    } catch (error) {
+      console.error('Error adding reporter:', error);
+      showNotification(error.message || 'Error adding reporter', 'error');
+    }
+  }
+
+  /**
+   * Update a roster entry (managers and admins only)
+   */
+  async updateEntry(entryId, updates) {
+    try {
+      await this.apiRequest(`/report-roster/${entryId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      });
+
+      await this.loadRoster();
+      showNotification('Roster entry updated successfully');
+    } catch (error) {
+      console.error('Error updating roster entry:', error);
+      showNotification(error.message || 'Error updating roster entry', 'error');
+    }
+  }
+
+  /**
+   * Prompt for a reporter's time zone, cutoff and working days
+   */
+  async promptEditSchedule(entryId) {
+    const entry = this.entries.find(e => e.id === entryId);
+    if (!entry) return;
+
+    const timeZone = prompt(`Time zone for ${entry.reporter_name}:`, entry.time_zone);
+    if (!timeZone) return;
+
+    const cutoffTime = prompt('Report due by (HH:MM, their local time):', entry.cutoff_time);
+    if (!cutoffTime) return;
+
+    const workingDays = this.promptWorkingDays(entry.working_days);
+    if (!workingDays) return;
+
+    await this.updateEntry(entryId, { time_zone: timeZone.trim(), cutoff_time: cutoffTime.trim(), working_days: workingDays });
+  }
+
+  /**
+   * Remove a reporter from the roster, with their reminders
+   */
+  async removeEntry(entryId) {
+    if (confirm('Remove this reporter from the roster? They will no longer get reminders.')) {
+      try {
+        await this.apiRequest(`/report-roster/${entryId}`, {
+          method: 'DELETE'
+        });
+
+        await this.loadRoster();
+        showNotification('Reporter removed from the roster');
+      } catch (error) {
+        console.error('Error removing reporter:', error);
+        showNotification(error.message || 'Error removing reporter', 'error');
+      }
+    }
+  }
+
+  /**
+   * Check for missing reports and send reminders now instead of waiting for the scheduler
+   */
+  async sendRemindersNow() {
+    try {
+      const response = await this.apiRequest('/report-roster/reminders/run', {
+        method: 'POST'
+      });
+
+      await this.loadRoster();
+      showNotification(response.message);
+    } catch (error) {
+      console.error('Error sending reminders:', error);
+      showNotification(error.message || 'Error sending reminders', 'error');
+    }
+  }
+
+  /**
+   * Render the roster table
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    const manage = isManager();
+    const missingIds = new Set(this.missing.map(entry => entry.id));
+
+    container.innerHTML = `
+      <div class="flex flex-wrap items-center gap-2 mb-3">
+        <h3 class="text-lg font-semibold">📋 Progress Report Roster</h3>
+        <span class="text-xs text-gray-500">Reminders go out when a report is missing after its cutoff</span>
+        ${manage ? `
+          <div class="ml-auto space-x-2">
+            <button onclick="reportRoster.sendRemindersNow()" class="px-3 py-1 rounded border border-gray-300 hover:bg-gray-50 text-sm">Send Reminders Now</button>
+            <button onclick="reportRoster.promptAddReporter()" class="px-3 py-1 rounded bg-green-600 text-white hover:bg-green-700 text-sm">Add Reporter</button>
+          </div>
+        ` : ''}
+      </div>
+      ${this.entries.length === 0 ? `
+        <p class="text-sm text-gray-500">Nobody is on the roster yet, so the team digest expects everyone with a daily task due.</p>
+      ` : `
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="text-left text-gray-500 border-b">
+              <th class="py-1">Reporter</th>
+              <th class="py-1">Time zone</th>
+              <th class="py-1">Working days</th>
+              <th class="py-1">Due by</th>
+              <th class="py-1">Today</th>
+              ${manage ? '<th></th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${this.entries.map(entry => `
+              <tr class="border-b ${entry.active ? '' : 'text-gray-400'}">
+                <td class="py-1">${this.escapeHtml(entry.reporter_name)}</td>
+                <td class="py-1">${this.escapeHtml(entry.time_zone)}</td>
+                <td class="py-1">${entry.working_days.join(', ')}</td>
+                <td class="py-1">${entry.cutoff_time}</td>
+                <td class="py-1">
+                  ${!entry.active ? 'Paused' : missingIds.has(entry.id)
+                    ? '<span class="px-2 py-0.5 rounded text-xs bg-red-100 text-red-800">Missing</span>'
+                    : '<span class="text-gray-500">—</span>'}
+                </td>
+                ${manage ? `
+                  <td class="py-1 text-right space-x-2 whitespace-nowrap">
+                    <button onclick="reportRoster.promptEditSchedule(${entry.id})" class="text-blue-600 hover:underline">Edit</button>
+                    <button onclick="reportRoster.updateEntry(${entry.id}, { active: ${!entry.active} })" class="text-gray-600 hover:underline">
+                      ${entry.active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button onclick="reportRoster.removeEntry(${entry.id})" class="text-red-500 hover:underline">Remove</button>
+                  </td>
+                ` : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+    `;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+// Global instance
+let reportRoster;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  reportRoster = new ReportRoster('report-roster-container');
+});
@@ -3,9 +3,98 @@ const API_BASE_URL = window.location.origin + '/api';
 
 // Global state
 let currentUser = null;
+let authSession = null;
+let refreshPromise = null;
 let tasks = [];
 let articles = [];
 
+const AUTH_STORAGE_KEY = 'authSession';
+
+/**
+ * Restore the signed-in session from localStorage
+ */
+function loadSession() {
+  try {
+    const stored = localStorage.getItem(AUTH_STORAGE_KEY);
+    authSession = stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    authSession = null;
+  }
+  currentUser = authSession ? authSession.user : null;
+}
+
+/**
+ * Persist tokens and user returned by the auth endpoints
+ * @param {Object} session - { accessToken, refreshToken, user }
+ */
+function saveSession(session) {
+  authSession = session;
+  currentUser = session.user;
+  localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+  authSession = null;
+  currentUser = null;
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+}
+
+/**
+ * Exchange the refresh token for a new token pair.
+ * Concurrent callers share the same in-flight request.
+ */
+async function refreshSession() {
+  if (!authSession || !authSession.refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: authSession.refreshToken })
+    })
+      .then(async response => {
+        if (!response.ok) return false;
+        const data = await response.json();
+        saveSession(data.data);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+}
+
+/**
+ * fetch() wrapper that attaches the access token and retries once after a refresh
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Fetch options
+ */
+async function authFetch(url, options = {}) {
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(authSession ? { Authorization: `Bearer ${authSession.accessToken}` } : {})
+    }
+  });
+
+  let response = await send();
+
+  if (response.status === 401 && await refreshSession()) {
+    response = await send();
+  }
+
+  if (response.status === 401) {
+    clearSession();
+    showAuthScreen();
+  }
+
+  return response;
+}
+
 /**
  * API helper function for making HTTP requests
  * @param {string} endpoint - API endpoint
@@ -13,7 +102,7 @@ let articles = [];
  */
 async function apiRequest(endpoint, options = {}) {
   try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const response = await authFetch(`${API_BASE_URL}${endpoint}`, {
       headers: {
         'Content-Type': 'application/json',
         ...options.headers
@@ -34,10 +123,43 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+// Fetch every page of a paginated list endpoint, following next_offset
+async function fetchAllPages(endpoint, request = apiRequest) {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  const rows = [];
+  let offset = 0;
+
+  while (offset !== null) {
+    const response = await request(`${endpoint}${separator}limit=200&offset=${offset}`);
+    rows.push(...(response.data || []));
+    offset = response.pagination ? response.pagination.next_offset : null;
+  }
+
+  return rows;
+}
+
 // Initialize application
 document.addEventListener('DOMContentLoaded', async function() {
+  loadSession();
+
+  if (!currentUser) {
+    showAuthScreen();
+    return;
+  }
+
+  await startApp();
+});
+
+/**
+ * Load everything once a user is signed in
+ */
+async function startApp() {
   try {
     showLoading(true);
+    renderCurrentUser();
+    if (!checklistManager) {
+      checklistManager = new ChecklistManager();
+    }
     await loadData();
     showSection('dashboard');
   } catch (error) {
@@ -46,7 +168,101 @@ document.addEventListener('DOMContentLoaded', async function() {
   } finally {
     showLoading(false);
   }
-});
+}
+
+// Authentication Functions
+let authMode = 'login';
+
+function showAuthScreen() {
+  const screen = document.getElementById('auth-screen');
+  if (screen) {
+    screen.classList.remove('hidden');
+  }
+}
+
+function hideAuthScreen() {
+  const screen = document.getElementById('auth-screen');
+  if (screen) {
+    screen.classList.add('hidden');
+    document.getElementById('auth-password').value = '';
+  }
+}
+
+/**
+ * Switch the auth screen between login and register
+ */
+function toggleAuthMode() {
+  authMode = authMode === 'login' ? 'register' : 'login';
+  const isRegister = authMode === 'register';
+
+  document.getElementById('auth-title').textContent = isRegister ? 'Create Account' : 'Sign In';
+  document.getElementById('auth-display-name-field').classList.toggle('hidden', !isRegister);
+  document.getElementById('auth-submit').textContent = isRegister ? 'Register' : 'Sign In';
+  document.getElementById('auth-toggle').textContent = isRegister
+    ? 'Already have an account? Sign in'
+    : 'No account yet? Register';
+}
+
+async function submitAuthForm() {
+  const username = document.getElementById('auth-username').value.trim();
+  const password = document.getElementById('auth-password').value;
+  const displayName = document.getElementById('auth-display-name').value.trim();
+
+  if (!username || !password) {
+    showNotification('Please enter your username and password', 'error');
+    return;
+  }
+
+  if (authMode === 'register' && displayName.length < 2) {
+    showNotification('Display name must be at least 2 characters long', 'error');
+    return;
+  }
+
+  const body = authMode === 'register'
+    ? { username, password, display_name: displayName }
+    : { username, password };
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/${authMode}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+
+    saveSession(data.data);
+    hideAuthScreen();
+    await startApp();
+  } catch (error) {
+    console.error('Authentication failed:', error);
+    showNotification(error.message || 'Authentication failed', 'error');
+  }
+}
+
+function logout() {
+  clearSession();
+  renderCurrentUser();
+  showAuthScreen();
+}
+
+function renderCurrentUser() {
+  const element = document.getElementById('current-user');
+  if (element) {
+    element.textContent = currentUser ? `👤 ${currentUser.display_name} (${currentUser.role})` : '';
+  }
+  const logoutButton = document.getElementById('logout-btn');
+  if (logoutButton) {
+    logoutButton.classList.toggle('hidden', !currentUser);
+  }
+  // Sections only managers and admins can open
+  document.querySelectorAll('.manager-only').forEach(element => {
+    element.classList.toggle('hidden', !isManager());
+  });
+}
 
 // Navigation function
 function showSection(sectionName) {
@@ -86,14 +302,11 @@ function showSection(sectionName) {
 // Load data from backend APIs
 async function loadData() {
   try {
-    const [tasksResponse, articlesResponse] = await Promise.all([
-      apiRequest('/tasks'),
-      apiRequest('/articles')
+    [tasks, articles] = await Promise.all([
+      fetchAllPages('/tasks'),
+      fetchAllPages('/articles')
     ]);
 
-    tasks = tasksResponse.data || [];
-    articles = articlesResponse.data || [];
-
     updateStats();
     renderTasks();
     renderArticles();
@@ -143,16 +356,12 @@ async function addTask() {
   }
 }
 
-async function updateTaskStatus(taskId, status, approver = null) {
+async function updateTaskStatus(taskId, status) {
   try {
-    const updates = { status };
-    if (approver) {
-      updates.approver = approver;
-    }
-
+    // The server records the signed-in user as the approver
     await apiRequest(`/tasks/${taskId}`, {
       method: 'PUT',
-      body: JSON.stringify(updates)
+      body: JSON.stringify({ status })
     });
 
     await loadData();
@@ -164,34 +373,230 @@ async function updateTaskStatus(taskId, status, approver = null) {
 }
 
 async function approveTask(taskId) {
-  const approver = prompt('Enter approver name:');
-  if (approver && approver.trim()) {
-    await updateTaskStatus(taskId, 'approved', approver.trim());
-  }
+  await updateTaskStatus(taskId, 'approved');
 }
 
 async function rejectTask(taskId) {
   await updateTaskStatus(taskId, 'rejected');
 }
 
-async function setTaskTimer(taskId) {
-  const timer = prompt('Enter timer (e.g., "2 hours", "3 days", or specific datetime):');
-  if (timer && timer.trim()) {
-    try {
-      await apiRequest(`/tasks/${taskId}`, {
-        method: 'PUT',
-        body: JSON.stringify({ timer: timer.trim() })
+/**
+ * Whether the signed-in user may approve or reject a task
+ * @param {Object} task - Task with its designated approvers
+ */
+function canApproveTask(task) {
+  if (!currentUser) return false;
+  if (currentUser.role === 'admin' || currentUser.role === 'manager') return true;
+  return (task.approvers || []).some(user => user.id === currentUser.id);
+}
+
+function isManager() {
+  return Boolean(currentUser) && (currentUser.role === 'admin' || currentUser.role === 'manager');
+}
+
+async function promptSetApprovers(taskId) {
+  try {
+    const usersResponse = await apiRequest('/users');
+    const users = usersResponse.data || [];
+    const task = tasks.find(t => t.id === taskId);
+    const currentIds = (task?.approvers || []).map(user => user.id).join(', ');
+
+    const userList = users.map(user => `${user.id}: ${user.display_name} (${user.role})`).join('\n');
+    const input = prompt(`Users:\n${userList}\n\nEnter approver IDs separated by commas:`, currentIds);
+    if (input === null) return;
+
+    const userIds = input.split(',')
+      .map(id => id.trim())
+      .filter(id => id !== '')
+      .map(id => parseInt(id));
+
+    if (userIds.some(id => isNaN(id))) {
+      showNotification('Please enter numeric user IDs', 'error');
+      return;
+    }
+
+    await apiRequest(`/tasks/${taskId}/approvers`, {
+      method: 'PUT',
+      body: JSON.stringify({ user_ids: userIds })
+    });
+
+    await loadData();
+    showNotification('Approvers updated successfully');
+  } catch (error) {
+    console.error('Error setting approvers:', error);
+    showNotification(error.message || 'Error setting approvers', 'error');
+  }
+}
+
+// Approval Chain Functions
+
+/**
+ * Whether the signed-in user may decide an approval chain step
+ * @param {Object} step - Task approval step
+ */
+function canDecideStep(step) {
+  if (!currentUser || !step) return false;
+  if (currentUser.role === 'admin') return true;
+  if (step.approver_user_id) return step.approver_user_id === currentUser.id;
+  return step.approver_role === currentUser.role;
+}
+
+async function promptStartApprovalChain(taskId) {
+  try {
+    const chainsResponse = await apiRequest('/approval-chains');
+    const chains = chainsResponse.data || [];
+
+    if (chains.length === 0) {
+      showNotification('No approval chains defined yet', 'error');
+      return;
+    }
+
+    const chainList = chains
+      .map(chain => `${chain.id}: ${chain.name} (${chain.steps.map(step => step.name).join(' → ')})`)
+      .join('\n');
+    const chainId = prompt(`Approval chains:\n${chainList}\n\nEnter chain ID to start:`);
+
+    if (chainId && !isNaN(chainId)) {
+      await apiRequest(`/tasks/${taskId}/approvals`, {
+        method: 'POST',
+        body: JSON.stringify({ chain_id: parseInt(chainId) })
       });
 
       await loadData();
-      showNotification('Timer set successfully');
-    } catch (error) {
-      console.error('Error setting timer:', error);
-      showNotification(error.message || 'Error setting timer', 'error');
+      showNotification('Approval chain started successfully');
     }
+  } catch (error) {
+    console.error('Error starting approval chain:', error);
+    showNotification(error.message || 'Error starting approval chain', 'error');
   }
 }
 
+async function decideApprovalStep(taskId, decision) {
+  let comment = '';
+  if (decision === 'rejected') {
+    comment = prompt('Reason for rejection (required):');
+    if (!comment || comment.trim().length < 3) {
+      if (comment !== null) {
+        showNotification('Please give a reason of at least 3 characters', 'error');
+      }
+      return;
+    }
+  }
+
+  try {
+    await apiRequest(`/tasks/${taskId}/approvals/decision`, {
+      method: 'POST',
+      body: JSON.stringify({ decision, comment: comment.trim() })
+    });
+
+    await loadData();
+    showNotification(`Step ${decision} successfully`);
+  } catch (error) {
+    console.error('Error deciding approval step:', error);
+    showNotification(error.message || 'Error deciding approval step', 'error');
+  }
+}
+
+async function resubmitTask(taskId) {
+  try {
+    await apiRequest(`/tasks/${taskId}/approvals/resubmit`, {
+      method: 'POST'
+    });
+
+    await loadData();
+    showNotification('Task resubmitted for approval');
+  } catch (error) {
+    console.error('Error resubmitting task:', error);
+    showNotification(error.message || 'Error resubmitting task', 'error');
+  }
+}
+
+/**
+ * Render the current round of a task's approval chain
+ * @param {Object} approval - Approval state returned with the task
+ */
+function renderApprovalChain(approval) {
+  if (!approval) return '';
+
+  const icons = { approved: '✅', rejected: '❌', pending: '⏳' };
+  const stepsHtml = approval.steps.map(step => {
+    const isCurrent = approval.current_step && approval.current_step.id === step.id;
+    const decidedBy = step.decided_by_name ? ` by ${escapeHtml(step.decided_by_name)}` : '';
+    return `
+      <div class="text-xs ${isCurrent ? 'font-semibold text-blue-700' : 'text-gray-600'}">
+        ${icons[step.status]} ${step.step_order}. ${escapeHtml(step.name)}${decidedBy}
+        ${step.comment ? `<div class="ml-5 italic text-red-600">"${escapeHtml(step.comment)}"</div>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="mt-2 p-2 bg-white rounded border border-gray-200">
+      <div class="text-xs text-gray-500 mb-1">Approval chain${approval.round > 1 ? ` (round ${approval.round})` : ''}</div>
+      ${stepsHtml}
+    </div>
+  `;
+}
+
+// Time Tracking Functions
+async function changeTaskTimer(taskId, action) {
+  try {
+    await apiRequest(`/tasks/${taskId}/time-entries/${action}`, {
+      method: 'POST'
+    });
+
+    await loadData();
+    const messages = { start: 'Timer started', pause: 'Timer paused', stop: 'Timer stopped' };
+    showNotification(messages[action]);
+  } catch (error) {
+    console.error(`Error trying to ${action} timer:`, error);
+    showNotification(error.message || `Error trying to ${action} timer`, 'error');
+  }
+}
+
+async function startTaskTimer(taskId) {
+  await changeTaskTimer(taskId, 'start');
+}
+
+async function pauseTaskTimer(taskId) {
+  await changeTaskTimer(taskId, 'pause');
+}
+
+async function stopTaskTimer(taskId) {
+  await changeTaskTimer(taskId, 'stop');
+}
+
+/**
+ * Render the tracked time of a task; running timers tick via updateLiveTimers
+ * @param {Object} task - Task with time_tracking
+ */
+function renderTimeTracking(task) {
+  const tracking = task.time_tracking;
+  if (!tracking || (!tracking.total_seconds && !tracking.running)) return '';
+
+  const state = tracking.running ? '▶️ Running' : tracking.paused ? '⏸️ Paused' : '';
+  return `
+    <div class="text-sm text-gray-600 mt-1">
+      ⏱️ Tracked:
+      <span class="font-mono ${tracking.running ? 'live-timer text-blue-600' : ''}"
+            data-total-seconds="${tracking.total_seconds}" data-loaded-at="${Date.now()}">${formatDuration(tracking.total_seconds)}</span>
+      ${state ? `<span class="text-xs ml-1">${state}</span>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Advance every running timer on the page by the time since it was rendered
+ */
+function updateLiveTimers() {
+  document.querySelectorAll('.live-timer').forEach(element => {
+    const elapsed = Math.floor((Date.now() - Number(element.dataset.loadedAt)) / 1000);
+    element.textContent = formatDuration(Number(element.dataset.totalSeconds) + elapsed);
+  });
+}
+
+setInterval(updateLiveTimers, 1000);
+
 async function completeTask(taskId) {
   try {
     await apiRequest(`/tasks/${taskId}`, {
@@ -242,8 +647,15 @@ function renderTasks() {
 
     taskCard.className += ` ${statusClass}`;
 
-    const timerInfo = task.timer ? `<div class="text-sm text-gray-600 mt-1">⏰ Timer: ${formatTimer(task.timer)}</div>` : '';
-    const approverInfo = task.approver ? `<div class="text-sm text-gray-600 mt-1">✅ Approved by: ${task.approver}</div>` : '';
+    const approverInfo = task.approver
+      ? `<div class="text-sm text-gray-600 mt-1">${task.status === 'rejected' ? '❌ Rejected' : '✅ Approved'} by: ${escapeHtml(task.approver)}</div>`
+      : '';
+    const legacyTimerInfo = task.legacy_timer
+      ? `<div class="text-sm text-gray-600 mt-1">⏰ Old timer: ${escapeHtml(task.legacy_timer)}</div>`
+      : '';
+    const designatedInfo = task.approvers && task.approvers.length
+      ? `<div class="text-sm text-gray-600 mt-1">🔑 Approvers: ${task.approvers.map(user => escapeHtml(user.display_name)).join(', ')}</div>`
+      : '';
 
     taskCard.innerHTML = `
       <div class="flex justify-between items-start">
@@ -259,19 +671,43 @@ function renderTasks() {
             </span>
           </div>
           ${approverInfo}
-          ${timerInfo}
+          ${designatedInfo}
+          ${legacyTimerInfo}
+          ${renderTimeTracking(task)}
+          ${renderApprovalChain(task.approval)}
           ${task.completed ? '<div class="text-sm text-purple-600 mt-1">✓ Completed</div>' : ''}
           <div class="text-xs text-gray-500 mt-2">Added: ${new Date(task.created_at).toLocaleDateString()}</div>
         </div>
         <div class="flex flex-col space-y-1 ml-4">
-          ${!task.completed && task.status === 'pending' ? `
+          ${!task.completed && !task.approval && task.status === 'pending' && canApproveTask(task) ? `
             <button onclick="approveTask(${task.id})" class="bg-green-500 text-white px-3 py-1 rounded text-xs hover:bg-green-600">Approve</button>
             <button onclick="rejectTask(${task.id})" class="bg-red-500 text-white px-3 py-1 rounded text-xs hover:bg-red-600">Reject</button>
           ` : ''}
           ${!task.completed && task.status === 'approved' ? `
-            <button onclick="setTaskTimer(${task.id})" class="bg-blue-500 text-white px-3 py-1 rounded text-xs hover:bg-blue-600">Set Timer</button>
+            ${task.time_tracking && task.time_tracking.running ? `
+              <button onclick="pauseTaskTimer(${task.id})" class="bg-yellow-500 text-white px-3 py-1 rounded text-xs hover:bg-yellow-600">Pause</button>
+            ` : `
+              <button onclick="startTaskTimer(${task.id})" class="bg-blue-500 text-white px-3 py-1 rounded text-xs hover:bg-blue-600">${task.time_tracking && task.time_tracking.paused ? 'Resume' : 'Start Timer'}</button>
+            `}
+            ${task.time_tracking && (task.time_tracking.running || task.time_tracking.paused) ? `
+              <button onclick="stopTaskTimer(${task.id})" class="bg-gray-700 text-white px-3 py-1 rounded text-xs hover:bg-gray-800">Stop</button>
+            ` : ''}
             <button onclick="completeTask(${task.id})" class="bg-purple-500 text-white px-3 py-1 rounded text-xs hover:bg-purple-600">Complete</button>
           ` : ''}
+          ${task.approval && task.approval.status === 'pending' && canDecideStep(task.approval.current_step) ? `
+            <button onclick="decideApprovalStep(${task.id}, 'approved')" class="bg-green-500 text-white px-3 py-1 rounded text-xs hover:bg-green-600">Approve Step</button>
+            <button onclick="decideApprovalStep(${task.id}, 'rejected')" class="bg-red-500 text-white px-3 py-1 rounded text-xs hover:bg-red-600">Reject Step</button>
+          ` : ''}
+          ${task.approval && task.approval.status === 'rejected' ? `
+            <button onclick="resubmitTask(${task.id})" class="bg-blue-500 text-white px-3 py-1 rounded text-xs hover:bg-blue-600">Resubmit</button>
+          ` : ''}
+          ${isManager() && !task.completed && (!task.approval || task.approval.status !== 'pending') ? `
+            <button onclick="promptStartApprovalChain(${task.id})" class="bg-indigo-500 text-white px-3 py-1 rounded text-xs hover:bg-indigo-600">Start Chain</button>
+          ` : ''}
+          ${isManager() ? `
+            <button onclick="promptSetApprovers(${task.id})" class="bg-yellow-500 text-white px-3 py-1 rounded text-xs hover:bg-yellow-600">Approvers</button>
+          ` : ''}
+          <button onclick="showEntityHistory('task', ${task.id}, 'Task #${task.id}')" class="bg-gray-200 text-gray-700 px-3 py-1 rounded text-xs hover:bg-gray-300">History</button>
           <button onclick="deleteTask(${task.id})" class="bg-gray-500 text-white px-3 py-1 rounded text-xs hover:bg-gray-600">Delete</button>
         </div>
       </div>
@@ -359,9 +795,14 @@ function renderArticles() {
           </a>
           <div class="text-xs text-gray-500 mt-2">Added: ${new Date(article.created_at).toLocaleDateString()}</div>
         </div>
-        <button onclick="deleteArticle(${article.id})" class="bg-red-500 text-white px-3 py-1 rounded text-xs hover:bg-red-600 ml-4">
-          Delete
-        </button>
+        <div class="flex flex-col space-y-1 ml-4">
+          <button onclick="showEntityHistory('article', ${article.id}, 'Article #${article.id}')" class="bg-gray-200 text-gray-700 px-3 py-1 rounded text-xs hover:bg-gray-300">
+            History
+          </button>
+          <button onclick="deleteArticle(${article.id})" class="bg-red-500 text-white px-3 py-1 rounded text-xs hover:bg-red-600">
+            Delete
+          </button>
+        </div>
       </div>
     `;
 
@@ -369,6 +810,71 @@ function renderArticles() {
   });
 }
 
+// Change history (audit log) functions
+const AUDIT_ACTION_LABELS = {
+  create: '➕ Created',
+  update: '✏️ Updated',
+  delete: '🗑️ Deleted'
+};
+
+async function showEntityHistory(entityType, entityId, title) {
+  const modal = document.getElementById('history-modal');
+  const container = document.getElementById('history-entries');
+  if (!modal || !container) return;
+
+  document.getElementById('history-title').textContent = `History: ${title}`;
+  container.innerHTML = '<p class="text-gray-500">Loading...</p>';
+  modal.classList.remove('hidden');
+
+  try {
+    const params = new URLSearchParams({ entity_type: entityType, entity_id: entityId, limit: 100 });
+    const response = await apiRequest(`/audit?${params}`);
+    const entries = response.data;
+    container.innerHTML = entries.length > 0
+      ? entries.map(renderAuditEntry).join('')
+      : '<p class="text-gray-500">No recorded changes yet.</p>';
+  } catch (error) {
+    console.error('Error loading history:', error);
+    container.innerHTML = `<p class="text-red-600">${escapeHtml(error.message || 'Error loading history')}</p>`;
+  }
+}
+
+function hideHistoryModal() {
+  const modal = document.getElementById('history-modal');
+  if (modal) {
+    modal.classList.add('hidden');
+  }
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+}
+
+function renderAuditEntry(entry) {
+  // Creates and deletes list every field, so only updates show the before/after pair
+  const changes = Object.entries(entry.changes).map(([field, change]) => `
+    <li>
+      <span class="font-medium">${escapeHtml(field)}</span>:
+      ${entry.action === 'update' ? `<span class="line-through text-red-600">${formatAuditValue(change.before)}</span> →` : ''}
+      <span class="${entry.action === 'delete' ? 'line-through text-red-600' : 'text-green-700'}">
+        ${formatAuditValue(entry.action === 'delete' ? change.before : change.after)}
+      </span>
+    </li>
+  `).join('');
+
+  return `
+    <div class="border-l-4 border-gray-300 pl-3">
+      <div class="text-sm">
+        <span class="font-semibold">${AUDIT_ACTION_LABELS[entry.action]}</span>
+        by ${escapeHtml(entry.actor_name || 'unknown')}
+        <span class="text-gray-500">· ${new Date(entry.created_at.replace(' ', 'T') + 'Z').toLocaleString()}</span>
+      </div>
+      <ul class="text-xs text-gray-700 mt-1 space-y-0.5">${changes}</ul>
+    </div>
+  `;
+}
+
 // Statistics and Dashboard Functions
 function updateStats() {
   // Task statistics
@@ -394,17 +900,16 @@ function updateStats() {
 }
 
 // Utility Functions
-function formatTimer(timer) {
-  if (!timer) return '';
-  
-  // If it looks like a date, format it
-  const date = new Date(timer);
-  if (!isNaN(date.getTime())) {
-    return date.toLocaleString();
-  }
-  
-  // Otherwise return as-is
-  return timer;
+/**
+ * Format a number of seconds as H:MM:SS
+ * @param {number} totalSeconds - Duration in seconds
+ */
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainder = seconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(remainder).padStart(2, '0')}`;
 }
 
 function escapeHtml(text) {
@@ -443,11 +948,8 @@ function showNotification(message, type = 'success') {
   }, 3000);
 }
 
-// Initialize checklist manager after DOM is loaded
+// Checklist manager is created by startApp once a user is signed in
 let checklistManager;
-document.addEventListener('DOMContentLoaded', function() {
-  checklistManager = new ChecklistManager();
-});
 
 function renderChecklistDashboard() {
   if (checklistManager) {
@@ -0,0 +1,376 @@
+/**
+ * Project Timeline
+ * Gantt view of project spans, milestones and resource allocations with drag to reschedule
+ */
+
+// Pixels per day, grid ticks and padding around the scheduled range for each zoom level
+const TIMELINE_ZOOM_LEVELS = {
+  week: { dayWidth: 36, padding: 7, tick: 'day' },
+  month: { dayWidth: 12, padding: 14, tick: 'week' },
+  quarter: { dayWidth: 4, padding: 30, tick: 'month' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProjectTimeline {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.zoom = 'month';
+    this.projects = [];
+    this.rangeStart = null;
+    this.drag = null;
+
+    document.addEventListener('pointermove', event => this.onDrag(event));
+    document.addEventListener('pointerup', event => this.endDrag(event));
+  }
+
+  /**
+   * Parse a stored date (YYYY-MM-DD, or an older ISO timestamp) into a UTC day
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  /**
+   * Format a UTC day as YYYY-MM-DD
+   */
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+
+  daysBetween(from, to) {
+    return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+  }
+
+  /**
+   * Today in the browser's time zone, as a UTC day
+   */
+  today() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  }
+
+  /**
+   * Switch between week, month and quarter zoom
+   */
+  setZoom(zoom) {
+    if (!TIMELINE_ZOOM_LEVELS[zoom]) return;
+    this.zoom = zoom;
+
+    document.querySelectorAll('.timeline-zoom-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.zoom === zoom);
+    });
+
+    this.render(this.projects);
+  }
+
+  /**
+   * Find the first and last day to draw: every scheduled date plus today, padded
+   */
+  getRange(projects) {
+    const dates = [this.today()];
+
+    projects.forEach(project => {
+      [project.start_date, project.end_date].forEach(value => value && dates.push(this.parseDate(value)));
+      (project.milestones || []).forEach(milestone => milestone.due_date && dates.push(this.parseDate(milestone.due_date)));
+      (project.resources || []).forEach(resource => {
+        [resource.start_date, resource.end_date].forEach(value => value && dates.push(this.parseDate(value)));
+      });
+    });
+
+    const { padding, tick } = TIMELINE_ZOOM_LEVELS[this.zoom];
+    let start = this.addDays(new Date(Math.min(...dates)), -padding);
+    const end = this.addDays(new Date(Math.max(...dates)), padding);
+
+    // Start on a tick boundary so the grid lines up with the labels
+    if (tick === 'month') {
+      start = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+    } else {
+      start = this.addDays(start, -((start.getUTCDay() + 6) % 7));
+    }
+
+    return { start, days: this.daysBetween(start, end) + 1 };
+  }
+
+  /**
+   * Build the date scale shown above the rows
+   */
+  renderScale(start, days) {
+    const { dayWidth, tick } = TIMELINE_ZOOM_LEVELS[this.zoom];
+    const ticks = [];
+
+    for (let offset = 0; offset < days; offset++) {
+      const date = this.addDays(start, offset);
+      let label = null;
+
+      if (tick === 'day') {
+        label = date.toLocaleDateString(undefined, { weekday: 'narrow', day: 'numeric', timeZone: 'UTC' });
+      } else if (tick === 'week' && date.getUTCDay() === 1) {
+        label = date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+      } else if (tick === 'month' && date.getUTCDate() === 1) {
+        label = date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+      }
+
+      if (label) {
+        ticks.push(`<div class="timeline-tick" style="left: ${offset * dayWidth}px">${label}</div>`);
+      }
+    }
+
+    return ticks.join('');
+  }
+
+  /**
+   * Build a draggable bar for a date span
+   * @param {Object} item - { kind, projectId, id, start, end, label, className, title }
+   */
+  renderBar(item) {
+    const { dayWidth } = TIMELINE_ZOOM_LEVELS[this.zoom];
+    const left = this.daysBetween(this.rangeStart, item.start) * dayWidth;
+    const width = (this.daysBetween(item.start, item.end) + 1) * dayWidth;
+    const data = `data-kind="${item.kind}" data-project-id="${item.projectId}" data-id="${item.id}"
+                  data-start="${this.formatDate(item.start)}" data-end="${this.formatDate(item.end)}"`;
+
+    return `
+      <div class="timeline-bar ${item.className}" style="left: ${left}px; width: ${width}px" ${data}
+           title="${item.title}" onpointerdown="projectTimeline.startDrag(event, 'move')">
+        <div class="timeline-handle timeline-handle-start" onpointerdown="projectTimeline.startDrag(event, 'start')"></div>
+        <span class="timeline-bar-label">${item.label}</span>
+        <div class="timeline-handle timeline-handle-end" onpointerdown="projectTimeline.startDrag(event, 'end')"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Build a draggable milestone diamond
+   */
+  renderMilestone(project, milestone) {
+    const { dayWidth } = TIMELINE_ZOOM_LEVELS[this.zoom];
+    const due = this.parseDate(milestone.due_date);
+    const left = this.daysBetween(this.rangeStart, due) * dayWidth + dayWidth / 2;
+
+    return `
+      <div class="timeline-milestone ${milestone.completed ? 'completed' : ''}" style="left: ${left}px"
+           data-kind="milestone" data-project-id="${project.id}" data-id="${milestone.id}"
+           data-start="${this.formatDate(due)}" data-end="${this.formatDate(due)}"
+           title="${this.escapeHtml(milestone.title)} (${this.formatDate(due)})"
+           onpointerdown="projectTimeline.startDrag(event, 'move')"></div>
+    `;
+  }
+
+  /**
+   * Build the rows for one project: its span with milestones, then one row per resource
+   */
+  renderProjectRows(project) {
+    const start = this.parseDate(project.start_date);
+    const end = this.parseDate(project.end_date) || start;
+    const name = this.escapeHtml(project.name);
+    const milestones = (project.milestones || []).filter(milestone => milestone.due_date);
+
+    const projectBar = start ? this.renderBar({
+      kind: 'project',
+      projectId: project.id,
+      id: project.id,
+      start,
+      end,
+      label: name,
+      className: `timeline-bar-project status-${project.status}`,
+      title: `${name}: ${this.formatDate(start)} → ${this.formatDate(end)}`
+    }) : '';
+
+    const rows = [`
+      <div class="timeline-row">
+        <div class="timeline-label font-semibold" title="${name}">
+          ${name}
+          ${start ? '' : '<span class="text-xs text-gray-400 font-normal">(no dates)</span>'}
+        </div>
+        <div class="timeline-track">
+          ${projectBar}
+          ${milestones.map(milestone => this.renderMilestone(project, milestone)).join('')}
+        </div>
+      </div>
+    `];
+
+    (project.resources || []).forEach(resource => {
+      const resourceName = this.escapeHtml(resource.resource_name);
+      const resourceStart = this.parseDate(resource.start_date) || start;
+      let resourceEnd = this.parseDate(resource.end_date) || end;
+      if (!resourceStart || !resourceEnd) return;
+      if (resourceEnd < resourceStart) resourceEnd = resourceStart;
+
+      // Allocations without their own dates cover the whole project until dragged
+      const scheduled = Boolean(resource.start_date && resource.end_date);
+
+      rows.push(`
+        <div class="timeline-row">
+          <div class="timeline-label pl-6 text-sm text-gray-600" title="${resourceName} (${this.escapeHtml(resource.role)})">
+            ${resourceName}
+            <span class="text-xs text-gray-400">${resource.hours_per_week}h/wk</span>
+          </div>
+          <div class="timeline-track">
+            ${this.renderBar({
+              kind: 'resource',
+              projectId: project.id,
+              id: resource.id,
+              start: resourceStart,
+              end: resourceEnd,
+              label: this.escapeHtml(resource.role),
+              className: `timeline-bar-resource ${scheduled ? '' : 'unscheduled'}`,
+              title: scheduled
+                ? `${resourceName}: ${this.formatDate(resourceStart)} → ${this.formatDate(resourceEnd)}`
+                : `${resourceName}: no dates set, drag to schedule`
+            })}
+          </div>
+        </div>
+      `);
+    });
+
+    return rows.join('');
+  }
+
+  /**
+   * Render the timeline for the given projects
+   */
+  render(projects) {
+    this.projects = projects;
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    if (projects.length === 0) {
+      container.innerHTML = '<p class="text-gray-500 text-sm">No projects to show</p>';
+      return;
+    }
+
+    const { start, days } = this.getRange(projects);
+    const { dayWidth } = TIMELINE_ZOOM_LEVELS[this.zoom];
+    this.rangeStart = start;
+
+    const todayLeft = this.daysBetween(start, this.today()) * dayWidth + dayWidth / 2;
+
+    container.innerHTML = `
+      <div class="timeline" style="--timeline-width: ${days * dayWidth}px">
+        <div class="timeline-row timeline-header">
+          <div class="timeline-label"></div>
+          <div class="timeline-track">${this.renderScale(start, days)}</div>
+        </div>
+        ${projects.map(project => this.renderProjectRows(project)).join('')}
+        <div class="timeline-today" style="left: ${todayLeft}px" title="Today"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Start dragging a bar or milestone
+   * @param {string} mode - 'move', or 'start'/'end' to resize from one edge
+   */
+  startDrag(event, mode) {
+    event.stopPropagation();
+    event.preventDefault();
+
+    const element = event.target.closest('[data-kind]');
+    this.drag = {
+      element,
+      mode,
+      startX: event.clientX,
+      originalLeft: element.offsetLeft,
+      originalWidth: element.offsetWidth,
+      days: 0
+    };
+    element.classList.add('dragging');
+  }
+
+  /**
+   * Follow the pointer, snapping to whole days
+   */
+  onDrag(event) {
+    if (!this.drag) return;
+
+    const { dayWidth } = TIMELINE_ZOOM_LEVELS[this.zoom];
+    const { element, mode, originalLeft, originalWidth } = this.drag;
+    const span = Math.round(originalWidth / dayWidth) - 1;
+    let days = Math.round((event.clientX - this.drag.startX) / dayWidth);
+
+    // Never resize a bar to end before it starts
+    if (mode === 'start') days = Math.min(days, span);
+    if (mode === 'end') days = Math.max(days, -span);
+    this.drag.days = days;
+
+    if (mode === 'move') {
+      element.style.left = `${originalLeft + days * dayWidth}px`;
+    } else if (mode === 'start') {
+      element.style.left = `${originalLeft + days * dayWidth}px`;
+      element.style.width = `${originalWidth - days * dayWidth}px`;
+    } else {
+      element.style.width = `${originalWidth + days * dayWidth}px`;
+    }
+
+    const { start, end } = this.getDraggedDates(this.drag);
+    element.title = start === end ? start : `${start} → ${end}`;
+  }
+
+  /**
+   * Compute the dates a dragged element would get
+   */
+  getDraggedDates({ element, mode, days }) {
+    const start = this.parseDate(element.dataset.start);
+    const end = this.parseDate(element.dataset.end);
+
+    return {
+      start: this.formatDate(mode === 'end' ? start : this.addDays(start, days)),
+      end: this.formatDate(mode === 'start' ? end : this.addDays(end, days))
+    };
+  }
+
+  /**
+   * Drop: persist the new dates through the project, milestone or resource PUT route
+   */
+  async endDrag() {
+    if (!this.drag) return;
+
+    const drag = this.drag;
+    this.drag = null;
+    drag.element.classList.remove('dragging');
+
+    if (drag.days === 0) {
+      this.render(this.projects);
+      return;
+    }
+
+    const { start, end } = this.getDraggedDates(drag);
+    const { kind, projectId, id } = drag.element.dataset;
+
+    if (kind === 'project') {
+      await projectManager.updateProject(parseInt(projectId), { start_date: start, end_date: end });
+    } else if (kind === 'resource') {
+      await projectManager.updateResource(parseInt(projectId), parseInt(id), { start_date: start, end_date: end });
+    } else if (kind === 'milestone') {
+      await projectManager.updateMilestone(parseInt(projectId), parseInt(id), { due_date: start });
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+let projectTimeline;
+
+document.addEventListener('DOMContentLoaded', function() {
+  projectTimeline = new ProjectTimeline('project-timeline');
+});
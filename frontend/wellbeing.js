@@ -0,0 +1,371 @@
+/**
+ * Team Wellbeing
+ * Each reporter's mood and productivity trends from their progress reports, and the alert rules
+ * that flag burnout risk (managers and admins only)
+ */
+
+const WELLBEING_METRICS = {
+  mood_rating: 'Mood',
+  productivity_score: 'Productivity',
+  hours_worked: 'Hours'
+};
+
+class WellbeingDashboard {
+  constructor(containerId) {
+    this.containerId = containerId;
+    this.apiBaseUrl = window.location.origin + '/api';
+    this.weeks = 8;
+    this.trends = null;
+    this.rules = [];
+  }
+
+  /**
+   * Make API request to backend
+   */
+  async apiRequest(endpoint, options = {}) {
+    try {
+      const response = await authFetch(`${this.apiBaseUrl}${endpoint}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers
+        },
+        ...options
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Wellbeing API request failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the trends for the chosen number of weeks, and every alert rule
+   */
+  async loadTrends() {
+    try {
+      const end = new Date();
+      const start = new Date(end.getTime() - (this.weeks * 7 - 1) * 24 * 60 * 60 * 1000);
+      const query = new URLSearchParams({
+        start: start.toISOString().split('T')[0],
+        end: end.toISOString().split('T')[0]
+      });
+
+      const [trends, rules] = await Promise.all([
+        this.apiRequest(`/wellbeing?${query}`),
+        this.apiRequest('/wellbeing/alert-rules')
+      ]);
+
+      this.trends = trends.data;
+      this.rules = rules.data;
+      this.render();
+    } catch (error) {
+      console.error('Error loading wellbeing trends:', error);
+      showNotification('Error loading wellbeing trends', 'error');
+    }
+  }
+
+  /**
+   * Change how many weeks the trends cover
+   */
+  async setWeeks(weeks) {
+    this.weeks = parseInt(weeks);
+    await this.loadTrends();
+  }
+
+  /**
+   * Ask for an alert rule's fields, starting from an existing rule; null when cancelled
+   */
+  promptRuleFields(rule) {
+    const name = prompt('Rule name:', rule.name);
+    if (!name) return null;
+
+    const metric = prompt(`Metric (${Object.keys(WELLBEING_METRICS).join(', ')}):`, rule.metric);
+    if (!metric) return null;
+
+    const aggregate = prompt('Average or total over the calendar week (average, total):', rule.aggregate);
+    if (!aggregate) return null;
+
+    const operator = prompt('Fires when the value is (<, <=, >, >=):', rule.operator);
+    if (!operator) return null;
+
+    const threshold = prompt('Threshold:', rule.threshold);
+    if (threshold === null || isNaN(parseFloat(threshold))) return null;
+
+    const minReports = prompt('Reports a week needs before it is checked (1-7):', rule.min_reports);
+    if (minReports === null || isNaN(parseInt(minReports))) return null;
+
+    return {
+      name: name.trim(),
+      metric: metric.trim(),
+      aggregate: aggregate.trim(),
+      operator: operator.trim(),
+      threshold: parseFloat(threshold),
+      min_reports: parseInt(minReports)
+    };
+  }
+
+  /**
+   * Prompt for a new alert rule
+   */
+  async promptAddRule() {
+    const fields = this.promptRuleFields({ name: '', metric: 'mood_rating', aggregate: 'average', operator: '<=', threshold: 2, min_reports: 3 });
+    if (!fields) return;
+
+    try {
+      await this.apiRequest('/wellbeing/alert-rules', {
+        method: 'POST',
+        body: JSON.stringify(fields)
+      });
+
+      await this.loadTrends();
+      showNotification('Alert rule created successfully');
+    } catch (error) {
+      console.error('Error creating alert rule:', error);
+      showNotification(error.message || 'Error creating alert rule', 'error');
+    }
+  }
+
+  /**
+   * Update an alert rule
+   */
+  async updateRule(ruleId, updates) {
+    try {
+      await this.apiRequest(`/wellbeing/alert-rules/${ruleId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      });
+
+      await this.loadTrends();
+      showNotification('Alert rule updated successfully');
+    } catch (error) {
+      console.error('Error updating alert rule:', error);
+      showNotification(error.message || 'Error updating alert rule', 'error');
+    }
+  }
+
+  /**
+   * Prompt for changes to an alert rule
+   */
+  async promptEditRule(ruleId) {
+    const rule = this.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    const fields = this.promptRuleFields(rule);
+    if (!fields) return;
+
+    await this.updateRule(ruleId, fields);
+  }
+
+  /**
+   * Delete an alert rule
+   */
+  async deleteRule(ruleId) {
+    if (confirm('Delete this alert rule?')) {
+      try {
+        await this.apiRequest(`/wellbeing/alert-rules/${ruleId}`, {
+          method: 'DELETE'
+        });
+
+        await this.loadTrends();
+        showNotification('Alert rule deleted successfully');
+      } catch (error) {
+        console.error('Error deleting alert rule:', error);
+        showNotification(error.message || 'Error deleting alert rule', 'error');
+      }
+    }
+  }
+
+  /**
+   * Describe a rule, e.g. "weekly average Mood <= 2, with at least 3 reports"
+   */
+  describeRule(rule) {
+    return `weekly ${rule.aggregate} ${WELLBEING_METRICS[rule.metric]} ${rule.operator} ${rule.threshold}, with at least ${rule.min_reports} report(s)`;
+  }
+
+  /**
+   * Render alerts, reporter cards and alert rules
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container || !this.trends) return;
+
+    container.innerHTML = `
+      ${this.renderAlerts(this.trends.alerts)}
+      ${this.trends.reporters.length === 0 ? `
+        <div class="bg-white p-4 rounded-lg shadow mb-6 text-gray-500">No progress reports between ${this.trends.start} and ${this.trends.end}.</div>
+      ` : `
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          ${this.trends.reporters.map(reporter => this.renderReporter(reporter)).join('')}
+        </div>
+      `}
+      ${this.renderRules()}
+    `;
+  }
+
+  /**
+   * Alerts that fired, shown first
+   */
+  renderAlerts(alerts) {
+    if (alerts.length === 0) {
+      return '<div class="bg-green-50 text-green-800 p-4 rounded-lg mb-6">No burnout alerts in this period.</div>';
+    }
+
+    return `
+      <div class="bg-red-50 border border-red-200 p-4 rounded-lg mb-6">
+        <h3 class="font-semibold text-red-800 mb-2">⚠️ ${alerts.length} alert(s)</h3>
+        <ul class="text-sm text-red-800 space-y-1">
+          ${alerts.map(alert => `
+            <li>
+              <strong>${this.escapeHtml(alert.reporter_name)}</strong>: ${this.escapeHtml(alert.name)}
+              <span class="text-red-600">(${alert.aggregate} ${WELLBEING_METRICS[alert.metric]} ${alert.value}, week of ${alert.week_start})</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * One reporter's averages, rolling trend, week-over-week change and correlation with hours
+   */
+  renderReporter(reporter) {
+    const { current, previous, change } = reporter.week_over_week;
+    const flagged = reporter.alerts.length > 0;
+
+    return `
+      <div class="bg-white p-4 rounded-lg shadow ${flagged ? 'border-l-4 border-red-500' : ''}">
+        <div class="flex justify-between items-baseline mb-2">
+          <h3 class="font-semibold">${this.escapeHtml(reporter.reporter_name)}</h3>
+          <span class="text-xs text-gray-500">${reporter.reports} report(s)</span>
+        </div>
+        <div class="text-sm text-gray-700 mb-2">
+          Mood ${reporter.average_mood_rating} · Productivity ${reporter.average_productivity_score} · ${reporter.average_hours_worked}h per report
+        </div>
+        ${this.renderSparkline(reporter.series)}
+        <table class="w-full text-sm mt-2">
+          <thead>
+            <tr class="text-left text-gray-500 border-b">
+              <th class="py-1"></th>
+              <th class="py-1">Week of ${current.week_start}</th>
+              <th class="py-1">Week before</th>
+              <th class="py-1">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${Object.entries(WELLBEING_METRICS).map(([metric, label]) => `
+              <tr class="border-b">
+                <td class="py-1 text-gray-500">${label}${metric === 'hours_worked' ? ' (total)' : ''}</td>
+                <td class="py-1">${current[metric] ?? '—'}</td>
+                <td class="py-1">${previous[metric] ?? '—'}</td>
+                <td class="py-1">${this.renderChange(change[metric], metric === 'hours_worked')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="text-xs text-gray-500 mt-2">
+          Correlation with hours worked: mood ${this.formatCorrelation(reporter.correlation_with_hours.mood_rating)},
+          productivity ${this.formatCorrelation(reporter.correlation_with_hours.productivity_score)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Rolling mood (blue) and productivity (green) on the 1 to 5 scale
+   */
+  renderSparkline(series) {
+    if (series.length < 2) {
+      return '<div class="text-xs text-gray-400">Not enough reports for a trend yet</div>';
+    }
+
+    const width = 300;
+    const height = 60;
+    const x = index => (index / (series.length - 1)) * width;
+    const y = value => height - ((value - 1) / 4) * height;
+    const line = key => series.map((point, index) => `${x(index).toFixed(1)},${y(point[key]).toFixed(1)}`).join(' ');
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full h-16" preserveAspectRatio="none">
+        <polyline points="${line('rolling_mood_rating')}" fill="none" stroke="#3B82F6" stroke-width="2" />
+        <polyline points="${line('rolling_productivity_score')}" fill="none" stroke="#10B981" stroke-width="2" />
+      </svg>
+      <div class="text-xs text-gray-500">
+        <span class="text-blue-500">━</span> Rolling mood <span class="text-green-500 ml-2">━</span> Rolling productivity
+        (${series[0].date} to ${series[series.length - 1].date})
+      </div>
+    `;
+  }
+
+  /**
+   * Arrow and amount of a week-over-week change; more hours is the worrying direction
+   */
+  renderChange(change, moreIsWorse) {
+    if (change === null) return '<span class="text-gray-400">—</span>';
+    if (change === 0) return '<span class="text-gray-500">→ 0</span>';
+
+    const worse = moreIsWorse ? change > 0 : change < 0;
+    return `<span class="${worse ? 'text-red-600' : 'text-green-600'}">${change > 0 ? '↑ +' : '↓ '}${change}</span>`;
+  }
+
+  formatCorrelation(value) {
+    return value === null ? 'n/a' : value;
+  }
+
+  /**
+   * The alert rules, with edit, pause and delete
+   */
+  renderRules() {
+    return `
+      <div class="bg-white p-4 rounded-lg shadow">
+        <h3 class="text-lg font-semibold mb-3">Alert Rules</h3>
+        ${this.rules.length === 0 ? '<p class="text-sm text-gray-500">No alert rules.</p>' : `
+          <ul class="divide-y text-sm">
+            ${this.rules.map(rule => `
+              <li class="py-2 flex items-center gap-2 ${rule.active ? '' : 'text-gray-400'}">
+                <span class="font-medium">${this.escapeHtml(rule.name)}</span>
+                <span class="text-gray-500">${this.describeRule(rule)}</span>
+                <span class="ml-auto space-x-2 whitespace-nowrap">
+                  <button onclick="wellbeingDashboard.promptEditRule(${rule.id})" class="text-blue-600 hover:underline">Edit</button>
+                  <button onclick="wellbeingDashboard.updateRule(${rule.id}, { active: ${!rule.active} })" class="text-gray-600 hover:underline">
+                    ${rule.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button onclick="wellbeingDashboard.deleteRule(${rule.id})" class="text-red-500 hover:underline">Delete</button>
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    if (!text) return '';
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;'
+    };
+    return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
+  }
+}
+
+// Global instance
+let wellbeingDashboard;
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  wellbeingDashboard = new WellbeingDashboard('wellbeing-container');
+});